@@ -26,20 +26,27 @@ const generatedCode = {
     moduleSideEffects: false,
 };
 
+const external = ["@spirex/di"];
+
 exports.default = [
     {
         input: sourceFile,
+        external,
         output: {
             name: "DIDynamic",
             file: `${output}.js`,
             format: "umd",
             sourcemap: release ? false : "inline",
             generatedCode,
+            globals: {
+                "@spirex/di": "DI",
+            },
         },
         plugins: [terserPlugin],
     },
     {
         input: sourceFile,
+        external,
         output: {
             file: `${output}.mjs`,
             format: "es",
@@ -49,6 +56,7 @@ exports.default = [
     },
     {
         input: sourceFile,
+        external,
         output: {
             file: `${output}.cjs`,
             format: "cjs",
@@ -1,3 +1,5 @@
+import { DIError } from "@spirex/di";
+
 export var Errors = {
     ModuleNotLoaded: (module, type) =>
         `Cannot resolve type "${type}" from dynamic module "${module}" because the module has not been loaded yet.`,
@@ -26,10 +28,14 @@ export var DynamicModules = {
         return entry;
     },
 
-    onRequest(entry) {
+    onRequest(entry, scope) {
         var module = entry.module;
         if (module && module.type === MODULE_TYPE_DYNAMIC && !module.isLoaded)
-            throw new Error(Errors.ModuleNotLoaded(module.id, entry.$id));
+            throw new DIError(
+                Errors.ModuleNotLoaded(module.id, entry.$id),
+                "DYNAMIC_MODULE_NOT_LOADED",
+                { type: entry.type, name: entry.name, scopePath: scope.path },
+            );
         return entry;
     },
 };
@@ -37,6 +43,13 @@ export var DynamicModules = {
 /* istanbul ignore next */
 function moduleStub() {}
 
+function dynamicModuleAccessError(state, accessPath) {
+    return new DIError(
+        Errors.DynamicModuleAccess(state.id, accessPath),
+        "DYNAMIC_MODULE_ACCESS",
+    );
+}
+
 function proxyModuleAccessor(state, accessPath) {
     var getModuleMember = (esm, path) => path.reduce((m, k) => m[k], esm);
 
@@ -45,9 +58,7 @@ function proxyModuleAccessor(state, accessPath) {
             var esm = state.cache;
             if (!esm) {
                 if (key === Symbol.toPrimitive)
-                    throw new Error(
-                        Errors.DynamicModuleAccess(state.id, accessPath),
-                    );
+                    throw dynamicModuleAccessError(state, accessPath);
                 return proxyModuleAccessor(state, accessPath.concat(key));
             }
 
@@ -66,10 +77,7 @@ function proxyModuleAccessor(state, accessPath) {
 
         construct(_, args) {
             var esm = state.cache;
-            if (!esm)
-                throw new Error(
-                    Errors.DynamicModuleAccess(state.id, accessPath),
-                );
+            if (!esm) throw dynamicModuleAccessError(state, accessPath);
 
             var Class = getModuleMember(esm, accessPath);
             return new Class(...args);
@@ -77,10 +85,7 @@ function proxyModuleAccessor(state, accessPath) {
 
         apply(_, thisRef, args) {
             var esm = state.cache;
-            if (!esm)
-                throw new Error(
-                    Errors.DynamicModuleAccess(state.id, accessPath),
-                );
+            if (!esm) throw dynamicModuleAccessError(state, accessPath);
 
             var funcMember = getModuleMember(esm, accessPath);
             return funcMember.call(thisRef, ...args);
@@ -126,7 +131,10 @@ export function dynamicModule(id, importDelegate) {
                 },
                 delegate: (binder) => {
                     if (!binder.hasMiddleware(DynamicModules))
-                        throw new Error(Errors.MissingMiddleware(state.id));
+                        throw new DIError(
+                            Errors.MissingMiddleware(state.id),
+                            "DYNAMIC_MODULE_MISSING_MIDDLEWARE",
+                        );
 
                     var dynamicBinder = Object.setPrototypeOf(
                         {
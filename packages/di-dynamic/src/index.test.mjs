@@ -1,5 +1,5 @@
 import { vi, describe, test, expect } from "vitest";
-import { diBuilder, staticModule } from "@spirex/di";
+import { diBuilder, staticModule, DIError } from "@spirex/di";
 import { dynamicModule, DynamicModules } from "./index";
 import { Errors } from "./index.js";
 
@@ -244,7 +244,8 @@ describe("Dynamic Modules", () => {
             var error = catchError(() => builder.include(dyModule));
 
             // Assert -------
-            expect(error).toBeInstanceOf(Error);
+            expect(error).toBeInstanceOf(DIError);
+            expect(error.code).toBe("DYNAMIC_MODULE_MISSING_MIDDLEWARE");
             expect(error.message).toEqual(Errors.MissingMiddleware(moduleID));
 
             expect(builder.hasModule(dyModule)).is.false;
@@ -623,7 +624,8 @@ describe("Dynamic Modules", () => {
             });
 
             // Assert -----------
-            expect(error).toBeInstanceOf(Error);
+            expect(error).toBeInstanceOf(DIError);
+            expect(error.code).toBe("DYNAMIC_MODULE_ACCESS");
             expect(error.message).toEqual(
                 Errors.DynamicModuleAccess(dyModule.id, ["mNumber"]),
             );
@@ -721,7 +723,9 @@ describe("Dynamic Modules", () => {
 
                 // Assert --------
                 expect(importDelegate).not.toHaveBeenCalled();
-                expect(error).toBeInstanceOf(Error);
+                expect(error).toBeInstanceOf(DIError);
+                expect(error.code).toBe("DYNAMIC_MODULE_NOT_LOADED");
+                expect(error.type).toBe(typeKey);
                 expect(error.message).toEqual(
                     Errors.ModuleNotLoaded(moduleId, typeKey),
                 );
@@ -0,0 +1,102 @@
+import type {
+    AnyTypeMap,
+    IContainerBuilder,
+    TLifecycle,
+    TTypeMapBase,
+} from "@spirex/di";
+
+/**
+ * Kind of the graph node:
+ * - `"binding"` — a type binding (all entries of a multi-binding share one node);
+ * - `"alias"` — an alias binding;
+ * - `"missing"` — a dependency that has no binding.
+ */
+export type DIGraphNodeKind = "binding" | "alias" | "missing";
+
+export type DIGraphNode = {
+    /** Binding ID, e.g. `"logger"` or `"logger$console"` for named bindings. */
+    readonly id: string;
+    readonly type: string;
+    readonly name: string | undefined;
+    readonly kind: DIGraphNodeKind;
+
+    /** Lifecycle of the binding, `"instance"` for instance bindings. */
+    readonly lifecycle: TLifecycle | "instance" | undefined;
+
+    /** ID of the module that declared the binding. */
+    readonly module: string | undefined;
+};
+
+/**
+ * Kind of the graph edge:
+ * - `"inject"` — required dependency (`inject` list or `get` of a safe factory injector);
+ * - `"optional"` — optional dependency (`maybe`, `getAll` or the named bindings of a keyed map);
+ * - `"alias"` — alias reference to its origin.
+ */
+export type DIGraphEdgeKind = "inject" | "optional" | "alias";
+
+export type DIGraphEdge = {
+    readonly from: string;
+    readonly to: string;
+    readonly kind: DIGraphEdgeKind;
+};
+
+export type DIGraphModule = {
+    readonly id: string;
+
+    /** Kind of the module, e.g. `"static"`, `"compose"` or `"dynamic"`. */
+    readonly type: string;
+
+    /** ID of the composition module that contains the module. */
+    readonly parent: string | undefined;
+};
+
+export type DIGraph = {
+    readonly nodes: readonly DIGraphNode[];
+    readonly edges: readonly DIGraphEdge[];
+    readonly modules: readonly DIGraphModule[];
+};
+
+export type DIGraphExportOptions = {
+    /**
+     * Direction of the graph layout.
+     * @default "LR"
+     */
+    direction?: "LR" | "RL" | "TB" | "BT";
+};
+
+/**
+ * Collects the dependency graph of the builder bindings.
+ *
+ * Dependencies are taken from the static declarations:
+ * `inject` lists of the factories and the types accessed by safe factory injectors (dry-run).
+ *
+ * @param builder - Container builder, before `build()`.
+ */
+export declare function collectGraph<TypeMap extends TTypeMapBase = AnyTypeMap>(
+    builder: IContainerBuilder<TypeMap>,
+): DIGraph;
+
+/**
+ * Exports the dependency graph of the builder as a Mermaid flowchart.
+ * Bindings are grouped by modules and styled by lifecycle.
+ *
+ * @param builder - Container builder, before `build()`.
+ * @param options - Export options.
+ */
+export declare function toMermaid<TypeMap extends TTypeMapBase = AnyTypeMap>(
+    builder: IContainerBuilder<TypeMap>,
+    options?: DIGraphExportOptions,
+): string;
+
+/**
+ * Exports the dependency graph of the builder as a Graphviz DOT digraph.
+ * Bindings are grouped by modules and styled by lifecycle.
+ *
+ * @param builder - Container builder, before `build()`.
+ * @param options - Export options.
+ */
+export declare function toDot<TypeMap extends TTypeMapBase = AnyTypeMap>(
+    builder: IContainerBuilder<TypeMap>,
+    options?: DIGraphExportOptions,
+): string;
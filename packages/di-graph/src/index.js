@@ -0,0 +1,300 @@
+var ID_SEP = "$";
+
+var STYLES = {
+    singleton: { fill: "#dbeafe", stroke: "#1d4ed8" },
+    lazy: { fill: "#e0f2fe", stroke: "#0369a1", dashed: true },
+    scope: { fill: "#dcfce7", stroke: "#15803d" },
+    transient: { fill: "#fef9c3", stroke: "#a16207" },
+    pooled: { fill: "#ffedd5", stroke: "#c2410c" },
+    weak: { fill: "#ecfeff", stroke: "#0e7490", dashed: true },
+    instance: { fill: "#f3f4f6", stroke: "#4b5563" },
+    alias: { fill: "#ffffff", stroke: "#6b7280", dashed: true },
+    missing: { fill: "#fee2e2", stroke: "#b91c1c" },
+    custom: { fill: "#f3e8ff", stroke: "#7e22ce" },
+};
+
+var makeId = (type, name) => (name ? type + ID_SEP + name : String(type));
+
+/** Checks whether the dependency is a keyed map of the named bindings */
+var isMapMethod = (method) => method === "getMap" || method === "providerMap";
+
+/** Style class of the graph node */
+var classOf = (node) => (node.kind === "binding" ? node.lifecycle : node.kind);
+
+/** Style of the class, custom lifecycles share the same style */
+var styleOf = (className) => STYLES[className] || STYLES.custom;
+
+/**
+ * Collects the dependency graph of the builder bindings.
+ *
+ * @param builder - Container builder, before `build()`.
+ */
+export function collectGraph(builder) {
+    var nodes = new Map();
+    var edges = new Map();
+    var modules = new Map();
+    var mapDependencies = [];
+
+    var addNode = (id, node) => {
+        if (!nodes.has(id)) nodes.set(id, { id, ...node });
+    };
+    var addEdge = (from, to, kind) => {
+        edges.set(from + ">" + to + ">" + kind, { from, to, kind });
+    };
+
+    var includedModules = builder.getModules();
+    includedModules.forEach((module) =>
+        modules.set(module.id, {
+            id: module.id,
+            type: module.type,
+            parent: undefined,
+        }),
+    );
+    includedModules.forEach((module) => {
+        if (module.modules)
+            module.modules.forEach((child) => {
+                var group = modules.get(child.id);
+                if (group.parent === undefined) group.parent = module.id;
+            });
+    });
+
+    builder.findAll((entry) => {
+        addNode(entry.$id, {
+            type: entry.type,
+            name: entry.name,
+            kind: "binding",
+            lifecycle: "instance" in entry ? "instance" : entry.lifecycle,
+            module: entry.module && entry.module.id,
+        });
+        builder
+            .getDependencies(entry)
+            .forEach((dep) =>
+                isMapMethod(dep.method)
+                    ? mapDependencies.push([entry.$id, dep.type])
+                    : addEdge(
+                          entry.$id,
+                          makeId(dep.type, dep.name),
+                          dep.required ? "inject" : "optional",
+                      ),
+            );
+        return false;
+    });
+
+    builder.findAlias((alias, origin) => {
+        var aliasId = makeId(alias.type, alias.name);
+        addNode(aliasId, {
+            type: alias.type,
+            name: alias.name,
+            kind: "alias",
+            lifecycle: undefined,
+            module: undefined,
+        });
+        addEdge(aliasId, makeId(origin.type, origin.name), "alias");
+        return false;
+    });
+
+    // Keyed maps depend on all named bindings and aliases of the type
+    mapDependencies.forEach(([from, type]) =>
+        nodes.forEach((node) => {
+            if (node.type === type && node.name)
+                addEdge(from, node.id, "optional");
+        }),
+    );
+
+    // Dependencies without bindings
+    edges.forEach((edge) => {
+        var parts = edge.to.split(ID_SEP);
+        addNode(edge.to, {
+            type: parts[0],
+            name: parts[1],
+            kind: "missing",
+            lifecycle: undefined,
+            module: undefined,
+        });
+    });
+
+    return {
+        nodes: Array.from(nodes.values()),
+        edges: Array.from(edges.values()),
+        modules: Array.from(modules.values()),
+    };
+}
+
+/**
+ * Renders module groups recursively, starting from the top level.
+ *
+ * @param graph - Collected graph.
+ * @param renderGroup - Renders a group with its content at the given depth.
+ * @param renderNode - Renders a node at the given depth.
+ */
+function renderGroups(graph, renderGroup, renderNode) {
+    var lines = [];
+    var render = (parent, depth) => {
+        graph.modules.forEach((group, index) => {
+            if (group.parent === parent)
+                renderGroup(lines, group, index, depth, () =>
+                    render(group.id, depth + 1),
+                );
+        });
+        graph.nodes.forEach((node) => {
+            if (node.module === parent) renderNode(lines, node, depth);
+        });
+    };
+    render(undefined, 1);
+    return lines;
+}
+
+var indent = (depth) => "    ".repeat(depth);
+
+var groupLabel = (group) => group.id + " (" + group.type + ")";
+
+var mermaidText = (text) => '"' + String(text).replace(/"/g, "#quot;") + '"';
+
+var MERMAID_EDGES = {
+    inject: " --> ",
+    optional: " -.-> ",
+    alias: " -.->|alias| ",
+};
+
+/**
+ * Exports the dependency graph of the builder as a Mermaid flowchart.
+ *
+ * @param builder - Container builder, before `build()`.
+ * @param options - Export options.
+ */
+export function toMermaid(builder, options) {
+    var graph = collectGraph(builder);
+    var direction = (options && options.direction) || "LR";
+    var nodeIds = new Map(graph.nodes.map((node, i) => [node.id, "n" + i]));
+
+    var lines = ["flowchart " + direction].concat(
+        renderGroups(
+            graph,
+            (lines, group, index, depth, renderContent) => {
+                lines.push(
+                    indent(depth) +
+                        "subgraph m" +
+                        index +
+                        "[" +
+                        mermaidText(groupLabel(group)) +
+                        "]",
+                );
+                renderContent();
+                lines.push(indent(depth) + "end");
+            },
+            (lines, node, depth) => {
+                var label = mermaidText(node.id);
+                lines.push(
+                    indent(depth) +
+                        nodeIds.get(node.id) +
+                        (node.kind === "alias"
+                            ? "([" + label + "])"
+                            : "[" + label + "]"),
+                );
+            },
+        ),
+    );
+
+    graph.edges.forEach((edge) =>
+        lines.push(
+            indent(1) +
+                nodeIds.get(edge.from) +
+                MERMAID_EDGES[edge.kind] +
+                nodeIds.get(edge.to),
+        ),
+    );
+
+    var classes = new Map();
+    graph.nodes.forEach((node) => {
+        var className = classOf(node);
+        if (!classes.has(className)) classes.set(className, []);
+        classes.get(className).push(nodeIds.get(node.id));
+    });
+    classes.forEach((ids, className) => {
+        var style = styleOf(className);
+        lines.push(
+            indent(1) +
+                "classDef " +
+                className +
+                " fill:" +
+                style.fill +
+                ",stroke:" +
+                style.stroke +
+                (style.dashed ? ",stroke-dasharray:4 2" : ""),
+            indent(1) + "class " + ids.join(",") + " " + className,
+        );
+    });
+
+    return lines.join("\n");
+}
+
+var dotText = (text) => '"' + String(text).replace(/["\\]/g, "\\$&") + '"';
+
+var DOT_EDGES = {
+    inject: "",
+    optional: " [style=dashed]",
+    alias: ' [style=dotted, label="alias"]',
+};
+
+/**
+ * Exports the dependency graph of the builder as a Graphviz DOT digraph.
+ *
+ * @param builder - Container builder, before `build()`.
+ * @param options - Export options.
+ */
+export function toDot(builder, options) {
+    var graph = collectGraph(builder);
+    var direction = (options && options.direction) || "LR";
+
+    var lines = [
+        "digraph DI {",
+        indent(1) + "rankdir=" + direction + ";",
+        indent(1) + 'node [shape=box, style="rounded,filled"];',
+    ].concat(
+        renderGroups(
+            graph,
+            (lines, group, index, depth, renderContent) => {
+                lines.push(
+                    indent(depth) + "subgraph cluster_" + index + " {",
+                    indent(depth + 1) +
+                        "label=" +
+                        dotText(groupLabel(group)) +
+                        ";",
+                );
+                renderContent();
+                lines.push(indent(depth) + "}");
+            },
+            (lines, node, depth) => {
+                var style = styleOf(classOf(node));
+                lines.push(
+                    indent(depth) +
+                        dotText(node.id) +
+                        " [" +
+                        (node.kind === "alias" ? "shape=ellipse, " : "") +
+                        "fillcolor=" +
+                        dotText(style.fill) +
+                        ", color=" +
+                        dotText(style.stroke) +
+                        (style.dashed
+                            ? ', style="rounded,filled,dashed"'
+                            : "") +
+                        "];",
+                );
+            },
+        ),
+    );
+
+    graph.edges.forEach((edge) =>
+        lines.push(
+            indent(1) +
+                dotText(edge.from) +
+                " -> " +
+                dotText(edge.to) +
+                DOT_EDGES[edge.kind] +
+                ";",
+        ),
+    );
+    lines.push("}");
+
+    return lines.join("\n");
+}
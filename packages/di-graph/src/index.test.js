@@ -0,0 +1,307 @@
+import { describe, test, expect } from "vitest";
+import {
+    diBuilder,
+    staticModule,
+    factoryOf,
+    optional,
+    named,
+    map,
+} from "@spirex/di";
+import { collectGraph, toMermaid, toDot } from "./index.js";
+
+function createBuilder() {
+    const Db = staticModule("Db").create((binder) =>
+        binder
+            .bindFactory("db", () => ({}), { lifecycle: "lazy" })
+            .bindInstance("config", {}),
+    );
+    const Users = staticModule("Users").create((binder) =>
+        binder.bindFactory("users", factoryOf(Object, ["db", "logger"]), {
+            lifecycle: "scope",
+        }),
+    );
+    const App = staticModule("App").compose(Db, Users);
+
+    return diBuilder()
+        .include(App)
+        .bindSafeFactory(
+            "api",
+            (r) => ({
+                users: r.get("users"),
+                cache: r.maybe("cache", "redis"),
+            }),
+            Object,
+            { lifecycle: "transient" },
+        )
+        .bindAlias("repo", "users");
+}
+
+describe("diGraph", () => {
+    describe("collectGraph", () => {
+        test("collects nodes, edges and modules", () => {
+            // Arrange
+            const builder = createBuilder();
+
+            // Act
+            const graph = collectGraph(builder);
+
+            // Assert
+            expect(graph.modules).toEqual([
+                { id: "Db", type: "static", parent: "App" },
+                { id: "Users", type: "static", parent: "App" },
+                { id: "App", type: "compose", parent: undefined },
+            ]);
+            expect(
+                graph.nodes.map((it) => [it.id, it.kind, it.lifecycle]),
+            ).toEqual([
+                ["db", "binding", "lazy"],
+                ["config", "binding", "instance"],
+                ["users", "binding", "scope"],
+                ["api", "binding", "transient"],
+                ["repo", "alias", undefined],
+                ["logger", "missing", undefined],
+                ["cache$redis", "missing", undefined],
+            ]);
+            expect(graph.nodes[6]).toMatchObject({
+                type: "cache",
+                name: "redis",
+            });
+            expect(graph.nodes[0].module).toBe("Db");
+            expect(graph.edges).toEqual([
+                { from: "users", to: "db", kind: "inject" },
+                { from: "users", to: "logger", kind: "inject" },
+                { from: "api", to: "users", kind: "inject" },
+                { from: "api", to: "cache$redis", kind: "optional" },
+                { from: "repo", to: "users", kind: "alias" },
+            ]);
+        });
+
+        test("merges multi-bindings and keeps the first composition of a module", () => {
+            // Arrange
+            const Shared = staticModule("Shared").create((binder) =>
+                binder.bindInstance("plugin", 1, { ifConflict: "append" }),
+            );
+            const A = staticModule("A").compose(Shared);
+            const B = staticModule("B").compose(Shared);
+            const builder = diBuilder()
+                .include(A)
+                .include(B)
+                .bindInstance("plugin", 2, { ifConflict: "append" })
+                .bindSafeFactory(
+                    "host",
+                    (r) => {
+                        r.getAll("plugin");
+                        throw new Error("Not resolved in dry-run");
+                    },
+                    Object,
+                );
+
+            // Act
+            const graph = collectGraph(builder);
+
+            // Assert
+            expect(graph.modules).toEqual([
+                { id: "Shared", type: "static", parent: "A" },
+                { id: "A", type: "compose", parent: undefined },
+                { id: "B", type: "compose", parent: undefined },
+            ]);
+            expect(graph.nodes.map((it) => it.id)).toEqual(["plugin", "host"]);
+            expect(graph.edges).toEqual([
+                { from: "host", to: "plugin", kind: "optional" },
+            ]);
+        });
+    });
+
+    test("collects dependencies of injection tokens", () => {
+        // Arrange
+        const builder = diBuilder().bindFactory(
+            "service",
+            factoryOf(() => ({}), [optional("cache"), named("logger", "file")]),
+        );
+
+        // Act
+        const graph = collectGraph(builder);
+
+        // Assert
+        expect(graph.edges).toEqual([
+            { from: "service", to: "cache", kind: "optional" },
+            { from: "service", to: "logger$file", kind: "inject" },
+        ]);
+    });
+
+    test("collects dependencies accessed after resolution by meta", () => {
+        // Arrange
+        const builder = diBuilder().bindSafeFactory(
+            "server",
+            (r) => ({
+                routes: r.getTagged("httpRoute"),
+                plugins: r.getAllByMeta((meta) => meta.plugin),
+                logger: r.get("logger"),
+            }),
+            Object,
+        );
+
+        // Act
+        const graph = collectGraph(builder);
+
+        // Assert
+        expect(graph.edges).toEqual([
+            { from: "server", to: "logger", kind: "inject" },
+        ]);
+    });
+
+    test("collects dependencies of keyed maps on named bindings", () => {
+        // Arrange
+        const builder = diBuilder()
+            .bindFactory(
+                "checkout",
+                factoryOf(() => ({}), [map("payment")]),
+            )
+            .bindSafeFactory(
+                "refunds",
+                (r) => ({
+                    payments: r.getMap("payment"),
+                    providers: r.providerMap("payment"),
+                }),
+                Object,
+            )
+            .bindFactory("payment", () => ({}))
+            .bindFactory("payment", () => ({}), { name: "stripe" })
+            .bindFactory("invoice", () => ({}))
+            .bindAlias("payment", "invoice", { name: "invoice" });
+
+        // Act
+        const graph = collectGraph(builder);
+
+        // Assert
+        expect(graph.edges).toEqual([
+            { from: "payment$invoice", to: "invoice", kind: "alias" },
+            { from: "checkout", to: "payment$stripe", kind: "optional" },
+            { from: "checkout", to: "payment$invoice", kind: "optional" },
+            { from: "refunds", to: "payment$stripe", kind: "optional" },
+            { from: "refunds", to: "payment$invoice", kind: "optional" },
+        ]);
+    });
+
+    test("toMermaid renders flowchart grouped by modules", () => {
+        // Arrange
+        const builder = createBuilder();
+
+        // Act
+        const mermaid = toMermaid(builder);
+
+        // Assert
+        expect(mermaid).toBe(
+            [
+                "flowchart LR",
+                '    subgraph m2["App (compose)"]',
+                '        subgraph m0["Db (static)"]',
+                '            n0["db"]',
+                '            n1["config"]',
+                "        end",
+                '        subgraph m1["Users (static)"]',
+                '            n2["users"]',
+                "        end",
+                "    end",
+                '    n3["api"]',
+                '    n4(["repo"])',
+                '    n5["logger"]',
+                '    n6["cache$redis"]',
+                "    n2 --> n0",
+                "    n2 --> n5",
+                "    n3 --> n2",
+                "    n3 -.-> n6",
+                "    n4 -.->|alias| n2",
+                "    classDef lazy fill:#e0f2fe,stroke:#0369a1,stroke-dasharray:4 2",
+                "    class n0 lazy",
+                "    classDef instance fill:#f3f4f6,stroke:#4b5563",
+                "    class n1 instance",
+                "    classDef scope fill:#dcfce7,stroke:#15803d",
+                "    class n2 scope",
+                "    classDef transient fill:#fef9c3,stroke:#a16207",
+                "    class n3 transient",
+                "    classDef alias fill:#ffffff,stroke:#6b7280,stroke-dasharray:4 2",
+                "    class n4 alias",
+                "    classDef missing fill:#fee2e2,stroke:#b91c1c",
+                "    class n5,n6 missing",
+            ].join("\n"),
+        );
+    });
+
+    test("toDot renders digraph grouped by modules", () => {
+        // Arrange
+        const builder = createBuilder();
+
+        // Act
+        const dot = toDot(builder, { direction: "TB" });
+
+        // Assert
+        expect(dot).toBe(
+            [
+                "digraph DI {",
+                "    rankdir=TB;",
+                '    node [shape=box, style="rounded,filled"];',
+                "    subgraph cluster_2 {",
+                '        label="App (compose)";',
+                "        subgraph cluster_0 {",
+                '            label="Db (static)";',
+                '            "db" [fillcolor="#e0f2fe", color="#0369a1", style="rounded,filled,dashed"];',
+                '            "config" [fillcolor="#f3f4f6", color="#4b5563"];',
+                "        }",
+                "        subgraph cluster_1 {",
+                '            label="Users (static)";',
+                '            "users" [fillcolor="#dcfce7", color="#15803d"];',
+                "        }",
+                "    }",
+                '    "api" [fillcolor="#fef9c3", color="#a16207"];',
+                '    "repo" [shape=ellipse, fillcolor="#ffffff", color="#6b7280", style="rounded,filled,dashed"];',
+                '    "logger" [fillcolor="#fee2e2", color="#b91c1c"];',
+                '    "cache$redis" [fillcolor="#fee2e2", color="#b91c1c"];',
+                '    "users" -> "db";',
+                '    "users" -> "logger";',
+                '    "api" -> "users";',
+                '    "api" -> "cache$redis" [style=dashed];',
+                '    "repo" -> "users" [style=dotted, label="alias"];',
+                "}",
+            ].join("\n"),
+        );
+    });
+
+    test("styles bindings of custom lifecycles", () => {
+        // Arrange
+        const builder = diBuilder()
+            .defineLifecycle("tenant", { owner: (request) => request.root })
+            .bindFactory("cache", () => ({}), { lifecycle: "tenant" });
+
+        // Act
+        const mermaid = toMermaid(builder);
+        const dot = toDot(builder);
+
+        // Assert
+        expect(mermaid).toContain(
+            "classDef tenant fill:#f3e8ff,stroke:#7e22ce",
+        );
+        expect(mermaid).toContain("class n0 tenant");
+        expect(dot).toContain(
+            '"cache" [fillcolor="#f3e8ff", color="#7e22ce"];',
+        );
+    });
+
+    test("escapes quotes in labels", () => {
+        // Arrange
+        const builder = diBuilder().bindFactory('say"hi"', () => ({}), {
+            name: "a\\b",
+        });
+
+        // Act
+        const mermaid = toMermaid(builder, { direction: "TB" });
+        const dot = toDot(builder);
+
+        // Assert
+        expect(mermaid).toContain("flowchart TB");
+        expect(mermaid).toContain('n0["say#quot;hi#quot;$a\\b"]');
+        expect(mermaid).toContain("classDef singleton");
+        expect(dot).toContain("rankdir=LR;");
+        expect(dot).toContain('"say\\"hi\\"$a\\\\b" [');
+    });
+});
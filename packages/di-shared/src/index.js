@@ -1,3 +1,5 @@
+import { DIError } from "@spirex/di";
+
 var ERROR_SHARED_NOT_ATTACHED =
     "No container scope attached. Call Shared.attach(scope) before resolving.";
 
@@ -30,7 +32,7 @@ export function diShared(options) {
 
     function assertAttached() {
         if (scope === null) {
-            throw new Error(ERROR_SHARED_NOT_ATTACHED);
+            throw new DIError(ERROR_SHARED_NOT_ATTACHED, "SHARED_NOT_ATTACHED");
         }
         return scope;
     }
@@ -43,7 +45,7 @@ export function diShared(options) {
     }
 
     /**
-     * @param {'get'|'maybe'|'getAll'|'providerOf'|'phantomOf'} method
+     * @param {'get'|'maybe'|'getAll'|'getAllByMeta'|'getTagged'|'getMap'|'providerMap'|'providerOf'|'phantomOf'} method
      * @param {string} typeKey
      * @param {string | undefined} name
      */
@@ -75,6 +77,17 @@ export function diShared(options) {
         effectiveWarnLog(ctx);
     }
 
+    /**
+     * Emits a warning for each binding resolved by meta.
+     * @param {'getAllByMeta'|'getTagged'} method
+     * @param {ReadonlyArray<{ type: string, name?: string }>} results
+     */
+    function emitWarnEach(method, results) {
+        results.forEach(function (result) {
+            emitWarn(method, String(result.type), result.name);
+        });
+    }
+
     var api = {
         attach: function attach(s) {
             scope = s;
@@ -99,6 +112,30 @@ export function diShared(options) {
             emitWarn("getAll", String(type), name);
             return result;
         },
+        getAllByMeta: function getAllByMeta(predicate) {
+            var sc = assertAttached();
+            var results = sc.getAllByMeta(predicate);
+            emitWarnEach("getAllByMeta", results);
+            return results;
+        },
+        getTagged: function getTagged(tag) {
+            var sc = assertAttached();
+            var results = sc.getTagged(tag);
+            emitWarnEach("getTagged", results);
+            return results;
+        },
+        getMap: function getMap(type) {
+            var sc = assertAttached();
+            var result = sc.getMap(type);
+            emitWarn("getMap", String(type));
+            return result;
+        },
+        providerMap: function providerMap(type) {
+            var sc = assertAttached();
+            var result = sc.providerMap(type);
+            emitWarn("providerMap", String(type));
+            return result;
+        },
         providerOf: function providerOf(type, name) {
             var typeKey = type;
             var nameKey = name;
@@ -106,7 +143,11 @@ export function diShared(options) {
             return {
                 [providerFuncName]: function () {
                     if (scope === null) {
-                        throw new Error(ERROR_PROVIDER_BEFORE_ATTACH);
+                        throw new DIError(
+                            ERROR_PROVIDER_BEFORE_ATTACH,
+                            "SHARED_NOT_ATTACHED",
+                            { type: String(typeKey), name: nameKey },
+                        );
                     }
                     var sc = scope;
                     var provider = sc.providerOf(typeKey, nameKey);
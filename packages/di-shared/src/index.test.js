@@ -1,5 +1,5 @@
 import { describe, test, expect, vi } from "vitest";
-import { diBuilder } from "@spirex/di";
+import { diBuilder, DIError } from "@spirex/di";
 import { diShared } from "./index.js";
 
 function buildContainer() {
@@ -29,9 +29,15 @@ describe("diShared", () => {
         const Shared = diShared();
 
         // Act, Assert
-        expect(() => Shared.get("a")).toThrow(Error);
+        expect(() => Shared.get("a")).toThrow(DIError);
+        expect(() => Shared.get("a")).toThrow(
+            expect.objectContaining({ code: "SHARED_NOT_ATTACHED" }),
+        );
         expect(() => Shared.maybe("a")).toThrow(Error);
         expect(() => Shared.getAll("a")).toThrow(Error);
+        expect(() => Shared.getTagged("a")).toThrow(Error);
+        expect(() => Shared.getMap("a")).toThrow(Error);
+        expect(() => Shared.providerMap("a")).toThrow(Error);
         expect(() => Shared.phantomOf("a")).toThrow(Error);
         expect(() => Shared.types).toThrow(Error);
     });
@@ -45,7 +51,7 @@ describe("diShared", () => {
         expect(typeof provider).toBe("function");
 
         // Act, Assert
-        expect(() => provider()).toThrow(Error);
+        expect(() => provider()).toThrow(DIError);
     });
 
     test("delegates resolution to the attached scope (get, maybe, getAll, types)", () => {
@@ -196,6 +202,68 @@ describe("diShared", () => {
         expect(log.mock.calls[0][0].method).toBe("getAll");
     });
 
+    test("emits one warnLog entry per keyed map call when warn is true", () => {
+        // Arrange
+        const log = vi.fn();
+        const Shared = diShared({ warn: true, warnLog: log });
+        Shared.attach(
+            diBuilder()
+                .bindInstance("x", 1, { name: "one" })
+                .bindInstance("x", 2, { name: "two" })
+                .build(),
+        );
+
+        // Act
+        const map = Shared.getMap("x");
+        const providers = Shared.providerMap("x");
+
+        // Assert
+        expect(map).toEqual({ one: 1, two: 2 });
+        expect(providers.two()).toBe(2);
+        expect(log).toHaveBeenCalledTimes(2);
+        expect(log.mock.calls.map((call) => call[0].method)).toEqual([
+            "getMap",
+            "providerMap",
+        ]);
+        expect(log.mock.calls[0][0].name).toBeUndefined();
+    });
+
+    test("emits one warnLog entry per binding resolved by meta when warn is true", () => {
+        // Arrange
+        const log = vi.fn();
+        const Shared = diShared({
+            warn: true,
+            warnLog: log,
+            warnIgnore: ["y"],
+        });
+        Shared.attach(
+            diBuilder()
+                .bindInstance("x", 1, { meta: { plugin: true } })
+                .bindInstance("x", 2, { name: "named", meta: { plugin: true } })
+                .bindInstance("y", 3, { meta: { plugin: true } })
+                .build(),
+        );
+
+        // Act
+        const tagged = Shared.getTagged("plugin");
+        const byMeta = Shared.getAllByMeta((meta) => meta.plugin === true);
+
+        // Assert
+        expect(tagged.map((it) => it.instance)).toEqual([1, 2, 3]);
+        expect(byMeta).toEqual(tagged);
+        expect(log).toHaveBeenCalledTimes(4);
+        expect(log.mock.calls.map((call) => call[0].method)).toEqual([
+            "getTagged",
+            "getTagged",
+            "getAllByMeta",
+            "getAllByMeta",
+        ]);
+        expect(log.mock.calls[1][0]).toMatchObject({
+            type: "x",
+            name: "named",
+        });
+    });
+
     test("emits warnLog with method providerOf when the returned provider runs", () => {
         // Arrange
         const log = vi.fn();
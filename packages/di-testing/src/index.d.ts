@@ -0,0 +1,146 @@
+import type {
+    AnyTypeMap,
+    IContainerBuilder,
+    IContainerMiddleware,
+    TBindingRef,
+    TContainerBuilderOptions,
+    TFactoryBindingOptions,
+    TInstanceBindingOptions,
+    TTypeFactory,
+} from "@spirex/di";
+
+/**
+ * Reaction to child scopes that are still open at the test teardown.
+ * - `"throw"` — teardown rejects with a `DIError` (`SCOPE_LEAK`);
+ * - `"warn"` — the leaked scopes are reported with `console.warn`;
+ * - `"ignore"` — leaks are not reported.
+ */
+export type DITestingLeakMode = "throw" | "warn" | "ignore";
+
+export type DITestingOptions<TypeMap extends AnyTypeMap = AnyTypeMap> = {
+    /**
+     * Binds a stub for every required type that has no binding when the container is built.
+     * When a function is given, it creates the stub instance for the missing type.
+     *
+     * The default stub accepts any member access or call: every member is a stub,
+     * calling a stub returns `undefined`.
+     *
+     * @default false
+     */
+    autoStub?:
+        | boolean
+        | ((ref: TBindingRef<TypeMap, keyof TypeMap>) => unknown);
+
+    /**
+     * How to report child scopes that were not disposed before the teardown.
+     * @default "throw"
+     */
+    leaks?: DITestingLeakMode;
+
+    /**
+     * Teardown hook registration of the test runner, e.g. `afterEach` of Vitest or Jest.
+     * When given, {@link DITesting.teardown} is called after each test automatically.
+     */
+    afterEach?: (teardown: () => Promise<void>) => void;
+};
+
+/** An instance activation or resolution recorded during the test. */
+export type DITestingEvent<TypeMap extends AnyTypeMap = AnyTypeMap> = {
+    readonly kind: "activate" | "resolve";
+    /** ID of the binding entry, e.g. `"logger"` or `"logger$console"`. */
+    readonly $id: string;
+    readonly type: keyof TypeMap;
+    readonly name: string | undefined;
+    /** Path of the scope where the event occurred. */
+    readonly scopePath: readonly string[];
+};
+
+/**
+ * Records activations (`onActivated`) and resolutions (`onResolve`)
+ * of the containers built with the testing middleware.
+ * Instance bindings, including mocks and stubs, are never activated, only resolved.
+ *
+ * Assertions throw an `Error` describing the expected and the recorded sequence.
+ */
+export interface DITestingRecorder<TypeMap extends AnyTypeMap = AnyTypeMap> {
+    /** All recorded events in order of occurrence. */
+    readonly events: readonly DITestingEvent<TypeMap>[];
+
+    /** Binding IDs in order of resolution. */
+    readonly resolved: readonly string[];
+
+    /** Binding IDs in order of activation. */
+    readonly activated: readonly string[];
+
+    /**
+     * Asserts that the bindings were resolved in the given order.
+     * Other resolutions may occur between them.
+     */
+    assertResolved(...ids: string[]): void;
+
+    /**
+     * Asserts that the bindings were activated in the given order.
+     * Other activations may occur between them.
+     */
+    assertActivated(...ids: string[]): void;
+
+    /** Asserts that none of the bindings were activated. */
+    assertNotActivated(...ids: string[]): void;
+
+    /** Forgets all recorded events. */
+    clear(): void;
+}
+
+export interface DITesting<TypeMap extends AnyTypeMap = AnyTypeMap> {
+    /**
+     * Middleware that applies overrides and stubs, records events and tracks scopes.
+     * Can be used with an existing builder: `builder.use(testing.middleware)`.
+     */
+    readonly middleware: IContainerMiddleware<TypeMap>;
+
+    readonly recorder: DITestingRecorder<TypeMap>;
+
+    /** Required types that were bound to stubs. */
+    readonly stubs: readonly TBindingRef<TypeMap, keyof TypeMap>[];
+
+    /** Creates a container builder with the testing middleware. */
+    builder(
+        builderOptions?: TContainerBuilderOptions,
+    ): IContainerBuilder<TypeMap>;
+
+    /**
+     * Replaces the binding with the factory when the container is built,
+     * regardless of the `ifConflict` strategy of the original binding.
+     */
+    override<T extends keyof TypeMap>(
+        type: T,
+        factory: TTypeFactory<TypeMap, T>,
+        options?: TFactoryBindingOptions<TypeMap, T>,
+    ): this;
+
+    /**
+     * Replaces the binding with the instance when the container is built,
+     * regardless of the `ifConflict` strategy of the original binding.
+     */
+    mock<T extends keyof TypeMap>(
+        type: T,
+        instance: TypeMap[T],
+        options?: TInstanceBindingOptions<TypeMap, T>,
+    ): this;
+
+    /**
+     * Disposes all containers built with the testing middleware and checks for leaked scopes.
+     * Overrides, stubs and recorded events are reset.
+     *
+     * @returns Promise that resolves when all containers are disposed.
+     *          It is rejected with the disposal errors or the scope leak error.
+     */
+    teardown(): Promise<void>;
+}
+
+/** Checks whether the value is a stub created by `autoStub`. */
+export declare function isStub(value: unknown): boolean;
+
+export declare function diTesting<TypeMap extends AnyTypeMap = AnyTypeMap>(
+    options?: DITestingOptions<TypeMap>,
+): DITesting<TypeMap>;
@@ -0,0 +1,226 @@
+import { diBuilder, DIError } from "@spirex/di";
+
+var ERROR_SCOPE_LEAK = "Scopes were not disposed before the test teardown: ";
+var ERROR_TEARDOWN_FAILED = "Test teardown failed";
+
+var $stub = Symbol.for("spirex.di.testing.stub");
+
+/** @param {{ type: string, name?: string }} ref */
+function refToId(ref) {
+    return ref.name ? ref.type + "$" + ref.name : String(ref.type);
+}
+
+/**
+ * Creates an object that accepts any member access or call.
+ * Every member is a stub as well, calling a stub returns `undefined`.
+ *
+ * @param {{ type: string, name?: string }} ref - Reference of the stubbed type.
+ */
+function createStub(ref) {
+    var members = new Map();
+    return new Proxy(() => undefined, {
+        get: (target, key) => {
+            if (key === $stub) return ref;
+            if (key === Symbol.toPrimitive)
+                return () => "[Stub " + refToId(ref) + "]";
+            // Stub must not be awaited as a thenable
+            if (typeof key === "symbol" || key === "then") return undefined;
+            if (!members.has(key)) members.set(key, createStub(ref));
+            return members.get(key);
+        },
+    });
+}
+
+export function isStub(value) {
+    return (
+        (typeof value === "function" || typeof value === "object") &&
+        value !== null &&
+        value[$stub] !== undefined
+    );
+}
+
+/**
+ * @param {string} kind
+ * @param {string[]} recorded
+ * @param {string[]} expected
+ */
+function assertOrder(kind, recorded, expected) {
+    var index = 0;
+    for (var $id of recorded) {
+        if ($id === expected[index]) index++;
+        if (index === expected.length) return;
+    }
+    throw new Error(
+        "Expected " +
+            kind +
+            ": " +
+            expected.join(" -> ") +
+            "\nRecorded: " +
+            (recorded.join(" -> ") || "<nothing>"),
+    );
+}
+
+/** @param {Record<string, unknown> | undefined} options */
+export function diTesting(options) {
+    if (options === undefined) options = {};
+
+    var autoStub = options.autoStub;
+    var leaks = options.leaks || "throw";
+
+    var overrides = new Map();
+    var stubs = [];
+    var events = [];
+    var containers = [];
+    var openScopes = new Set();
+
+    function stubMissingTypes(builder) {
+        var stubFactory =
+            typeof autoStub === "function" ? autoStub : createStub;
+        builder.getRequiredTypes().forEach((ref) => {
+            if (builder.has(ref.type, ref.name)) return;
+            stubs.push(ref);
+            builder.bindInstance(ref.type, stubFactory(ref), {
+                name: ref.name,
+            });
+        });
+    }
+
+    function record(kind, entry, scope) {
+        events.push({
+            kind,
+            $id: entry.$id,
+            type: entry.type,
+            name: entry.name,
+            scopePath: scope.path,
+        });
+    }
+
+    var idsOf = (kind) =>
+        events.filter((it) => it.kind === kind).map((it) => it.$id);
+
+    var middleware = {
+        name: "DITesting",
+        onPreBuild(builder) {
+            overrides.forEach((bind) => bind(builder));
+            if (autoStub) stubMissingTypes(builder);
+        },
+        onPostBuild(root) {
+            containers.push(root);
+        },
+        onScopeOpen(scope) {
+            openScopes.add(scope);
+        },
+        onScopeDispose(scope) {
+            openScopes.delete(scope);
+        },
+        onActivated(entry, instance, scope) {
+            record("activate", entry, scope);
+            return instance;
+        },
+        onResolve(entry, instance, scope) {
+            record("resolve", entry, scope);
+            return instance;
+        },
+    };
+
+    var recorder = {
+        get events() {
+            return events.slice();
+        },
+        get resolved() {
+            return idsOf("resolve");
+        },
+        get activated() {
+            return idsOf("activate");
+        },
+        assertResolved(...ids) {
+            assertOrder("resolution", idsOf("resolve"), ids);
+        },
+        assertActivated(...ids) {
+            assertOrder("activation", idsOf("activate"), ids);
+        },
+        assertNotActivated(...ids) {
+            var activated = idsOf("activate");
+            var unexpected = ids.filter((it) => activated.includes(it));
+            if (unexpected.length > 0)
+                throw new Error(
+                    "Expected not to be activated: " + unexpected.join(", "),
+                );
+        },
+        clear() {
+            events.length = 0;
+        },
+    };
+
+    function reportLeaks(leaked, errors) {
+        if (leaked.length === 0 || leaks === "ignore") return;
+        var message = ERROR_SCOPE_LEAK + leaked.join(", ");
+        if (leaks === "warn") console.warn(message);
+        else errors.push(new DIError(message, "SCOPE_LEAK"));
+    }
+
+    function teardown() {
+        var leaked = Array.from(openScopes, (scope) => scope.path.join(" -> "));
+        var roots = containers.reverse();
+        var errors = [];
+
+        containers = [];
+        openScopes.clear();
+        overrides.clear();
+        stubs.length = 0;
+        events.length = 0;
+
+        reportLeaks(leaked, errors);
+        return roots
+            .reduce(
+                (promise, root) =>
+                    promise.then(() =>
+                        root.disposeAsync().catch((e) => {
+                            errors.push(e);
+                        }),
+                    ),
+                Promise.resolve(),
+            )
+            .then(() => {
+                if (errors.length === 1) throw errors[0];
+                if (errors.length > 1)
+                    throw new AggregateError(errors, ERROR_TEARDOWN_FAILED);
+            });
+    }
+
+    var testing = {
+        middleware,
+        recorder,
+        get stubs() {
+            return stubs.slice();
+        },
+        builder(builderOptions) {
+            return diBuilder(builderOptions).use(middleware);
+        },
+        override(type, factory, bindingOptions) {
+            var name = bindingOptions && bindingOptions.name;
+            overrides.set(refToId({ type, name }), (builder) =>
+                builder.bindFactory(type, factory, {
+                    ...bindingOptions,
+                    ifConflict: "replace",
+                }),
+            );
+            return testing;
+        },
+        mock(type, instance, bindingOptions) {
+            var name = bindingOptions && bindingOptions.name;
+            overrides.set(refToId({ type, name }), (builder) =>
+                builder.bindInstance(type, instance, {
+                    ...bindingOptions,
+                    ifConflict: "replace",
+                }),
+            );
+            return testing;
+        },
+        teardown,
+    };
+
+    if (options.afterEach) options.afterEach(teardown);
+
+    return testing;
+}
@@ -0,0 +1,327 @@
+import { describe, test, expect, vi } from "vitest";
+import { diBuilder, factoryOf, DIError } from "@spirex/di";
+import { diTesting, isStub } from "./index.js";
+
+describe("diTesting", () => {
+    describe("Overrides", () => {
+        test("mock replaces the binding regardless of ifConflict", () => {
+            // Arrange
+            const testing = diTesting();
+            const mock = { send: vi.fn() };
+            testing.mock("http", mock);
+
+            // Act
+            const container = testing
+                .builder({ ifConflict: "throw" })
+                .bindFactory("http", () => ({ send() {} }))
+                .build();
+
+            // Assert
+            expect(container.get("http")).toBe(mock);
+        });
+
+        test("override replaces the binding with a factory", () => {
+            // Arrange
+            const testing = diTesting();
+            testing
+                .mock("value", 42, { name: "answer" })
+                .override("service", (r) => ({
+                    value: r.get("value", "answer"),
+                }))
+                .override("service", () => ({ value: -1 }), { name: "other" });
+
+            // Act
+            const container = testing
+                .builder()
+                .bindInstance("value", 1, { name: "answer" })
+                .bindFactory("service", () => ({ value: 0 }), {
+                    ifConflict: "keep",
+                })
+                .build();
+
+            // Assert
+            expect(container.get("service")).toEqual({ value: 42 });
+            expect(container.get("service", "other")).toEqual({ value: -1 });
+        });
+
+        test("middleware applies overrides to an existing builder", () => {
+            // Arrange
+            const testing = diTesting();
+            testing.mock("value", 2);
+
+            // Act
+            const container = diBuilder()
+                .bindInstance("value", 1)
+                .use(testing.middleware)
+                .build();
+
+            // Assert
+            expect(container.get("value")).toBe(2);
+        });
+    });
+
+    describe("Auto-stubs", () => {
+        test("binds stubs for missing required types", async () => {
+            // Arrange
+            const testing = diTesting({ autoStub: true });
+            class Service {
+                static inject = ["logger", "api"];
+                constructor(logger, api) {
+                    this.logger = logger;
+                    this.api = api;
+                }
+            }
+
+            // Act
+            const container = testing
+                .builder()
+                .bindFactory("service", factoryOf(Service))
+                .bindInstance("api", { name: "api" })
+                .build();
+            const service = container.get("service");
+
+            // Assert
+            expect(testing.stubs).toEqual([
+                { type: "logger", name: undefined },
+            ]);
+            expect(isStub(service.logger)).toBe(true);
+            expect(isStub(service.api)).toBe(false);
+            expect(service.logger.info("message")).toBeUndefined();
+            expect(isStub(service.logger.child.scope)).toBe(true);
+            expect(service.logger.child).toBe(service.logger.child);
+            expect(String(service.logger)).toBe("[Stub logger]");
+            expect(await Promise.resolve(service.logger)).toBe(service.logger);
+        });
+
+        test("creates stubs with a custom function", () => {
+            // Arrange
+            const testing = diTesting({
+                autoStub: (ref) => ({ stubOf: ref.type + ":" + ref.name }),
+            });
+
+            // Act
+            const container = testing
+                .builder()
+                .bindSafeFactory(
+                    "service",
+                    (r) => ({ config: r.get("config", "app") }),
+                    (deps) => deps,
+                )
+                .build();
+
+            // Assert
+            expect(container.get("service").config).toEqual({
+                stubOf: "config:app",
+            });
+            expect(isStub(null)).toBe(false);
+        });
+
+        test("missing required types fail the build without autoStub", () => {
+            // Arrange
+            const testing = diTesting();
+            const builder = testing.builder().requireType("logger");
+
+            // Act, Assert
+            expect(() => builder.build()).toThrow(
+                expect.objectContaining({ code: "MISSING_REQUIRED_TYPE" }),
+            );
+        });
+    });
+
+    describe("Recorder", () => {
+        test("records activations and resolutions in order", () => {
+            // Arrange
+            const testing = diTesting();
+            const container = testing
+                .builder()
+                .bindFactory("a", () => "a", { lifecycle: "lazy" })
+                .bindFactory("b", (r) => r.get("a") + "b", {
+                    lifecycle: "lazy",
+                })
+                .bindFactory("c", () => "c", { lifecycle: "lazy", name: "x" })
+                .build();
+
+            // Act
+            container.get("b");
+            container.get("c", "x");
+
+            // Assert
+            expect(testing.recorder.activated).toEqual(["a", "b", "c$x"]);
+            expect(testing.recorder.resolved).toEqual(["a", "b", "c$x"]);
+            expect(testing.recorder.events[0]).toEqual({
+                kind: "activate",
+                $id: "a",
+                type: "a",
+                name: undefined,
+                scopePath: container.path,
+            });
+            testing.recorder.assertActivated("a", "c$x");
+            testing.recorder.assertResolved("b");
+            testing.recorder.assertNotActivated("d");
+        });
+
+        test("records mocks as resolved, not activated", () => {
+            // Arrange
+            const testing = diTesting();
+            const mailer = { send: vi.fn() };
+            testing.mock("mailer", mailer);
+            const container = testing
+                .builder()
+                .bindFactory("users", (r) => ({ mailer: r.get("mailer") }), {
+                    lifecycle: "lazy",
+                })
+                .build();
+
+            // Act
+            container.get("users");
+
+            // Assert
+            expect(testing.recorder.activated).toEqual(["users"]);
+            expect(testing.recorder.resolved).toEqual(["mailer", "users"]);
+            testing.recorder.assertActivated("users");
+            testing.recorder.assertNotActivated("mailer");
+            testing.recorder.assertResolved("mailer", "users");
+        });
+
+        test("assertions throw when the order does not match", () => {
+            // Arrange
+            const testing = diTesting();
+            const container = testing
+                .builder()
+                .bindFactory("a", () => "a", { lifecycle: "lazy" })
+                .bindFactory("b", () => "b", { lifecycle: "lazy" })
+                .build();
+            container.get("b");
+            container.get("a");
+
+            // Act, Assert
+            expect(() => testing.recorder.assertActivated("a", "b")).toThrow(
+                "Expected activation: a -> b\nRecorded: b -> a",
+            );
+            expect(() => testing.recorder.assertNotActivated("a", "c")).toThrow(
+                "Expected not to be activated: a",
+            );
+
+            // Act
+            testing.recorder.clear();
+
+            // Assert
+            expect(() => testing.recorder.assertResolved("a")).toThrow(
+                "Expected resolution: a\nRecorded: <nothing>",
+            );
+        });
+    });
+
+    describe("Teardown", () => {
+        test("disposes containers and resets the state", async () => {
+            // Arrange
+            const testing = diTesting({ autoStub: true });
+            const dispose = vi.fn();
+            const container = testing
+                .builder()
+                .requireType("logger")
+                .bindFactory("service", () => ({ dispose }))
+                .build();
+            testing.mock("service", {});
+            const derived = container.extend((binder) =>
+                binder.bindInstance("value", 1),
+            );
+
+            // Act
+            await testing.teardown();
+
+            // Assert
+            expect(dispose).toHaveBeenCalledOnce();
+            expect(container.isDisposed).toBe(true);
+            expect(derived.isDisposed).toBe(true);
+            expect(testing.stubs).toEqual([]);
+            expect(testing.recorder.events).toEqual([]);
+            expect(
+                testing
+                    .builder()
+                    .bindInstance("service", 1)
+                    .build()
+                    .get("service"),
+            ).toBe(1);
+        });
+
+        test("throws DIError when child scopes were not disposed", async () => {
+            // Arrange
+            const testing = diTesting();
+            const container = testing.builder().build();
+            container.scope("request").scope("job");
+            container.scope("closed").dispose();
+
+            // Act
+            const error = await testing.teardown().catch((e) => e);
+
+            // Assert
+            expect(error).toBeInstanceOf(DIError);
+            expect(error.code).toBe("SCOPE_LEAK");
+            expect(error.message).toContain("request, ");
+            expect(error.message).toContain("request -> job");
+            expect(error.message).not.toContain("closed");
+            expect(container.isDisposed).toBe(true);
+        });
+
+        test("reports leaks with console.warn or ignores them", async () => {
+            // Arrange
+            const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+            const warning = diTesting({ leaks: "warn" });
+            const ignoring = diTesting({ leaks: "ignore" });
+            warning.builder().build().scope("request");
+            ignoring.builder().build().scope("request");
+
+            // Act
+            await warning.teardown();
+            await ignoring.teardown();
+
+            // Assert
+            expect(warn).toHaveBeenCalledOnce();
+            warn.mockRestore();
+        });
+
+        test("rejects with disposal errors", async () => {
+            // Arrange
+            const testing = diTesting();
+            const failure = new Error("failure");
+            const dispose = () => {
+                throw failure;
+            };
+            testing
+                .builder()
+                .bindInstance("a", { dispose }, { dispose: true })
+                .build();
+            testing
+                .builder()
+                .bindInstance("b", { dispose }, { dispose: true })
+                .build();
+            const single = diTesting();
+            single
+                .builder()
+                .bindInstance("a", { dispose }, { dispose: true })
+                .build();
+
+            // Act
+            const error = await testing.teardown().catch((e) => e);
+            const singleError = await single.teardown().catch((e) => e);
+
+            // Assert
+            expect(error).toBeInstanceOf(AggregateError);
+            expect(error.errors).toHaveLength(2);
+            expect(singleError).toBeInstanceOf(AggregateError);
+            expect(singleError.errors[0].cause).toBe(failure);
+        });
+
+        test("registers teardown with the afterEach hook", () => {
+            // Arrange
+            const afterEach = vi.fn();
+
+            // Act
+            const testing = diTesting({ afterEach });
+
+            // Assert
+            expect(afterEach).toHaveBeenCalledWith(testing.teardown);
+        });
+    });
+});
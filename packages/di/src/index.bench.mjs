@@ -0,0 +1,68 @@
+import { bench, describe } from "vitest";
+import { diBuilder, factoryOf } from "./index.js";
+import * as v1_2 from "@spirex/di-v1.2.2";
+
+// Resolution hot paths, compared with the v1.2.2 release.
+// Each group reports which implementation is faster and by how much.
+
+function createContainer(lib, middleware) {
+    var builder = lib.diBuilder();
+    if (middleware) builder.use(middleware);
+    return builder
+        .bindFactory("config", () => ({}))
+        .bindFactory("logger", lib.factoryOf(Object, ["config"]), {
+            lifecycle: "lazy",
+        })
+        .bindFactory("tracer", () => ({}), { name: "http", lifecycle: "lazy" })
+        .bindFactory("session", () => ({}), { lifecycle: "scope" })
+        .bindFactory("request", lib.factoryOf(Object, ["logger", "session"]), {
+            lifecycle: "transient",
+        })
+        .bindAlias("log", "logger")
+        .build();
+}
+
+function createFixture(lib) {
+    var container = createContainer(lib);
+    var scope = container.scope("a").scope("b").scope("c");
+    return {
+        container,
+        scope,
+        provider: scope.providerOf("request"),
+        observed: createContainer(lib, {
+            onResolve: (entry, instance) => instance,
+        }),
+    };
+}
+
+var implementations = [
+    ["v1.2.2", createFixture(v1_2)],
+    ["current", createFixture({ diBuilder, factoryOf })],
+];
+
+// Bound methods keep the call sites of the implementations apart,
+// a shared closure would make them polymorphic and slow down the second one.
+// The warmup lets both implementations be optimized before they are measured.
+function compare(name, methodOf) {
+    describe(name, () => {
+        implementations.forEach(([version, fixture]) =>
+            bench(version, methodOf(fixture), { warmupTime: 1000 }),
+        );
+    });
+}
+
+compare("get singleton", (it) => it.container.get.bind(it.container, "config"));
+compare("get named lazy", (it) =>
+    it.container.get.bind(it.container, "tracer", "http"),
+);
+compare("get alias", (it) => it.container.get.bind(it.container, "log"));
+compare("get scope instance in nested scope", (it) =>
+    it.scope.get.bind(it.scope, "session"),
+);
+compare("get transient with dependencies", (it) =>
+    it.scope.get.bind(it.scope, "request"),
+);
+compare("call provider", (it) => it.provider);
+compare("get singleton with middleware", (it) =>
+    it.observed.get.bind(it.observed, "config"),
+);
@@ -50,8 +50,38 @@ export type TBindingRef<
  * - `"lazy"` — The instance is created on first resolution and cached; only one instance exists.
  * - `"scope"` — The instance is unique per scope and is disposed with it.
  * - `"transient"` — A new instance is created on each resolution.
+ * - `"pooled"` — The instance is acquired from the pool of the binding by the scope
+ *   and is released back to the pool when the scope is disposed (since 1.3.0).
+ * - `"weak"` — Like `"lazy"`, but the instance is weakly held and can be garbage collected
+ *   when it's not used; the next resolution activates a new instance (since 1.3.0).
+ *
+ * Custom lifecycles are defined with `defineLifecycle` of the builder
+ * and registered in {@link ILifecycleRegistry} (since 1.3.0).
  */
-export type TLifecycle = "singleton" | "lazy" | "scope" | "transient";
+export type TLifecycle = keyof ILifecycleRegistry;
+
+/**
+ * Registry of the lifecycle names.
+ * Custom lifecycles are added by the module augmentation:
+ *
+ * ```ts
+ * declare module "@spirex/di" {
+ *     interface ILifecycleRegistry {
+ *         tenant: true;
+ *     }
+ * }
+ * ```
+ *
+ * @since 1.3.0
+ */
+export interface ILifecycleRegistry {
+    singleton: true;
+    lazy: true;
+    scope: true;
+    transient: true;
+    pooled: true;
+    weak: true;
+}
 
 /**
  * Metadata object for a binding entry.
@@ -126,6 +156,78 @@ export type TTypeFactory<
     T extends keyof TypeMap,
 > = (resolver: ITypesResolver<TypeMap>, context: IScopeContext) => TypeMap[T];
 
+/**
+ * An async factory function that produces an instance of a type from the container.
+ *
+ * The factory may `await` during construction. The returned promise is awaited
+ * by the container before the instance is cached and returned to the requester.
+ *
+ * @typeParam TypeMap - A mapping of tokens to their corresponding instance types.
+ * @typeParam T - A specific token key from the TypeMap.
+ *
+ * @param resolver - A helper object used to resolve other dependencies,
+ *                   including async ones, from the container.
+ * @param context  - The context representing the current scope and resolution path.
+ *
+ * @returns A promise of an instance of the type associated with the token `T`.
+ *
+ * @since 1.3.0
+ */
+export type TAsyncTypeFactory<
+    TypeMap extends TTypeMapBase,
+    T extends keyof TypeMap,
+> = (
+    resolver: IAsyncTypesResolver<TypeMap>,
+    context: IScopeContext,
+) => PromiseLike<TypeMap[T]> | TypeMap[T];
+
+/**
+ * An assisted factory function that produces an instance of a type
+ * from injected dependencies and the arguments passed by the caller.
+ *
+ * The type of an assisted binding is the creator function `(...args) => instance`.
+ *
+ * @typeParam TypeMap - A mapping of tokens to their corresponding instance types.
+ * @typeParam T - A specific token key from the TypeMap.
+ *
+ * @param resolver - A helper object used to resolve other dependencies from the container.
+ * @param args - Arguments passed to the creator function.
+ *
+ * @returns An instance created by the creator function of the type `T`.
+ *
+ * @since 1.3.0
+ */
+export type TAssistedTypeFactory<
+    TypeMap extends TTypeMapBase,
+    T extends keyof TypeMap,
+> = TypeMap[T] extends (...args: infer TArgs) => infer TInstance
+    ? (resolver: ITypesResolver<TypeMap>, ...args: TArgs) => TInstance
+    : never;
+
+/**
+ * A decorator function that wraps an instance of a binding.
+ *
+ * Called after the instance is created and before it is cached in a scope.
+ * The returned value replaces the instance.
+ *
+ * @typeParam TypeMap - A mapping of tokens to their corresponding instance types.
+ * @typeParam T - A specific token key from the TypeMap.
+ *
+ * @param instance - The inner instance, created by the binding or the previous decorator.
+ * @param resolver - A helper object used to resolve extra dependencies from the container.
+ *
+ * @returns The decorated instance of the type associated with the token `T`.
+ *
+ * @since 1.3.0
+ */
+export type TTypeDecorator<
+    TypeMap extends TTypeMapBase,
+    T extends keyof TypeMap,
+> = (
+    instance: TypeMap[T],
+    resolver: IAsyncTypesResolver<TypeMap>,
+) => TypeMap[T];
+
 /**
  * Injector function type.
  * Receives a resolver which can resolve dependencies from the container,
@@ -213,6 +315,154 @@ export type TBindingOptions = {
     name?: string | undefined;
 };
 
+/**
+ * Options of the type requirement.
+ * @since 1.3.0
+ */
+export type TRequireTypeOptions = {
+    /** Optional name of the binding if using named bindings. */
+    name?: string | undefined;
+
+    /**
+     * Declares that instances of the type are provided at scope time with `scope.provide()`.
+     * If the type is not bound, the container binds it as a scope binding
+     * that is never activated by the container.
+     * @default false
+     */
+    provided?: boolean;
+};
+
+/**
+ * Options of the instance provided to the scope.
+ * @since 1.3.0
+ */
+export type TProvideOptions = {
+    /** Optional name qualifier of the binding. */
+    name?: string | undefined;
+};
+
+/**
+ * Options of the hot rebinding.
+ * @since 1.3.0
+ */
+export type TRebindOptions = {
+    /** Optional name qualifier of the binding. */
+    name?: string | undefined;
+};
+
+/**
+ * Describes the request of a type, passed to the condition of a contextual binding.
+ * @since 1.3.0
+ */
+export type TBindingRequest = {
+    /**
+     * Entry of the binding that requested the type (top of the activation stack).
+     * `undefined` when the type is requested directly from the scope.
+     */
+    readonly requester: TTypeEntry<AnyTypeMap, keyof AnyTypeMap> | undefined;
+
+    /** ID of the scope that resolves the type */
+    readonly current: string;
+
+    /** Scope hierarchy */
+    readonly path: readonly string[];
+
+    /** Read-only optional contextual data associated with the scope. */
+    readonly data?: Readonly<object>;
+};
+
+/**
+ * Condition of a contextual binding.
+ *
+ * @param request - The request of the type.
+ * @returns `true` if the binding should be used for the request.
+ *
+ * @since 1.3.0
+ */
+export type TBindingCondition = (request: TBindingRequest) => boolean;
+
+/**
+ * Request of an instance, passed to the lifecycle strategy.
+ * @since 1.3.0
+ */
+export type TLifecycleRequest = {
+    /** Entry of the requested binding. */
+    readonly entry: TTypeEntry<AnyTypeMap, keyof AnyTypeMap>;
+
+    /** The scope that requested the instance. */
+    readonly scope: IContainerScope<AnyTypeMap>;
+
+    /** The root scope of the container. */
+    readonly root: IContainerScope<AnyTypeMap>;
+
+    /**
+     * Scopes that can own the instance, from the requesting scope to the root:
+     * the scope and its parents up to the nearest isolated scope,
+     * filtered by `allowedScopes` of the binding.
+     */
+    readonly scopes: readonly IContainerScope<AnyTypeMap>[];
+
+    /** Checks whether the scope caches an instance of the binding. */
+    has(scope: IContainerScope<AnyTypeMap>): boolean;
+};
+
+/**
+ * Cached instance passed to the lifecycle strategy for validation.
+ * @since 1.3.0
+ */
+export type TLifecycleCachedInstance = {
+    /** Entry of the cached binding. */
+    readonly entry: TTypeEntry<AnyTypeMap, keyof AnyTypeMap>;
+
+    /** The scope that owns the instance. */
+    readonly scope: IContainerScope<AnyTypeMap>;
+
+    /** Time the instance was cached, in milliseconds since the epoch. */
+    readonly cachedAt: number | undefined;
+};
+
+/**
+ * Strategy of a custom lifecycle: controls where instances are cached and when they are invalidated.
+ *
+ * Built-in lifecycles are expressed with the same strategy:
+ * - `singleton` — `{ eager: true, owner: (r) => r.root }`;
+ * - `lazy` — `{ owner: (r) => r.root }`;
+ * - `scope` — `{ owner: (r) => r.scopes.find(r.has) || r.scopes[0] }`;
+ * - `transient` — `{ owner: () => undefined }`.
+ *
+ * The `pooled` lifecycle selects the requesting scope (`{ owner: (r) => r.scopes[0] }`),
+ * its instances are acquired from the pool of the binding instead of being created.
+ *
+ * @since 1.3.0
+ */
+export type TLifecycleStrategy = {
+    /**
+     * Selects the scope that owns the instance.
+     * The instance is cached in the scope, shared with all requests that select the scope,
+     * and disposed together with the scope.
+     *
+     * @param request - Request of the instance.
+     * @returns The owner scope, or `undefined` to create a new instance on each request.
+     */
+    owner(request: TLifecycleRequest): IContainerScope<AnyTypeMap> | undefined;
+
+    /**
+     * Activates instances of the bindings in the root scope when the container is built.
+     * @default false
+     */
+    eager?: boolean;
+
+    /**
+     * Checks whether the cached instance is still valid.
+     * An invalid instance is removed from the scope and disposed, then a new instance is created.
+     *
+     * @param instance - The cached instance.
+     * @param cached - Description of the cached instance.
+     * @returns `false` to invalidate the instance.
+     */
+    isValid?(instance: unknown, cached: TLifecycleCachedInstance): boolean;
+};
+
 /** Binding options specific to a type implementation. */
 export type TTypeBindingOptions<
     TypeMap extends TTypeMapBase,
@@ -237,6 +487,80 @@ export type TTypeBindingOptions<
      * @since 1.2.0
      */
     internal?: boolean;
+
+    /**
+     * Makes the binding a contextual variant of the type.
+     * The variant is selected at resolve time when the condition is met,
+     * otherwise the default (unconditional) binding of the type is used.
+     * Contextual variants don't conflict with other bindings of the type.
+     *
+     * @example
+     * binder
+     *     .bindFactory("logger", () => new ConsoleLogger())
+     *     .bindFactory("logger", () => new FileLogger("orders.log"), {
+     *         when: (request) => request.requester?.type === "orderService",
+     *     });
+     *
+     * @since 1.3.0
+     */
+    when?: TBindingCondition;
+};
+
+/**
+ * Hook of the binding that initializes the activated instance:
+ * called after the instance is created and decorated, before it's cached and resolved.
+ *
+ * The returned promise is awaited before the instance is cached and resolved
+ * by async resolution: `getAsync()` and `buildAsync()` for instance and eager bindings.
+ * Sync resolution can't await it and throws `DIError` (`ASYNC_ON_ACTIVATE`),
+ * the instance is disposed once the promise settles.
+ *
+ * @param instance - The activated instance.
+ * @param resolver - Resolver of the activation scope, to access other dependencies.
+ *
+ * @since 1.3.0
+ */
+export type TActivateHook<
+    TypeMap extends TTypeMapBase,
+    T extends keyof TypeMap,
+> = (
+    instance: TypeMap[T],
+    resolver: ITypesResolver<TypeMap>,
+) => void | PromiseLike<void>;
+
+/**
+ * Custom disposer of the binding instances, used instead of `Symbol.dispose` and `dispose()`.
+ * Useful for third-party objects that release resources with `close()`, `destroy()`, etc.
+ * The returned promise is awaited by `disposeAsync()`.
+ *
+ * @param instance - The instance to dispose.
+ *
+ * @since 1.3.0
+ */
+export type TDisposeHook<T> = (instance: T) => void | PromiseLike<void>;
+
+/**
+ * Options for configuring an instance binding.
+ * @since 1.3.0
+ */
+export type TInstanceBindingOptions<
+    TypeMap extends TTypeMapBase,
+    T extends keyof TypeMap,
+> = TTypeBindingOptions<TypeMap, T> & {
+    /**
+     * Transfers the ownership of the instance to the container.
+     * The instance is disposed together with the root scope,
+     * after all instances that depend on it.
+     * A function is used as the custom disposer of the instance.
+     * @default false
+     */
+    dispose?: boolean | TDisposeHook<TypeMap[T]>;
+
+    /**
+     * Initializes the instance once, when the container is built (after decorators).
+     * @since 1.3.0
+     */
+    onActivate?: TActivateHook<TypeMap, T>;
 };
 
 /** Options for configuring a factory-based binding. */
@@ -252,6 +576,98 @@ export type TFactoryBindingOptions<
      * @since 1.1.0
      */
     withScope?: TScopeOptions | boolean;
+
+    /**
+     * Options of the pool, used by the `"pooled"` lifecycle.
+     * @since 1.3.0
+     */
+    pool?: TPoolOptions<TypeMap[T]>;
+
+    /**
+     * Allows captive dependencies that involve the binding,
+     * either as the longer-lived binding or as the captured one.
+     * See the `captiveDependencies` option of the container builder.
+     *
+     * @default false
+     * @since 1.3.0
+     */
+    allowCaptive?: boolean;
+
+    /**
+     * Initializes each activated instance of the binding.
+     * @since 1.3.0
+     */
+    onActivate?: TActivateHook<TypeMap, T>;
+
+    /**
+     * Custom disposer of the binding instances,
+     * called when the owner scope is disposed or the instance is invalidated.
+     * @since 1.3.0
+     */
+    dispose?: TDisposeHook<TypeMap[T]>;
+};
+
+/**
+ * Options of the pool of a `"pooled"` binding.
+ * @since 1.3.0
+ */
+export type TPoolOptions<T> = {
+    /**
+     * Number of instances created when the pool is created (on the first acquisition).
+     * @default 0
+     */
+    min?: number;
+
+    /**
+     * Maximum number of instances acquired at the same time.
+     * Acquiring more instances throws a `DIError` (`POOL_EXHAUSTED`).
+     * @default Infinity
+     */
+    max?: number;
+
+    /**
+     * Resets the state of the instance when it is released back to the pool.
+     * @param instance - The released instance.
+     */
+    reset?(instance: T): void;
+};
+
+/**
+ * Provides explicit access to the pool of a `"pooled"` binding.
+ *
+ * @typeParam T - Type of the pooled instances.
+ * @since 1.3.0
+ */
+export interface ITypePool<T> {
+    /**
+     * Acquires an idle instance from the pool, or creates a new one.
+     * @throws {DIError} If the pool has `max` instances and none of them is idle.
+     */
+    acquire(): T;
+
+    /**
+     * Releases the acquired instance back to the pool.
+     * Instances that were not acquired from the pool are ignored.
+     * @param instance - The acquired instance.
+     */
+    release(instance: T): void;
+}
+
+/**
+ * Options for configuring a binding decorator.
+ * @since 1.3.0
+ */
+export type TDecoratorOptions = {
+    /** Optional name qualifier of the decorated binding. */
+    name?: string | undefined;
+
+    /**
+     * Order in which decorators of a binding are applied.
+     * Decorators with a lower order wrap the instance first (closer to the instance).
+     * Decorators with the same order are applied in registration order.
+     * @default 0
+     */
+    order?: number;
 };
 
 /** Options for configuring an alias binding. */
@@ -296,6 +712,12 @@ export type TTypeEntryBase<
      * If defined, the instance will only be created or accessed within the specified scopes.
      */
     readonly allowedScopes: string[] | undefined;
+
+    /**
+     * Condition of the contextual binding, if any.
+     * @since 1.3.0
+     */
+    readonly when?: TBindingCondition;
 };
 
 /**
@@ -311,10 +733,38 @@ export type TInstanceTypeEntry<
     /** The instance bound to the type token. */
     readonly instance: TypeMap[T];
 
+    /**
+     * Indicates that the instance is disposed together with the root scope,
+     * a function is the custom disposer of the instance.
+     * @since 1.3.0
+     */
+    readonly dispose?: boolean | TDisposeHook<TypeMap[T]>;
+
+    /**
+     * Initialization hook of the instance.
+     * @since 1.3.0
+     */
+    readonly onActivate?: TActivateHook<TypeMap, T>;
+
     /** Always `undefined` to indicate it's not a factory entry. */
     readonly factory: undefined;
 };
 
+/**
+ * Base structure for the factory binding entries, with the lifecycle hooks of the binding.
+ * @since 1.3.0
+ */
+export type TFactoryEntryBase<
+    TypeMap extends TTypeMapBase,
+    T extends keyof TypeMap,
+> = TTypeEntryBase<TypeMap, T> & {
+    /** Initialization hook of the activated instances. */
+    readonly onActivate?: TActivateHook<TypeMap, T>;
+
+    /** Custom disposer of the instances. */
+    readonly dispose?: TDisposeHook<TypeMap[T]>;
+};
+
 /**
  * Represents a type entry that holds a type factory function.
  *
@@ -324,7 +774,7 @@ export type TInstanceTypeEntry<
 export type TFactoryTypeEntry<
     TypeMap extends TTypeMapBase,
     T extends keyof TypeMap,
-> = TTypeEntryBase<TypeMap, T> & {
+> = TFactoryEntryBase<TypeMap, T> & {
     /** The factory function that produces the instance of type. */
     readonly factory: TTypeFactory<TypeMap, T>;
 
@@ -346,7 +796,7 @@ export type TSafeFactoryEntry<
     TypeMap extends TTypeMapBase,
     T extends keyof TypeMap,
     Deps,
-> = TTypeEntryBase<TypeMap, T> & {
+> = TFactoryEntryBase<TypeMap, T> & {
     /** Injector function that defines dependencies. */
     readonly injector: TTypeInjector<TypeMap, Deps>;
 
@@ -360,11 +810,89 @@ export type TSafeFactoryEntry<
     readonly instance: undefined;
 };
 
+/**
+ * Represents a type entry that holds an async type factory function.
+ *
+ * @typeParam TypeMap - The mapping of type tokens to their corresponding instance types.
+ * @typeParam T - A key from the type map representing the registered type.
+ *
+ * @since 1.3.0
+ */
+export type TAsyncFactoryTypeEntry<
+    TypeMap extends TTypeMapBase,
+    T extends keyof TypeMap,
+> = TFactoryEntryBase<TypeMap, T> & {
+    /** The async factory function that produces the instance of type. */
+    readonly factory: TAsyncTypeFactory<TypeMap, T>;
+
+    /** Always `true` to indicate it's an async factory entry. */
+    readonly async: true;
+
+    /** Always `undefined` to indicate it's not an instance entry. */
+    readonly instance: undefined;
+
+    /** Lifecycle of the binding */
+    readonly lifecycle: TLifecycle;
+};
+
+/**
+ * Represents a type entry that holds an assisted factory function.
+ *
+ * @typeParam TypeMap - The mapping of type tokens to their corresponding instance types.
+ * @typeParam T - A key from the type map representing the registered type.
+ *
+ * @since 1.3.0
+ */
+export type TAssistedFactoryTypeEntry<
+    TypeMap extends TTypeMapBase,
+    T extends keyof TypeMap,
+> = TFactoryEntryBase<TypeMap, T> & {
+    /** The factory function that produces the instance from the creator arguments. */
+    readonly factory: TAssistedTypeFactory<TypeMap, T>;
+
+    /** Always `true` to indicate it's an assisted factory entry. */
+    readonly assisted: true;
+
+    /** Always `undefined` to indicate it's not an instance entry. */
+    readonly instance: undefined;
+
+    /** Always `"transient"`, every call of the creator produces a new instance. */
+    readonly lifecycle: "transient";
+};
+
+/**
+ * Represents a type entry whose instances are provided at scope time with `scope.provide()`.
+ *
+ * @typeParam TypeMap - The mapping of type tokens to their corresponding instance types.
+ * @typeParam T - A key from the type map representing the registered type.
+ *
+ * @since 1.3.0
+ */
+export type TProvidedTypeEntry<
+    TypeMap extends TTypeMapBase,
+    T extends keyof TypeMap,
+> = TTypeEntryBase<TypeMap, T> & {
+    /** Always `true` to indicate it's a provided type entry. */
+    readonly provided: true;
+
+    /** Always `undefined`, the instances are never activated by the container. */
+    readonly factory: undefined;
+
+    /** Always `undefined` to indicate it's not an instance entry. */
+    readonly instance: undefined;
+
+    /** Always `"scope"`, instances are stored in the scope they are provided to. */
+    readonly lifecycle: "scope";
+};
+
 /** A type entry, either an instance entry or a factory entry */
 export type TTypeEntry<TypeMap extends TTypeMapBase, T extends keyof TypeMap> =
     | TInstanceTypeEntry<TypeMap, T>
     | TFactoryTypeEntry<TypeMap, T>
-    | TSafeFactoryEntry<TypeMap, T, {}>;
+    | TSafeFactoryEntry<TypeMap, T, {}>
+    | TAsyncFactoryTypeEntry<TypeMap, T>
+    | TAssistedFactoryTypeEntry<TypeMap, T>
+    | TProvidedTypeEntry<TypeMap, T>;
 
 /**
  * A generic type map used for middleware to operate independently of specific container type mappings.
@@ -503,16 +1031,46 @@ export type TContainerMiddlewareOnActivated<
  * @param scope    - The scope in which the resolution took place.
  *                   Can be used to resolve other dependencies if needed.
  *
- * @returns The final instance to be returned to the user.
+ * @returns The final instance to be returned to the user.
+ */
+export type TContainerMiddlewareOnResolve<
+    TypeMap extends TTypeMapBase = AnyTypeMap,
+> = (
+    entry: TTypeEntry<TypeMap, keyof TypeMap>,
+    instance: {},
+    scope: IContainerScope<TypeMap>,
+    stack: readonly TTypeEntry<TypeMap, keyof TypeMap>[],
+) => {};
+
+/**
+ * A middleware hook that is called when the activation of an instance fails:
+ * the factory, a decorator or an `onActivated` hook threw an error
+ * (or the async factory rejected).
+ *
+ * Hooks are called in the middleware order until one returns a fallback instance.
+ * The fallback is used (and cached by the lifecycle) instead of the failed instance.
+ * When no hook returns a value, the error is rethrown. A hook can also throw another error.
+ *
+ * Each error is reported once, by the activation where it was thrown,
+ * not by the activations of the dependents that failed because of it.
+ *
+ * @param error - The error of the activation.
+ * @param entry - The type entry that failed to activate.
+ * @param scope - The scope of the activation.
+ * @param stack - The activation stack, ending with the failed entry.
+ *
+ * @returns A fallback instance, or `undefined` to rethrow the error.
+ *
+ * @since 1.3.0
  */
-export type TContainerMiddlewareOnResolve<
+export type TContainerMiddlewareOnError<
     TypeMap extends TTypeMapBase = AnyTypeMap,
 > = (
+    error: unknown,
     entry: TTypeEntry<TypeMap, keyof TypeMap>,
-    instance: {},
     scope: IContainerScope<TypeMap>,
     stack: readonly TTypeEntry<TypeMap, keyof TypeMap>[],
-) => {};
+) => {} | undefined | void;
 
 /**
  * A hook that runs before the container is built.
@@ -544,6 +1102,43 @@ export type TContainerMiddlewareOnPostBuild<
     TypeMap extends TTypeMapBase = AnyTypeMap,
 > = (root: IContainerScope<TypeMap>) => void;
 
+/**
+ * A middleware hook that is called when the weakly held instance of a `"weak"` binding
+ * has been garbage collected.
+ *
+ * Called by the `FinalizationRegistry` some time after the collection,
+ * unless the scope that held the instance has been disposed.
+ *
+ * @param entry - The type entry of the collected instance.
+ * @param scope - The scope that held the instance.
+ *
+ * @since 1.3.0
+ */
+export type TContainerMiddlewareOnCollected<
+    TypeMap extends TTypeMapBase = AnyTypeMap,
+> = (
+    entry: TTypeEntry<TypeMap, keyof TypeMap>,
+    scope: IContainerScope<TypeMap>,
+) => void;
+
+/**
+ * A middleware hook that is called when a captive dependency is detected
+ * and the `captiveDependencies` option of the builder is `"report"`.
+ *
+ * @param entry - The type entry being activated (e.g. a singleton).
+ * @param dependency - The shorter-lived type entry it depends on.
+ * @param scope - The scope of the resolution.
+ *
+ * @since 1.3.0
+ */
+export type TContainerMiddlewareOnCaptiveDependency<
+    TypeMap extends TTypeMapBase = AnyTypeMap,
+> = (
+    entry: TTypeEntry<TypeMap, keyof TypeMap>,
+    dependency: TTypeEntry<TypeMap, keyof TypeMap>,
+    scope: IContainerScope<TypeMap>,
+) => void;
+
 /**
  * A middleware hook that is called during scope lifecycle events.
  *
@@ -556,6 +1151,34 @@ export type TContainerMiddlewareOnScope<
     TypeMap extends TTypeMapBase = AnyTypeMap,
 > = (scope: IContainerScope<TypeMap>) => void;
 
+/**
+ * An async middleware hook that is called during async scope disposal.
+ *
+ * The returned promise is awaited before the scope disposes its own instances.
+ *
+ * @param scope - The scope instance that is being disposed.
+ *
+ * @since 1.3.0
+ */
+export type TContainerMiddlewareOnScopeAsync<
+    TypeMap extends TTypeMapBase = AnyTypeMap,
+> = (scope: IContainerScope<TypeMap>) => void | PromiseLike<void>;
+
+/**
+ * A middleware hook that receives errors collected during the scope disposal.
+ *
+ * When at least one middleware implements this hook,
+ * the disposal errors are reported to it instead of being thrown.
+ *
+ * @param error - Aggregated {@link DisposeError} list of the disposal.
+ * @param scope - The scope on which the disposal was requested.
+ *
+ * @since 1.3.0
+ */
+export type TContainerMiddlewareOnDisposeError<
+    TypeMap extends TTypeMapBase = AnyTypeMap,
+> = (error: AggregateError, scope: IContainerScope<TypeMap>) => void;
+
 /**
  * Container middleware.
  *
@@ -568,6 +1191,16 @@ export interface IContainerMiddleware<
     /** Optional name used to identify the middleware in code or error messages. */
     name?: string;
 
+    /**
+     * Order of the middleware hooks calls.
+     * Hooks of the middlewares with a higher priority are called first,
+     * hooks of the middlewares with the same priority are called in the order of `use()`.
+     *
+     * @default 0
+     * @since 1.3.0
+     */
+    priority?: number;
+
     /** Triggered when this middleware is added into the container builder */
     onUse?: TContainerBuilderMiddlewareOnUse<TypeMap & MiddlewareTypeMap>;
 
@@ -603,6 +1236,27 @@ export interface IContainerMiddleware<
     /** Triggered after the instance has been fully resolved, but before it is returned to the requester */
     onResolve?: TContainerMiddlewareOnResolve<TypeMap & MiddlewareTypeMap>;
 
+    /**
+     * Triggered when the activation of an instance fails.
+     * Can return a fallback instance.
+     * @since 1.3.0
+     */
+    onError?: TContainerMiddlewareOnError<TypeMap & MiddlewareTypeMap>;
+
+    /**
+     * Triggered when a captive dependency is detected (`captiveDependencies: "report"`).
+     * @since 1.3.0
+     */
+    onCaptiveDependency?: TContainerMiddlewareOnCaptiveDependency<
+        TypeMap & MiddlewareTypeMap
+    >;
+
+    /**
+     * Triggered after the instance of a `"weak"` binding has been garbage collected.
+     * @since 1.3.0
+     */
+    onCollected?: TContainerMiddlewareOnCollected<TypeMap & MiddlewareTypeMap>;
+
     /**
      * Called when a new child scope is opened.
      *
@@ -619,6 +1273,29 @@ export interface IContainerMiddleware<
      * This hook is also called for the root scope when it is disposed.
      */
     onScopeDispose?: TContainerMiddlewareOnScope<TypeMap & MiddlewareTypeMap>;
+
+    /**
+     * Async counterpart of {@link onScopeDispose}, called only by `disposeAsync()`.
+     *
+     * This hook is awaited after `onScopeDispose`,
+     * but before the current scope disposes its own instances.
+     * Hooks of different middlewares are awaited one after another.
+     *
+     * @since 1.3.0
+     */
+    onScopeDisposeAsync?: TContainerMiddlewareOnScopeAsync<
+        TypeMap & MiddlewareTypeMap
+    >;
+
+    /**
+     * Called once after a disposal finished with errors.
+     * Prevents the `AggregateError` from being thrown by `dispose()` and `disposeAsync()`.
+     *
+     * @since 1.3.0
+     */
+    onDisposeError?: TContainerMiddlewareOnDisposeError<
+        TypeMap & MiddlewareTypeMap
+    >;
 }
 
 /**
@@ -641,6 +1318,36 @@ export interface ITypeEntryBinder<TypeMap extends TTypeMapBase> {
      */
     requireType(type: keyof TypeMap, name?: string): this;
 
+    /**
+     * Declares that the specified type binding is required, with options.
+     * Types declared with the `provided` option don't fail the build when they are not bound:
+     * their instances are provided at scope time with `scope.provide()`.
+     *
+     * @param type - The type key to require a binding for.
+     * @param options - Options of the requirement.
+     *
+     * @throws {Error} If the required binding is not present when building container.
+     *
+     * @returns The builder instance for chaining.
+     *
+     * @since 1.3.0
+     */
+    requireType(type: keyof TypeMap, options: TRequireTypeOptions): this;
+
+    /**
+     * Defines a custom lifecycle that can be used in the `lifecycle` option of the bindings.
+     *
+     * @param name - Name of the lifecycle, registered in {@link ILifecycleRegistry}.
+     * @param strategy - Strategy that controls where instances are cached and when they are invalidated.
+     *
+     * @throws {BindingConflictError} If the lifecycle with the same name is already defined.
+     *
+     * @returns The builder instance for chaining.
+     *
+     * @since 1.3.0
+     */
+    defineLifecycle(name: TLifecycle, strategy: TLifecycleStrategy): this;
+
     /**
      * Conditionally applies bindings based on the provided boolean condition.
      * @param condition - The condition to evaluate.
@@ -682,7 +1389,7 @@ export interface ITypeEntryBinder<TypeMap extends TTypeMapBase> {
     bindInstance<T extends keyof TypeMap>(
         type: T,
         instance: TypeMap[T],
-        options?: TTypeBindingOptions<TypeMap, T>,
+        options?: TInstanceBindingOptions<TypeMap, T>,
     ): this;
 
     /**
@@ -704,6 +1411,59 @@ export interface ITypeEntryBinder<TypeMap extends TTypeMapBase> {
         options?: TFactoryBindingOptions<TypeMap, T>,
     ): this;
 
+    /**
+     * Binds an async factory function to a type.
+     *
+     * The instance can be resolved only through async resolution methods
+     * (`getAsync`, `maybeAsync`, `getAllAsync`) until it has been created.
+     * Once created and cached, it is also available via `get`.
+     * Async singletons are activated by `buildAsync()`;
+     * `build()` defers their activation to the first async resolution.
+     * The `"pooled"` lifecycle is not supported: the build throws `InvalidBindingError` (`ASYNC_POOLED_BINDING`).
+     *
+     * @typeParam T - A key of the type map representing the type token to bind.
+     * @param type - The type key to bind the factory to.
+     * @param factory - An async factory function that returns an instance of the type.
+     * @param options Optional params that control how the binding behaves.
+     *
+     * @throws {Error} If a binding already exists and the conflict strategy is set to `"throw"`
+     *
+     * @returns The current binder instance for chaining.
+     *
+     * @since 1.3.0
+     */
+    bindAsyncFactory<T extends keyof TypeMap>(
+        type: T,
+        factory: TAsyncTypeFactory<TypeMap, T>,
+        options?: TFactoryBindingOptions<TypeMap, T>,
+    ): this;
+
+    /**
+     * Binds an assisted factory function to a type.
+     *
+     * The type resolves to a creator function `(...args) => instance`.
+     * Every call of the creator passes the caller arguments to the factory
+     * together with the resolver of injected dependencies and produces a new instance.
+     * Created instances are decorated and passed to the `onActivated` middleware.
+     *
+     * @typeParam T - A key of the type map representing the type token to bind.
+     * @param type - The type key to bind the factory to.
+     * @param factory - A factory function that creates an instance from the dependencies and the arguments.
+     * @param options Optional params that control how the binding behaves.
+     *                Lifecycle of the binding is always `"transient"`.
+     *
+     * @throws {Error} If a binding already exists and the conflict strategy is set to `"throw"`
+     *
+     * @returns The current binder instance for chaining.
+     *
+     * @since 1.3.0
+     */
+    bindAssistedFactory<T extends keyof TypeMap>(
+        type: T,
+        factory: TAssistedTypeFactory<TypeMap, T>,
+        options?: Omit<TFactoryBindingOptions<TypeMap, T>, "lifecycle">,
+    ): this;
+
     /**
      * Binds a factory to a type with explicit dependency injection.
      *
@@ -749,6 +1509,35 @@ export interface ITypeEntryBinder<TypeMap extends TTypeMapBase> {
         originType: TypeMap[TOrigin] extends TypeMap[TAlias] ? TOrigin : never,
         options?: TAliasBindingOptions,
     ): this;
+
+    /**
+     * Registers a decorator for a binding.
+     *
+     * Decorators are stacked: each one receives the instance produced by the previous one.
+     * A decorator applies to all entries of a multi-binding.
+     * A decorator of an alias applies to the bindings the alias refers to.
+     * Instances of `bindInstance` are decorated once, when the container is built.
+     *
+     * A decorator registered inside a module is attributed to that module
+     * and can resolve internal types of the module.
+     *
+     * @template T - The type key of the decorated binding.
+     *
+     * @param type - The type key of the decorated binding.
+     * @param decorator - The decorator function.
+     * @param options - Optional name and order of the decorator.
+     *
+     * @throws {BindingNotFoundError} On build, if the decorated binding does not exist.
+     *
+     * @returns The current binder instance for chaining.
+     *
+     * @since 1.3.0
+     */
+    decorate<T extends keyof TypeMap>(
+        type: T,
+        decorator: TTypeDecorator<TypeMap, T>,
+        options?: TDecoratorOptions,
+    ): this;
 }
 
 /**
@@ -824,6 +1613,35 @@ export type DICompositionModule<TypeMap extends TTypeMapBase> =
         readonly modules: readonly DIModule<AnyTypeMap>[];
     };
 
+/**
+ * Predicate of the binding meta, used to resolve bindings by meta.
+ *
+ * @param meta - Metadata of the binding.
+ * @param entry - The type entry of the binding.
+ * @returns `true` to resolve the binding.
+ *
+ * @since 1.3.0
+ */
+export type TMetaPredicate<TypeMap extends TTypeMapBase> = (
+    meta: TTypeEntryMeta<TypeMap, keyof TypeMap>,
+    entry: TTypeEntry<TypeMap, keyof TypeMap>,
+) => boolean;
+
+/**
+ * Instance of a binding resolved by meta, with the binding ref.
+ * @since 1.3.0
+ */
+export type TMetaInstance<TypeMap extends TTypeMapBase> = TBindingRef<
+    TypeMap,
+    keyof TypeMap
+> & {
+    /** Metadata of the binding. */
+    readonly meta: TTypeEntryMeta<TypeMap, keyof TypeMap>;
+
+    /** The resolved instance. */
+    readonly instance: TypeMap[keyof TypeMap];
+};
+
 /**
  * An interface that provides access to the container's type resolution mechanism.
  *
@@ -889,6 +1707,79 @@ export interface ITypesResolver<TypeMap extends TTypeMapBase> {
         name?: string,
     ): ReadonlyArray<TypeMap[T]>;
 
+    /**
+     * Retrieves the instances of all bindings whose meta matches the predicate,
+     * across types and names, together with their binding refs.
+     *
+     * Like `getAll`, contextual bindings are included when their condition is met.
+     * Bindings that are not accessible from the scope
+     * (internal types of other modules, types not allowed in the scope) are skipped.
+     *
+     * @param predicate - Predicate of the binding meta.
+     *
+     * @example
+     * r.getAllByMeta((meta) => meta.platform === "web");
+     *
+     * @since 1.3.0
+     */
+    getAllByMeta(
+        predicate: TMetaPredicate<TypeMap>,
+    ): ReadonlyArray<TMetaInstance<TypeMap>>;
+
+    /**
+     * Retrieves the instances of all bindings tagged with the given tag:
+     * bindings whose meta has a truthy value of the tag key.
+     * The value of the tag is available in the `meta` of the result.
+     *
+     * @param tag - Key of the tag in the binding meta.
+     *
+     * @example
+     * binder.bindFactory("usersRoute", createUsersRoute, {
+     *     meta: { httpRoute: { path: "/users" } },
+     * });
+     *
+     * scope.getTagged("httpRoute").forEach(({ meta, instance }) => ...);
+     *
+     * @since 1.3.0
+     */
+    getTagged(tag: string): ReadonlyArray<TMetaInstance<TypeMap>>;
+
+    /**
+     * Retrieves the instances of all named bindings of the given type, keyed by binding name.
+     * Names introduced by aliases (`bindAlias` with the `name` option) are included,
+     * the unnamed binding of the type is not.
+     *
+     * Like `maybe`, names whose binding is not available for the request
+     * (unmet contextual condition, binding not accessible from the scope) are skipped.
+     *
+     * @param type - The type key to resolve instances for.
+     * @returns A frozen map of the instances by binding name.
+     *
+     * @example
+     * binder
+     *     .bindFactory("paymentProvider", createStripe, { name: "stripe" })
+     *     .bindFactory("paymentProvider", createPaypal, { name: "paypal" });
+     *
+     * r.getMap("paymentProvider")[order.provider].charge(order);
+     *
+     * @since 1.3.0
+     */
+    getMap<T extends keyof TypeMap>(
+        type: T,
+    ): Readonly<Record<string, TypeMap[T]>>;
+
+    /**
+     * Lazy variant of {@link getMap}: a frozen map of the providers of all named bindings
+     * of the given type, keyed by binding name. Instances are resolved when a provider is called.
+     *
+     * @param type - The type key to create providers for.
+     *
+     * @since 1.3.0
+     */
+    providerMap<T extends keyof TypeMap>(
+        type: T,
+    ): Readonly<Record<string, TProvider<TypeMap[T]>>>;
+
     /**
      * Creates a provider function that returns the resolved instance of the given type.
      *
@@ -915,7 +1806,9 @@ export interface ITypesResolver<TypeMap extends TTypeMapBase> {
      * but does not trigger its creation until it is actually used.
      *
      * If the instance was already created earlier, it will return
-     * the real instance immediately.
+     * the real instance immediately, unless the container is built with
+     * the `hotRebind` option (since 1.3.0): then the phantom is always returned,
+     * so it resolves the new instance after `rebind`.
      *
      * This method is intended for **objects** (classes, services, complex values).
      * Using it with primitive types (number, string, boolean, etc.) may lead to unexpected results.
@@ -927,6 +1820,78 @@ export interface ITypesResolver<TypeMap extends TTypeMapBase> {
     phantomOf<T extends keyof TypeMap>(type: T, name?: string): TypeMap[T];
 }
 
+/**
+ * A types resolver that also supports async resolution.
+ *
+ * Async resolution methods activate async factory bindings and await them.
+ * Concurrent async requests of the same cached instance share a single activation.
+ *
+ * @typeParam TypeMap - A mapping of tokens to their corresponding instance types.
+ * @since 1.3.0
+ */
+export interface IAsyncTypesResolver<TypeMap extends TTypeMapBase>
+    extends ITypesResolver<TypeMap> {
+    /**
+     * Asynchronously retrieves an instance associated with the given type token and optional name.
+     *
+     * @param type - The token representing the type to resolve.
+     * @param [name] - (Optional) The name of the specific binding to retrieve.
+     *
+     * @returns A promise of an instance of the requested type.
+     * The promise is rejected if the binding does not exist,
+     * a circular dependency is detected or the factory fails.
+     */
+    getAsync<T extends keyof TypeMap>(
+        type: T,
+        name?: string,
+    ): Promise<TypeMap[T]>;
+
+    /**
+     * Asynchronously resolves a type from the container,
+     * but resolves with `undefined` if the binding is missing.
+     *
+     * @param type - The token representing the type to resolve.
+     * @param [name] - (Optional) The name of the specific binding to retrieve.
+     * @returns A promise of an instance of the requested type, or `undefined` if not found.
+     */
+    maybeAsync<T extends keyof TypeMap>(
+        type: T,
+        name?: string,
+    ): Promise<TypeMap[T] | undefined>;
+
+    /**
+     * Asynchronously retrieves all instances registered for the given type and name.
+     *
+     * @param type - The type key to resolve instances for.
+     * @param [name] - (Optional) The name of the specific binding to retrieve.
+     * @returns A promise of all resolved instances. Resolves with an empty array if none are found.
+     */
+    getAllAsync<T extends keyof TypeMap>(
+        type: T,
+        name?: string,
+    ): Promise<ReadonlyArray<TypeMap[T]>>;
+
+    /**
+     * Asynchronously retrieves the instances of all bindings whose meta matches the predicate.
+     * See {@link getAllByMeta}.
+     *
+     * @param predicate - Predicate of the binding meta.
+     * @since 1.3.0
+     */
+    getAllByMetaAsync(
+        predicate: TMetaPredicate<TypeMap>,
+    ): Promise<ReadonlyArray<TMetaInstance<TypeMap>>>;
+
+    /**
+     * Asynchronously retrieves the instances of all bindings tagged with the given tag.
+     * See {@link getTagged}.
+     *
+     * @param tag - Key of the tag in the binding meta.
+     * @since 1.3.0
+     */
+    getTaggedAsync(tag: string): Promise<ReadonlyArray<TMetaInstance<TypeMap>>>;
+}
+
 /**
  * A delegate function that receives a type binding interface
  * to register type bindings.
@@ -949,32 +1914,112 @@ export interface IScopeContext extends IDisposable {
     /** Current scope ID */
     readonly current: string;
 
-    /** Scope hierarchy */
+    /** Scope hierarchy */
+    readonly path: readonly string[];
+
+    /**
+     * Read-only optional contextual data associated with current scope.
+     * @since 1.2.0
+     */
+    readonly data?: Readonly<object>;
+
+    /** Current binding name */
+    readonly name: string | undefined;
+
+    /** Current readonly activation stack */
+    readonly stack: readonly TBindingRef<AnyTypeMap, keyof AnyTypeMap>[];
+
+    /**
+     * Closes the current scope and cleans up all local instances.
+     *
+     * After calling dispose, the scope is considered closed and further
+     * operations using this context may throw errors or be invalid.
+     */
+    dispose(): void;
+}
+
+/**
+ * Kind of the binding, defined by the method it was bound with.
+ * @since 1.3.0
+ */
+export type TBindingKind =
+    | "instance"
+    | "factory"
+    | "safeFactory"
+    | "asyncFactory"
+    | "assistedFactory"
+    | "provided";
+
+/**
+ * Serializable description of a type binding.
+ * @since 1.3.0
+ */
+export type TBindingInspection<TypeMap extends TTypeMapBase = AnyTypeMap> =
+    TBindingRef<TypeMap, keyof TypeMap> & {
+        /** Binding ID, e.g. `"logger"` or `"logger$console"` for named bindings. */
+        readonly $id: string;
+
+        readonly kind: TBindingKind;
+
+        /** Lifecycle of the factory bindings. Instances have no lifecycle. */
+        readonly lifecycle: TLifecycle | undefined;
+
+        /** ID of the module that declared the binding. */
+        readonly module: string | undefined;
+
+        readonly internal: boolean;
+
+        readonly allowedScopes: readonly string[] | undefined;
+
+        /** Keys of the binding metadata. */
+        readonly meta: readonly string[];
+
+        /**
+         * IDs of the declared dependencies:
+         * the `inject` list of the factory and the types accessed by the safe factory injector.
+         */
+        readonly inject: readonly string[];
+    };
+
+/**
+ * Serializable description of a compiled alias.
+ * @since 1.3.0
+ */
+export type TAliasInspection<TypeMap extends TTypeMapBase = AnyTypeMap> =
+    TBindingRef<TypeMap, keyof TypeMap> & {
+        readonly $id: string;
+
+        /** IDs of the bindings the alias resolves to. */
+        readonly origin: readonly string[];
+    };
+
+/**
+ * Serializable description of a scope and its child scopes.
+ * @since 1.3.0
+ */
+export type TScopeInspection = {
+    readonly id: string;
     readonly path: readonly string[];
+    readonly disposed: boolean;
 
-    /**
-     * Read-only optional contextual data associated with current scope.
-     * @since 1.2.0
-     */
-    readonly data?: Readonly<object>;
-
-    /** Current binding name */
-    readonly name: string | undefined;
+    /** IDs of the instances cached in the scope, in activation order. */
+    readonly activated: readonly string[];
 
-    /** Current readonly activation stack */
-    readonly stack: readonly TBindingRef<AnyTypeMap, keyof AnyTypeMap>[];
+    readonly children: readonly TScopeInspection[];
+};
 
-    /**
-     * Closes the current scope and cleans up all local instances.
-     *
-     * After calling dispose, the scope is considered closed and further
-     * operations using this context may throw errors or be invalid.
-     */
-    dispose(): void;
-}
+/**
+ * Serializable snapshot of the container bindings and the scope state.
+ * @since 1.3.0
+ */
+export type TContainerInspection<TypeMap extends TTypeMapBase = AnyTypeMap> = {
+    readonly bindings: readonly TBindingInspection<TypeMap>[];
+    readonly aliases: readonly TAliasInspection<TypeMap>[];
+    readonly scope: TScopeInspection;
+};
 
 export interface IContainerScope<TypeMap extends TTypeMapBase>
-    extends ITypesResolver<TypeMap>,
+    extends IAsyncTypesResolver<TypeMap>,
         IDisposable {
     /** Scope unique ID */
     readonly id: string;
@@ -1042,6 +2087,165 @@ export interface IContainerScope<TypeMap extends TTypeMapBase>
      */
     scope(id: string, options?: TScopeOptions): IContainerScope<TypeMap>;
 
+    /**
+     * Creates a derived container that layers new bindings over the bindings of this container.
+     *
+     * Available only on the root scope of the container, `undefined` on child scopes.
+     *
+     * The binder of the derived container replaces existing bindings by default,
+     * other builder defaults (lifecycle, captive dependencies, hot rebinding) are inherited.
+     * Types that are not bound in the delegate are resolved from the parent bindings.
+     * Singletons already created by this container are shared with the derived container,
+     * unless they (transitively) depend on an overridden binding — such singletons are re-created.
+     * Shared instances are not disposed by the derived container.
+     *
+     * @param delegate - A function that binds overrides of the derived container.
+     * @returns The root scope of the derived container.
+     *
+     * @throws {ScopeDisposedError} If the container is disposed.
+     *
+     * @since 1.3.0
+     */
+    extend?<ExtTypeMap extends TTypeMapBase = TypeMap>(
+        delegate: (binder: IContainerBuilder<ExtTypeMap>) => void,
+    ): IContainerScope<ExtTypeMap>;
+
+    /**
+     * Returns the pool of the `"pooled"` binding, to acquire and release instances explicitly.
+     * Instances resolved with `get` are released automatically when the scope is disposed.
+     *
+     * @param type - The type key of the pooled binding.
+     * @param name - Optional name of the binding.
+     * @returns The pool of the binding.
+     *
+     * @throws {BindingNotFoundError} If the type is not bound.
+     * @throws {InvalidBindingError} If the binding is not pooled.
+     *
+     * @since 1.3.0
+     */
+    poolOf<T extends keyof TypeMap>(
+        type: T,
+        name?: string,
+    ): ITypePool<TypeMap[T]>;
+
+    /**
+     * Provides an instance of the type to this scope at runtime.
+     *
+     * The instance is stored in the scope like an instance of a scope binding:
+     * it is resolved in this scope and its non-isolated descendants.
+     * The type must have a scope binding, or be declared with `requireType(type, { provided: true })`.
+     * Provided instances are owned by the caller and are not disposed with the scope.
+     *
+     * @param type - The type key to provide.
+     * @param instance - The instance of the type.
+     * @param options - Options of the provided instance.
+     * @returns The current scope for chaining.
+     *
+     * @throws {BindingNotFoundError} If the type is not bound.
+     * @throws {InvalidBindingError} If the binding is not a scope binding, or the instance is `undefined`.
+     * @throws {BindingConflictError} If the type is already resolved or provided in this scope.
+     * @throws {ScopeDisposedError} If the scope is disposed.
+     *
+     * @since 1.3.0
+     */
+    provide<T extends keyof TypeMap>(
+        type: T,
+        instance: TypeMap[T],
+        options?: TProvideOptions,
+    ): this;
+
+    /**
+     * Replaces the factory of the binding in the built container. Intended for dev servers (HMR).
+     *
+     * Available only on the root scope of the containers built with the `hotRebind` builder option,
+     * `undefined` otherwise.
+     *
+     * Cached instances of the binding and of the bindings that depend on it,
+     * directly or transitively, are disposed in every scope and are activated again on the next resolution.
+     * Singletons are activated again immediately.
+     * Providers and phantoms obtained before the rebinding resolve the new instances.
+     *
+     * Other options of the binding (lifecycle, meta, decorators, etc.) are kept.
+     * A safe factory binding becomes a plain factory binding.
+     *
+     * @param type - The type key of the binding.
+     * @param factory - The new factory of the binding.
+     * @param options - Options of the rebinding.
+     * @returns The current scope for chaining.
+     *
+     * @throws {BindingNotFoundError} If the type is not bound.
+     * @throws {InvalidBindingError} If the binding is not a factory binding.
+     * @throws {ScopeDisposedError} If the scope is disposed.
+     *
+     * @since 1.3.0
+     */
+    rebind?<T extends keyof TypeMap>(
+        type: T,
+        factory: TAssistedTypeFactory<TypeMap, T>,
+        options?: TRebindOptions,
+    ): this;
+
+    /** Replaces the factory of the binding. @since 1.3.0 */
+    rebind?<T extends keyof TypeMap>(
+        type: T,
+        factory: TTypeFactory<TypeMap, T>,
+        options?: TRebindOptions,
+    ): this;
+
+    /** Replaces the factory of the async binding. @since 1.3.0 */
+    rebind?<T extends keyof TypeMap>(
+        type: T,
+        factory: TAsyncTypeFactory<TypeMap, T>,
+        options?: TRebindOptions,
+    ): this;
+
+    /**
+     * Creates an instance of the assisted binding with the given arguments.
+     * Shortcut for `scope.get(type)(...args)`.
+     *
+     * @param type - The type key of the assisted binding.
+     * @param args - Arguments passed to the assisted factory.
+     * @returns New instance of the type.
+     *
+     * @throws {InvalidBindingError} If the binding is not an assisted factory.
+     * @throws {Error} If the requested type does not exist in the container.
+     *
+     * @since 1.3.0
+     */
+    create<T extends keyof TypeMap>(
+        type: T,
+        ...args: TypeMap[T] extends (...args: infer TArgs) => unknown
+            ? TArgs
+            : never
+    ): TypeMap[T] extends (...args: any[]) => infer TInstance
+        ? TInstance
+        : never;
+
+    /**
+     * Creates a serializable snapshot of the container:
+     * all bindings (including every entry of multi-bindings), compiled aliases,
+     * and the tree of this scope with the instances cached in each scope.
+     *
+     * The snapshot is not updated after it is created.
+     *
+     * @returns Plain object that can be passed to `JSON.stringify`.
+     *
+     * @since 1.3.0
+     */
+    inspect(): TContainerInspection<TypeMap>;
+
+    /**
+     * Closes the scope and its child scopes, disposing all local instances.
+     *
+     * A failure does not interrupt the disposal of the remaining instances.
+     * Async activations pending in the scope can't be awaited: their instances are disposed
+     * when resolved, and their resolutions are rejected with `ScopeDisposedError`.
+     *
+     * @throws {AggregateError} Of all disposal errors, if any,
+     * unless reported to the `onDisposeError` middleware hook.
+     */
+    dispose(): void;
+
     /**
      * Alias for the {@link dispose} method to support the `using` statement.
      *
@@ -1049,6 +2253,28 @@ export interface IContainerScope<TypeMap extends TTypeMapBase>
      * `using` statement for deterministic disposal of resources.
      */
     [Symbol.dispose](): void;
+
+    /**
+     * Closes the scope asynchronously.
+     *
+     * Awaits async activations pending in the scope, so their instances are disposed with it.
+     * Then awaits disposal of child scopes, then awaits disposal of each local instance
+     * via `Symbol.asyncDispose`, `Symbol.dispose` or `dispose()` (returned promises are awaited).
+     * A failure does not interrupt the disposal of the remaining instances.
+     *
+     * @returns A promise that resolves when the scope is disposed.
+     * It is rejected with an `AggregateError` of all disposal errors, if any,
+     * unless reported to the `onDisposeError` middleware hook.
+     *
+     * @since 1.3.0
+     */
+    disposeAsync(): Promise<void>;
+
+    /**
+     * Alias for the {@link disposeAsync} method to support the `await using` statement.
+     * @since 1.3.0
+     */
+    [Symbol.asyncDispose](): Promise<void>;
 }
 
 export interface IContainerBuilder<TypeMap extends TTypeMapBase>
@@ -1070,6 +2296,18 @@ export interface IContainerBuilder<TypeMap extends TTypeMapBase>
      */
     hasModule(module: DIModule<any>): boolean;
 
+    /**
+     * Returns all modules included in the container builder,
+     * either directly or through another included module.
+     *
+     * A module is listed after the modules it includes.
+     *
+     * @returns List of the included modules.
+     *
+     * @since 1.3.0
+     */
+    getModules(): DIModule<AnyTypeMap>[];
+
     /**
      * Checks whether a binding exists for the given type and optional name.
      *
@@ -1156,6 +2394,30 @@ export interface IContainerBuilder<TypeMap extends TTypeMapBase>
         name?: string,
     ): string | readonly string[] | undefined;
 
+    /**
+     * Returns references to all types that must be bound to build the container:
+     * types declared with `requireType`, `inject` lists of factories
+     * and types accessed with `get`, `getAsync` or `create` by safe factory injectors.
+     *
+     * @returns A list of required type references, without duplicates.
+     *
+     * @since 1.3.0
+     */
+    getRequiredTypes(): TBindingRef<TypeMap, keyof TypeMap>[];
+
+    /**
+     * Returns the dependencies declared by the binding entry, without activating it:
+     * the `inject` list of the factory and the types accessed by the safe factory injector (dry-run call).
+     *
+     * @param entry - The type entry of the binding, e.g. found with `findAll`.
+     * @returns A list of dependencies in the declaration order.
+     *
+     * @since 1.3.0
+     */
+    getDependencies(
+        entry: TTypeEntry<TypeMap, keyof TypeMap>,
+    ): TBindingDependency<TypeMap>[];
+
     /**
      * Registers a middleware instance.
      * Middleware allows intercepting and extending DI behavior.
@@ -1190,11 +2452,43 @@ export interface IContainerBuilder<TypeMap extends TTypeMapBase>
     /**
      * Finalizes the bindings and builds a container instance.
      *
+     * @param options - Build options (since 1.3.0).
      * @returns The built DI container.
+     *
+     * @throws {AggregateError} If the strict validation found errors in the graph
+     * (code `"VALIDATION_FAILED"`).
+     */
+    build(options?: TBuildOptions): IContainerScope<TypeMap>;
+
+    /**
+     * Finalizes the bindings and builds a container instance,
+     * awaiting activation of all async singletons before returning the root scope.
+     *
+     * @param options - Build options.
+     * @returns A promise of the built DI container.
+     *
+     * @since 1.3.0
      */
-    build(): IContainerScope<TypeMap>;
+    buildAsync(options?: TBuildOptions): Promise<IContainerScope<TypeMap>>;
 }
 
+/**
+ * Options of the container build.
+ * @since 1.3.0
+ */
+export type TBuildOptions = {
+    /**
+     * Validation of the bindings graph at build.
+     *
+     * By default, only required types are verified.
+     * With `"strict"`, the whole graph is walked statically from the `inject` lists of the factories
+     * and the safe factory injectors (dry-run), without running any factory.
+     * Every missing binding, dependency cycle and `internal`/`allowedScopes` violation
+     * is reported in one `AggregateError` with code `"VALIDATION_FAILED"`.
+     */
+    validate?: "strict";
+};
+
 /** Global options for the container builder. */
 export type TContainerBuilderOptions = {
     /** Default lifecycle for bindings (if not specified in individual bindings). */
@@ -1212,6 +2506,36 @@ export type TContainerBuilderOptions = {
      * Isolated scopes ignore parent data entirely and only expose their own `data`.
      */
     data?: Readonly<object>;
+
+    /**
+     * Reaction to captive dependencies, detected when instances are activated.
+     *
+     * A dependency is captive when a `"singleton"`, `"lazy"` or `"weak"` binding
+     * resolves a `"scope"`, `"transient"` or `"pooled"` binding while it is activated,
+     * and captures one instance of it for the whole life of the container.
+     * Captive dependencies are allowed per binding with the `allowCaptive` option.
+     *
+     * - `"throw"` — throws an {@link AccessViolationError} (`CAPTIVE_DEPENDENCY`);
+     * - `"report"` — calls the `onCaptiveDependency` middleware hook;
+     * - `"ignore"` — no detection.
+     *
+     * Derived containers inherit the option of the parent container.
+     *
+     * @default "ignore"
+     * @since 1.3.0
+     */
+    captiveDependencies?: "throw" | "report" | "ignore";
+
+    /**
+     * Adds the `rebind` method to the root scope of the built container.
+     * Intended for dev servers (HMR), keep it disabled in production builds.
+     *
+     * Derived containers inherit the option of the parent container.
+     *
+     * @default false
+     * @since 1.3.0
+     */
+    hotRebind?: boolean;
 };
 
 export type TModuleDeclaration = {
@@ -1262,18 +2586,102 @@ export type TModuleDeclaration = {
  */
 export declare function staticModule(moduleId: string): TModuleDeclaration;
 
+/**
+ * Dependency declared by the binding entry.
+ * @since 1.3.0
+ */
+export type TBindingDependency<TypeMap extends TTypeMapBase> = TBindingRef<
+    TypeMap,
+    keyof TypeMap
+> & {
+    /** Whether the binding is required to build the container. */
+    readonly required: boolean;
+
+    /** Resolver method used to inject the dependency. */
+    readonly method: TInjectMethod;
+};
+
+/**
+ * Resolver method used to inject a dependency.
+ * `create` and the async methods are used only by safe factory injectors.
+ * @since 1.3.0
+ */
+export type TInjectMethod =
+    | "get"
+    | "maybe"
+    | "getAll"
+    | "providerOf"
+    | "phantomOf"
+    | "getMap"
+    | "providerMap"
+    | "create"
+    | "getAsync"
+    | "maybeAsync"
+    | "getAllAsync";
+
+/**
+ * Injection token that modifies how a dependency of the `inject` list is resolved.
+ * Created by {@link named}, {@link optional}, {@link all}, {@link provider}, {@link phantom},
+ * {@link map} and {@link providerMap}.
+ *
+ * @template T - The type key of the dependency.
+ * @template M - The resolver method used to inject the dependency.
+ *
+ * @since 1.3.0
+ */
+export type TInjectToken<
+    T extends PropertyKey = PropertyKey,
+    M extends TInjectMethod = TInjectMethod,
+> = {
+    readonly type: T;
+    readonly name: string | undefined;
+    readonly method: M;
+
+    /** Whether the binding is required to build the container. */
+    readonly required: boolean;
+};
+
+/**
+ * Item of the `inject` list: a type key or an injection token.
+ * @since 1.3.0
+ */
+export type TInjectItem<TypeMap extends TTypeMapBase> =
+    | keyof TypeMap
+    | TInjectToken<keyof TypeMap>;
+
+/**
+ * The value injected for the item of the `inject` list.
+ * @since 1.3.0
+ */
+export type TInjectValue<TypeMap extends TTypeMapBase, Item> =
+    Item extends TInjectToken<infer T, infer M>
+        ? T extends keyof TypeMap
+            ? M extends "maybe"
+                ? TypeMap[T] | undefined
+                : M extends "getAll"
+                  ? TypeMap[T][]
+                  : M extends "providerOf"
+                    ? TProvider<TypeMap[T]>
+                    : M extends "getMap"
+                      ? Readonly<Record<string, TypeMap[T]>>
+                      : M extends "providerMap"
+                        ? Readonly<Record<string, TProvider<TypeMap[T]>>>
+                        : TypeMap[T]
+            : never
+        : Item extends keyof TypeMap
+          ? TypeMap[Item]
+          : never;
+
 /**
  * Represents the constructor arguments for a class that uses dependency injection.
  * @template TypeMap - A mapping of type keys to actual types.
- * @template InjectTuple - A tuple of keys from `TypeMap` representing the order of injections.
+ * @template InjectTuple - A tuple of keys from `TypeMap` or injection tokens representing the order of injections.
  */
 export type TInjectableClassCtorArgs<
     TypeMap extends TTypeMapBase,
-    InjectTuple extends readonly (keyof TypeMap)[],
+    InjectTuple extends readonly TInjectItem<TypeMap>[],
 > = {
-    [K in keyof InjectTuple]: InjectTuple[K] extends keyof TypeMap
-        ? TypeMap[InjectTuple[K]]
-        : never;
+    [K in keyof InjectTuple]: TInjectValue<TypeMap, InjectTuple[K]>;
 };
 
 /**
@@ -1288,7 +2696,7 @@ export type TInjectableClassCtorArgs<
  */
 export type TInjectableClass<
     TypeMap extends TTypeMapBase,
-    InjectTuple extends readonly (keyof TypeMap)[],
+    InjectTuple extends readonly TInjectItem<TypeMap>[],
     R,
 > =
     | {
@@ -1314,7 +2722,7 @@ export type TInjectableClass<
 export declare function factoryOf<
     TypeMap extends TTypeMapBase,
     ClassKey extends keyof TypeMap,
-    InjectTuple extends readonly (keyof TypeMap)[],
+    InjectTuple extends readonly TInjectItem<TypeMap>[],
 >(
     Class: TInjectableClass<TypeMap, InjectTuple, TypeMap[ClassKey]>,
 ): TTypeFactory<TypeMap, ClassKey>;
@@ -1348,14 +2756,110 @@ export declare function factoryOf<
 export declare function factoryOf<
     TypeMap extends TTypeMapBase,
     TypeKey extends keyof TypeMap,
-    InjectTuple extends readonly (keyof TypeMap)[],
+    InjectTuple extends readonly TInjectItem<TypeMap>[],
 >(
     factoryFn: (
-        ...args: { [T in keyof InjectTuple]: TypeMap[InjectTuple[T]] }
+        ...args: TInjectableClassCtorArgs<TypeMap, InjectTuple>
     ) => TypeMap[TypeKey],
     injectTuple: InjectTuple,
 ): TTypeFactory<TypeMap, TypeKey>;
 
+/**
+ * Injects a named binding with `get(type, name)`.
+ *
+ * @param type - The type key of the dependency.
+ * @param name - The name of the binding.
+ *
+ * @since 1.3.0
+ *
+ * @example
+ * factoryOf(createService, [named('logger', 'file')]);
+ */
+export declare function named<T extends PropertyKey>(
+    type: T,
+    name: string,
+): TInjectToken<T, "get">;
+
+/**
+ * Injects an optional dependency with `maybe(type, name)`.
+ * `undefined` is injected if the binding is missing; the binding is not required to build the container.
+ *
+ * @param type - The type key of the dependency.
+ * @param name - Optional name of the binding.
+ *
+ * @since 1.3.0
+ */
+export declare function optional<T extends PropertyKey>(
+    type: T,
+    name?: string,
+): TInjectToken<T, "maybe">;
+
+/**
+ * Injects all instances of a multi-binding with `getAll(type, name)`.
+ * An empty list is injected if the binding is missing; the binding is not required to build the container.
+ *
+ * @param type - The type key of the dependency.
+ * @param name - Optional name of the binding.
+ *
+ * @since 1.3.0
+ */
+export declare function all<T extends PropertyKey>(
+    type: T,
+    name?: string,
+): TInjectToken<T, "getAll">;
+
+/**
+ * Injects a lazy provider of the dependency with `providerOf(type, name)`.
+ *
+ * @param type - The type key of the dependency.
+ * @param name - Optional name of the binding.
+ *
+ * @since 1.3.0
+ */
+export declare function provider<T extends PropertyKey>(
+    type: T,
+    name?: string,
+): TInjectToken<T, "providerOf">;
+
+/**
+ * Injects a phantom of the dependency with `phantomOf(type, name)`.
+ *
+ * @param type - The type key of the dependency.
+ * @param name - Optional name of the binding.
+ *
+ * @since 1.3.0
+ */
+export declare function phantom<T extends PropertyKey>(
+    type: T,
+    name?: string,
+): TInjectToken<T, "phantomOf">;
+
+/**
+ * Injects the instances of all named bindings of the type, keyed by name, with `getMap(type)`.
+ * An empty map is injected if the type has no named bindings; the bindings are not required to build the container.
+ *
+ * @param type - The type key of the dependency.
+ *
+ * @since 1.3.0
+ *
+ * @example
+ * factoryOf(createCheckout, [map('paymentProvider')]);
+ */
+export declare function map<T extends PropertyKey>(
+    type: T,
+): TInjectToken<T, "getMap">;
+
+/**
+ * Injects the lazy providers of all named bindings of the type, keyed by name, with `providerMap(type)`.
+ *
+ * @param type - The type key of the dependency.
+ *
+ * @since 1.3.0
+ */
+export declare function providerMap<T extends PropertyKey>(
+    type: T,
+): TInjectToken<T, "providerMap">;
+
 /**
  * Creates a new dependency injection container builder.
  *
@@ -1427,3 +2931,177 @@ export type TypeMapOmit<
     TypeMap extends TTypeMapBase,
     Keys extends keyof TypeMap,
 > = Omit<TypeMap, Keys>;
+
+/**
+ * Codes of the errors thrown by the container.
+ * @since 1.3.0
+ */
+export type TDIErrorCode =
+    | "BINDING_CONFLICT"
+    | "LIFECYCLE_CONFLICT"
+    | "BINDING_NOT_FOUND"
+    | "MISSING_REQUIRED_TYPE"
+    | "MISSING_DECORATED_TYPE"
+    | "ALIAS_MISSING_REF"
+    | "DEPENDENCY_CYCLE"
+    | "ALIAS_CYCLE"
+    | "SCOPE_VIOLATION"
+    | "INTERNAL_TYPE_ACCESS"
+    | "SEALED_SCOPE"
+    | "SCOPE_DISPOSED"
+    | "ASYNC_BINDING_NOT_RESOLVED"
+    | "ASYNC_ON_ACTIVATE"
+    | "DISPOSE_FAILED"
+    | "UNDEFINED_INSTANCE"
+    | "NOT_ASSISTED_BINDING"
+    | "TYPE_NOT_PROVIDED"
+    | "LIFECYCLE_DEFINED"
+    | "UNKNOWN_LIFECYCLE"
+    | "POOL_EXHAUSTED"
+    | "NOT_POOLED_BINDING"
+    | "ASYNC_POOLED_BINDING"
+    | "NOT_PROVIDABLE_BINDING"
+    | "NOT_REBINDABLE_BINDING"
+    | "CAPTIVE_DEPENDENCY"
+    | "MIDDLEWARE_ENTRY_MISMATCH"
+    | "VALIDATION_FAILED";
+
+/**
+ * Machine-readable details of the container error.
+ * @since 1.3.0
+ */
+export type TDIErrorDetails = {
+    /** Type of the binding that caused the error, if any. */
+    type?: string;
+
+    /** Name of the binding that caused the error, if any. */
+    name?: string;
+
+    /** Resolution/activation chain of binding IDs that led to the error. */
+    chain?: string[];
+
+    /** Path of the scope where the error occurred, from root (excluded). */
+    scopePath?: readonly string[];
+
+    /** The original error. */
+    cause?: unknown;
+};
+
+/**
+ * Fields shared by all container errors.
+ * @since 1.3.0
+ */
+export interface IDIErrorFields {
+    /** Error code to distinguish the errors without parsing the message. */
+    readonly code: TDIErrorCode | (string & {});
+
+    /** Type of the binding that caused the error, if any. */
+    readonly type: string | undefined;
+
+    /** Name of the binding that caused the error, if any. */
+    readonly bindingName: string | undefined;
+
+    /** Resolution/activation chain of binding IDs that led to the error. */
+    readonly chain: readonly string[];
+
+    /** Path of the scope where the error occurred, from root (excluded). */
+    readonly scopePath: readonly string[];
+}
+
+/**
+ * Base class of the container errors.
+ *
+ * `instanceof DIError` matches all errors thrown by the container,
+ * including {@link InvalidBindingError} that extends `TypeError`.
+ * Extension packages throw `DIError` with their own codes.
+ *
+ * @since 1.3.0
+ */
+export declare class DIError extends Error implements IDIErrorFields {
+    constructor(
+        message: string,
+        code: TDIErrorCode | (string & {}),
+        details?: TDIErrorDetails,
+    );
+
+    readonly code: TDIErrorCode | (string & {});
+    readonly type: string | undefined;
+    readonly bindingName: string | undefined;
+    readonly chain: readonly string[];
+    readonly scopePath: readonly string[];
+}
+
+/**
+ * A binding already exists or conflicts with an existing one.
+ * Codes: `BINDING_CONFLICT`, `LIFECYCLE_CONFLICT`.
+ * @since 1.3.0
+ */
+export declare class BindingConflictError extends DIError {}
+
+/**
+ * A binding is missing.
+ * Codes: `BINDING_NOT_FOUND`, `MISSING_REQUIRED_TYPE`, `MISSING_DECORATED_TYPE`, `ALIAS_MISSING_REF`.
+ * @since 1.3.0
+ */
+export declare class BindingNotFoundError extends DIError {}
+
+/**
+ * A dependency or alias cycle is detected.
+ * Codes: `DEPENDENCY_CYCLE`, `ALIAS_CYCLE`.
+ * @since 1.3.0
+ */
+export declare class DependencyCycleError extends DIError {}
+
+/**
+ * A binding or scope is not accessible from the requester.
+ * Codes: `SCOPE_VIOLATION`, `INTERNAL_TYPE_ACCESS`, `SEALED_SCOPE`.
+ * @since 1.3.0
+ */
+export declare class AccessViolationError extends DIError {}
+
+/**
+ * An operation is requested on a disposed scope.
+ * Code: `SCOPE_DISPOSED`.
+ * @since 1.3.0
+ */
+export declare class ScopeDisposedError extends DIError {}
+
+/**
+ * A single failure during the scope disposal.
+ * The original error is available as `cause`.
+ * Code: `DISPOSE_FAILED`.
+ * @since 1.3.0
+ */
+export declare class DisposeError extends DIError {
+    constructor(
+        message: string,
+        code: TDIErrorCode | (string & {}),
+        details?: TDIErrorDetails & { $id?: string },
+    );
+
+    /** ID of the binding whose instance failed to dispose, `undefined` for middleware failures. */
+    readonly $id: string | undefined;
+}
+
+/**
+ * A binding or middleware result has invalid value.
+ * Extends `TypeError`, but is also matched by `instanceof DIError`.
+ * Codes: `UNDEFINED_INSTANCE`, `MIDDLEWARE_ENTRY_MISMATCH`.
+ * @since 1.3.0
+ */
+export declare class InvalidBindingError
+    extends TypeError
+    implements IDIErrorFields
+{
+    constructor(
+        message: string,
+        code: TDIErrorCode | (string & {}),
+        details?: TDIErrorDetails,
+    );
+
+    readonly code: TDIErrorCode | (string & {});
+    readonly type: string | undefined;
+    readonly bindingName: string | undefined;
+    readonly chain: readonly string[];
+    readonly scopePath: readonly string[];
+}
@@ -2,12 +2,22 @@
 var ID_SEP = "$";
 var STRATEGY_APPEND = "append";
 var LC_SINGLETON = "singleton";
+var LC_POOLED = "pooled";
+var LC_WEAK = "weak";
+/** Built-in lifecycles of the instances owned by the root scope */
+var ROOT_LIFECYCLES = [LC_SINGLETON, "lazy", LC_WEAK];
+/** Built-in lifecycles of the instances that live shorter than the root scope */
+var SHORT_LIFECYCLES = ["scope", "transient", LC_POOLED];
+
+/** Key of the container internals shared with derived containers */
+var $internals = Symbol("i");
 
 var hasSymbolDispose = typeof Symbol.dispose === "symbol";
+var hasSymbolAsyncDispose = typeof Symbol.asyncDispose === "symbol";
 
 // #region Shortcuts
 
-/** 
+/**
  * @typedef {{string: string, number: number, boolean: boolean, symbol: symbol, bigint: bigint, undefined: undefined, function: Function, object: object|null}} TypeofMap
  */
 
@@ -16,9 +26,10 @@ var hasSymbolDispose = typeof Symbol.dispose === "symbol";
  * @param {Array<T>} array
  * @returns {T | undefined}
  */
-var lastOf = (array) => array[len(array) - 1];
+// Reading the index -1 of an empty array is a slow named property lookup
+var lastOf = (array) => (len(array) ? array[len(array) - 1] : undefined);
 
-var firstValueOfIter = (iter) => iter.values().next().value
+var firstValueOfIter = (iter) => iter.values().next().value;
 
 /** @type {<T>(t: T, o) => o is InstanceType<T>} */
 var instOf = (t, o) => o instanceof t;
@@ -34,11 +45,40 @@ var readOnly = Object.freeze;
 
 var isArray = Array.isArray;
 
+/**
+ * Runs a delegate and wraps its result into a promise.
+ * Errors thrown synchronously by the delegate become rejections.
+ * @template T
+ * @param {() => T | Promise<T>} delegate
+ * @returns {Promise<T>}
+ */
+var toPromise = (delegate) => new Promise((resolve) => resolve(delegate()));
+
+/**
+ * Calls an async delegate for each item, one after another.
+ * @template T
+ * @param {T[]} items
+ * @param {(item: T) => unknown} delegate
+ * @returns {Promise<void>}
+ */
+var sequence = (items, delegate) =>
+    items.reduce(
+        (promise, item) => promise.then(() => delegate(item)),
+        Promise.resolve(),
+    );
+
 /** @type {(o:unknown) => o is Function} */
 var isFunc = typeOf.bind(0, "function");
 
 /** @type {(o:unknown) => o is string} */
 var isStr = typeOf.bind(0, "string");
+
+/** @type {(o:unknown) => o is object} */
+var isObj = typeOf.bind(0, "object");
+
+/** Checks that the value can be the target of a `WeakRef` */
+var canBeHeldWeakly = (value) =>
+    (isObj(value) && value !== null) || isFunc(value);
 // #endregion
 
 // #region Utilities
@@ -73,6 +113,17 @@ var findInMapSet = (mapSet, predicate) => {
     }
 };
 
+/** Copies the value if it is a set, otherwise returns it as is */
+var copySet = (value) => (instOf(Set, value) ? new Set(value) : value);
+
+/**
+ * @template K, T
+ * @param {Map<K, T | Set<T>>} mapSet
+ * @returns {Map<K, T | Set<T>>} Copy of the map with copied sets
+ */
+var copyMapSet = (mapSet) =>
+    new Map(Array.from(mapSet, ([key, value]) => [key, copySet(value)]));
+
 function chainToString(chain, key) {
     var sep = " -> ";
     if (!len(chain)) return key;
@@ -92,7 +143,7 @@ function chainToString(chain, key) {
  */
 var makeEntryId = (type, name) => (name ? type + ID_SEP + name : type);
 
-var getEntryId = (entry) => entry.$id
+var getEntryId = (entry) => entry.$id;
 
 /**
  * Split identifier on key and name
@@ -104,17 +155,53 @@ var splitEntryId = (id) => {
     return { type: id[0], name: id[1] };
 };
 
+/** Checks whether the resolver method injects a keyed map of the named bindings */
+var isMapMethod = (method) => method === "getMap" || method === "providerMap";
+
 var isTypeEntry = (mayBeTypeEntry) =>
     typeof mayBeTypeEntry === "object" &&
     "$id" in mayBeTypeEntry &&
     "type" in mayBeTypeEntry;
 
+// Owners of the built-in lifecycles.
+// The resolution recognizes them to find the owner scope without the lifecycle request.
+var rootOwner = (request) => request.root;
+var scopeOwner = (request) =>
+    request.scopes.find(request.has) || request.scopes[0];
+var noOwner = () => undefined;
+
+/**
+ * Built-in lifecycle strategies.
+ * The strategy selects the scope that owns (caches and disposes) the instance,
+ * or `undefined` to create a new instance on each request.
+ */
+var LIFECYCLES = {
+    singleton: { eager: true, owner: rootOwner },
+    lazy: { owner: rootOwner },
+    scope: { owner: scopeOwner },
+    transient: { owner: noOwner },
+    // Instances are acquired from the pool of the binding by the requesting scope
+    pooled: { owner: (request) => request.scopes[0] },
+    // Instances are weakly held by the root scope and can be garbage collected
+    weak: { owner: rootOwner },
+};
+
+/** List of the entries stored by the binding: a single entry or a `Set` of them */
+var entriesOf = (binding) =>
+    !binding
+        ? []
+        : isTypeEntry(binding)
+          ? Array.of(binding)
+          : Array.from(binding);
+
 // #endregion
 
 // #region Errors
 
 var ErrorBindingConflict = (type) => `Binding exists: '${type}'`;
 var ErrorMissingRequiredType = (type) => `Missing binding: "${type}"`;
+var ErrorMissingDecoratedType = (type) =>
+    `Missing decorated binding: "${type}"`;
 var ErrorUndefinedInstance = (type) => `Undefined bind: "${type}"`;
 var ErrorResolveInternalType = (module, entryType, chain) =>
     `Type "${entryType}" is not accessible outside "${module}" module (${chainToString(chain, entryType)})`;
@@ -138,8 +225,42 @@ var ErrorSealedScope = (sealedScope, childScope) =>
     `Cannot create "${childScope}" from sealed scope "${sealedScope}"`;
 var ErrorScopeViolation = (scope, type) =>
     `Type "${type}" not accessible in scope "${scope}"`;
+var ErrorRootScopeViolation = (type, dependent, lifecycle) =>
+    `Type "${type}" not accessible in root scope: required by "${lifecycle}" binding '${dependent}'`;
+var ErrorCaptiveDependency = (type, lifecycle, dependency, depLifecycle) =>
+    `Captive dependency: "${lifecycle}" binding '${type}' depends on "${depLifecycle}" binding '${dependency}'`;
+var ErrorValidationFailed = (errorsCount) =>
+    `Container validation failed with ${errorsCount} error(s)`;
 var ErrorInstanceAccessAfterDispose = (type, scopeId, scopeHierarchy) =>
     `Cannot resolve '${type}' from disposed scope "${chainToString(scopeHierarchy, scopeId)}"`;
+var ErrorScopeDisposeFailed = (scopeId, errorsCount) =>
+    `Scope "${scopeId}" disposed with ${errorsCount} error(s)`;
+var ErrorDisposeFailed = (entryId, scopePath) =>
+    `Dispose failed: ${entryId ? `'${entryId}'` : "scope"} @ "${scopePath.join(" -> ")}"`;
+var ErrorExtendDisposedContainer = () => `Cannot extend disposed container`;
+var ErrorTypeNotProvided = (type, scopePath) =>
+    `Type not provided: '${type}' @ "${scopePath.join(" -> ")}"`;
+var ErrorNotProvidableBinding = (type, lifecycle) =>
+    `Cannot provide '${type}' to scope: "${lifecycle}" binding`;
+var ErrorAlreadyProvided = (type, scopePath) =>
+    `Already resolved or provided: '${type}' @ "${scopePath.join(" -> ")}"`;
+var ErrorLifecycleDefined = (lifecycle) =>
+    `Lifecycle already defined: "${lifecycle}"`;
+var ErrorUnknownLifecycle = (type, lifecycle) =>
+    `Unknown lifecycle "${lifecycle}" of '${type}'`;
+var ErrorAsyncPooledBinding = (type) =>
+    `Async binding '${type}' can't use the "pooled" lifecycle: pooled instances are acquired synchronously`;
+var ErrorPoolExhausted = (type, max) =>
+    `Pool exhausted: '${type}' (max ${max})`;
+var ErrorNotPooledBinding = (type) => `Binding '${type}' is not pooled`;
+var ErrorNotRebindableBinding = (type) =>
+    `Binding '${type}' can't be rebound: not a factory binding`;
+var ErrorNotAssistedBinding = (type) =>
+    `Binding "${type}" is not an assisted factory. Use bindAssistedFactory() to create instances with arguments`;
+var ErrorAsyncBindingNotResolved = (type) =>
+    `Async binding not resolved: "${type}". Use getAsync() to resolve it`;
+var ErrorAsyncOnActivate = (type) =>
+    `Binding '${type}' returned a promise from onActivate: resolve it with getAsync() or build the container with buildAsync()`;
 var ErrorChildScopeCreationAfterDispose = (
     childScopeId,
     scopeId,
@@ -147,12 +268,186 @@ var ErrorChildScopeCreationAfterDispose = (
 ) =>
     `Scope disposed: "${childScopeId}" @ "${chainToString(scopeHierarchy, scopeId)}"`;
 
+/** Brand of the container errors, shared between copies of the library */
+var $diError = Symbol.for("spirex.di.error");
+
+/**
+ * Fills machine-readable details of the container error.
+ * @param {Error} error
+ * @param {string} code
+ * @param {{type?: string, name?: string, chain?: string[], scopePath?: readonly string[]}} details
+ */
+function initDIError(error, code, details = {}) {
+    Object.defineProperty(error, $diError, { value: true });
+    error.code = code;
+    error.type = details.type;
+    error.bindingName = details.name;
+    error.chain = details.chain || [];
+    error.scopePath = details.scopePath || [];
+}
+
+/**
+ * Base class of the container errors.
+ * Matches all container errors, including type errors of invalid bindings.
+ */
+export class DIError extends Error {
+    constructor(message, code, details = {}) {
+        super(message, details.cause && { cause: details.cause });
+        initDIError(this, code, details);
+    }
+
+    static [Symbol.hasInstance](value) {
+        return this === DIError
+            ? !!value && value[$diError] === true
+            : Function.prototype[Symbol.hasInstance].call(this, value);
+    }
+}
+
+/** A binding already exists or conflicts with an existing one */
+export class BindingConflictError extends DIError {}
+
+/** A binding is missing */
+export class BindingNotFoundError extends DIError {}
+
+/** A dependency or alias cycle is detected */
+export class DependencyCycleError extends DIError {}
+
+/** A binding or scope is not accessible from the requester */
+export class AccessViolationError extends DIError {}
+
+/** An operation is requested on a disposed scope */
+export class ScopeDisposedError extends DIError {}
+
+/** An instance or middleware failed during the scope disposal */
+export class DisposeError extends DIError {
+    constructor(message, code, details = {}) {
+        super(message, code, details);
+        this.$id = details.$id;
+    }
+}
+
+/** A binding or middleware result has invalid value */
+export class InvalidBindingError extends TypeError {
+    constructor(message, code, details) {
+        super(message);
+        initDIError(this, code, details);
+    }
+}
+
+// Class names are set explicitly to survive minification of the release build
+[
+    [DIError, "DIError"],
+    [BindingConflictError, "BindingConflictError"],
+    [BindingNotFoundError, "BindingNotFoundError"],
+    [DependencyCycleError, "DependencyCycleError"],
+    [AccessViolationError, "AccessViolationError"],
+    [ScopeDisposedError, "ScopeDisposedError"],
+    [DisposeError, "DisposeError"],
+    [InvalidBindingError, "InvalidBindingError"],
+].forEach(([ErrorClass, name]) => {
+    ErrorClass.prototype.name = name;
+});
+
 // #endregion
 
+/**
+ * Releases resources of the instance
+ * using the custom disposer of the binding, `Symbol.dispose` or `dispose()` method, if any.
+ * @returns Result of the dispose method call
+ */
+function disposeInstance(instance, entry) {
+    if (instance == null) return;
+    if (entry && isFunc(entry.dispose)) return entry.dispose(instance);
+    if (hasSymbolDispose && isFunc(instance[Symbol.dispose]))
+        return instance[Symbol.dispose]();
+    if (isFunc(instance.dispose)) return instance.dispose();
+}
+
+/**
+ * Releases resources of the instance, preferring `Symbol.asyncDispose`
+ * unless the binding has a custom disposer.
+ * @returns Promise that resolves when the instance is disposed
+ */
+function disposeInstanceAsync(instance, entry) {
+    return toPromise(() =>
+        instance != null &&
+        !(entry && isFunc(entry.dispose)) &&
+        hasSymbolAsyncDispose &&
+        isFunc(instance[Symbol.asyncDispose])
+            ? instance[Symbol.asyncDispose]()
+            : disposeInstance(instance, entry),
+    );
+}
+
+/**
+ * Iterates dependencies of the `inject` list: type keys and injection tokens.
+ *
+ * @param inject - The `inject` list of the factory.
+ * @param onDependency - Called with the type, name, whether the dependency is required
+ *                       and the resolver method used to inject it.
+ */
+function forEachInjectRef(inject, onDependency) {
+    inject.forEach((token) =>
+        isObj(token)
+            ? onDependency(token.type, token.name, token.required, token.method)
+            : onDependency(token, undefined, true, "get"),
+    );
+}
+
+/**
+ * Collects dependencies declared by the entry without activating it:
+ * the `inject` list of the factory and the types accessed by the safe factory injector.
+ *
+ * @param entry - The type entry.
+ * @param onDependency - Called with the type, name, whether the dependency is required
+ *                       and the resolver method used to inject it.
+ */
+function collectStaticDeps(entry, onDependency) {
+    var inject = entry.factory && entry.factory.inject;
+    if (inject) forEachInjectRef(inject, onDependency);
+
+    if (!isFunc(entry.injector)) return;
+    var required = (method) => (type, name) => (
+        onDependency(type, name, true, method), {}
+    );
+    var optional = (method) => (type, name) =>
+        onDependency(type, name, false, method);
+    var dryRunScope = {
+        get: required("get"),
+        providerOf: required("providerOf"),
+        phantomOf: required("phantomOf"),
+        create: (type) => required("create")(type),
+        getAsync: (type, name) => (
+            required("getAsync")(type, name), Promise.resolve({})
+        ),
+        maybe: (type, name) => (optional("maybe")(type, name), undefined),
+        maybeAsync: (type, name) => (
+            optional("maybeAsync")(type, name), Promise.resolve()
+        ),
+        getAll: (type, name) => (optional("getAll")(type, name), []),
+        getAllAsync: (type, name) => (
+            optional("getAllAsync")(type, name), Promise.resolve([])
+        ),
+        // Bindings matched by meta are not known statically
+        getAllByMeta: () => [],
+        getTagged: () => [],
+        getMap: (type) => (optional("getMap")(type), {}),
+        providerMap: (type) => (optional("providerMap")(type), {}),
+    };
+    try {
+        // Dry-run call to collect the types accessed by the injector.
+        // Any errors are ignored, as actual resolution is not performed here.
+        entry.injector(dryRunScope);
+    } catch {
+        // Intentionally ignored — we're only interested in tracking type accesses.
+    }
+}
+
 /* istanbul ignore next */
-function phantomProxy(provider) {
+function phantomProxy(provider, isStale) {
     var state = { $: null };
-    var getRef = (s) => s.$ || (s.$ = provider());
+    var getRef = (s) =>
+        s.$ && !(isStale && isStale(s.$)) ? s.$ : (s.$ = provider());
     return new Proxy(state, {
         get: (s, k) => getRef(s)[k],
         set: (s, k, v) => ((getRef(s)[k] = v), true),
@@ -172,8 +467,13 @@ var listOfMiddlewareHooks = [
     "onRequest",
     "onActivated",
     "onResolve",
+    "onError",
+    "onCaptiveDependency",
     "onScopeOpen",
+    "onCollected",
     "onScopeDispose",
+    "onScopeDisposeAsync",
+    "onDisposeError",
 ];
 
 function createContainerBlueprint() {
@@ -187,6 +487,14 @@ function createContainerBlueprint() {
     var modules = new Set();
     /** Container type enumeration cache. */
     var typesEnum = null;
+    /** List of registered binding decorators. */
+    var decorators = [];
+    /** Map of entry decorators compiled at build. */
+    var decorations = new Map();
+    /** Bindings and aliases as they were declared, before aliases compilation. */
+    var source = null;
+    /** Map of lifecycle strategies by name. */
+    var lcs = new Map(Object.entries(LIFECYCLES));
 
     var middlewareVirtualTable = Object.fromEntries(
         listOfMiddlewareHooks.map((methodName) => [methodName, []]),
@@ -220,10 +528,23 @@ function createContainerBlueprint() {
 
     function addMw(middleware) {
         mws.add(middleware);
-        for (var hookName of listOfMiddlewareHooks) {
-            var hook = middleware[hookName];
-            if (isFunc(hook))
-                middlewareVirtualTable[hookName].push(hook.bind(middleware));
+
+        // Middlewares with a higher priority are called first,
+        // middlewares with the same priority in the order of use (stable sort)
+        var ordered = Array.from(mws).sort(
+            (a, b) => (b.priority || 0) - (a.priority || 0),
+        );
+        mws.clear();
+        for (var hookName of listOfMiddlewareHooks)
+            middlewareVirtualTable[hookName].length = 0;
+
+        for (var mw of ordered) {
+            mws.add(mw);
+            for (hookName of listOfMiddlewareHooks) {
+                var hook = mw[hookName];
+                if (isFunc(hook))
+                    middlewareVirtualTable[hookName].push(hook.bind(mw));
+            }
         }
     }
 
@@ -237,6 +558,27 @@ function createContainerBlueprint() {
         return result;
     }
 
+    /** Calls the hook of each middleware until one returns a result */
+    function callMwUntil(hookName, ...args) {
+        var result;
+        for (var hook of middlewareVirtualTable[hookName]) {
+            result = hook(...args);
+            if (result !== undefined) break;
+        }
+        return result;
+    }
+
+    function hasHook(hookName) {
+        return len(middlewareVirtualTable[hookName]) > 0;
+    }
+
+    /** Calls the async hook of each middleware one after another */
+    function callMwAsync(hookName, ...args) {
+        return sequence(middlewareVirtualTable[hookName], (hook) =>
+            hook(...args),
+        );
+    }
+
     function getAO(type, name) {
         var ref = aliases.get(makeEntryId(type, name));
         return instOf(Set, ref) ? Array.from(ref.values()) : ref;
@@ -263,12 +605,27 @@ function createContainerBlueprint() {
 
     /** Find all entries by type and name */
     function findEs(type, name) {
-        var typeEntry = entries.get(makeEntryId(type, name));
-        if (!typeEntry) return [];
+        return entriesOf(entries.get(makeEntryId(type, name)));
+    }
+
+    /** Find names of all named bindings of the type, including compiled aliases */
+    function namesOf(type) {
+        var prefix = type + ID_SEP;
+        var names = [];
+        for (var id of entries.keys())
+            if (isStr(id) && id.startsWith(prefix))
+                names.push(id.slice(len(prefix)));
+        return names;
+    }
 
-        return isTypeEntry(typeEntry)
-            ? Array.of(typeEntry)
-            : Array.from(typeEntry);
+    /**
+     * Find entries of the dependency.
+     * Keyed maps depend on the entries of all named bindings of the type.
+     */
+    function findDeps(type, name, method) {
+        return isMapMethod(method)
+            ? namesOf(type).flatMap((name) => findEs(type, name))
+            : findEs(type, name);
     }
 
     var forEach = findInMapSet.bind(null, entries);
@@ -316,6 +673,9 @@ function createContainerBlueprint() {
      * - If the existing entry is a single binding, it will be converted into a `Set` containing both the old and new entries.
      * - If the existing entry is already a `Set` (i.e. multibinding), the new entry is added to the set.
      *
+     * Contextual entries (with the `when` condition) are always added as variants of the binding,
+     * and are kept when the default entry is replaced.
+     *
      * @param builder - current builder reference
      * @param id - unique entry identifier
      * @param entry - entry The type binding entry to store.
@@ -335,21 +695,30 @@ function createContainerBlueprint() {
                 entryToBind.$id !== entry.$id ||
                 entryToBind.type !== entry.type
             )
-                throw new TypeError(
+                throw new InvalidBindingError(
                     ErrorMiddlewareEntryTypeMismatch(
                         middleware.name,
                         entryToBind && entryToBind.$id,
                         entry.$id,
                     ),
+                    "MIDDLEWARE_ENTRY_MISMATCH",
+                    entry,
                 );
         });
 
         readOnly(entryToBind);
 
         var existingEntry = entries.get(id);
-        if (!existingEntry || !multibinding) {
-            // No existing entry, or multibinding not enabled:
-            // simply store the new entry (replacing any existing one).
+        if (existingEntry && !multibinding && !entryToBind.when) {
+            // Multibinding not enabled: replace the default entries,
+            // but keep the contextual variants of the binding.
+            var variants = entriesOf(existingEntry).filter((it) => it.when);
+            existingEntry = len(variants) ? new Set(variants) : undefined;
+            if (existingEntry) entries.set(id, existingEntry);
+        }
+
+        if (!existingEntry) {
+            // No existing entry: simply store the new entry.
             entries.set(id, entryToBind);
         } else if (isTypeEntry(existingEntry)) {
             // Existing entry is a single binding:
@@ -370,7 +739,11 @@ function createContainerBlueprint() {
 
         if (listContains(stack, aliasRef)) {
             stack.push(aliasRef);
-            throw new Error(ErrorAliasCycle(aliasRef, stack));
+            throw new DependencyCycleError(
+                ErrorAliasCycle(aliasRef, stack),
+                "ALIAS_CYCLE",
+                { ...splitEntryId(aliasRef), chain: stack.slice() },
+            );
         }
 
         var ref = aliases.get(aliasRef);
@@ -383,7 +756,11 @@ function createContainerBlueprint() {
 
         var typeEntry = entries.get(aliasRef);
         if (typeEntry === undefined)
-            throw new Error(ErrorAliasMissingRef(lastOf(stack), aliasRef));
+            throw new BindingNotFoundError(
+                ErrorAliasMissingRef(lastOf(stack), aliasRef),
+                "ALIAS_MISSING_REF",
+                { ...splitEntryId(aliasRef), chain: stack.concat(aliasRef) },
+            );
 
         stack.push(aliasRef);
         for (var aliasId of stack) {
@@ -397,9 +774,68 @@ function createContainerBlueprint() {
         stack.pop();
     }
 
+    function addDecor(decorator) {
+        decorators.push(decorator);
+    }
+
+    /** Returns ordered list of the entry decorators, if any */
+    function decorsOf(entry) {
+        return decorations.get(entry);
+    }
+
+    /**
+     * Compiles decorators to the entries they decorate.
+     * Must be called after aliases are compiled,
+     * so decorators of an alias are attached to the entries it refers to.
+     */
+    function cDecor() {
+        // Stable sort keeps registration order for equal order values
+        var ordered = decorators.slice().sort((a, b) => a.order - b.order);
+        for (var decorator of ordered) {
+            var decoratedEntries = findEs(decorator.type, decorator.name);
+            if (!len(decoratedEntries))
+                throw new BindingNotFoundError(
+                    ErrorMissingDecoratedType(decorator.$id),
+                    "MISSING_DECORATED_TYPE",
+                    decorator,
+                );
+
+            for (var entry of decoratedEntries) {
+                var entryDecorators = decorations.get(entry);
+                if (!entryDecorators) decorations.set(entry, [decorator]);
+                else if (!listContains(entryDecorators, decorator))
+                    entryDecorators.push(decorator);
+            }
+        }
+    }
+
+    /**
+     * Replaces the entry of the built blueprint with the new one,
+     * including the bindings of the compiled aliases. Decorators of the entry are kept.
+     */
+    function replaceE(entry, newEntry) {
+        entries.forEach((binding, id) => {
+            if (binding === entry) entries.set(id, newEntry);
+            else if (instOf(Set, binding) && binding.has(entry))
+                entries.set(
+                    id,
+                    new Set(
+                        Array.from(binding, (it) =>
+                            it === entry ? newEntry : it,
+                        ),
+                    ),
+                );
+        });
+        if (decorations.has(entry))
+            decorations.set(newEntry, decorations.get(entry));
+    }
+
     function cAlias(builder) {
         if (!aliases.size) return;
 
+        // Keep declared bindings to fork the blueprint later
+        source = { entries: copyMapSet(entries), aliases: copyMapSet(aliases) };
+
         var stack = [];
         for (var [aliasId, ref] of aliases) {
             stack.push(aliasId);
@@ -410,20 +846,43 @@ function createContainerBlueprint() {
         aliases.clear();
     }
 
+    /**
+     * Creates a new blueprint with the same declared bindings, aliases,
+     * middlewares, modules and decorators. Used to derive containers.
+     */
+    function fork() {
+        var copy = createContainerBlueprint();
+        var declared = source || { entries, aliases };
+        declared.entries.forEach((v, k) => copy.entries.set(k, copySet(v)));
+        declared.aliases.forEach((v, k) => copy.aliases.set(k, copySet(v)));
+        mws.forEach(copy.addMw);
+        modules.forEach(copy.addMod);
+        lcs.forEach((strategy, name) => copy.lcs.set(name, strategy));
+        decorators.forEach(copy.addDecor);
+        return copy;
+    }
+
     return {
         entries,
         aliases,
         mws,
+        modules,
+        lcs,
         types,
         has,
         hasMw,
         addMw,
         callMw,
+        callMwAsync,
+        callMwUntil,
+        hasHook,
         hasMod,
         addMod,
         findE,
         findAlias,
         findEs,
+        namesOf,
+        findDeps,
         forEach,
         forEachAlias,
         find,
@@ -431,23 +890,50 @@ function createContainerBlueprint() {
         getAO,
         addAlias,
         addTypeEntry,
+        replaceE,
+        addDecor,
+        decorsOf,
         cAlias,
+        cDecor,
+        fork,
     };
 }
 
 function mergeScopeData(data, parent) {
-    var parentData = (parent && parent.data);
-    if (data)
-        return parentData ? { ...parentData, ...data } : data
-    return parentData
+    var parentData = parent && parent.data;
+    if (data) return parentData ? { ...parentData, ...data } : data;
+    return parentData;
 }
 
-function createRootContainerScope(blueprint, rootData) {
+/**
+ * Creates the root scope of the container and activates singletons.
+ *
+ * @param blueprint - Compiled container blueprint.
+ * @param rootData - Root scope data.
+ * @param asyncActivations - When defined, async singletons are activated
+ *                           and their promises are collected into this array.
+ *                           Otherwise, they are activated on first async resolution.
+ * @param base - Internals of the parent container, if the container is derived.
+ * @param captivePolicy - Reaction to captive dependencies: `"throw"`, `"report"` or `"ignore"`.
+ * @param hotRebind - Adds the `rebind` method to the root scope.
+ * @param defaultLifecycle - Default lifecycle of the bindings, inherited by derived containers.
+ */
+function createRootContainerScope(
+    blueprint,
+    rootData,
+    asyncActivations,
+    base,
+    captivePolicy,
+    hotRebind,
+    defaultLifecycle,
+) {
     var $root = Symbol("r");
     var $parent = Symbol("p");
     var $scopes = Symbol("s");
     var $locals = Symbol("l");
     var $state = Symbol("d");
+    var $pending = Symbol("a");
+    var $chain = Symbol("c");
 
     var isDisposed = (scope) => scope[$state].disposed;
 
@@ -482,6 +968,7 @@ function createRootContainerScope(blueprint, rootData) {
             [$parent]: parent,
             [$locals]: new Map(),
             [$scopes]: new Map(),
+            [$pending]: new Map(),
             [$state]: { disposed: false },
         };
     }
@@ -494,194 +981,1747 @@ function createRootContainerScope(blueprint, rootData) {
     // It works with already created instances.
     var resolutionStack = [];
 
-    /**
-     * Activates (creates) an instance for a given type entry.
-     *
-     * Tracks the current activation path using a stack to detect and prevent circular dependencies.
-     *
-     * @param entry - The type entry to activate. Must contain a factory function and optional cached instance.
-     * @param scope - The current container scope, used to resolve dependencies during factory execution.
-     *
-     * @return The created instance associated with the entry.
-     */
-    function activateInstance(entry, scope) {
-        // Check for circular dependency by verifying if the entry is already being activated
-        var hasDependencyCycle = listContains(activationStack, entry);
-
-        // Push the current entry to the activation stack
-        activationStack.push(entry);
+    // Entries each activated entry depended on.
+    // Used to dispose instances in reverse dependency order.
+    var dependencies = new Map();
 
-        if (hasDependencyCycle) {
-            // If a cycle is detected, throw a detailed error
-            var error = new Error(
-                ErrorDependenciesCycle(
-                    entry.$id,
-                    activationStack.map(getEntryId),
-                ),
-            );
+    // Bound instances with decorators applied
+    var decoratedInstances = new Map();
 
-            // Clear the activation stack to avoid residual state
-            activationStack.length = 0;
-            throw error;
-        }
+    // Middleware hooks of the resolution are dispatched only when implemented,
+    // so the stacks are copied only for the hooks that receive them
+    var hasRequestHook = blueprint.hasHook("onRequest");
+    var hasActivatedHook = blueprint.hasHook("onActivated");
+    var hasResolveHook = blueprint.hasHook("onResolve");
+    var hasErrorHook = blueprint.hasHook("onError");
 
-        var ctx = {
-            current: scope.id,
-            path: scope.path,
-            data: scope.data,
-            dispose: scope.dispose.bind(scope),
-            name: entry.name,
-            stack: activationStack,
-        };
-        var instance = entry.injector
-            ? entry.factory(entry.injector(scope, ctx), ctx)
-            : entry.factory(scope, ctx);
+    // Resolution plans of the bindings by ID: the default entry,
+    // whether the binding has contextual entries and the fast resolver, if any
+    var plans = new Map();
 
-        // Call 'OnActivated' middleware
-        instance = blueprint.callMw(
-            "onActivated",
-            1,
-            entry,
-            instance,
-            scope,
-            activationStack.slice(),
-        );
+    // The same plans by type and name, to find them without building the ID
+    var plansByType = new Map();
 
-        // Remove the entry from the activation stack after successful creation
-        activationStack.pop();
+    // Fast resolvers of the entries, also used by the providers
+    var resolvers = new Map();
 
-        return instance;
+    function compilePlans() {
+        plans.clear();
+        plansByType.clear();
+        resolvers.clear();
+        blueprint.forEach((entry) => {
+            var resolve = fastResolverOf(entry);
+            if (resolve) resolvers.set(entry, resolve);
+        });
+        blueprint.entries.forEach((binding, id) => {
+            var entries = entriesOf(binding);
+            var entry = entries.find((entry) => !entry.when);
+            var contextual = entries.some((entry) => entry.when);
+            var plan = {
+                entry,
+                contextual,
+                resolve: !contextual && resolvers.get(entry),
+            };
+            plans.set(id, plan);
+
+            var ref = splitEntryId(id);
+            var named = plansByType.get(ref.type);
+            if (!named) plansByType.set(ref.type, (named = new Map()));
+            named.set(ref.name, plan);
+        });
     }
 
-    function getInstance(scope, entry, noThrow, noActivate) {
-        var instance;
-
-        // Check for internal module type.
-        // Singletons can be created
-        if (entry.module && entry.internal) {
-            var topEntry = lastOf(activationStack);
-            if (!topEntry || topEntry.module !== entry.module) {
-                if (noThrow) return undefined;
-                else
-                    throw Error(
-                        ErrorResolveInternalType(
-                            entry.module.id,
-                            entry.$id,
-                            activationStack.map(getEntryId),
-                        ),
-                    );
-            }
-        }
+    function planOf(type, name) {
+        var named = plansByType.get(type);
+        return (
+            (named && named.get(name || undefined)) ||
+            plans.get(makeEntryId(type, name))
+        );
+    }
 
-        resolutionStack.push(entry);
+    /** Remembers the dependency of the entry being activated, if any */
+    function dependOn(entry) {
+        var topEntry = lastOf(activationStack);
+        if (topEntry && topEntry !== entry)
+            addDependency(topEntry.target || topEntry, entry);
+    }
 
-        // Return the directly bound instance, if any (from bindInstance)
-        if ("instance" in entry) instance = entry.instance;
-        else if (
-            scope[$parent] &&
-            (entry.lifecycle === LC_SINGLETON || entry.lifecycle === "lazy")
+    /**
+     * Compiles the resolver of the entry that skips the checks it doesn't need:
+     * no `onRequest` hook to dispatch, a built-in lifecycle without validation
+     * and no options that change the resolution. The instance that isn't cached yet
+     * is resolved the regular way, except for transient instances.
+     *
+     * @param entry - The default entry of the binding.
+     * @returns The resolver of the entry for the scope, `undefined` if not applicable.
+     */
+    function fastResolverOf(entry) {
+        var lifecycle = blueprint.lcs.get(entry.lifecycle);
+        if (
+            hasRequestHook ||
+            !lifecycle ||
+            lifecycle.isValid ||
+            entry.lifecycle === LC_WEAK ||
+            (entry.module && entry.internal) ||
+            "instance" in entry ||
+            entry.provided ||
+            entry.async ||
+            entry.withScope ||
+            entry.allowedScopes ||
+            entry.onActivate
         )
-            // Direct singleton access from the root
-            instance = getInstance(scope[$root], entry, noThrow);
-        else if (entry.lifecycle === "scope") {
-            var allowedScopes = entry.allowedScopes;
-
-            // If scope is not isolated, search up the parent chain
-            // to find an already created instance of this entry (no new instantiation)
-            var nearestAllowedParent = undefined;
-            for (
-                var parent = scope;
-                parent && instance === undefined;
-                parent = parent[$parent]
-            ) {
-                if (!allowedScopes || listContains(allowedScopes, parent.id)) {
-                    // Save nearest allowed scope
-                    nearestAllowedParent ||= parent;
-                    var locals = parent[$locals];
-                    if (locals.has(entry)) instance = locals.get(entry);
+            return undefined;
+
+        // Cached instances are resolved without nested resolutions,
+        // so the resolution stack is the same as the regular resolution has
+        var resolved = hasResolveHook
+            ? (instance, owner) =>
+                  blueprint.callMw(
+                      "onResolve",
+                      1,
+                      entry,
+                      instance,
+                      owner,
+                      resolutionStack,
+                  )
+            : (instance) => instance;
+
+        if (lifecycle.owner === rootOwner)
+            return (scope) => {
+                var instance = rootScope[$locals].get(entry);
+                if (instance === undefined) return getInstance(scope, entry);
+                // Root instances are never captive
+                dependOn(entry);
+                return resolved(instance, rootScope);
+            };
+
+        // Short-living instances are checked for captive dependencies
+        if (captivePolicy !== "ignore") return undefined;
+
+        if (lifecycle.owner === scopeOwner)
+            return (scope) => {
+                for (var parent = scope; parent; parent = parent[$parent]) {
+                    var instance = parent[$locals].get(entry);
+                    if (instance !== undefined) {
+                        dependOn(entry);
+                        return resolved(instance, parent);
+                    }
+                    if (parent.isolated) break;
                 }
-                if (parent.isolated) break;
-            }
+                return getInstance(scope, entry);
+            };
+
+        if (lifecycle.owner === noOwner && !hasResolveHook)
+            return (scope) => {
+                dependOn(entry);
+                return activateInstance(entry, scope);
+            };
+    }
 
-            if (allowedScopes) {
-                if (!nearestAllowedParent) {
-                    resolutionStack.pop();
-                    if (noThrow) return instance;
-                    else
-                        throw new Error(
-                            ErrorScopeViolation(scope.id, entry.$id),
-                        );
-                }
+    compilePlans();
 
-                // Redirect activation request to nearest allowed parent
-                scope = nearestAllowedParent;
-            }
+    // Entries of the derived container affected by overrides
+    var taints = new Map();
+    var ownEntries = null;
+    var baseEntries = null;
+
+    var sameList = (a, b) =>
+        (!a && !b) ||
+        (!!a && !!b && len(a) === len(b) && a.every((it, i) => it === b[i]));
+
+    /**
+     * Checks whether the entry of the derived container is affected by overrides:
+     * it is overridden itself, got new decorators,
+     * or any of its static or activated dependencies is affected.
+     *
+     * @param entry - The entry to check.
+     */
+    function isTainted(entry) {
+        if (taints.has(entry)) return taints.get(entry);
+        if (!ownEntries) {
+            ownEntries = new Set();
+            baseEntries = new Set();
+            // Block bodies: a truthy result stops the iteration
+            blueprint.forEach((e) => {
+                ownEntries.add(e);
+            });
+            base.blueprint.forEach((e) => {
+                baseEntries.add(e);
+            });
         }
 
-        if (instance === undefined) {
-            // Attempt to get cached instance from current scope
-            instance = scope[$locals].get(entry);
-            if (instance === undefined && !noActivate) {
-                if (entry.withScope)
-                    scope = scope.scope(entry.$id, entry.withScope);
+        // Break dependency cycles
+        taints.set(entry, false);
 
-                instance = activateInstance(entry, scope);
+        var isIdTainted = (type, name, method) => {
+            var own = blueprint.findDeps(type, name, method);
+            return (
+                !sameList(own, base.blueprint.findDeps(type, name, method)) ||
+                own.some(isTainted)
+            );
+        };
+        var tainted =
+            !baseEntries.has(entry) ||
+            !ownEntries.has(entry) ||
+            !sameList(
+                blueprint.decorsOf(entry),
+                base.blueprint.decorsOf(entry),
+            );
 
-                // Cache the instance in scope locals if lifecycle is not transient
-                if (entry.lifecycle !== "transient")
-                    scope[$locals].set(entry, instance);
-            }
-        }
+        if (!tainted)
+            collectStaticDeps(entry, (type, name, _, method) => {
+                tainted ||= isIdTainted(type, name, method);
+            });
 
-        return blueprint.callMw(
-            "onResolve",
-            1,
-            resolutionStack.pop(),
-            instance,
-            scope,
-            resolutionStack,
-        );
+        var activatedDeps = base.depsOf(entry);
+        if (!tainted && activatedDeps)
+            for (var dep of activatedDeps)
+                if ((tainted = isTainted(dep))) break;
+
+        taints.set(entry, tainted);
+        return tainted;
     }
 
-    function onRequestMiddleware(scope, entry, type, name) {
-        return (
+    /**
+     * Returns the parent container instance of the root-level entry,
+     * if the container is derived and the entry is not affected by overrides.
+     * Borrowed instances are not owned by the derived container.
+     *
+     * @param entry - The entry to get instance for.
+     */
+    function borrowInstance(entry) {
+        if (
+            base &&
+            (entry.lifecycle === LC_SINGLETON || entry.lifecycle === "lazy") &&
+            !isTainted(entry)
+        )
+            return base.cached(entry);
+    }
+
+    /**
+     * Detects the dependency that lives shorter than the entry being activated,
+     * e.g. a scope binding resolved by a singleton, which captures one instance of it forever.
+     * Captive dependencies are allowed by the `allowCaptive` option of either binding.
+     *
+     * @param entry - The entry being activated.
+     * @param dependency - The entry it depends on.
+     * @param scope - The scope of the resolution.
+     * @param chain - Async activation chain, if any.
+     */
+    function checkCaptiveDependency(entry, dependency, scope, chain) {
+        if (
+            captivePolicy === "ignore" ||
+            !listContains(ROOT_LIFECYCLES, entry.lifecycle) ||
+            !listContains(SHORT_LIFECYCLES, dependency.lifecycle) ||
+            // Assisted factories resolve to the creator functions
+            dependency.assisted ||
+            entry.allowCaptive ||
+            dependency.allowCaptive
+        )
+            return;
+
+        if (captivePolicy === "report") {
             blueprint.callMw(
-                "onRequest",
-                0,
+                "onCaptiveDependency",
+                -1,
                 entry,
+                dependency,
                 scope,
-                type,
-                name,
-                resolutionStack.slice(),
-            ) || entry
+            );
+            return;
+        }
+
+        var path = (chain || activationStack)
+            .map(getEntryId)
+            .concat(dependency.$id);
+        throw new AccessViolationError(
+            ErrorCaptiveDependency(
+                entry.$id,
+                entry.lifecycle,
+                dependency.$id,
+                dependency.lifecycle,
+            ),
+            "CAPTIVE_DEPENDENCY",
+            {
+                type: dependency.type,
+                name: dependency.name,
+                chain: path,
+                scopePath: scope.path,
+            },
         );
     }
 
-    function assertScopeNotDisposedToResolve(type, name) {
-        if (isDisposed(this))
-            throw new Error(
-                ErrorInstanceAccessAfterDispose(
-                    makeEntryId(type, name),
-                    this.id,
-                    this.path,
-                ),
-            );
+    function addDependency(entry, dependency) {
+        var entryDeps = dependencies.get(entry);
+        if (!entryDeps) dependencies.set(entry, (entryDeps = new Set()));
+        entryDeps.add(dependency);
     }
 
-    function makeProviderFunc(scope, entry) {
-        var providerFuncName = "get" + entry.$id;
-        return {
+    /**
+     * Orders the scope local entries for disposal,
+     * so each instance is disposed before the instances it depends on.
+     * Independent instances are disposed in reverse activation order.
+     * Instances provided to the scope are owned by the caller and are skipped,
+     * as well as pooled instances, which are owned by their pools.
+     *
+     * @param scope - The scope being disposed.
+     * @returns List of local entries in disposal order.
+     */
+    function disposalOrderOf(scope) {
+        var locals = scope[$locals];
+        var provided = scope[$state].provided;
+        var visited = new Set();
+        var order = [];
+        var visit = (entry) => {
+            if (visited.has(entry)) return;
+            visited.add(entry);
+            var entryDeps = dependencies.get(entry);
+            if (entryDeps)
+                entryDeps.forEach((dep) => locals.has(dep) && visit(dep));
+            order.push(entry);
+        };
+        locals.forEach((_, entry) => visit(entry));
+        return order
+            .filter(
+                (entry) =>
+                    entry.lifecycle !== LC_POOLED &&
+                    !(provided && provided.has(entry)),
+            )
+            .reverse();
+    }
+
+    function dependencyCycleError(entry, chain, scope) {
+        return new DependencyCycleError(
+            ErrorDependenciesCycle(entry.$id, chain),
+            "DEPENDENCY_CYCLE",
+            {
+                type: entry.type,
+                name: entry.name,
+                chain,
+                scopePath: scope.path,
+            },
+        );
+    }
+
+    /**
+     * Applies decorators of the entry to the created instance, from inner to outer.
+     *
+     * Each decorator is called on behalf of its module:
+     * a stack frame with the decorator module is pushed while it is running,
+     * so it can resolve internal types of the module where it was registered.
+     *
+     * @param entry - The entry of the instance.
+     * @param instance - The instance to decorate.
+     * @param scope - The scope that owns the instance.
+     * @param chain - Async activation chain, if activated asynchronously.
+     *
+     * @return The decorated instance.
+     */
+    function decorateInstance(entry, instance, scope, chain) {
+        var decorators = blueprint.decorsOf(entry);
+        if (!decorators) return instance;
+
+        for (var decorator of decorators) {
+            var frame = {
+                $id: entry.$id,
+                type: entry.type,
+                name: entry.name,
+                module: decorator.module,
+                target: entry,
+            };
+            var resolver = chain
+                ? readOnly(
+                      Object.create(scope, {
+                          [$chain]: { value: chain.concat(frame) },
+                      }),
+                  )
+                : scope;
+
+            activationStack.push(frame);
+            try {
+                instance = decorator.decorator(instance, resolver);
+            } finally {
+                activationStack.pop();
+            }
+        }
+        return instance;
+    }
+
+    function asyncNotResolvedError(entry, scope) {
+        return new DIError(
+            ErrorAsyncBindingNotResolved(entry.$id),
+            "ASYNC_BINDING_NOT_RESOLVED",
+            {
+                type: entry.type,
+                name: entry.name,
+                chain: activationStack.map(getEntryId),
+                scopePath: scope.path,
+            },
+        );
+    }
+
+    /**
+     * Disposes the instance that is never resolved, since its activation failed.
+     * Bound instances are owned by the caller, unless the binding opted in for disposal.
+     * Dispose errors are passed to the 'onDisposeError' middleware, if any.
+     *
+     * @param entry - The entry of the instance.
+     * @param instance - The orphaned instance.
+     * @param scope - The scope of the activation.
+     */
+    function disposeOrphan(entry, instance, scope) {
+        if ("instance" in entry && !entry.dispose) return;
+        disposeInstanceAsync(instance, entry).catch((error) => {
+            if (blueprint.hasHook("onDisposeError"))
+                reportDisposeErrors(scope, [disposeError(error, scope, entry)]);
+        });
+    }
+
+    /**
+     * Calls the `onActivate` hook of the binding, if any.
+     *
+     * The async hook is awaited only by async resolution, which passes the list
+     * to collect it. Sync resolution can't return the instance before the hook is done,
+     * so the instance is released once the hook settles.
+     *
+     * @param entry - The activated entry.
+     * @param instance - The activated instance.
+     * @param scope - The scope of the activation.
+     * @param inits - Collects the promise returned by the hook, if awaited.
+     *
+     * @throws {DIError} If the hook returned a promise and can't be awaited.
+     */
+    function initInstance(entry, instance, scope, inits) {
+        var result = entry.onActivate && entry.onActivate(instance, scope);
+        if (!result || !isFunc(result.then)) return;
+        if (inits) {
+            inits.push(result);
+            return;
+        }
+
+        var release = () => disposeOrphan(entry, instance, scope);
+        Promise.resolve(result).then(release, release);
+        throw new DIError(
+            ErrorAsyncOnActivate(entry.$id),
+            "ASYNC_ON_ACTIVATE",
+            {
+                type: entry.type,
+                name: entry.name,
+                chain: activationStack.map(getEntryId),
+                scopePath: scope.path,
+            },
+        );
+    }
+
+    /**
+     * Returns the instance of the `bindInstance` entry.
+     * Decorated instances are created once and shared by all scopes.
+     * The `onActivate` hook of the binding is called once, after the decorators.
+     * An async hook is awaited only when the container is built by `buildAsync`,
+     * until it settles the instance is resolved only by async resolution.
+     * The sync `build` throws `ASYNC_ON_ACTIVATE` for an async hook.
+     *
+     * @param entry - The instance entry.
+     * @param async - Await the async `onActivate` hook.
+     */
+    function getBoundInstance(entry, async) {
+        if (decoratedInstances.has(entry)) return decoratedInstances.get(entry);
+        var pending = rootScope[$pending];
+        if (pending.has(entry)) {
+            if (async) return pending.get(entry);
+            throw asyncNotResolvedError(entry, rootScope);
+        }
+        if (!blueprint.decorsOf(entry) && !entry.onActivate)
+            return entry.instance;
+
+        if (listContains(activationStack, entry))
+            throw dependencyCycleError(
+                entry,
+                activationStack.concat(entry).map(getEntryId),
+                rootScope,
+            );
+
+        var inits = async ? [] : undefined;
+        activationStack.push(entry);
+        try {
+            var instance = decorateInstance(entry, entry.instance, rootScope);
+            initInstance(entry, instance, rootScope, inits);
+        } finally {
+            activationStack.pop();
+        }
+
+        if (inits && len(inits)) {
+            var promise = Promise.resolve(inits[0]).then(
+                () => {
+                    decoratedInstances.set(entry, instance);
+                    pending.delete(entry);
+                    return instance;
+                },
+                (error) => {
+                    pending.delete(entry);
+                    disposeOrphan(entry, instance, rootScope);
+                    throw error;
+                },
+            );
+            pending.set(entry, promise);
+            return promise;
+        }
+
+        decoratedInstances.set(entry, instance);
+        return instance;
+    }
+
+    /**
+     * Activates (creates) an instance for a given type entry.
+     *
+     * Tracks the current activation path using a stack to detect and prevent circular dependencies.
+     *
+     * @param entry - The type entry to activate. Must contain a factory function and optional cached instance.
+     * @param scope - The current container scope, used to resolve dependencies during factory execution.
+     * @param args - Runtime arguments of the assisted factory.
+     * @param inits - Collects the async `onActivate` hook to await, if any.
+     *                The 'onActivated' middleware is left to the caller then.
+     *
+     * @return The created instance associated with the entry.
+     */
+    function activateInstance(entry, scope, args, inits) {
+        // Assisted factory resolves to a creator of instances with runtime arguments
+        if (entry.assisted && !args)
+            return (...args) => {
+                assertScopeNotDisposedToResolve.call(
+                    scope,
+                    entry.type,
+                    entry.name,
+                );
+                return activateInstance(currentEntry(entry), scope, args);
+            };
+
+        // Check for circular dependency by verifying if the entry is already being activated
+        if (listContains(activationStack, entry))
+            throw dependencyCycleError(
+                entry,
+                activationStack.concat(entry).map(getEntryId),
+                scope,
+            );
+
+        var depth = len(activationStack);
+        activationStack.push(entry);
+
+        var ctx = {
+            current: scope.id,
+            path: scope.path,
+            data: scope.data,
+            dispose: scope.dispose.bind(scope),
+            name: entry.name,
+            stack: activationStack,
+        };
+        try {
+            var instance = entry.injector
+                ? entry.factory(entry.injector(scope, ctx), ctx)
+                : args
+                  ? entry.factory(scope, ...args)
+                  : entry.factory(scope, ctx);
+
+            instance = decorateInstance(entry, instance, scope);
+            initInstance(entry, instance, scope, inits);
+
+            // Call 'OnActivated' middleware
+            if (hasActivatedHook && !(inits && len(inits)))
+                instance = blueprint.callMw(
+                    "onActivated",
+                    1,
+                    entry,
+                    instance,
+                    scope,
+                    activationStack.slice(),
+                );
+        } catch (error) {
+            instance = onActivationError(
+                error,
+                entry,
+                scope,
+                activationStack.slice(),
+            );
+        } finally {
+            // Unwind the activation stack, even if the activation failed
+            activationStack.length = depth;
+        }
+
+        return instance;
+    }
+
+    // Failed activations whose errors were passed to the 'onError' middleware,
+    // so the dependents that failed because of them don't report them again.
+    // Activations are marked by their stacks, since errors can be primitive values.
+    var reportedFailures = [];
+
+    /**
+     * Passes the activation error to the 'onError' middleware.
+     *
+     * @param error - The error thrown by the factory, a decorator or a middleware.
+     * @param entry - The entry that failed to activate.
+     * @param scope - The scope of the activation.
+     * @param stack - The activation stack, ending with the failed entry.
+     * @returns The fallback instance returned by the middleware.
+     * @throws The error, when no middleware returned a fallback instance.
+     */
+    function onActivationError(error, entry, scope, stack) {
+        if (!hasErrorHook) throw error;
+
+        // The error of the dependency is already reported,
+        // the mark is passed to the dependent that fails next
+        var depth = len(stack);
+        var index = reportedFailures.findIndex(
+            (failure) =>
+                failure.error === error &&
+                len(failure.stack) > depth &&
+                stack.every((it, i) => it === failure.stack[i]),
+        );
+        if (index >= 0) {
+            if (depth > 1) reportedFailures[index].stack = stack;
+            else reportedFailures.splice(index, 1);
+            throw error;
+        }
+
+        var fallback = blueprint.callMwUntil(
+            "onError",
+            error,
+            entry,
+            scope,
+            stack,
+        );
+        if (fallback !== undefined) return fallback;
+        if (depth > 1) reportedFailures.push({ error, stack });
+        throw error;
+    }
+
+    /**
+     * Activates an instance of the async factory binding.
+     *
+     * Concurrent activations of the same cached entry within a scope share
+     * a single in-flight promise. The activation chain is carried by the resolver
+     * passed to the factory, so dependency cycles are detected across `await` points.
+     *
+     * @param entry - The async factory entry to activate.
+     * @param scope - The scope that owns the instance.
+     * @param chain - The async activation chain that led to this activation.
+     * @param cacheable - Cache the instance in the scope locals.
+     *
+     * @return A promise of the created instance.
+     */
+    function activateInstanceAsync(entry, scope, chain, cacheable) {
+        var pending = scope[$pending];
+
+        if (listContains(chain, entry))
+            throw dependencyCycleError(
+                entry,
+                chain.concat(entry).map(getEntryId),
+                scope,
+            );
+
+        // Share the activation that is already in progress
+        if (cacheable && pending.has(entry)) return pending.get(entry);
+
+        chain = chain.concat(entry);
+        var resolver = readOnly(
+            Object.create(scope, { [$chain]: { value: chain } }),
+        );
+        var ctx = {
+            current: scope.id,
+            path: scope.path,
+            data: scope.data,
+            dispose: scope.dispose.bind(scope),
+            name: entry.name,
+            stack: chain,
+        };
+
+        var depth = len(activationStack);
+        activationStack.push(entry);
+        try {
+            var instance = entry.factory(resolver, ctx);
+        } catch (error) {
+            instance = Promise.reject(error);
+        } finally {
+            activationStack.length = depth;
+        }
+
+        var promise = Promise.resolve(instance)
+            .then((instance) => {
+                instance = decorateInstance(entry, instance, scope, chain);
+                // The async 'onActivate' hook is awaited before the instance is resolved
+                return Promise.resolve(
+                    entry.onActivate && entry.onActivate(instance, resolver),
+                ).then(
+                    () => instance,
+                    (error) => {
+                        disposeOrphan(entry, instance, scope);
+                        throw error;
+                    },
+                );
+            })
+            .then((instance) =>
+                blueprint.callMw(
+                    "onActivated",
+                    1,
+                    entry,
+                    instance,
+                    scope,
+                    chain,
+                ),
+            )
+            .catch((error) => onActivationError(error, entry, scope, chain))
+            .then(
+                (instance) => {
+                    if (cacheable) {
+                        pending.delete(entry);
+                        cacheActivatedInstance(scope, entry, instance);
+                    }
+                    return instance;
+                },
+                (error) => {
+                    pending.delete(entry);
+                    throw error;
+                },
+            );
+
+        if (cacheable) pending.set(entry, promise);
+        return promise;
+    }
+
+    /**
+     * Activates an instance of the sync binding by async resolution.
+     * The instance is resolved once the async `onActivate` hook is done, if any.
+     * Until then, concurrent async activations share the pending promise
+     * and sync resolution of the entry is rejected.
+     *
+     * @param entry - The entry to activate.
+     * @param scope - The scope that owns the instance.
+     * @param cacheable - Cache the instance in the scope locals.
+     *
+     * @return The created instance or a promise of it.
+     */
+    function activateInstanceAwaitingInit(entry, scope, cacheable) {
+        var pending = scope[$pending];
+        if (cacheable && pending.has(entry)) return pending.get(entry);
+
+        var stack = activationStack.concat(entry);
+        var inits = [];
+        var instance = activateInstance(entry, scope, undefined, inits);
+        if (!len(inits)) {
+            if (cacheable) cacheInstance(scope, entry, instance);
+            return instance;
+        }
+
+        var promise = Promise.resolve(inits[0])
+            .then(
+                () =>
+                    blueprint.callMw(
+                        "onActivated",
+                        1,
+                        entry,
+                        instance,
+                        scope,
+                        stack,
+                    ),
+                (error) => {
+                    disposeOrphan(entry, instance, scope);
+                    throw error;
+                },
+            )
+            .catch((error) => onActivationError(error, entry, scope, stack))
+            .then(
+                (instance) => {
+                    if (cacheable) {
+                        pending.delete(entry);
+                        cacheActivatedInstance(scope, entry, instance);
+                    }
+                    return instance;
+                },
+                (error) => {
+                    pending.delete(entry);
+                    throw error;
+                },
+            );
+
+        if (cacheable) pending.set(entry, promise);
+        return promise;
+    }
+
+    // Pools of the pooled bindings, created on the first acquisition
+    var pools = new Map();
+
+    /**
+     * Acquires an instance from the pool of the entry.
+     * The pool is filled with `min` instances when it's created.
+     * Instances are created in the root scope, since they outlive the scopes that acquire them.
+     *
+     * @param entry - The pooled entry.
+     * @param scope - The scope that acquires the instance.
+     *
+     * @throws {DIError} If the pool has `max` instances and none of them is idle.
+     */
+    function acquireInstance(entry, scope) {
+        var options = entry.pool || {};
+        var pool = pools.get(entry);
+        if (!pool) {
+            pools.set(entry, (pool = { idle: [], used: new Set() }));
+            while (len(pool.idle) < options.min)
+                pool.idle.push(activateInstance(entry, rootScope));
+        }
+
+        var instance = pool.idle.pop();
+        if (instance === undefined) {
+            if (pool.used.size >= options.max)
+                throw new DIError(
+                    ErrorPoolExhausted(entry.$id, options.max),
+                    "POOL_EXHAUSTED",
+                    {
+                        type: entry.type,
+                        name: entry.name,
+                        chain: activationStack.map(getEntryId),
+                        scopePath: scope.path,
+                    },
+                );
+            instance = activateInstance(entry, rootScope);
+        }
+        pool.used.add(instance);
+        return instance;
+    }
+
+    /**
+     * Returns the acquired instance to the pool of the entry, resetting it.
+     * Instances released after the container is disposed are disposed instead.
+     */
+    function releaseInstance(entry, instance) {
+        var pool = pools.get(entry);
+        if (!pool || !pool.used.delete(instance)) return;
+        if (isDisposed(rootScope)) return disposeInstance(instance, entry);
+        if (entry.pool && entry.pool.reset) entry.pool.reset(instance);
+        pool.idle.push(instance);
+    }
+
+    /**
+     * Releases the pooled instances acquired by the scope.
+     * Idle pooled instances are taken out of the pools when the root scope is disposed.
+     *
+     * @param scope - The scope being disposed.
+     * @param errors - List to collect release errors.
+     * @returns Idle pooled instances to dispose, with their entries.
+     */
+    function releaseScopeInstances(scope, errors) {
+        scope[$locals].forEach((instance, entry) => {
+            if (entry.lifecycle !== LC_POOLED) return;
+            try {
+                releaseInstance(entry, instance);
+            } catch (e) {
+                errors.push(disposeError(e, scope, entry));
+            }
+        });
+        var idle = [];
+        if (scope === rootScope)
+            pools.forEach((pool, entry) =>
+                pool.idle
+                    .splice(0)
+                    .forEach((instance) => idle.push([entry, instance])),
+            );
+        return idle;
+    }
+
+    /**
+     * Creates the request passed to the lifecycle strategy.
+     * Scopes that can own the instance are collected on demand.
+     *
+     * @param scope - The scope that requested the instance.
+     * @param entry - The requested entry.
+     */
+    function lifecycleRequest(scope, entry) {
+        var scopes;
+        return {
+            entry,
+            scope,
+            root: rootScope,
+            get scopes() {
+                if (!scopes) {
+                    scopes = [];
+                    var allowedScopes = entry.allowedScopes;
+                    for (var parent = scope; parent; parent = parent[$parent]) {
+                        if (
+                            !allowedScopes ||
+                            listContains(allowedScopes, parent.id)
+                        )
+                            scopes.push(parent);
+                        if (parent.isolated) break;
+                    }
+                }
+                return scopes;
+            },
+            has: (target) => target[$locals].has(entry),
+        };
+    }
+
+    /**
+     * Finds the owner scope of the `scope` lifecycle instance,
+     * the same way as its strategy does, but without the lifecycle request:
+     * the closest allowed scope that has the instance, otherwise the closest allowed scope.
+     */
+    function findScopeOwner(scope, entry) {
+        var allowedScopes = entry.allowedScopes;
+        var closest;
+        for (var parent = scope; parent; parent = parent[$parent]) {
+            if (!allowedScopes || listContains(allowedScopes, parent.id)) {
+                if (parent[$locals].has(entry)) return parent;
+                closest ||= parent;
+            }
+            if (parent.isolated) break;
+        }
+        return closest;
+    }
+
+    /**
+     * Returns the instance cached in the scope.
+     * The instance invalidated by the lifecycle is removed from the scope and disposed.
+     */
+    function getCachedInstance(scope, entry, lifecycle) {
+        var instance = localOf(scope, entry);
+        if (instance === undefined || !lifecycle.isValid) return instance;
+
+        var cachedAt = scope[$state].cachedAt;
+        if (
+            lifecycle.isValid(instance, {
+                entry,
+                scope,
+                cachedAt: cachedAt && cachedAt.get(entry),
+            })
+        )
+            return instance;
+
+        scope[$locals].delete(entry);
+        disposeInstance(instance, entry);
+        return undefined;
+    }
+
+    // Registry of the weakly held instances, created on the first caching
+    var collector;
+
+    /** Caches the instance in the scope, remembering the time for the lifecycle validation */
+    function cacheInstance(scope, entry, instance) {
+        if (entry.lifecycle === LC_WEAK && canBeHeldWeakly(instance)) {
+            var ref = new WeakRef(instance);
+            (collector ||= new FinalizationRegistry(onCollected)).register(
+                instance,
+                { scope, entry, ref },
+            );
+            scope[$locals].set(entry, ref);
+        } else scope[$locals].set(entry, instance);
+        if (blueprint.lcs.get(entry.lifecycle).isValid)
+            (scope[$state].cachedAt ||= new Map()).set(entry, Date.now());
+    }
+
+    /**
+     * Caches the instance of the async activation in the scope locals.
+     * The scope disposed while the activation was pending can't own the instance anymore,
+     * so the instance is disposed and its resolution is rejected.
+     *
+     * @throws {ScopeDisposedError} If the scope is disposed.
+     */
+    function cacheActivatedInstance(scope, entry, instance) {
+        if (isDisposed(scope)) disposeOrphan(entry, instance, scope);
+        assertScopeNotDisposedToResolve.call(scope, entry.type, entry.name);
+        cacheInstance(scope, entry, instance);
+    }
+
+    /**
+     * Returns the instance cached in the scope locals.
+     * Weakly held instances are dereferenced, `undefined` if they were collected.
+     */
+    function localOf(scope, entry) {
+        var instance = scope[$locals].get(entry);
+        return entry.lifecycle === LC_WEAK && instOf(WeakRef, instance)
+            ? instance.deref()
+            : instance;
+    }
+
+    /**
+     * Forgets the weakly held instance collected by the garbage collector
+     * and notifies the middlewares, unless the scope was disposed.
+     */
+    function onCollected(held) {
+        var scope = held.scope;
+        if (isDisposed(scope)) return;
+        if (scope[$locals].get(held.entry) === held.ref)
+            scope[$locals].delete(held.entry);
+        blueprint.callMw("onCollected", -1, held.entry, scope);
+    }
+
+    function getInstance(scope, entry, noThrow, noActivate, chain) {
+        var instance;
+        var topEntry = lastOf(activationStack) || (chain && lastOf(chain));
+
+        // Check for internal module type.
+        // Singletons can be created
+        if (entry.module && entry.internal) {
+            if (!topEntry || topEntry.module !== entry.module) {
+                if (noThrow) return undefined;
+                var internalChain = activationStack.map(getEntryId);
+                throw new AccessViolationError(
+                    ErrorResolveInternalType(
+                        entry.module.id,
+                        entry.$id,
+                        internalChain,
+                    ),
+                    "INTERNAL_TYPE_ACCESS",
+                    {
+                        type: entry.type,
+                        name: entry.name,
+                        chain: internalChain,
+                        scopePath: scope.path,
+                    },
+                );
+            }
+        }
+
+        // Remember the dependency of the entry being activated
+        // (decorator frames are attributed to the decorated entry)
+        if (topEntry && topEntry !== entry) {
+            addDependency(topEntry.target || topEntry, entry);
+            // Phantoms resolve the instance later
+            if (!noActivate)
+                checkCaptiveDependency(
+                    topEntry.target || topEntry,
+                    entry,
+                    scope,
+                    chain,
+                );
+        }
+
+        var depth = len(resolutionStack);
+        resolutionStack.push(entry);
+
+        try {
+            // Return the directly bound instance, if any (from bindInstance)
+            if ("instance" in entry)
+                instance = getBoundInstance(entry, !!chain);
+            else {
+                // Lifecycle selects the scope that caches the instance
+                var lifecycle = blueprint.lcs.get(entry.lifecycle);
+                var owner =
+                    lifecycle.owner === rootOwner
+                        ? rootScope
+                        : lifecycle.owner === scopeOwner
+                          ? findScopeOwner(scope, entry)
+                          : lifecycle.owner === noOwner
+                            ? undefined
+                            : lifecycle.owner(lifecycleRequest(scope, entry));
+
+                if (
+                    !owner &&
+                    entry.allowedScopes &&
+                    !len(lifecycleRequest(scope, entry).scopes)
+                ) {
+                    resolutionStack.pop();
+                    if (noThrow) return undefined;
+                    throw new AccessViolationError(
+                        ErrorScopeViolation(scope.id, entry.$id),
+                        "SCOPE_VIOLATION",
+                        {
+                            type: entry.type,
+                            name: entry.name,
+                            chain: activationStack.map(getEntryId),
+                            scopePath: scope.path,
+                        },
+                    );
+                }
+
+                if (owner) {
+                    // Redirect activation request to the owner scope
+                    scope = owner;
+                    instance = getCachedInstance(scope, entry, lifecycle);
+
+                    // Share the instance of the parent container, if any
+                    if (instance === undefined && scope === rootScope)
+                        instance = borrowInstance(entry);
+                }
+            }
+
+            if (instance === undefined && !noActivate) {
+                if (entry.provided) {
+                    // Provided types are never activated by the container
+                    resolutionStack.pop();
+                    if (noThrow) return undefined;
+                    throw new BindingNotFoundError(
+                        ErrorTypeNotProvided(entry.$id, scope.path),
+                        "TYPE_NOT_PROVIDED",
+                        {
+                            type: entry.type,
+                            name: entry.name,
+                            chain: activationStack.map(getEntryId),
+                            scopePath: scope.path,
+                        },
+                    );
+                }
+
+                if (entry.withScope)
+                    scope = scope.scope(entry.$id, entry.withScope);
+
+                // Async bindings and pending activations can be resolved only by async resolution
+                if (!chain && (entry.async || scope[$pending].has(entry)))
+                    throw asyncNotResolvedError(entry, scope);
+
+                if (entry.async)
+                    instance = activateInstanceAsync(
+                        entry,
+                        scope,
+                        chain,
+                        !!owner,
+                    );
+                else if (
+                    chain &&
+                    entry.onActivate &&
+                    entry.lifecycle !== LC_POOLED
+                )
+                    // Async resolution awaits the async 'onActivate' hook
+                    instance = activateInstanceAwaitingInit(
+                        entry,
+                        scope,
+                        !!owner,
+                    );
+                else {
+                    instance =
+                        entry.lifecycle === LC_POOLED
+                            ? acquireInstance(entry, scope)
+                            : activateInstance(entry, scope);
+
+                    // Cache the instance in the owner scope locals, if any
+                    if (owner) cacheInstance(scope, entry, instance);
+                }
+            }
+        } catch (error) {
+            // Unwind the resolution stack, even if the resolution failed
+            resolutionStack.length = depth;
+            throw error;
+        }
+
+        var resolvedEntry = resolutionStack.pop();
+        if (!hasResolveHook)
+            return chain ? Promise.resolve(instance) : instance;
+        if (chain) {
+            var stack = resolutionStack.slice();
+            return Promise.resolve(instance).then((instance) =>
+                blueprint.callMw(
+                    "onResolve",
+                    1,
+                    resolvedEntry,
+                    instance,
+                    scope,
+                    stack,
+                ),
+            );
+        }
+
+        return blueprint.callMw(
+            "onResolve",
+            1,
+            resolvedEntry,
+            instance,
+            scope,
+            resolutionStack,
+        );
+    }
+
+    function onRequestMiddleware(scope, entry, type, name) {
+        if (!hasRequestHook) return entry;
+        return (
+            blueprint.callMw(
+                "onRequest",
+                0,
+                entry,
+                scope,
+                type,
+                name,
+                resolutionStack.slice(),
+            ) || entry
+        );
+    }
+
+    function assertScopeNotDisposedToResolve(type, name) {
+        if (isDisposed(this))
+            throw new ScopeDisposedError(
+                ErrorInstanceAccessAfterDispose(
+                    makeEntryId(type, name),
+                    this.id,
+                    this.path,
+                ),
+                "SCOPE_DISPOSED",
+                { type, name, scopePath: this.path },
+            );
+    }
+
+    /**
+     * Creates an error of the missing binding requested from the scope.
+     *
+     * @param scope - The scope the type was requested from.
+     * @param type - The requested type.
+     * @param name - Optional binding name.
+     */
+    function bindingNotFoundError(scope, type, name) {
+        return new BindingNotFoundError(
+            ErrorTypeBindingNotFound(type, name),
+            "BINDING_NOT_FOUND",
+            {
+                type,
+                name,
+                chain: activationStack.map(getEntryId),
+                scopePath: scope.path,
+            },
+        );
+    }
+
+    /**
+     * Runs the sync resolution on behalf of the async activation chain of the resolver.
+     * The async factory resolver loses the activation stack after an `await`,
+     * so the chain restores the requester: internal types of its module are accessible,
+     * the dependencies are recorded and checked for captivity.
+     *
+     * @param scope - The scope or the resolver of the async activation.
+     * @param resolve - The sync resolution.
+     */
+    function onBehalfOfChain(scope, resolve) {
+        var chain = scope[$chain];
+        if (!chain || len(activationStack)) return resolve();
+        activationStack.push(...chain);
+        try {
+            return resolve();
+        } finally {
+            activationStack.length = 0;
+        }
+    }
+
+    /**
+     * Resolves an instance of the type from the scope.
+     *
+     * @param scope - The scope to resolve from.
+     * @param type - The requested type.
+     * @param name - Optional binding name.
+     * @param optional - Don't throw when binding is missing.
+     * @param chain - Async activation chain. Enables async resolution when defined.
+     */
+    function resolveType(scope, type, name, optional, chain) {
+        assertScopeNotDisposedToResolve.call(scope, type, name);
+        var plan = planOf(type, name);
+        if (plan && plan.resolve && !chain) return plan.resolve(scope);
+
+        var entry =
+            plan && !plan.contextual
+                ? plan.entry
+                : selectEntry(scope, type, name, chain);
+        if (!entry) {
+            if (optional) return undefined;
+            throw bindingNotFoundError(scope, type, name);
+        }
+
+        entry = onRequestMiddleware(scope, entry, type, name);
+        return getInstance(scope, entry, optional, false, chain);
+    }
+
+    function resolveAllTypes(scope, type, name, chain) {
+        assertScopeNotDisposedToResolve.call(scope, type, name);
+        return requestedEntries(scope, type, name, chain)
+            .map((entry) => onRequestMiddleware(scope, entry, type, name))
+            .map((entry) => getInstance(scope, entry, true, false, chain));
+    }
+
+    /**
+     * Finds the entries of the binding available for the request:
+     * default entries and contextual entries whose `when` condition is met.
+     *
+     * @param scope - The scope to resolve from.
+     * @param type - The requested type.
+     * @param name - Optional binding name.
+     * @param chain - Async activation chain, if any.
+     */
+    function requestedEntries(scope, type, name, chain) {
+        var request = conditionRequest(scope, chain);
+        return blueprint
+            .findEs(type, name)
+            .filter((entry) => !entry.when || entry.when(request));
+    }
+
+    /** Creates the request passed to the `when` conditions of contextual bindings */
+    function conditionRequest(scope, chain) {
+        var requester = lastOf(activationStack) || (chain && lastOf(chain));
+        return {
+            requester: requester && (requester.target || requester),
+            current: scope.id,
+            path: scope.path,
+            data: scope.data,
+        };
+    }
+
+    /**
+     * Resolves the instances of all bindings whose meta matches the predicate, across types and names.
+     * Like `getAll`, contextual entries are filtered by their conditions.
+     * Bindings that are not accessible from the scope (internal, allowed scopes) are skipped.
+     *
+     * @param scope - The scope to resolve from.
+     * @param label - Label of the request for the disposed scope error.
+     * @param predicate - Predicate of the binding meta.
+     * @param chain - Async activation chain, if any.
+     * @returns List of the binding refs with the meta and the instance (or its promise).
+     */
+    function resolveByMeta(scope, label, predicate, chain) {
+        assertScopeNotDisposedToResolve.call(scope, label);
+        var request = conditionRequest(scope, chain);
+        var visited = new Set();
+        var results = [];
+        blueprint.forEach((entry) => {
+            // Aliases refer to the same entries
+            if (visited.has(entry)) return false;
+            visited.add(entry);
+            if (!entry.meta || !predicate(entry.meta, entry)) return false;
+            if (entry.when && !entry.when(request)) return false;
+
+            var requested = onRequestMiddleware(
+                scope,
+                entry,
+                entry.type,
+                entry.name,
+            );
+            var instance = getInstance(scope, requested, true, false, chain);
+            if (instance !== undefined)
+                results.push({
+                    type: entry.type,
+                    name: entry.name,
+                    meta: entry.meta,
+                    instance,
+                });
+            return false;
+        });
+        return results;
+    }
+
+    /** Awaits the instances of the async resolution by meta */
+    var awaitInstances = (results) =>
+        Promise.all(
+            results.map((result) =>
+                result.instance.then((instance) =>
+                    readOnly({ ...result, instance }),
+                ),
+            ),
+        );
+
+    /** Checks that the binding meta has the tag */
+    var hasTag = (tag) => (meta) => !!meta[tag];
+
+    /**
+     * Collects the named bindings of the type into a frozen map by name,
+     * including the names introduced by aliases.
+     *
+     * @param scope - The scope to resolve from.
+     * @param type - The requested type.
+     * @param valueOf - Returns the value of the named binding, `undefined` to skip the name.
+     */
+    function resolveMap(scope, type, valueOf) {
+        assertScopeNotDisposedToResolve.call(scope, type);
+        var result = {};
+        blueprint.namesOf(type).forEach((name) => {
+            var value = valueOf(name);
+            if (value !== undefined) result[name] = value;
+        });
+        return readOnly(result);
+    }
+
+    /**
+     * Selects the entry of the binding for the request.
+     * A contextual entry whose `when` condition is met takes precedence over the default entry.
+     */
+    function selectEntry(scope, type, name, chain) {
+        var plan = planOf(type, name);
+        if (!plan || !plan.contextual) return plan && plan.entry;
+
+        var entries = requestedEntries(scope, type, name, chain);
+        return entries.find((entry) => entry.when) || entries[0];
+    }
+
+    function makeProviderFunc(scope, entry) {
+        var providerFuncName = "get" + entry.$id;
+        return {
             // Deanonymize the function by giving it a specific name
             [providerFuncName]: function () {
-                entry = onRequestMiddleware(
+                var current = currentEntry(entry);
+                var resolve = resolvers.get(current);
+                if (resolve) return resolve(scope);
+
+                var requested = onRequestMiddleware(
                     scope,
-                    entry,
+                    current,
                     entry.type,
                     entry.name,
                 );
-                return getInstance.call(scope, scope, entry);
-            },
-        }[providerFuncName];
+                return getInstance.call(scope, scope, requested);
+            },
+        }[providerFuncName];
+    }
+
+    /** Returns the provider of the entry, created once per scope */
+    function providerFuncOf(scope, entry) {
+        var providers = (scope[$state].providers ||= new Map());
+        var provider = providers.get(entry);
+        if (!provider) {
+            provider = makeProviderFunc(scope, entry);
+            providers.set(entry, provider);
+        }
+        return provider;
+    }
+
+    /**
+     * Wraps the error thrown during the scope disposal.
+     *
+     * @param cause - The original error.
+     * @param scope - The scope that was disposed.
+     * @param entry - The entry of the instance that failed to dispose, if any.
+     * @returns Error with the binding `$id` and the scope path.
+     */
+    function disposeError(cause, scope, entry) {
+        return new DisposeError(
+            ErrorDisposeFailed(entry && entry.$id, scope.path),
+            "DISPOSE_FAILED",
+            entry
+                ? {
+                      $id: entry.$id,
+                      type: entry.type,
+                      name: entry.name,
+                      scopePath: scope.path,
+                      cause,
+                  }
+                : { scopePath: scope.path, cause },
+        );
+    }
+
+    /**
+     * Throws the disposal errors as a single `AggregateError`,
+     * or reports it to the `onDisposeError` middleware hook.
+     *
+     * @param scope - The disposed scope.
+     * @param errors - List of collected disposal errors.
+     */
+    function reportDisposeErrors(scope, errors) {
+        if (!len(errors)) return;
+        var error = new AggregateError(
+            errors,
+            ErrorScopeDisposeFailed(scope.id, len(errors)),
+        );
+        if (!blueprint.hasHook("onDisposeError")) throw error;
+        blueprint.callMw("onDisposeError", -1, error, scope);
+    }
+
+    /**
+     * Disposes the scope.
+     * Child scopes are disposed first, then the scope local instances.
+     * Pending async activations are not awaited, they dispose their instances when resolved.
+     * Errors don't interrupt the disposal and are collected into the given list.
+     *
+     * @param scope - The scope to dispose.
+     * @param errors - List to collect disposal errors.
+     */
+    function disposeScope(scope, errors) {
+        if (isDisposed(scope)) return;
+
+        // Dispose children
+        scope[$scopes].forEach((childScope) =>
+            disposeScope(childScope, errors),
+        );
+        scope[$scopes].clear();
+
+        try {
+            blueprint.callMw("onScopeDispose", -1, scope);
+        } catch (e) {
+            errors.push(disposeError(e, scope));
+        }
+        scope[$state].disposed = true;
+        var parent = scope[$parent];
+        if (parent && parent[$scopes].get(scope.id) === scope) {
+            parent[$scopes].delete(scope.id);
+        }
+
+        // Dispose local instances
+        var locals = scope[$locals];
+        disposalOrderOf(scope).forEach((entry) => {
+            try {
+                disposeInstance(localOf(scope, entry), entry);
+            } catch (e) {
+                errors.push(disposeError(e, scope, entry));
+            }
+        });
+        releaseScopeInstances(scope, errors).forEach(([entry, instance]) => {
+            try {
+                disposeInstance(instance, entry);
+            } catch (e) {
+                errors.push(disposeError(e, scope, entry));
+            }
+        });
+        locals.clear();
+    }
+
+    /**
+     * Waits for the pending async activations of the scope, including the ones they started.
+     * Failed activations are rejected to their callers, so the errors are ignored here.
+     *
+     * @param scope - The scope being disposed.
+     */
+    function settlePending(scope) {
+        var pending = Array.from(scope[$pending].values());
+        if (!len(pending)) return Promise.resolve();
+        return Promise.all(
+            pending.map((activation) => activation.catch(() => undefined)),
+        ).then(() => settlePending(scope));
+    }
+
+    /**
+     * Disposes the scope asynchronously.
+     * Pending async activations are awaited first, so their instances are disposed with the scope.
+     * Then child scopes are disposed, then the scope local instances one by one.
+     * Errors don't interrupt the disposal and are collected into the given list.
+     *
+     * @param scope - The scope to dispose.
+     * @param errors - List to collect disposal errors.
+     * @returns Promise that resolves when the scope is disposed.
+     */
+    function disposeScopeAsync(scope, errors) {
+        var state = scope[$state];
+        if (state.disposed) return Promise.resolve();
+        if (state.disposing) return state.disposing;
+
+        var collectError = (entry) => (error) => {
+            errors.push(disposeError(error, scope, entry));
+        };
+
+        return (state.disposing = settlePending(scope)
+            .then(() =>
+                sequence(Array.from(scope[$scopes].values()), (childScope) =>
+                    disposeScopeAsync(childScope, errors),
+                ),
+            )
+            .then(() => {
+                scope[$scopes].clear();
+                blueprint.callMw("onScopeDispose", -1, scope);
+                return blueprint.callMwAsync("onScopeDisposeAsync", scope);
+            })
+            .catch(collectError())
+            .then(() => {
+                state.disposed = true;
+                var parent = scope[$parent];
+                if (parent && parent[$scopes].get(scope.id) === scope) {
+                    parent[$scopes].delete(scope.id);
+                }
+
+                // Dispose local instances
+                return sequence(disposalOrderOf(scope), (entry) =>
+                    disposeInstanceAsync(localOf(scope, entry), entry).catch(
+                        collectError(entry),
+                    ),
+                );
+            })
+            .then(() =>
+                sequence(
+                    releaseScopeInstances(scope, errors),
+                    ([entry, instance]) =>
+                        disposeInstanceAsync(instance, entry).catch(
+                            collectError(entry),
+                        ),
+                ),
+            )
+            .then(() => scope[$locals].clear()));
+    }
+
+    // Entries replaced by `rebind`, mapped to their replacements
+    var rebounds = new Map();
+
+    // Instances invalidated by `rebind`, phantoms holding them resolve the new ones
+    var invalidated = new WeakSet();
+
+    /** Returns the latest replacement of the rebound entry, or the entry itself */
+    var currentEntry = (entry) => {
+        while (rebounds.has(entry)) entry = rebounds.get(entry);
+        return entry;
+    };
+
+    /**
+     * Collects the entry and the entries that depend on it, directly or transitively,
+     * according to the dependencies recorded during activation.
+     *
+     * @param entry - The entry to start from.
+     */
+    function dependentsOf(entry) {
+        var affected = new Set([entry]);
+        var size;
+        do {
+            size = affected.size;
+            dependencies.forEach((entryDeps, dependent) => {
+                // Bound instances are decorated once and are not activated again
+                if ("instance" in dependent) return;
+                for (var dep of entryDeps)
+                    if (affected.has(dep)) affected.add(dependent);
+            });
+        } while (affected.size !== size);
+        return affected;
+    }
+
+    /**
+     * Removes the cached instances of the affected entries from the scope and its child scopes,
+     * and disposes them in the disposal order.
+     *
+     * @param scope - The scope to invalidate.
+     * @param affected - Set of the affected entries.
+     * @param errors - List to collect disposal errors.
+     */
+    function invalidateScope(scope, affected, errors) {
+        scope[$scopes].forEach((childScope) =>
+            invalidateScope(childScope, affected, errors),
+        );
+
+        var locals = scope[$locals];
+        var pooled = Array.from(locals.keys()).filter(
+            (entry) => entry.lifecycle === LC_POOLED,
+        );
+        disposalOrderOf(scope)
+            .concat(pooled)
+            .filter((entry) => affected.has(entry))
+            .forEach((entry) => {
+                var instance = localOf(scope, entry);
+                locals.delete(entry);
+                if (canBeHeldWeakly(instance)) invalidated.add(instance);
+                if (pools.has(entry)) pools.get(entry).used.delete(instance);
+                try {
+                    disposeInstance(instance, entry);
+                } catch (e) {
+                    errors.push(disposeError(e, scope, entry));
+                }
+            });
+    }
+
+    /**
+     * Replaces the factory of the binding in the built container.
+     * Cached instances of the binding and its dependents are disposed in every scope,
+     * eager instances are activated again.
+     *
+     * @param scope - The scope on which the rebind was requested.
+     * @param entry - The entry to replace.
+     * @param factory - The new factory of the entry.
+     */
+    function rebindEntry(scope, entry, factory) {
+        var newEntry = { ...entry, factory };
+        // Safe factory becomes a plain factory
+        delete newEntry.injector;
+        readOnly(newEntry);
+
+        var affected = dependentsOf(entry);
+        var errors = [];
+        invalidateScope(rootScope, affected, errors);
+        affected.forEach((it) => {
+            dependencies.delete(it);
+            var pool = pools.get(it);
+            if (!pool) return;
+            pools.delete(it);
+            pool.idle.forEach((instance) => {
+                try {
+                    disposeInstance(instance, it);
+                } catch (e) {
+                    errors.push(disposeError(e, rootScope, it));
+                }
+            });
+        });
+
+        blueprint.replaceE(entry, newEntry);
+        rebounds.set(entry, newEntry);
+        compilePlans();
+        affected.delete(entry);
+        affected.add(newEntry);
+
+        // Activate eager instances again (e.g. singletons)
+        blueprint.forEach((typeEntry) => {
+            if (
+                affected.has(typeEntry) &&
+                !typeEntry.async &&
+                blueprint.lcs.get(typeEntry.lifecycle).eager &&
+                !rootScope[$locals].has(typeEntry)
+            )
+                cacheInstance(
+                    rootScope,
+                    typeEntry,
+                    activateInstance(typeEntry, rootScope),
+                );
+        });
+
+        reportDisposeErrors(scope, errors);
+    }
+
+    /**
+     * Describes the binding entry as a serializable object.
+     * Dependencies are collected from the static declarations only.
+     */
+    function inspectEntry(entry) {
+        var inject = new Set();
+        collectStaticDeps(entry, (type, name, _, method) => {
+            if (!isMapMethod(method)) inject.add(makeEntryId(type, name));
+            else
+                blueprint
+                    .namesOf(type)
+                    .forEach((name) => inject.add(makeEntryId(type, name)));
+        });
+        return {
+            $id: entry.$id,
+            type: entry.type,
+            name: entry.name,
+            kind:
+                "instance" in entry
+                    ? "instance"
+                    : entry.injector
+                      ? "safeFactory"
+                      : entry.async
+                        ? "asyncFactory"
+                        : entry.assisted
+                          ? "assistedFactory"
+                          : entry.provided
+                            ? "provided"
+                            : "factory",
+            lifecycle: entry.lifecycle,
+            module: entry.module && entry.module.id,
+            internal: !!entry.internal,
+            allowedScopes: entry.allowedScopes && entry.allowedScopes.slice(),
+            meta: entry.meta ? Object.keys(entry.meta) : [],
+            inject: Array.from(inject),
+        };
+    }
+
+    /** Describes the scope and its child scopes tree */
+    function inspectScope(scope) {
+        return {
+            id: scope.id,
+            path: scope.path.slice(),
+            disposed: isDisposed(scope),
+            activated: Array.from(scope[$locals].keys(), getEntryId),
+            children: Array.from(scope[$scopes].values(), inspectScope),
+        };
+    }
+
+    function inspectContainer(scope) {
+        var bindings = [];
+        var aliases = new Map();
+        // Compiled aliases refer to the entries of their origin types
+        blueprint.forEach((entry, $id) => {
+            if (entry.$id === $id) bindings.push(inspectEntry(entry));
+            else if (aliases.has($id)) aliases.get($id).push(entry.$id);
+            else aliases.set($id, [entry.$id]);
+        });
+        return {
+            bindings,
+            aliases: Array.from(aliases, ([$id, origin]) => ({
+                $id,
+                ...splitEntryId($id),
+                origin,
+            })),
+            scope: inspectScope(scope),
+        };
     }
 
     var scopePrototype = {
@@ -694,48 +2734,118 @@ function createRootContainerScope(blueprint, rootData) {
         },
 
         get(type, name) {
-            assertScopeNotDisposedToResolve.call(this, type, name);
-            var entry = blueprint.findE(type, name);
-            if (!entry) throw new Error(ErrorTypeBindingNotFound(type, name));
-
-            entry = onRequestMiddleware(this, entry, type, name);
-            return getInstance(this, entry);
+            return onBehalfOfChain(this, () => resolveType(this, type, name));
         },
 
         maybe(type, name) {
-            assertScopeNotDisposedToResolve.call(this, type, name);
-            var entry = blueprint.findE(type, name);
-            if (!entry) return undefined;
-
-            entry = onRequestMiddleware(this, entry, type, name);
-            return getInstance(this, entry, true);
+            return onBehalfOfChain(this, () =>
+                resolveType(this, type, name, true),
+            );
         },
 
         getAll(type, name) {
-            assertScopeNotDisposedToResolve.call(this, type, name);
-            return blueprint
-                .findEs(type, name)
-                .map((entry) => onRequestMiddleware(this, entry, type, name))
-                .map((entry) => getInstance(this, entry, true));
+            return onBehalfOfChain(this, () =>
+                resolveAllTypes(this, type, name),
+            );
+        },
+
+        getAsync(type, name) {
+            return toPromise(() =>
+                resolveType(this, type, name, false, this[$chain] || []),
+            );
+        },
+
+        maybeAsync(type, name) {
+            return toPromise(() =>
+                resolveType(this, type, name, true, this[$chain] || []),
+            );
+        },
+
+        getAllAsync(type, name) {
+            return toPromise(() =>
+                Promise.all(
+                    resolveAllTypes(this, type, name, this[$chain] || []),
+                ),
+            );
+        },
+
+        getAllByMeta(predicate) {
+            return onBehalfOfChain(this, () =>
+                resolveByMeta(this, "[meta]", predicate).map(readOnly),
+            );
+        },
+
+        getTagged(tag) {
+            return onBehalfOfChain(this, () =>
+                resolveByMeta(this, "#" + tag, hasTag(tag)).map(readOnly),
+            );
+        },
+
+        getAllByMetaAsync(predicate) {
+            return toPromise(() =>
+                awaitInstances(
+                    resolveByMeta(
+                        this,
+                        "[meta]",
+                        predicate,
+                        this[$chain] || [],
+                    ),
+                ),
+            );
+        },
+
+        getTaggedAsync(tag) {
+            return toPromise(() =>
+                awaitInstances(
+                    resolveByMeta(
+                        this,
+                        "#" + tag,
+                        hasTag(tag),
+                        this[$chain] || [],
+                    ),
+                ),
+            );
+        },
+
+        getMap(type) {
+            return onBehalfOfChain(this, () =>
+                resolveMap(this, type, (name) =>
+                    resolveType(this, type, name, true),
+                ),
+            );
+        },
+
+        providerMap(type) {
+            return resolveMap(this, type, (name) => {
+                var entry = selectEntry(this, type, name);
+                return entry && providerFuncOf(this, entry);
+            });
         },
 
         providerOf(type, name) {
             assertScopeNotDisposedToResolve.call(this, type, name);
-            var entry = blueprint.findE(type, name);
-            if (entry) return makeProviderFunc(this, entry);
-            throw new Error(ErrorTypeBindingNotFound(type, name));
+            var entry = selectEntry(this, type, name);
+            if (entry) return providerFuncOf(this, entry);
+            throw bindingNotFoundError(this, type, name);
         },
 
         phantomOf(type, name) {
             assertScopeNotDisposedToResolve.call(this, type, name);
-            var entry = blueprint.findE(type, name);
+            var entry = selectEntry(this, type, name);
+            // With hot rebinding, the cached instance can be replaced by `rebind`,
+            // so the phantom is returned even for the activated instance
             if (entry)
                 return (
-                    getInstance(this, entry, true, true) ||
-                    phantomProxy(makeProviderFunc(this, entry))
+                    (!hotRebind &&
+                        onBehalfOfChain(this, () =>
+                            getInstance(this, entry, true, true),
+                        )) ||
+                    phantomProxy(providerFuncOf(this, entry), (instance) =>
+                        invalidated.has(instance),
+                    )
                 );
 
-            throw new Error(ErrorTypeBindingNotFound(type, name));
+            throw bindingNotFoundError(this, type, name);
         },
 
         hasChildScope(id) {
@@ -744,8 +2854,10 @@ function createRootContainerScope(blueprint, rootData) {
 
         scope(id, options) {
             if (isDisposed(this))
-                throw new Error(
+                throw new ScopeDisposedError(
                     ErrorChildScopeCreationAfterDispose(id, this.id, this.path),
+                    "SCOPE_DISPOSED",
+                    { scopePath: this.path },
                 );
 
             // Walk up the scope hierarchy to find a scope with the matching ID.
@@ -754,7 +2866,12 @@ function createRootContainerScope(blueprint, rootData) {
                 if (scope.id === id) return scope;
 
             // Disallow creating child scopes from sealed scope
-            if (this.sealed) throw new Error(ErrorSealedScope(this.id, id));
+            if (this.sealed)
+                throw new AccessViolationError(
+                    ErrorSealedScope(this.id, id),
+                    "SEALED_SCOPE",
+                    { scopePath: this.path },
+                );
 
             var scopesMap = this[$scopes];
 
@@ -764,7 +2881,7 @@ function createRootContainerScope(blueprint, rootData) {
             scope = readOnly(
                 Object.setPrototypeOf(
                     createScopeObject(id, this, options),
-                    Object.getPrototypeOf(this),
+                    scopePrototype,
                 ),
             );
 
@@ -774,76 +2891,240 @@ function createRootContainerScope(blueprint, rootData) {
         },
 
         dispose() {
-            if (isDisposed(this)) return;
+            var errors = [];
+            disposeScope(this, errors);
+            reportDisposeErrors(this, errors);
+        },
 
-            // Dispose children
-            this[$scopes].forEach((scope) => scope.dispose());
-            this[$scopes].clear();
+        disposeAsync() {
+            var errors = [];
+            return disposeScopeAsync(this, errors).then(() =>
+                reportDisposeErrors(this, errors),
+            );
+        },
 
-            blueprint.callMw("onScopeDispose", -1, this);
-            this[$state].disposed = true;
-            var parent = this[$parent];
-            if (parent && parent[$scopes].get(this.id) === this) {
-                parent[$scopes].delete(this.id);
-            }
+        provide(type, instance, options = {}) {
+            var name = options.name;
+            var $id = makeEntryId(type, name);
+            if (isDisposed(this))
+                throw new ScopeDisposedError(
+                    ErrorInstanceAccessAfterDispose($id, this.id, this.path),
+                    "SCOPE_DISPOSED",
+                    { type, name, scopePath: this.path },
+                );
+            if (instance === undefined)
+                throw new InvalidBindingError(
+                    ErrorUndefinedInstance($id),
+                    "UNDEFINED_INSTANCE",
+                    { type, name, scopePath: this.path },
+                );
+
+            var entry = selectEntry(this, type, name);
+            if (!entry) throw bindingNotFoundError(this, type, name);
+            if (entry.lifecycle !== "scope")
+                throw new InvalidBindingError(
+                    ErrorNotProvidableBinding(
+                        entry.$id,
+                        entry.lifecycle || "instance",
+                    ),
+                    "NOT_PROVIDABLE_BINDING",
+                    { type, name, scopePath: this.path },
+                );
+
+            var locals = this[$locals];
+            if (locals.has(entry))
+                throw new BindingConflictError(
+                    ErrorAlreadyProvided(entry.$id, this.path),
+                    "BINDING_CONFLICT",
+                    { type, name, scopePath: this.path },
+                );
 
-            // Dispose local instances
-            this[$locals].forEach((inst) => {
-                if (hasSymbolDispose && isFunc(inst[Symbol.dispose]))
-                    inst[Symbol.dispose]();
-                else if (isFunc(inst.dispose)) inst.dispose();
+            locals.set(entry, instance);
+            (this[$state].provided ||= new Set()).add(entry);
+            return this;
+        },
+
+        poolOf(type, name) {
+            assertScopeNotDisposedToResolve.call(this, type, name);
+            var entry = selectEntry(this, type, name);
+            if (!entry) throw bindingNotFoundError(this, type, name);
+            if (entry.lifecycle !== LC_POOLED)
+                throw new InvalidBindingError(
+                    ErrorNotPooledBinding(entry.$id),
+                    "NOT_POOLED_BINDING",
+                    { type, name, scopePath: this.path },
+                );
+            return readOnly({
+                acquire: () => {
+                    assertScopeNotDisposedToResolve.call(this, type, name);
+                    return acquireInstance(entry, this);
+                },
+                release: (instance) => releaseInstance(entry, instance),
             });
-            this[$locals].clear();
         },
+
+        create(type, ...args) {
+            var entry = selectEntry(this, type);
+            if (entry && !entry.assisted)
+                throw new InvalidBindingError(
+                    ErrorNotAssistedBinding(entry.$id),
+                    "NOT_ASSISTED_BINDING",
+                    { type, scopePath: this.path },
+                );
+            return onBehalfOfChain(this, () =>
+                resolveType(this, type)(...args),
+            );
+        },
+
+        inspect() {
+            return inspectContainer(this);
+        },
+    };
+
+    // Internals shared with derived containers
+    scopePrototype[$internals] = {
+        blueprint,
+        captivePolicy,
+        hotRebind,
+        defaultLifecycle,
+        cached: (entry) => localOf(rootScope, entry),
+        depsOf: (entry) => dependencies.get(entry),
     };
 
     // istanbul ignore next
     if (hasSymbolDispose)
         scopePrototype[Symbol.dispose] = scopePrototype.dispose;
 
-    var rootScope = readOnly(
-        Object.setPrototypeOf(
-            createScopeObject("", undefined, { data: rootData }),
-            // Preventing illegal mutations of the scope prototype
-            readOnly(scopePrototype),
-        ),
+    // istanbul ignore next
+    if (hasSymbolAsyncDispose)
+        scopePrototype[Symbol.asyncDispose] = scopePrototype.disposeAsync;
+
+    // Preventing illegal mutations of the scope prototype
+    readOnly(scopePrototype);
+
+    var rootScope = Object.setPrototypeOf(
+        createScopeObject("", undefined, { data: rootData }),
+        scopePrototype,
     );
 
+    // Hot rebinding is a dev-only opt-in of the root scope
+    if (hotRebind)
+        rootScope.rebind = function rebind(type, factory, options = {}) {
+            var name = options.name;
+            assertScopeNotDisposedToResolve.call(this, type, name);
+            var entry = blueprint
+                .findEs(type, name)
+                .find((entry) => !entry.when);
+            if (!entry) throw bindingNotFoundError(this, type, name);
+            if ("instance" in entry || entry.provided)
+                throw new InvalidBindingError(
+                    ErrorNotRebindableBinding(entry.$id),
+                    "NOT_REBINDABLE_BINDING",
+                    { type, name, scopePath: this.path },
+                );
+            rebindEntry(this, entry, factory);
+            return this;
+        };
+
+    // Derived containers layer the bindings over the whole container
+    rootScope.extend = function extend(delegate) {
+        if (isDisposed(rootScope))
+            throw new ScopeDisposedError(
+                ErrorExtendDisposedContainer(),
+                "SCOPE_DISPOSED",
+            );
+
+        var builder = createBuilder(
+            { ifConflict: "replace", data: rootData },
+            rootScope,
+        );
+        delegate(builder);
+        return builder.build();
+    };
+    readOnly(rootScope);
+
     // Singletons activation
     blueprint.forEach((typeEntry) => {
-        if (
-            // Instance is not defined
-            typeEntry.instance === undefined &&
+        if ("instance" in typeEntry) {
+            // Bound instances are decorated when the container is built
+            var instance = getBoundInstance(typeEntry, !!asyncActivations);
+            var own = (instance) => {
+                // Bound instances opted in for disposal are owned by the root scope
+                if (typeEntry.dispose && !rootScope[$locals].has(typeEntry))
+                    rootScope[$locals].set(typeEntry, instance);
+            };
+            if (rootScope[$pending].has(typeEntry))
+                asyncActivations.push(instance.then(own));
+            else own(instance);
+        } else if (
             // Has factory function
             typeEntry.factory &&
-            // It is singleton binding
-            typeEntry.lifecycle === LC_SINGLETON &&
+            // Lifecycle activates instances eagerly (e.g. singleton binding)
+            blueprint.lcs.get(typeEntry.lifecycle).eager &&
             // Not activated yet
-            !rootScope[$locals].has(typeEntry)
+            !rootScope[$locals].has(typeEntry) &&
+            // Not shared with the parent container
+            borrowInstance(typeEntry) === undefined
         ) {
-            rootScope[$locals].set(
-                typeEntry,
-                activateInstance(typeEntry, rootScope),
-            );
+            if (!typeEntry.async && asyncActivations) {
+                // Async build awaits the async 'onActivate' hooks
+                instance = activateInstanceAwaitingInit(
+                    typeEntry,
+                    rootScope,
+                    true,
+                );
+                if (rootScope[$pending].has(typeEntry))
+                    asyncActivations.push(instance);
+            } else if (!typeEntry.async)
+                cacheInstance(
+                    rootScope,
+                    typeEntry,
+                    activateInstance(typeEntry, rootScope),
+                );
+            else if (asyncActivations)
+                asyncActivations.push(
+                    activateInstanceAsync(typeEntry, rootScope, [], true),
+                );
         }
     });
 
     return rootScope;
 }
 
-export function diBuilder(builderOptions = {}) {
+/**
+ * Creates a container builder.
+ *
+ * @param builderOptions - Builder settings.
+ * @param parent - Root scope of the container to derive from, if any.
+ *                 The builder starts with a fork of the parent blueprint.
+ */
+function createBuilder(builderOptions = {}, parent) {
     var {
-        /** The default lifecycle to use when a binding does not explicitly define one. */
-        lifecycle: defaultLifecycle = LC_SINGLETON,
         /** The default conflict resolution strategy to use for bindings. */
         ifConflict: defaultConflictResolve = "throw",
         data,
     } = builderOptions;
 
-    var blueprint = createContainerBlueprint();
+    var parentInternals = parent && parent[$internals];
+    /** The default lifecycle of the bindings, derived containers inherit it by default. */
+    var defaultLifecycle =
+        builderOptions.lifecycle ||
+        (parentInternals ? parentInternals.defaultLifecycle : LC_SINGLETON);
+    /** Reaction to captive dependencies, derived containers inherit it by default. */
+    var captivePolicy =
+        builderOptions.captiveDependencies ||
+        (parentInternals ? parentInternals.captivePolicy : "ignore");
+    /** Hot rebinding opt-in, derived containers inherit it by default. */
+    var hotRebind =
+        builderOptions.hotRebind ||
+        (!!parentInternals && parentInternals.hotRebind);
+    var blueprint = parentInternals
+        ? parentInternals.blueprint.fork()
+        : createContainerBlueprint();
 
     var hasSomeSafeFactory = false;
     var requiredTypes = new Set();
+    var providedTypes = new Set();
     var externalInjections = [];
     var moduleStack = [];
 
@@ -858,14 +3139,18 @@ export function diBuilder(builderOptions = {}) {
      * @param id The unique type identifier to check for existing bindings.
      * @param strategy The strategy to use if a binding already exists.
      * @param lifecycle (Optional) factory binding lifecycle
+     * @param contextual (Optional) The binding is a contextual variant (has the `when` condition)
      * @returns `true` if the binding should be skipped; `false` if it can proceed.
      *
-     * @throws {ErrorBindingConflict} If a binding conflict exists and the strategy is `"throw"` or undefined.
+     * @throws {BindingConflictError} If a binding conflict exists and the strategy is `"throw"` or undefined.
      * @internal
      */
-    function verifyBinding(id, strategy, lifecycle) {
+    function verifyBinding(id, strategy, lifecycle, contextual) {
+        // Contextual variants never conflict with other bindings of the type
+        if (contextual) return false;
+
         var isAlias = false;
-        var existEntry = blueprint.findE(id);
+        var existEntry = blueprint.findEs(id).find((it) => !it.when);
         if (!existEntry) {
             existEntry = blueprint.findAlias(id);
             isAlias = true;
@@ -875,7 +3160,11 @@ export function diBuilder(builderOptions = {}) {
             strategy ||= defaultConflictResolve;
             if (strategy === "keep") return true;
             if (!strategy || strategy === "throw")
-                throw new Error(ErrorBindingConflict(id));
+                throw new BindingConflictError(
+                    ErrorBindingConflict(id),
+                    "BINDING_CONFLICT",
+                    splitEntryId(id),
+                );
 
             // Check lifecycle consistency
             // Only applies when appending to an existing binding
@@ -887,12 +3176,14 @@ export function diBuilder(builderOptions = {}) {
                 existEntry.lifecycle &&
                 existEntry.lifecycle !== lifecycle
             ) {
-                throw new Error(
+                throw new BindingConflictError(
                     ErrorMixedLifecycleBindings(
                         id,
                         existEntry.lifecycle,
                         lifecycle,
                     ),
+                    "LIFECYCLE_CONFLICT",
+                    splitEntryId(id),
                 );
             }
         }
@@ -900,7 +3191,10 @@ export function diBuilder(builderOptions = {}) {
     }
 
     function requireType(type, name) {
-        requiredTypes.add(makeEntryId(type, name));
+        var options = isObj(name) ? name : { name };
+        var $id = makeEntryId(type, options.name);
+        if (options.provided) providedTypes.add($id);
+        else requiredTypes.add($id);
         return this;
     }
 
@@ -908,8 +3202,13 @@ export function diBuilder(builderOptions = {}) {
         var { name, ifConflict, ...entryOptions } = options;
         var $id = makeEntryId(type, name);
         if (instance === undefined)
-            throw TypeError(ErrorUndefinedInstance($id));
-        if (verifyBinding($id, ifConflict)) return this;
+            throw new InvalidBindingError(
+                ErrorUndefinedInstance($id),
+                "UNDEFINED_INSTANCE",
+                { type, name },
+            );
+        if (verifyBinding($id, ifConflict, undefined, entryOptions.when))
+            return this;
 
         blueprint.addTypeEntry(
             this,
@@ -935,8 +3234,12 @@ export function diBuilder(builderOptions = {}) {
             ...entryOptions
         } = options;
         var $id = makeEntryId(type, name);
-        if (verifyBinding($id, ifConflict, lifecycle)) return this;
-        if (factory.inject) factory.inject.forEach((it) => requireType(it));
+        if (verifyBinding($id, ifConflict, lifecycle, entryOptions.when))
+            return this;
+        if (factory.inject)
+            forEachInjectRef(factory.inject, (type, name, required) => {
+                if (required) requireType(type, name);
+            });
 
         blueprint.addTypeEntry(
             this,
@@ -955,6 +3258,21 @@ export function diBuilder(builderOptions = {}) {
         return this;
     }
 
+    function bindAsyncFactory(type, factory, options) {
+        return bindFactory.call(this, type, factory, {
+            ...options,
+            async: true,
+        });
+    }
+
+    function bindAssistedFactory(type, factory, options) {
+        return bindFactory.call(this, type, factory, {
+            ...options,
+            lifecycle: "transient",
+            assisted: true,
+        });
+    }
+
     function bindSafeFactory(type, injector, factory, options = {}) {
         var {
             name,
@@ -963,7 +3281,8 @@ export function diBuilder(builderOptions = {}) {
             ...entryOptions
         } = options;
         var $id = makeEntryId(type, name);
-        if (verifyBinding($id, ifConflict, lifecycle)) return this;
+        if (verifyBinding($id, ifConflict, lifecycle, entryOptions.when))
+            return this;
 
         blueprint.addTypeEntry(
             this,
@@ -1012,6 +3331,19 @@ export function diBuilder(builderOptions = {}) {
         return this;
     }
 
+    function decorate(type, decorator, options = {}) {
+        var { name, order = 0 } = options;
+        blueprint.addDecor({
+            $id: makeEntryId(type, name),
+            type,
+            name,
+            decorator,
+            order,
+            module: lastOf(moduleStack),
+        });
+        return this;
+    }
+
     function use(middleware) {
         if (!blueprint.hasMw(middleware)) {
             blueprint.addMw(middleware);
@@ -1033,64 +3365,248 @@ export function diBuilder(builderOptions = {}) {
         return this;
     }
 
-    var markAsRequired = (type, name) => (requireType(type, name), {});
-    function requireTypesFromSafeFactories() {
+    function forEachSafeFactoryDep(delegate) {
         if (!hasSomeSafeFactory) return;
 
-        var dryRunScope = {
-            get: markAsRequired,
-            providerOf: markAsRequired,
-            phantomOf: markAsRequired,
-            maybe: () => undefined,
-            getAll: () => [],
-        };
-
+        // We only care about which types are accessed via `get(...)`.
         blueprint.forEach((entry) => {
             if (isFunc(entry.injector))
-                try {
-                    // Dry-run call to collect required types from safe factories.
-                    // We only care about which types are accessed via `get(...)`.
-                    // Any errors are ignored, as actual resolution is not performed here.
-                    entry.injector(dryRunScope);
-                } catch {
-                    // Intentionally ignored — we're only interested in tracking type accesses.
-                }
+                collectStaticDeps(entry, (type, name, required) => {
+                    if (required) delegate(type, name);
+                });
         });
     }
 
+    function requireTypesFromSafeFactories() {
+        forEachSafeFactoryDep(requireType);
+    }
+
+    function getRequiredTypes() {
+        var ids = new Set(requiredTypes);
+        forEachSafeFactoryDep((type, name) => ids.add(makeEntryId(type, name)));
+        return Array.from(ids, splitEntryId);
+    }
+
+    function getDependencies(entry) {
+        var dependencies = [];
+        collectStaticDeps(entry, (type, name, required, method) =>
+            dependencies.push({ type, name, required, method }),
+        );
+        return dependencies;
+    }
+
+    /**
+     * Walks the dependency graph of the bindings statically, without running any factory:
+     * `inject` lists of the factories and the types accessed by safe factory injectors.
+     * Collects dependency cycles and access violations.
+     *
+     * @param errors - List to collect validation errors.
+     */
+    function validateGraph(errors) {
+        var states = new Map();
+        var stack = [];
+        var visit = (entry) => {
+            var state = states.get(entry);
+            if (state === 2) return;
+            if (state === 1) {
+                var chain = stack
+                    .slice(stack.indexOf(entry))
+                    .concat(entry)
+                    .map(getEntryId);
+                errors.push(
+                    new DependencyCycleError(
+                        ErrorDependenciesCycle(entry.$id, chain),
+                        "DEPENDENCY_CYCLE",
+                        { type: entry.type, name: entry.name, chain },
+                    ),
+                );
+                return;
+            }
+
+            states.set(entry, 1);
+            stack.push(entry);
+            collectStaticDeps(entry, (type, name, required, method) => {
+                // Missing dependencies are reported as missing required types
+                blueprint.findDeps(type, name, method).forEach((dep) => {
+                    validateAccess(entry, dep, errors);
+                    // Providers, phantoms and assisted factories resolve dependencies later
+                    if (
+                        !entry.assisted &&
+                        method !== "providerOf" &&
+                        method !== "phantomOf" &&
+                        method !== "providerMap"
+                    )
+                        visit(dep);
+                });
+            });
+            stack.pop();
+            states.set(entry, 2);
+        };
+        blueprint.forEach(visit);
+    }
+
+    /**
+     * Checks that the dependency is accessible by the dependent entry:
+     * internal types are accessible only inside their modules,
+     * types with allowed scopes aren't accessible by the instances owned by the root scope.
+     */
+    function validateAccess(entry, dep, errors) {
+        var chain = [entry.$id, dep.$id];
+        var details = { type: dep.type, name: dep.name, chain };
+        if (dep.module && dep.internal && dep.module !== entry.module)
+            errors.push(
+                new AccessViolationError(
+                    ErrorResolveInternalType(dep.module.id, dep.$id, chain),
+                    "INTERNAL_TYPE_ACCESS",
+                    details,
+                ),
+            );
+        if (dep.allowedScopes && listContains(ROOT_LIFECYCLES, entry.lifecycle))
+            errors.push(
+                new AccessViolationError(
+                    ErrorRootScopeViolation(
+                        dep.$id,
+                        entry.$id,
+                        entry.lifecycle,
+                    ),
+                    "SCOPE_VIOLATION",
+                    details,
+                ),
+            );
+    }
+
+    function defineLifecycle(name, strategy) {
+        if (blueprint.lcs.has(name))
+            throw new BindingConflictError(
+                ErrorLifecycleDefined(name),
+                "LIFECYCLE_DEFINED",
+            );
+        blueprint.lcs.set(name, readOnly({ ...strategy }));
+        return this;
+    }
+
     function injectInto(delegate) {
         externalInjections.push(delegate);
         return this;
     }
 
-    function build() {
-        blueprint.callMw("onPreBuild", -1, this);
+    function createContainer(builder, asyncActivations, options = {}) {
+        var strict = options.validate === "strict";
+        blueprint.callMw("onPreBuild", -1, builder);
+
+        // Bind types provided at scope time, unless bound by the builder
+        for (var $providedId of providedTypes)
+            if (!blueprint.has($providedId))
+                blueprint.addTypeEntry(builder, $providedId, {
+                    ...splitEntryId($providedId),
+                    $id: $providedId,
+                    lifecycle: "scope",
+                    provided: true,
+                    module: undefined,
+                });
+
+        // Verify lifecycles of the bindings
+        blueprint.forEach((entry) => {
+            if (entry.lifecycle && !blueprint.lcs.has(entry.lifecycle))
+                throw new InvalidBindingError(
+                    ErrorUnknownLifecycle(entry.$id, entry.lifecycle),
+                    "UNKNOWN_LIFECYCLE",
+                    entry,
+                );
+            if (entry.async && entry.lifecycle === LC_POOLED)
+                throw new InvalidBindingError(
+                    ErrorAsyncPooledBinding(entry.$id),
+                    "ASYNC_POOLED_BINDING",
+                    entry,
+                );
+        });
 
         // Compile aliases
-        blueprint.cAlias(this);
+        blueprint.cAlias(builder);
+
+        // Attach decorators to the decorated entries
+        blueprint.cDecor();
 
         // Collect required types from safe factories
         requireTypesFromSafeFactories();
 
         // Required types verification
+        var errors = [];
         for (var $id of requiredTypes)
-            if (!blueprint.has($id))
-                throw new Error(ErrorMissingRequiredType($id));
+            if (!blueprint.has($id)) {
+                var error = new BindingNotFoundError(
+                    ErrorMissingRequiredType($id),
+                    "MISSING_REQUIRED_TYPE",
+                    splitEntryId($id),
+                );
+                if (!strict) throw error;
+                errors.push(error);
+            }
+
+        // Strict validation reports all errors of the graph at once
+        if (strict) {
+            validateGraph(errors);
+            if (len(errors)) {
+                var failure = new AggregateError(
+                    errors,
+                    ErrorValidationFailed(len(errors)),
+                );
+                failure.code = "VALIDATION_FAILED";
+                throw failure;
+            }
+        }
+
+        return createRootContainerScope(
+            blueprint,
+            data,
+            asyncActivations,
+            parentInternals,
+            captivePolicy,
+            hotRebind,
+            defaultLifecycle,
+        );
+    }
 
-        var container = createRootContainerScope(blueprint, data);
+    function completeContainer(container) {
         externalInjections.forEach((delegate) => delegate(container));
         blueprint.callMw("onPostBuild", -1, container);
         blueprint = null; // Dispose builder
         return container;
     }
 
+    function build(options) {
+        return completeContainer(createContainer(this, undefined, options));
+    }
+
+    function buildAsync(options) {
+        var asyncActivations = [];
+        return toPromise(() => {
+            try {
+                var container = createContainer(
+                    this,
+                    asyncActivations,
+                    options,
+                );
+            } catch (error) {
+                // Activations started before the failure are never awaited
+                asyncActivations.forEach((activation) =>
+                    activation.catch(() => undefined),
+                );
+                throw error;
+            }
+            return Promise.all(asyncActivations).then(() =>
+                completeContainer(container),
+            );
+        });
+    }
+
     var findAlias = (predicate) => {
         var alias;
         blueprint.forEachAlias(
             (originId, aliasId) =>
-            (alias =
-                predicate(splitEntryId(aliasId), splitEntryId(originId)) &&
-                aliasId),
+                (alias =
+                    predicate(splitEntryId(aliasId), splitEntryId(originId)) &&
+                    aliasId),
         );
         return alias ? splitEntryId(alias) : undefined;
     };
@@ -1106,19 +3622,31 @@ export function diBuilder(builderOptions = {}) {
         findAll: blueprint.findAll,
         getAliasOrigin: blueprint.getAO,
         findAlias,
+        getModules: () => Array.from(blueprint.modules),
+        getRequiredTypes,
+        getDependencies,
         requireType,
+        defineLifecycle,
         injectInto,
         bindInstance,
         bindFactory,
         bindSafeFactory,
+        bindAsyncFactory,
+        bindAssistedFactory,
         bindAlias,
+        decorate,
         when,
         include,
         use,
         build,
+        buildAsync,
     };
 }
 
+export function diBuilder(builderOptions) {
+    return createBuilder(builderOptions);
+}
+
 export function staticModule(id) {
     return {
         create: (delegate) =>
@@ -1141,7 +3669,8 @@ export function staticModule(id) {
     };
 }
 
-var mapInject = (r, i) => i.map((t) => r.get(t));
+var mapInject = (r, i) =>
+    i.map((t) => (isObj(t) ? r[t.method](t.type, t.name) : r.get(t)));
 export function factoryOf(Class, inject) {
     var isFactory = isArray(inject);
 
@@ -1158,3 +3687,14 @@ export function factoryOf(Class, inject) {
     if (hasDeps) factory.inject = inject;
     return factory;
 }
+
+var injectToken = (method, required) => (type, name) =>
+    readOnly({ type, name, method, required });
+
+export var named = injectToken("get", true);
+export var optional = injectToken("maybe", false);
+export var all = injectToken("getAll", false);
+export var provider = injectToken("providerOf", true);
+export var phantom = injectToken("phantomOf", true);
+export var map = injectToken("getMap", false);
+export var providerMap = injectToken("providerMap", false);
@@ -1,5 +1,24 @@
 import { vi, describe, test, expect } from "vitest";
-import { diBuilder, staticModule, factoryOf } from "./index";
+import {
+    diBuilder,
+    staticModule,
+    factoryOf,
+    named,
+    optional,
+    all,
+    provider,
+    phantom,
+    map,
+    providerMap,
+    DIError,
+    BindingConflictError,
+    BindingNotFoundError,
+    DependencyCycleError,
+    AccessViolationError,
+    ScopeDisposedError,
+    DisposeError,
+    InvalidBindingError,
+} from "./index";
 
 /**
  * Executes a procedure and captures any thrown Error instance.
@@ -26,7 +45,7 @@ function catchError(procedure) {
     return undefined;
 }
 
-function noop() { }
+function noop() {}
 
 // @ts-nocheck
 describe("Container Builder", () => {
@@ -490,6 +509,106 @@ describe("Container Builder", () => {
                 expect(result.name).toBeUndefined();
             });
         });
+
+        describe("getDependencies", () => {
+            test("WHEN: get dependencies of factories", () => {
+                // Arrange -------
+                var builder = diBuilder()
+                    .bindFactory(
+                        "service",
+                        factoryOf(() => ({}), ["db", optional("cache")]),
+                    )
+                    .bindSafeFactory(
+                        "api",
+                        (r) => ({
+                            routes: r.getTagged("httpRoute"),
+                            users: r.get("users"),
+                            plugins: r.getMap("plugin"),
+                        }),
+                        Object,
+                    )
+                    .bindInstance("db", 42);
+
+                // Act -----------
+                var service = builder.getDependencies(
+                    builder.findEntry("service"),
+                );
+                var api = builder.getDependencies(builder.findEntry("api"));
+                var db = builder.getDependencies(builder.findEntry("db"));
+
+                // Assert --------
+                expect(service).toEqual([
+                    {
+                        type: "db",
+                        name: undefined,
+                        required: true,
+                        method: "get",
+                    },
+                    {
+                        type: "cache",
+                        name: undefined,
+                        required: false,
+                        method: "maybe",
+                    },
+                ]);
+                expect(api).toEqual([
+                    {
+                        type: "users",
+                        name: undefined,
+                        required: true,
+                        method: "get",
+                    },
+                    {
+                        type: "plugin",
+                        name: undefined,
+                        required: false,
+                        method: "getMap",
+                    },
+                ]);
+                expect(db).toEqual([]);
+            });
+
+            test("WHEN: get dependencies of injector with create and async methods", () => {
+                // Arrange -------
+                var builder = diBuilder().bindSafeFactory(
+                    "report",
+                    (r) => ({
+                        pdf: r.create("pdf", "A4"),
+                        db: r.getAsync("db"),
+                        cache: r.maybeAsync("cache", "redis"),
+                        plugins: r.getAllAsync("plugin"),
+                        logger: r.get("logger"),
+                    }),
+                    Object,
+                );
+
+                // Act -----------
+                var report = builder.getDependencies(
+                    builder.findEntry("report"),
+                );
+
+                // Assert --------
+                expect(
+                    report.map((it) => [
+                        it.type,
+                        it.name,
+                        it.required,
+                        it.method,
+                    ]),
+                ).toEqual([
+                    ["pdf", undefined, true, "create"],
+                    ["db", undefined, true, "getAsync"],
+                    ["cache", "redis", false, "maybeAsync"],
+                    ["plugin", undefined, false, "getAllAsync"],
+                    ["logger", undefined, true, "get"],
+                ]);
+                expect(builder.getRequiredTypes()).toEqual([
+                    { type: "pdf", name: undefined },
+                    { type: "db", name: undefined },
+                    { type: "logger", name: undefined },
+                ]);
+            });
+        });
     });
 
     describe("Binding", () => {
@@ -873,7 +992,7 @@ describe("Container Builder", () => {
                 test("WHEN: class without static inject field", () => {
                     // Arrange -------
                     var classKey = "MyService";
-                    class MyService { }
+                    class MyService {}
 
                     var builder = diBuilder();
 
@@ -1011,6 +1130,120 @@ describe("Container Builder", () => {
                     expect(error).toBeInstanceOf(Error);
                     expect(factory).not.toHaveBeenCalled();
                 });
+
+                test("WHEN: inject with modifier tokens", () => {
+                    // Arrange ------
+                    var factory = vi.fn(() => ({}));
+                    var container = diBuilder()
+                        .bindFactory(
+                            "service",
+                            factoryOf(factory, [
+                                named("logger", "file"),
+                                optional("cache"),
+                                optional("config"),
+                                all("plugin"),
+                                provider("db"),
+                                phantom("bus"),
+                            ]),
+                            { lifecycle: "lazy" },
+                        )
+                        .bindInstance("logger", "console")
+                        .bindInstance("logger", "file", { name: "file" })
+                        .bindInstance("config", { debug: true })
+                        .bindInstance("plugin", "a", { ifConflict: "append" })
+                        .bindInstance("plugin", "b", { ifConflict: "append" })
+                        .bindFactory("db", () => ({ db: true }))
+                        .bindFactory("bus", () => ({ bus: true }), {
+                            lifecycle: "lazy",
+                        })
+                        .build();
+
+                    // Act ----------
+                    container.get("service");
+                    var [logger, cache, config, plugins, dbProvider, bus] =
+                        factory.mock.calls[0];
+
+                    // Assert -------
+                    expect(logger).toBe("file");
+                    expect(cache).toBeUndefined();
+                    expect(config).toEqual({ debug: true });
+                    expect(plugins).toEqual(["a", "b"]);
+                    expect(dbProvider()).toEqual({ db: true });
+                    expect(bus.bus).toBe(true);
+                });
+
+                test("WHEN: class inject with modifier tokens", () => {
+                    // Arrange ------
+                    class Service {
+                        static inject = [
+                            "db",
+                            optional("cache"),
+                            all("plugin"),
+                        ];
+                        constructor(db, cache, plugins) {
+                            this.db = db;
+                            this.cache = cache;
+                            this.plugins = plugins;
+                        }
+                    }
+                    var container = diBuilder()
+                        .bindFactory("service", factoryOf(Service))
+                        .bindInstance("db", 42)
+                        .build();
+
+                    // Act ----------
+                    var service = container.get("service");
+
+                    // Assert -------
+                    expect(service).toBeInstanceOf(Service);
+                    expect(service.db).toBe(42);
+                    expect(service.cache).toBeUndefined();
+                    expect(service.plugins).toEqual([]);
+                });
+
+                test("WHEN: only non-optional tokens are required", () => {
+                    // Arrange ------
+                    var factory = factoryOf(
+                        () => ({}),
+                        [
+                            optional("cache"),
+                            all("plugin"),
+                            named("logger", "file"),
+                            provider("db"),
+                            phantom("bus"),
+                        ],
+                    );
+                    var builder = diBuilder().bindFactory("service", factory);
+
+                    // Act ----------
+                    var required = builder.getRequiredTypes();
+                    var error = catchError(() => builder.build());
+
+                    // Assert -------
+                    expect(required).toEqual([
+                        { type: "logger", name: "file" },
+                        { type: "db", name: undefined },
+                        { type: "bus", name: undefined },
+                    ]);
+                    expect(error).toBeInstanceOf(BindingNotFoundError);
+                    expect(error.code).toBe("MISSING_REQUIRED_TYPE");
+                    expect(error.type).toBe("logger");
+                    expect(error.bindingName).toBe("file");
+                });
+
+                test("WHEN: create modifier token", () => {
+                    // Act ----------
+                    var token = optional("cache", "redis");
+
+                    // Assert -------
+                    expect(token).toEqual({
+                        type: "cache",
+                        name: "redis",
+                        method: "maybe",
+                        required: false,
+                    });
+                    expect(Object.isFrozen(token)).is.true;
+                });
             });
 
             describe("Conflict", () => {
@@ -1772,6 +2005,46 @@ describe("Container Builder", () => {
                 },
             );
         });
+
+        describe("Contextual", () => {
+            test("WHEN: Bind contextual variants of the type", () => {
+                // Arrange ----------
+                var when = () => true;
+                var builder = diBuilder()
+                    .bindInstance("logger", 1, { when })
+                    .bindFactory("logger", noop)
+                    .bindSafeFactory("logger", noop, noop, { when });
+
+                // Act --------------
+                var error = catchError(() =>
+                    builder.bindFactory("logger", noop, { when }),
+                );
+                var conflictError = catchError(() =>
+                    builder.bindInstance("logger", 2),
+                );
+
+                // Assert -----------
+                expect(error).toBeUndefined();
+                expect(conflictError).instanceOf(BindingConflictError);
+                expect(builder.findAllEntries("logger")).toHaveLength(4);
+            });
+
+            test("WHEN: Replace default binding with contextual variants", () => {
+                // Arrange ----------
+                var when = () => true;
+                var builder = diBuilder()
+                    .bindInstance("logger", 1)
+                    .bindInstance("logger", 2, { when });
+
+                // Act --------------
+                builder.bindInstance("logger", 3, { ifConflict: "replace" });
+
+                // Assert -----------
+                expect(
+                    builder.findAllEntries("logger").map((it) => it.instance),
+                ).toEqual([2, 3]);
+            });
+        });
     });
 
     describe("Modules", () => {
@@ -1869,6 +2142,22 @@ describe("Container Builder", () => {
             expect(typeA.module).toBe(moduleA);
             expect(typeB.module).toBe(moduleB);
         });
+
+        test("WHEN: Get list of included modules", () => {
+            // Arrange ------
+            var moduleA = staticModule("A").create(() => {});
+            var moduleB = staticModule("B").create(() => {});
+            var moduleC = staticModule("C").compose(moduleA, moduleB);
+
+            var builder = diBuilder().include(moduleC).include(moduleA);
+
+            // Act ----------
+            var modules = builder.getModules();
+
+            // Assert -------
+            // Composed modules are listed before the composition
+            expect(modules).toEqual([moduleA, moduleB, moduleC]);
+        });
     });
 
     describe("Middleware", () => {
@@ -2468,6 +2757,39 @@ describe("Container Builder", () => {
                 expect(error).instanceOf(Error);
             });
 
+            test("WHEN provided type required but not bound", () => {
+                // Arrange --------
+                var builder = diBuilder()
+                    .requireType("user", { provided: true })
+                    .requireType("locale", { name: "ui", provided: true })
+                    .requireType("session", { provided: true })
+                    .bindFactory("session", () => ({}), { lifecycle: "scope" });
+
+                // Act ------------
+                var container = builder.build();
+
+                // Assert ---------
+                expect(container.inspect().bindings).toEqual([
+                    expect.objectContaining({
+                        $id: "session",
+                        kind: "factory",
+                    }),
+                    expect.objectContaining({
+                        $id: "user",
+                        type: "user",
+                        name: undefined,
+                        kind: "provided",
+                        lifecycle: "scope",
+                    }),
+                    expect.objectContaining({
+                        $id: "locale$ui",
+                        type: "locale",
+                        name: "ui",
+                        kind: "provided",
+                    }),
+                ]);
+            });
+
             test("WHEN required type bound", () => {
                 // Arrange --------
                 var typeKey = "typeKey";
@@ -2517,6 +2839,41 @@ describe("Container Builder", () => {
                 // Assert --------
                 expect(entry).toBeDefined();
             });
+
+            test("WHEN: Get list of required types", () => {
+                // Arrange -------
+                var builder = diBuilder()
+                    .requireType("a")
+                    .requireType("b", "named")
+                    .bindFactory("c", factoryOf(Object, ["a", "d"]))
+                    .bindSafeFactory(
+                        "e",
+                        (r) => ({ f: r.get("f", "x"), g: r.maybe("g") }),
+                        Object,
+                    );
+
+                // Act -----------
+                var types = builder.getRequiredTypes();
+
+                // Assert --------
+                expect(types).toEqual([
+                    { type: "a", name: undefined },
+                    { type: "b", name: "named" },
+                    { type: "d", name: undefined },
+                    { type: "f", name: "x" },
+                ]);
+            });
+
+            test("WHEN: Get list of required types of builder without requirements", () => {
+                // Arrange -------
+                var builder = diBuilder().bindInstance("a", 42);
+
+                // Act -----------
+                var types = builder.getRequiredTypes();
+
+                // Assert --------
+                expect(types).toEqual([]);
+            });
         });
 
         describe("Safe factories check", () => {
@@ -2669,6 +3026,177 @@ describe("Container Builder", () => {
                 expect(external.bar).toBe(expectedStrValue);
             });
         });
+        describe("Async build", () => {
+            test("WHEN: Build container with async singletons", async () => {
+                // Arrange -------
+                var onPostBuild = vi.fn();
+                var factory = vi.fn(async () => ({ value: 42 }));
+                var builder = diBuilder()
+                    .use({ onPostBuild })
+                    .bindAsyncFactory("typeKey", factory);
+
+                // Act -----------
+                var container = await builder.buildAsync();
+
+                // Assert --------
+                expect(factory).toHaveBeenCalledOnce();
+                expect(container.get("typeKey").value).toBe(42);
+                expect(onPostBuild).toHaveBeenCalledExactlyOnceWith(container);
+            });
+
+            test("WHEN: Sync build skips async singletons activation", async () => {
+                // Arrange -------
+                var factory = vi.fn(async () => ({ value: 42 }));
+                var builder = diBuilder().bindAsyncFactory("typeKey", factory);
+
+                // Act -----------
+                var container = builder.build();
+
+                // Assert --------
+                expect(factory).not.toHaveBeenCalled();
+                expect((await container.getAsync("typeKey")).value).toBe(42);
+            });
+
+            test("WHEN: Async singleton activation fails", async () => {
+                // Arrange -------
+                var expectedError = new Error("boom");
+                var onPostBuild = vi.fn();
+                var builder = diBuilder()
+                    .use({ onPostBuild })
+                    .bindAsyncFactory("typeKey", () =>
+                        Promise.reject(expectedError),
+                    );
+
+                // Act -----------
+                var error = await builder.buildAsync().catch((e) => e);
+
+                // Assert --------
+                expect(error).toBe(expectedError);
+                expect(onPostBuild).not.toHaveBeenCalled();
+            });
+
+            test("WHEN: Async build fails on missing required type", async () => {
+                // Arrange -------
+                var builder = diBuilder().requireType("typeKey");
+
+                // Act -----------
+                var error = await builder.buildAsync().catch((e) => e);
+
+                // Assert --------
+                expect(error).instanceOf(Error);
+                expect(error.message).toContain("typeKey");
+            });
+        });
+
+        describe("Strict validation", () => {
+            test("WHEN: Build valid container with strict validation", () => {
+                // Arrange -------
+                var factory = vi.fn(() => ({}));
+                var builder = diBuilder()
+                    .bindFactory("db", factory, { lifecycle: "lazy" })
+                    .bindFactory("users", factoryOf(factory, ["db"]), {
+                        lifecycle: "scope",
+                    })
+                    .bindFactory(
+                        "tree",
+                        factoryOf(factory, [
+                            provider("tree"),
+                            optional("cache"),
+                        ]),
+                        { lifecycle: "transient" },
+                    );
+
+                // Act -----------
+                var container = builder.build({ validate: "strict" });
+
+                // Assert --------
+                expect(container.isDisposed).is.false;
+                expect(factory).not.toHaveBeenCalled();
+            });
+
+            test("WHEN: Graph has missing bindings and cycles", () => {
+                // Arrange -------
+                var factory = vi.fn(() => ({}));
+                var builder = diBuilder()
+                    .bindFactory("users", factoryOf(factory, ["db", "cache"]))
+                    .bindSafeFactory(
+                        "orders",
+                        (r) => ({ logger: r.get("logger") }),
+                        factory,
+                    )
+                    .bindFactory("a", factoryOf(factory, ["b"]), {
+                        lifecycle: "lazy",
+                    })
+                    .bindFactory("b", factoryOf(factory, ["a"]), {
+                        lifecycle: "lazy",
+                    })
+                    .bindFactory("self", factoryOf(factory, ["self"]), {
+                        lifecycle: "transient",
+                    });
+
+                // Act -----------
+                var error = catchError(() =>
+                    builder.build({ validate: "strict" }),
+                );
+
+                // Assert --------
+                expect(error).instanceOf(AggregateError);
+                expect(error.code).toBe("VALIDATION_FAILED");
+                expect(error.message).toContain("5 error(s)");
+                expect(
+                    error.errors.map((it) => [it.code, it.type, it.chain]),
+                ).toEqual([
+                    ["MISSING_REQUIRED_TYPE", "db", []],
+                    ["MISSING_REQUIRED_TYPE", "cache", []],
+                    ["MISSING_REQUIRED_TYPE", "logger", []],
+                    ["DEPENDENCY_CYCLE", "a", ["a", "b", "a"]],
+                    ["DEPENDENCY_CYCLE", "self", ["self", "self"]],
+                ]);
+                expect(factory).not.toHaveBeenCalled();
+            });
+
+            test("WHEN: Graph has access violations", async () => {
+                // Arrange -------
+                var Db = staticModule("Db").create((binder) =>
+                    binder
+                        .bindFactory("connection", () => ({}), {
+                            internal: true,
+                        })
+                        .bindFactory("db", factoryOf(Object, ["connection"])),
+                );
+                var builder = diBuilder()
+                    .include(Db)
+                    .bindFactory("session", () => ({}), {
+                        lifecycle: "scope",
+                        allowedScopes: ["request"],
+                    })
+                    .bindFactory(
+                        "users",
+                        factoryOf(Object, ["connection", "session"]),
+                        { lifecycle: "lazy" },
+                    )
+                    .bindFactory("handler", factoryOf(Object, ["session"]), {
+                        lifecycle: "scope",
+                    });
+
+                // Act -----------
+                var error = await builder
+                    .buildAsync({ validate: "strict" })
+                    .catch((e) => e);
+
+                // Assert --------
+                expect(error).instanceOf(AggregateError);
+                expect(error.code).toBe("VALIDATION_FAILED");
+                expect(error.errors).toHaveLength(2);
+                expect(error.errors[0]).instanceOf(AccessViolationError);
+                expect(error.errors[0].code).toBe("INTERNAL_TYPE_ACCESS");
+                expect(error.errors[0].chain).toEqual(["users", "connection"]);
+                expect(error.errors[1].code).toBe("SCOPE_VIOLATION");
+                expect(error.errors[1].message).toBe(
+                    `Type "session" not accessible in root scope: required by "lazy" binding 'users'`,
+                );
+            });
+        });
     });
 });
 
@@ -2886,7 +3414,7 @@ describe("Container Scope", () => {
             test("WHEN: get from generated class factory without dependencies", () => {
                 // Arrange ------
                 var classKey = "service";
-                class Service { }
+                class Service {}
 
                 var container = diBuilder()
                     .bindFactory(classKey, factoryOf(Service))
@@ -3274,42 +3802,313 @@ describe("Container Scope", () => {
             });
         });
 
-        describe("Get type instance provider", () => {
-            test("WHEN: Get provider", () => {
-                // Arrange ---------
-                var typeKey = "typeKey";
-                var factory = vi.fn();
+        describe("Resolve instances by meta", () => {
+            test("WHEN: Get tagged instances across types and names", () => {
+                // Arrange ------
                 var container = diBuilder()
-                    .bindFactory(typeKey, factory, { lifecycle: "lazy" })
+                    .bindFactory("users", () => "users", {
+                        meta: { httpRoute: { path: "/users" } },
+                    })
+                    .bindFactory("route", () => "health", {
+                        name: "health",
+                        meta: { httpRoute: true },
+                    })
+                    .bindFactory("route", () => "metrics", {
+                        name: "metrics",
+                        meta: { httpRoute: false },
+                    })
+                    .bindFactory("logger", () => "logger")
+                    .bindAlias("usersRoute", "users")
                     .build();
 
-                // Act -------------
-                var provider = container.providerOf(typeKey);
+                // Act ----------
+                var routes = container.getTagged("httpRoute");
 
-                // Assert ----------
-                expect(provider).instanceOf(Function);
-                expect(factory).not.toHaveBeenCalled();
+                // Assert -------
+                expect(routes).toEqual([
+                    {
+                        type: "users",
+                        name: undefined,
+                        meta: { httpRoute: { path: "/users" } },
+                        instance: "users",
+                    },
+                    {
+                        type: "route",
+                        name: "health",
+                        meta: { httpRoute: true },
+                        instance: "health",
+                    },
+                ]);
+                expect(Object.isFrozen(routes[0])).is.true;
             });
 
-            test("WHEN: get provider of unbound type", () => {
+            test("WHEN: Get instances by meta predicate", () => {
                 // Arrange ------
-                var typeKey = "typeKey";
-                var container = diBuilder().build();
+                var predicate = vi.fn((meta) => meta.platform === "web");
+                var builder = diBuilder()
+                    .bindInstance("storage", "localStorage", {
+                        meta: { platform: "web" },
+                    })
+                    .bindInstance("storage", "fileSystem", {
+                        name: "node",
+                        meta: { platform: "node" },
+                    });
+                var entry = builder.findEntry("storage");
+                var container = builder.build();
 
                 // Act ----------
-                var error = catchError(() => {
-                    container.providerOf(typeKey);
-                });
+                var results = container.getAllByMeta(predicate);
 
                 // Assert -------
-                expect(error).instanceOf(Error);
+                expect(results.map((it) => it.instance)).toEqual([
+                    "localStorage",
+                ]);
+                expect(predicate).toHaveBeenCalledWith(entry.meta, entry);
             });
 
-            test("WHEN: Get provider and call it", () => {
-                // Arrange -------
-                var typeKey = "typeKey";
-                var expectedValue = 42;
-                var factory = vi.fn(() => expectedValue);
+            test("WHEN: Tagged bindings are not accessible from the scope", () => {
+                // Arrange ------
+                var meta = { plugin: true };
+                var module = staticModule("plugins").create((binder) =>
+                    binder.bindInstance("internalPlugin", 1, {
+                        internal: true,
+                        meta,
+                    }),
+                );
+                var container = diBuilder()
+                    .include(module)
+                    .bindFactory("requestPlugin", () => 2, {
+                        lifecycle: "scope",
+                        allowedScopes: ["request"],
+                        meta,
+                    })
+                    .bindInstance("plugin", 3, { meta })
+                    .bindInstance("plugin", 4, {
+                        name: "mobile",
+                        meta,
+                        when: (request) => request.current === "mobile",
+                    })
+                    .build();
+
+                // Act ----------
+                var rootPlugins = container.getTagged("plugin");
+                var requestPlugins = container
+                    .scope("request")
+                    .getTagged("plugin");
+
+                // Assert -------
+                expect(rootPlugins.map((it) => it.instance)).toEqual([3]);
+                expect(requestPlugins.map((it) => it.instance)).toEqual([2, 3]);
+            });
+
+            test("WHEN: Get tagged instances asynchronously", async () => {
+                // Arrange ------
+                var container = diBuilder()
+                    .bindAsyncFactory("db", async () => "db", {
+                        lifecycle: "lazy",
+                        meta: { healthCheck: true },
+                    })
+                    .bindInstance("cache", "cache", {
+                        meta: { healthCheck: true },
+                    })
+                    .build();
+
+                // Act ----------
+                var checks = await container.getTaggedAsync("healthCheck");
+                var sameChecks = await container.getAllByMetaAsync(
+                    (meta) => meta.healthCheck,
+                );
+
+                // Assert -------
+                expect(checks.map((it) => it.instance)).toEqual([
+                    "db",
+                    "cache",
+                ]);
+                expect(sameChecks).toEqual(checks);
+            });
+
+            test("WHEN: Get tagged instances from disposed scope", () => {
+                // Arrange ------
+                var scope = diBuilder().build().scope("request");
+                scope.dispose();
+
+                // Act ----------
+                var error = catchError(() => scope.getTagged("httpRoute"));
+
+                // Assert -------
+                expect(error.code).toBe("SCOPE_DISPOSED");
+                expect(error.message).toContain("Cannot resolve '#httpRoute'");
+            });
+        });
+
+        describe("Resolve keyed map of named bindings", () => {
+            test("WHEN: Get map of named bindings", () => {
+                // Arrange ------
+                var container = diBuilder()
+                    .bindInstance("paymentProvider", "default")
+                    .bindInstance("paymentProvider", "stripe", {
+                        name: "stripe",
+                    })
+                    .bindInstance("paymentProvider", "paypal", {
+                        name: "paypal",
+                    })
+                    .bindInstance("invoiceGateway", "invoice")
+                    .bindAlias("paymentProvider", "invoiceGateway", {
+                        name: "invoice",
+                    })
+                    .bindInstance("logger", "file", { name: "file" })
+                    .build();
+
+                // Act ----------
+                var providers = container.getMap("paymentProvider");
+                var empty = container.getMap("cache");
+
+                // Assert -------
+                expect(providers).toEqual({
+                    stripe: "stripe",
+                    paypal: "paypal",
+                    invoice: "invoice",
+                });
+                expect(Object.isFrozen(providers)).is.true;
+                expect(empty).toEqual({});
+            });
+
+            test("WHEN: Get map with unmet contextual binding", () => {
+                // Arrange ------
+                var container = diBuilder()
+                    .bindInstance("paymentProvider", "stripe", {
+                        name: "stripe",
+                    })
+                    .bindInstance("paymentProvider", "sandbox", {
+                        name: "sandbox",
+                        when: (request) => request.current === "test",
+                    })
+                    .build();
+
+                // Act ----------
+                var rootMap = container.getMap("paymentProvider");
+                var testMap = container.scope("test").getMap("paymentProvider");
+
+                // Assert -------
+                expect(Object.keys(rootMap)).toEqual(["stripe"]);
+                expect(Object.keys(testMap)).toEqual(["stripe", "sandbox"]);
+            });
+
+            test("WHEN: Get provider map", () => {
+                // Arrange ------
+                var stripeFactory = vi.fn(() => ({ name: "stripe" }));
+                var paypalFactory = vi.fn(() => ({ name: "paypal" }));
+                var container = diBuilder()
+                    .bindFactory("paymentProvider", stripeFactory, {
+                        name: "stripe",
+                        lifecycle: "lazy",
+                    })
+                    .bindFactory("paymentProvider", paypalFactory, {
+                        name: "paypal",
+                        lifecycle: "lazy",
+                    })
+                    .build();
+
+                // Act ----------
+                var providers = container.providerMap("paymentProvider");
+                var stripe = providers.stripe();
+
+                // Assert -------
+                expect(Object.keys(providers)).toEqual(["stripe", "paypal"]);
+                expect(Object.isFrozen(providers)).is.true;
+                expect(stripe).toBe(container.get("paymentProvider", "stripe"));
+                expect(stripeFactory).toHaveBeenCalledOnce();
+                expect(paypalFactory).not.toHaveBeenCalled();
+                expect(container.providerMap("paymentProvider").stripe).toBe(
+                    providers.stripe,
+                );
+            });
+
+            test("WHEN: Inject map with modifier tokens", () => {
+                // Arrange ------
+                var factory = vi.fn(() => ({}));
+                var builder = diBuilder()
+                    .bindFactory(
+                        "paymentProvider",
+                        factoryOf(factory, [
+                            map("paymentProvider"),
+                            providerMap("paymentProvider"),
+                            map("cache"),
+                        ]),
+                        { lifecycle: "lazy" },
+                    )
+                    .bindInstance("paymentProvider", "stripe", {
+                        name: "stripe",
+                    });
+
+                // Act ----------
+                var required = builder.getRequiredTypes();
+                var container = builder.build({ validate: "strict" });
+                container.get("paymentProvider");
+                var [instances, providers, caches] = factory.mock.calls[0];
+
+                // Assert -------
+                expect(required).toEqual([]);
+                expect(instances).toEqual({ stripe: "stripe" });
+                expect(providers.stripe()).toBe("stripe");
+                expect(caches).toEqual({});
+                expect(container.inspect().bindings[0].inject).toEqual([
+                    "paymentProvider$stripe",
+                ]);
+            });
+
+            test("WHEN: Get map from disposed scope", () => {
+                // Arrange ------
+                var scope = diBuilder().build().scope("request");
+                scope.dispose();
+
+                // Act ----------
+                var error = catchError(() => scope.getMap("paymentProvider"));
+
+                // Assert -------
+                expect(error.code).toBe("SCOPE_DISPOSED");
+                expect(error.message).toContain(
+                    "Cannot resolve 'paymentProvider'",
+                );
+            });
+        });
+
+        describe("Get type instance provider", () => {
+            test("WHEN: Get provider", () => {
+                // Arrange ---------
+                var typeKey = "typeKey";
+                var factory = vi.fn();
+                var container = diBuilder()
+                    .bindFactory(typeKey, factory, { lifecycle: "lazy" })
+                    .build();
+
+                // Act -------------
+                var provider = container.providerOf(typeKey);
+
+                // Assert ----------
+                expect(provider).instanceOf(Function);
+                expect(factory).not.toHaveBeenCalled();
+            });
+
+            test("WHEN: get provider of unbound type", () => {
+                // Arrange ------
+                var typeKey = "typeKey";
+                var container = diBuilder().build();
+
+                // Act ----------
+                var error = catchError(() => {
+                    container.providerOf(typeKey);
+                });
+
+                // Assert -------
+                expect(error).instanceOf(Error);
+            });
+
+            test("WHEN: Get provider and call it", () => {
+                // Arrange -------
+                var typeKey = "typeKey";
+                var expectedValue = 42;
+                var factory = vi.fn(() => expectedValue);
                 var container = diBuilder()
                     .bindFactory(typeKey, factory, { lifecycle: "lazy" })
                     .build();
@@ -3346,6 +4145,25 @@ describe("Container Scope", () => {
                 expect(factory).toHaveBeenCalled();
                 expect(value).toBe(expectedValue);
             });
+
+            test("WHEN: get provider of the same type twice", () => {
+                // Arrange ------
+                var typeKey = "typeKey";
+                var container = diBuilder()
+                    .bindFactory(typeKey, () => 42, { lifecycle: "scope" })
+                    .build();
+                var scope = container.scope("child");
+
+                // Act ----------
+                var provider1 = container.providerOf(typeKey);
+                var provider2 = container.providerOf(typeKey);
+                var scopeProvider = scope.providerOf(typeKey);
+
+                // Assert -------
+                expect(provider2).toBe(provider1);
+                expect(scopeProvider).not.toBe(provider1);
+                expect(scopeProvider()).toBe(42);
+            });
         });
 
         describe("Phantom instance", () => {
@@ -3619,921 +4437,2911 @@ describe("Container Scope", () => {
                 expect(instanceB).not.toBe(instanceA);
             });
         });
-    });
 
-    describe("Middleware", () => {
-        test("WHEN: empty middleware", () => {
-            // Arrange ------
-            var typeKey = "typeKey";
-            var expectedInst = { value: 42 };
-            var middleware = {};
-            var container = diBuilder()
-                .use(middleware)
-                .bindFactory(typeKey, () => expectedInst)
-                .build();
+        describe("Pooled", () => {
+            test("WHEN get instance in scopes", () => {
+                // Arrange ------------
+                var factory = vi.fn(() => ({ state: 0 }));
+                var reset = vi.fn((parser) => (parser.state = 0));
+                var container = diBuilder()
+                    .bindFactory("parser", factory, {
+                        lifecycle: "pooled",
+                        pool: { reset },
+                    })
+                    .build();
+                var scopeA = container.scope("a");
+                var scopeB = container.scope("b");
 
-            // Act -----------
-            var inst = container.get(typeKey);
+                // Act ----------------
+                var instA = scopeA.get("parser");
+                var instAgain = scopeA.get("parser");
+                var instB = scopeB.get("parser");
+                instA.state = 42;
+                scopeA.dispose();
+                var instC = container.scope("c").get("parser");
 
-            // Assert --------
-            // Nothing special... just checking
-            expect(inst).toBe(expectedInst);
-        });
+                // Assert -------------
+                expect(instAgain).toBe(instA);
+                expect(instB).not.toBe(instA);
+                expect(instC).toBe(instA);
+                expect(instC.state).toBe(0);
+                expect(reset).toHaveBeenCalledExactlyOnceWith(instA);
+                expect(factory).toHaveBeenCalledTimes(2);
+            });
 
-        test("WHEN: add middlewares with same name", () => {
-            // Arrange --------
-            var middlewareName = "Foo";
+            test("WHEN pool has min and max size", () => {
+                // Arrange ------------
+                var factory = vi.fn(() => ({}));
+                var container = diBuilder()
+                    .bindFactory("buffer", factory, {
+                        lifecycle: "pooled",
+                        pool: { min: 2, max: 2 },
+                    })
+                    .build();
+                var pool = container.poolOf("buffer");
 
-            var onUse1 = vi.fn();
-            var middleware1 = { name: middlewareName, onUse: onUse1 };
+                // Act ----------------
+                var first = pool.acquire();
+                var created = factory.mock.calls.length;
+                var second = container.scope("a").get("buffer");
+                var error = catchError(() =>
+                    container.scope("b").get("buffer"),
+                );
+                pool.release(first);
+                pool.release(first);
+                var third = pool.acquire();
 
-            var onUse2 = vi.fn();
-            var middleware2 = { name: middlewareName, onUse: onUse2 };
+                // Assert -------------
+                expect(created).toBe(2);
+                expect(second).not.toBe(first);
+                expect(error).instanceOf(DIError);
+                expect(error.code).toBe("POOL_EXHAUSTED");
+                expect(error.scopePath).toEqual(["b"]);
+                expect(third).toBe(first);
+                expect(factory).toHaveBeenCalledTimes(2);
+            });
 
-            var builder = diBuilder();
+            test("WHEN dispose container", async () => {
+                // Arrange ------------
+                var createWorker = () => ({ dispose: vi.fn() });
+                var container = diBuilder()
+                    .bindFactory("worker", createWorker, {
+                        lifecycle: "pooled",
+                    })
+                    .build();
+                var pool = container.poolOf("worker");
+                var idle = container.scope("a").get("worker");
+                var acquired = pool.acquire();
+                var asyncContainer = diBuilder()
+                    .bindFactory("worker", createWorker, {
+                        lifecycle: "pooled",
+                        pool: { min: 1 },
+                    })
+                    .build();
+                var asyncIdle = asyncContainer.poolOf("worker").acquire();
+                asyncContainer.poolOf("worker").release(asyncIdle);
 
-            // Act --------------
-            builder.use(middleware1).use(middleware2);
+                // Act ----------------
+                container.dispose();
+                var acquiredDisposed = acquired.dispose.mock.calls.length;
+                pool.release(acquired);
+                await asyncContainer.disposeAsync();
 
-            // Arrange ----------
-            expect(builder.hasMiddleware(middleware1)).is.true;
-            expect(builder.hasMiddleware(middleware2)).is.true; // By Name
-            expect(onUse1).toHaveBeenCalledOnce();
-            expect(onUse2).not.toHaveBeenCalled();
-        });
+                // Assert -------------
+                expect(idle.dispose).toHaveBeenCalledOnce();
+                expect(acquiredDisposed).toBe(0);
+                expect(acquired.dispose).toHaveBeenCalledOnce();
+                expect(asyncIdle.dispose).toHaveBeenCalledOnce();
+            });
 
-        describe("onBindAlias", () => {
-            test("WHEN: Apply onBindAlias middleware to builder", () => {
-                // Arrange --------------
-                var onBindAlias = vi.fn();
-                var builder = diBuilder();
+            test("WHEN get pool of not pooled binding", () => {
+                // Arrange ------------
+                var container = diBuilder()
+                    .bindFactory("typeKey", () => ({}))
+                    .build();
 
-                // Act ------------------
-                builder.use({ onBindAlias });
+                // Act ----------------
+                var error = catchError(() => container.poolOf("typeKey"));
+                var missingError = catchError(() =>
+                    container.poolOf("missing"),
+                );
 
-                // Assert ---------------
-                expect(onBindAlias).not.toHaveBeenCalled();
+                // Assert -------------
+                expect(error).instanceOf(InvalidBindingError);
+                expect(error.code).toBe("NOT_POOLED_BINDING");
+                expect(missingError).instanceOf(BindingNotFoundError);
             });
 
-            test("WHEN: Binding instance or factory", () => {
-                // Arrange --------------
-                var onBindAlias = vi.fn();
-                var builder = diBuilder().use({ onBindAlias });
+            test("WHEN: Build async pooled binding", () => {
+                // Arrange ------
+                var builder = diBuilder().bindAsyncFactory(
+                    "connection",
+                    async () => ({}),
+                    { lifecycle: "pooled", pool: { max: 1 } },
+                );
 
-                // Act ------------------
-                builder
-                    .bindInstance("valueKey", 42)
-                    .bindFactory("factoryKey", noop);
+                // Act ----------
+                var error = catchError(() => builder.build());
 
-                // Assert ---------------
-                expect(onBindAlias).not.toHaveBeenCalled();
+                // Assert -------
+                expect(error).instanceOf(InvalidBindingError);
+                expect(error.code).toBe("ASYNC_POOLED_BINDING");
+                expect(error.type).toBe("connection");
             });
+        });
 
-            test("WHEN: Bind alias", () => {
-                // Arrange ---------
-                var typeKey = "typeKey";
-                var aliasKey = "aliasKey";
+        describe("Weak", () => {
+            /**
+             * Replaces WeakRef and FinalizationRegistry with fakes,
+             * that let the test collect instances and run the finalizers.
+             */
+            function stubGarbageCollector() {
+                var refs = [];
+                var registries = [];
+                vi.stubGlobal(
+                    "WeakRef",
+                    class {
+                        constructor(target) {
+                            this.target = target;
+                            refs.push(this);
+                        }
+                        deref() {
+                            return this.target;
+                        }
+                    },
+                );
+                vi.stubGlobal(
+                    "FinalizationRegistry",
+                    class {
+                        constructor(cleanup) {
+                            this.cleanup = cleanup;
+                            this.held = new Map();
+                            registries.push(this);
+                        }
+                        register(target, held) {
+                            this.held.set(target, held);
+                        }
+                    },
+                );
+                return {
+                    collect: (target) =>
+                        refs.forEach((ref) => {
+                            if (ref.target === target) ref.target = undefined;
+                        }),
+                    finalize: (target) =>
+                        registries.forEach((registry) => {
+                            if (registry.held.has(target))
+                                registry.cleanup(registry.held.get(target));
+                        }),
+                };
+            }
+
+            test("WHEN weak instance was collected", () => {
+                // Arrange ------------
+                var gc = stubGarbageCollector();
+                var factory = vi.fn(() => ({}));
+                var onCollected = vi.fn();
+                var container = diBuilder()
+                    .use({ onCollected })
+                    .bindFactory("cache", factory, { lifecycle: "weak" })
+                    .build();
+                var first = container.get("cache");
 
-                var onBindAlias = vi.fn();
+                // Act ----------------
+                var cached = container.get("cache");
+                gc.collect(first);
+                var second = container.get("cache");
+                gc.finalize(first);
+                var third = container.get("cache");
+                vi.unstubAllGlobals();
 
-                var builder = diBuilder()
-                    .use({ onBindAlias })
-                    .bindInstance(typeKey, 42);
+                // Assert -------------
+                expect(cached).toBe(first);
+                expect(second).not.toBe(first);
+                expect(third).toBe(second);
+                expect(factory).toHaveBeenCalledTimes(2);
+                expect(onCollected).toHaveBeenCalledExactlyOnceWith(
+                    expect.objectContaining({ type: "cache" }),
+                    container,
+                );
+            });
 
-                // Act -------------
-                builder.bindAlias(aliasKey, typeKey);
-
-                // Assert ----------
-                expect(onBindAlias).toHaveBeenCalledExactlyOnceWith(
-                    expect.objectContaining({ type: aliasKey }),
-                    expect.objectContaining({ type: typeKey }),
-                    builder,
-                );
-            });
-
-            test("WHEN: Bind named alias", () => {
-                // Arrange ----------
-                var typeKey = "typeKey";
-                var typeName = "typeName";
+            test("WHEN collected weak instance is finalized before resolution", () => {
+                // Arrange ------------
+                var gc = stubGarbageCollector();
+                var factory = vi.fn(() => ({}));
+                var container = diBuilder()
+                    .bindFactory("cache", factory, { lifecycle: "weak" })
+                    .bindFactory("id", () => 42, { lifecycle: "weak" })
+                    .build();
+                var first = container.get("cache");
+                var id = container.get("id");
 
-                var aliasKey = "aliasKey";
-                var aliasName = "aliasName";
+                // Act ----------------
+                gc.collect(first);
+                gc.finalize(first);
+                var activated = container.inspect().scope.activated;
+                var second = container.get("cache");
+                vi.unstubAllGlobals();
 
-                var onBindAlias = vi.fn();
+                // Assert -------------
+                expect(activated).toEqual(["id"]);
+                expect(second).not.toBe(first);
+                expect(container.get("id")).toBe(id);
+                expect(factory).toHaveBeenCalledTimes(2);
+            });
 
-                var builder = diBuilder()
-                    .use({ onBindAlias })
-                    .bindInstance(typeKey, 42, { name: typeName });
+            test("WHEN dispose container with weak instance", () => {
+                // Arrange ------------
+                var gc = stubGarbageCollector();
+                var onCollected = vi.fn();
+                var container = diBuilder()
+                    .use({ onCollected })
+                    .bindFactory("cache", () => ({ dispose: vi.fn() }), {
+                        lifecycle: "weak",
+                    })
+                    .build();
+                var instance = container.get("cache");
 
-                // Act --------------
-                builder.bindAlias(aliasKey, typeKey, {
-                    name: aliasName,
-                    originName: typeName,
-                });
+                // Act ----------------
+                container.dispose();
+                gc.collect(instance);
+                gc.finalize(instance);
+                vi.unstubAllGlobals();
 
-                // Assert -----------
-                expect(onBindAlias).toHaveBeenCalledExactlyOnceWith(
-                    expect.objectContaining({
-                        type: aliasKey,
-                        name: aliasName,
-                    }),
-                    expect.objectContaining({ type: typeKey, name: typeName }),
-                    builder,
-                );
+                // Assert -------------
+                expect(instance.dispose).toHaveBeenCalledOnce();
+                expect(onCollected).not.toHaveBeenCalled();
             });
         });
 
-        describe("onRequest", () => {
-            test("WHEN: Listen instance requests", () => {
-                // Arrange -------
-                var typeKey = "typeKey";
-                var expectedInst = 42;
-                var factory = vi.fn(() => expectedInst);
-                var onRequestHandler = vi.fn();
-                var builder = diBuilder()
-                    .use({ onRequest: onRequestHandler })
-                    .bindFactory(typeKey, factory, { lifecycle: "lazy" });
-
-                var entry = builder.findEntry(typeKey);
-
-                var container = builder.build();
-
-                // Act -----------
-                var inst1 = container.get(typeKey);
-                var inst2 = container.get(typeKey);
-
-                // Assert --------
-                expect(inst1).toBe(expectedInst);
-                expect(inst2).toBe(expectedInst);
+        describe("Custom lifecycle", () => {
+            test("WHEN get instance of tenant lifecycle", () => {
+                // Arrange ------------
+                var factory = vi.fn(() => ({}));
+                var container = diBuilder()
+                    .defineLifecycle("tenant", {
+                        owner: ({ root, scope }) =>
+                            root.scope("tenant:" + scope.data.tenant),
+                    })
+                    .bindFactory("cache", factory, { lifecycle: "tenant" })
+                    .build();
+                var scopeA = container.scope("a", { data: { tenant: "x" } });
+                var scopeB = container.scope("b", { data: { tenant: "x" } });
+                var scopeC = container.scope("c", { data: { tenant: "y" } });
 
-                expect(factory).toHaveBeenCalledOnce();
+                // Act ----------------
+                var instA = scopeA.get("cache");
+                var instB = scopeB.get("cache");
+                var instC = scopeC.get("cache");
 
-                expect(onRequestHandler).toHaveBeenNthCalledWith(
-                    1,
-                    entry,
-                    container,
-                    typeKey,
-                    undefined,
-                    [],
-                );
-                expect(onRequestHandler).toHaveBeenNthCalledWith(
-                    2,
-                    entry,
-                    container,
-                    typeKey,
-                    undefined,
-                    [],
-                );
+                // Assert -------------
+                expect(instA).toBe(instB);
+                expect(instC).not.toBe(instA);
+                expect(factory).toHaveBeenCalledTimes(2);
+                expect(container.hasChildScope("tenant:x")).toBeTruthy();
             });
 
-            test("WHEN: Reject instance request", () => {
-                // Arrange -------
-                var typeKey = "typeKey";
-                var typeName = "typeName";
-                var expectedErrorMessage = "Type Request Rejected";
-
-                var factory = vi.fn();
-                var onRequestHandler = vi.fn(() => {
-                    throw new Error(expectedErrorMessage);
-                });
-                var builder = diBuilder()
-                    .use({ onRequest: onRequestHandler })
-                    .bindFactory(typeKey, factory, {
-                        lifecycle: "lazy",
-                        name: typeName,
-                    });
+            test("WHEN cached instance is invalidated", () => {
+                // Arrange ------------
+                vi.useFakeTimers();
+                var factory = vi.fn(() => ({ dispose: vi.fn() }));
+                var isValid = vi.fn(
+                    (instance, cached) => Date.now() - cached.cachedAt < 1000,
+                );
+                var container = diBuilder()
+                    .defineLifecycle("timed", {
+                        owner: (request) => request.root,
+                        isValid,
+                    })
+                    .bindFactory("token", factory, { lifecycle: "timed" })
+                    .build();
+                var first = container.get("token");
 
-                var entry = builder.findEntry(typeKey, typeName);
-                var container = builder.build();
+                // Act ----------------
+                var cached = container.get("token");
+                vi.advanceTimersByTime(1000);
+                var renewed = container.get("token");
+                vi.useRealTimers();
 
-                // Act -----------
-                var error = catchError(() => {
-                    container.get(typeKey, typeName);
+                // Assert -------------
+                expect(cached).toBe(first);
+                expect(renewed).not.toBe(first);
+                expect(first.dispose).toHaveBeenCalledOnce();
+                expect(isValid).toHaveBeenCalledWith(first, {
+                    entry: expect.objectContaining({ type: "token" }),
+                    scope: container,
+                    cachedAt: expect.any(Number),
                 });
-
-                // Assert --------
-                expect(error).toBeDefined();
-                expect(error.message).toEqual(expectedErrorMessage);
-
-                expect(factory).not.toHaveBeenCalled();
-
-                expect(onRequestHandler).toHaveBeenCalledExactlyOnceWith(
-                    entry,
-                    container,
-                    typeKey,
-                    typeName,
-                    [],
-                );
             });
 
-            test("WHEN: Type request trace via resolution stack ", () => {
-                // Arrange ---------
-                var typeKeyA = "typeKeyA";
-                var typeKeyB = "typeKeyB";
-                var typeKeyC = "typeKeyC";
-                var onRequest = vi.fn((...args) =>
-                    console.log("Test-OnRequest", args),
-                );
+            test("WHEN built-in lifecycles are expressed by strategies", () => {
+                // Arrange ------------
                 var builder = diBuilder()
-                    .use({ onRequest })
-                    .bindInstance(typeKeyA, 42)
-                    .bindFactory(typeKeyB, (r) => r.get(typeKeyA) * 2, {
-                        lifecycle: "lazy",
+                    .defineLifecycle("eager", {
+                        eager: true,
+                        owner: (request) => request.root,
                     })
-                    .bindFactory(typeKeyC, (r) => r.get(typeKeyB) + 10, {
-                        lifecycle: "lazy",
-                    });
-
-                var typeEntryA = builder.findEntry(typeKeyA);
-                var typeEntryB = builder.findEntry(typeKeyB);
-                var typeEntryC = builder.findEntry(typeKeyC);
+                    .defineLifecycle("perScope", {
+                        owner: (request) =>
+                            request.scopes.find(request.has) ||
+                            request.scopes[0],
+                    })
+                    .defineLifecycle("never", { owner: () => undefined })
+                    .bindFactory("eager", vi.fn(Object), { lifecycle: "eager" })
+                    .bindFactory("perScope", () => ({}), {
+                        lifecycle: "perScope",
+                        allowedScopes: ["request"],
+                    })
+                    .bindFactory("never", () => ({}), { lifecycle: "never" });
 
+                // Act ----------------
                 var container = builder.build();
+                var request = container.scope("request");
+                var child = request.scope("child");
 
-                // Act -------------
-                container.get(typeKeyC);
+                // Assert -------------
+                expect(
+                    builder.findEntry("eager").factory,
+                ).toHaveBeenCalledOnce();
+                expect(child.get("perScope")).toBe(request.get("perScope"));
+                expect(container.maybe("perScope")).toBeUndefined();
+                expect(request.get("never")).not.toBe(request.get("never"));
+            });
 
-                // Assert ----------
+            test("WHEN lifecycle is already defined or unknown", () => {
+                // Arrange ------------
+                var builder = diBuilder().defineLifecycle("custom", {
+                    owner: () => undefined,
+                });
 
-                expect(onRequest).toHaveBeenNthCalledWith(
-                    1,
-                    typeEntryC,
-                    container,
-                    typeKeyC,
-                    undefined,
-                    [],
+                // Act ----------------
+                var definedError = catchError(() =>
+                    builder.defineLifecycle("scope", {
+                        owner: () => undefined,
+                    }),
                 );
-
-                expect(onRequest).toHaveBeenNthCalledWith(
-                    2,
-                    typeEntryB,
-                    container,
-                    typeKeyB,
-                    undefined,
-                    expect.arrayContaining([typeEntryC]),
+                var unknownError = catchError(() =>
+                    diBuilder()
+                        .bindFactory("typeKey", () => ({}), {
+                            lifecycle: "unknown",
+                        })
+                        .build(),
                 );
 
-                expect(onRequest).toHaveBeenNthCalledWith(
-                    3,
-                    typeEntryA,
-                    container,
-                    typeKeyA,
-                    undefined,
-                    expect.arrayContaining([typeEntryC, typeEntryB]),
-                );
+                // Assert -------------
+                expect(definedError).instanceOf(BindingConflictError);
+                expect(definedError.code).toBe("LIFECYCLE_DEFINED");
+                expect(unknownError).instanceOf(InvalidBindingError);
+                expect(unknownError.code).toBe("UNKNOWN_LIFECYCLE");
+                expect(unknownError.message).toContain("unknown");
             });
         });
+    });
 
-        describe("onResolve", () => {
-            test("WHEN: listen instance resolve events", () => {
-                // Arrange ---------
-                var typeKey = "typeKey";
-                var typeValue = 42;
-
-                var onResolveHandler = vi.fn((_, instance) => instance);
+    describe("Async factories", () => {
+        test("WHEN: Resolve async factory binding", async () => {
+            // Arrange -------
+            var typeKey = "typeKey";
+            var expectedInst = { value: 42 };
+            var factory = vi.fn(async () => expectedInst);
+            var container = diBuilder()
+                .bindAsyncFactory(typeKey, factory, { lifecycle: "lazy" })
+                .build();
 
-                var builder = diBuilder()
-                    .use({ onResolve: onResolveHandler })
-                    .bindInstance(typeKey, typeValue);
+            // Act -----------
+            var inst = await container.getAsync(typeKey);
+            var instAgain = await container.getAsync(typeKey);
 
-                var typeEntry = builder.findEntry(typeKey);
+            // Assert --------
+            expect(inst).toBe(expectedInst);
+            expect(instAgain).toBe(expectedInst);
+            expect(factory).toHaveBeenCalledOnce();
+        });
 
-                var container = builder.build();
+        test("WHEN: Sync get of unresolved async binding", () => {
+            // Arrange -------
+            var typeKey = "typeKey";
+            var container = diBuilder()
+                .bindAsyncFactory(typeKey, async () => ({}), {
+                    lifecycle: "lazy",
+                })
+                .build();
 
-                // Act -------------
-                container.get(typeKey);
+            // Act -----------
+            var error = catchError(() => container.get(typeKey));
 
-                // Assert ----------
-                expect(onResolveHandler).toHaveBeenCalledWith(
-                    typeEntry,
-                    typeValue,
-                    container,
-                    [],
-                );
-            });
+            // Assert --------
+            expect(error).instanceOf(Error);
+            expect(error.message).toContain(typeKey);
+            expect(error.message).toContain("getAsync");
+        });
 
-            test("WHEN: override resolved instance", () => {
-                // Arrange ---------
-                var typeKey = "typeKey";
-                var typeValue = 42;
-                var expectedValue = 123;
+        test("WHEN: Sync get of already resolved async binding", async () => {
+            // Arrange -------
+            var typeKey = "typeKey";
+            var container = diBuilder()
+                .bindAsyncFactory(typeKey, async () => ({ value: 1 }), {
+                    lifecycle: "lazy",
+                })
+                .build();
+            var asyncInst = await container.getAsync(typeKey);
 
-                var onResolveHandler = vi.fn(() => expectedValue);
+            // Act -----------
+            var inst = container.get(typeKey);
 
-                var builder = diBuilder()
-                    .bindInstance(typeKey, typeValue)
-                    .use({ onResolve: onResolveHandler });
+            // Assert --------
+            expect(inst).toBe(asyncInst);
+        });
 
-                var typeEntry = builder.findEntry(typeKey);
-
-                var container = builder.build();
-
-                // Act -------------
-                var value = container.get(typeKey);
+        test("WHEN: Concurrent resolution shares single activation", async () => {
+            // Arrange -------
+            var typeKey = "typeKey";
+            var factory = vi.fn(
+                () => new Promise((resolve) => setTimeout(resolve, 5, {})),
+            );
+            var container = diBuilder()
+                .bindAsyncFactory(typeKey, factory, { lifecycle: "scope" })
+                .build();
+            var scope = container.scope("child");
 
-                // Assert ----------
-                expect(value).toBe(expectedValue);
-                expect(onResolveHandler).toHaveBeenCalledWith(
-                    typeEntry,
-                    typeValue,
-                    container,
-                    [],
-                );
-                expect(onResolveHandler).toHaveReturnedWith(value);
-            });
+            // Act -----------
+            var [instA, instB] = await Promise.all([
+                scope.getAsync(typeKey),
+                scope.getAsync(typeKey),
+            ]);
 
-            test("WHEN: override instance with many hooks", () => {
-                // Arrange -------
-                var aliasKey = "aliasKey";
-                var typeKey = "typeKey";
-                var typeValue = 42;
+            // Assert --------
+            expect(factory).toHaveBeenCalledOnce();
+            expect(instA).toBe(instB);
+        });
 
-                var expectedResult = (typeValue + 1) * 10;
+        test("WHEN: Transient async binding", async () => {
+            // Arrange -------
+            var typeKey = "typeKey";
+            var factory = vi.fn(async () => ({}));
+            var container = diBuilder()
+                .bindAsyncFactory(typeKey, factory, { lifecycle: "transient" })
+                .build();
 
-                var firstOnResolveHandler = vi.fn((_, value) => value + 1);
-                var secondOnResolveHandler = vi.fn((_, value) => value * 10);
+            // Act -----------
+            var [instA, instB] = await Promise.all([
+                container.getAsync(typeKey),
+                container.getAsync(typeKey),
+            ]);
 
-                var builder = diBuilder()
-                    .bindAlias(aliasKey, typeKey)
-                    .use({ onResolve: firstOnResolveHandler })
-                    .use({ onResolve: secondOnResolveHandler })
-                    .bindInstance(typeKey, typeValue);
+            // Assert --------
+            expect(factory).toHaveBeenCalledTimes(2);
+            expect(instA).not.toBe(instB);
+        });
 
-                var entry = builder.findEntry(typeKey);
+        test("WHEN: Async factory depends on other async binding", async () => {
+            // Arrange -------
+            var container = diBuilder()
+                .bindAsyncFactory("db", async () => ({ name: "db" }), {
+                    lifecycle: "lazy",
+                })
+                .bindAsyncFactory(
+                    "repo",
+                    async (r) => {
+                        await Promise.resolve();
+                        return {
+                            db: await r.getAsync("db"),
+                            cfg: r.get("cfg"),
+                        };
+                    },
+                    { lifecycle: "lazy" },
+                )
+                .bindInstance("cfg", "config")
+                .build();
 
-                var container = builder.build();
+            // Act -----------
+            var repo = await container.getAsync("repo");
 
-                // Act -----------
-                var value = container.get(aliasKey);
+            // Assert --------
+            expect(repo.db).toBe(await container.getAsync("db"));
+            expect(repo.cfg).toBe("config");
+        });
 
-                // Assert --------
-                expect(value).toBe(expectedResult);
+        test("WHEN: Async dependency cycle across await", async () => {
+            // Arrange -------
+            var container = diBuilder()
+                .bindAsyncFactory(
+                    "A",
+                    async (r) => {
+                        await Promise.resolve();
+                        return { b: await r.getAsync("B") };
+                    },
+                    { lifecycle: "lazy" },
+                )
+                .bindAsyncFactory(
+                    "B",
+                    async (r) => {
+                        await Promise.resolve();
+                        return { a: await r.getAsync("A") };
+                    },
+                    { lifecycle: "lazy" },
+                )
+                .build();
 
-                expect(firstOnResolveHandler).toHaveBeenCalledWith(
-                    entry,
-                    typeValue,
-                    container,
-                    [],
-                );
-                expect(firstOnResolveHandler).toHaveReturnedWith(typeValue + 1);
+            // Act -----------
+            var error = await container.getAsync("A").catch((e) => e);
 
-                expect(secondOnResolveHandler).toHaveBeenCalledWith(
-                    entry,
-                    typeValue + 1,
-                    container,
-                    [],
-                );
-                expect(secondOnResolveHandler).toHaveReturnedWith(value);
-            });
+            // Assert --------
+            expect(error).instanceOf(Error);
+            expect(error.message).toContain("[A] -> B -> [A]");
         });
 
-        describe("onActivated", () => {
-            test("WHEN: Listen activation events", () => {
-                // Arrange ---------
-                var typeKey = "typeKey";
-                var expectedInst = { value: 42 };
-                var onActivatedHandler = vi.fn((_, inst) => inst);
-                var builder = diBuilder()
-                    .use({
-                        onActivated: onActivatedHandler,
-                    })
-                    .bindFactory(typeKey, () => expectedInst, {
-                        lifecycle: "lazy",
-                    });
+        test("WHEN: Failed activation can be retried", async () => {
+            // Arrange -------
+            var typeKey = "typeKey";
+            var expectedError = new Error("boom");
+            var factory = vi
+                .fn()
+                .mockRejectedValueOnce(expectedError)
+                .mockResolvedValueOnce({ value: 42 });
+            var container = diBuilder()
+                .bindAsyncFactory(typeKey, factory, { lifecycle: "lazy" })
+                .build();
 
-                var entry = builder.findEntry(typeKey);
-                var container = builder.build();
+            // Act -----------
+            var error = await container.getAsync(typeKey).catch((e) => e);
+            var inst = await container.getAsync(typeKey);
 
-                // Act -------------
+            // Assert --------
+            expect(error).toBe(expectedError);
+            expect(inst.value).toBe(42);
+            expect(factory).toHaveBeenCalledTimes(2);
+        });
 
-                var inst1 = container.get(typeKey);
-                var inst2 = container.get(typeKey);
+        test("WHEN: Get sync binding asynchronously", async () => {
+            // Arrange -------
+            var container = diBuilder()
+                .bindFactory("A", () => ({ value: "A" }))
+                .bindInstance("B", "B", { name: "b" })
+                .build();
 
-                // Assert ---------
-                expect(inst1).toBe(expectedInst);
-                expect(inst1).toBe(inst2);
+            // Act -----------
+            var a = await container.getAsync("A");
+            var b = await container.maybeAsync("B", "b");
+            var missing = await container.maybeAsync("C");
+            var error = await container.getAsync("C").catch((e) => e);
 
-                expect(onActivatedHandler).toHaveBeenCalledExactlyOnceWith(
-                    entry,
-                    expectedInst,
-                    container,
-                    [entry],
-                );
-                expect(onActivatedHandler).toHaveReturnedWith(expectedInst);
-            });
+            // Assert --------
+            expect(a).toBe(container.get("A"));
+            expect(b).toBe("B");
+            expect(missing).toBeUndefined();
+            expect(error).instanceOf(Error);
+        });
 
-            test("WHEN: Override activated instance", () => {
-                // Arrange -------
-                var typeKey = "typeKey";
-                var factoryInst = 11;
-                var expectedInst = 22;
-                var factory = vi.fn(() => factoryInst);
-                var onActivatedHandler = vi.fn(() => expectedInst);
-                var builder = diBuilder()
-                    .use({ onActivated: onActivatedHandler })
-                    .bindFactory(typeKey, factory, { lifecycle: "lazy" });
+        test("WHEN: Get all instances asynchronously", async () => {
+            // Arrange -------
+            var typeKey = "typeKey";
+            var container = diBuilder()
+                .bindAsyncFactory(typeKey, async () => "A", {
+                    lifecycle: "lazy",
+                })
+                .bindFactory(typeKey, () => "B", {
+                    lifecycle: "lazy",
+                    ifConflict: "append",
+                })
+                .build();
 
-                var entry = builder.findEntry(typeKey);
-                var container = builder.build();
+            // Act -----------
+            var instances = await container.getAllAsync(typeKey);
 
-                // Act -----------
-                var inst1 = container.get(typeKey);
-                var inst2 = container.get(typeKey);
+            // Assert --------
+            expect(instances).toEqual(["A", "B"]);
+        });
 
-                // Assert --------
-                // 1. onActivated should define the final instance
-                expect(inst1).toBe(expectedInst);
-                expect(inst1).toBe(inst2);
+        test("WHEN: Middleware observes async activation", async () => {
+            // Arrange -------
+            var typeKey = "typeKey";
+            var onActivated = vi.fn((_, inst) => ({ wrapped: inst }));
+            var onResolve = vi.fn((_, inst) => inst);
+            var container = diBuilder()
+                .use({ onActivated, onResolve })
+                .bindAsyncFactory(typeKey, async () => 42, {
+                    lifecycle: "lazy",
+                })
+                .build();
 
-                // 2. Factory should be called once and return original value
-                expect(factory).toHaveBeenCalledOnce();
-                expect(factory).toHaveReturnedWith(factoryInst);
+            // Act -----------
+            var inst = await container.getAsync(typeKey);
 
-                // 3. Hook receives raw instance and returns modified
-                expect(onActivatedHandler).toHaveBeenCalledAfter(factory);
-                expect(onActivatedHandler).toHaveBeenCalledExactlyOnceWith(
-                    entry,
-                    factoryInst,
-                    container,
-                    [entry],
-                );
-                expect(onActivatedHandler).toHaveReturnedWith(expectedInst);
+            // Assert --------
+            expect(inst).toEqual({ wrapped: 42 });
+            expect(onActivated).toHaveBeenCalledOnce();
+            expect(onActivated.mock.calls[0][1]).toBe(42);
+            expect(onResolve).toHaveBeenCalledOnce();
+            expect(onResolve.mock.calls[0][1]).toBe(inst);
+        });
+
+        test("WHEN: Async factory resolves internal type after await", async () => {
+            // Arrange -------
+            var module = staticModule("module").create((binder) => {
+                binder
+                    .bindInstance("secret", "!", { internal: true })
+                    .bindAsyncFactory("service", async (r) => {
+                        await Promise.resolve();
+                        return "x" + r.get("secret");
+                    });
             });
+            var container = await diBuilder().include(module).buildAsync();
 
-            test("WHEN: Override activated instance with many hooks", () => {
-                // Arrange ------
-                var typeKey = "typeKey";
-                var originValue = 0;
-                var valueOne = 1;
-                var valueTwo = 2;
+            // Act -----------
+            var value = await container.getAsync("service");
 
-                var factory = vi.fn(() => originValue);
-                var onActivatedOne = vi.fn(() => valueOne);
-                var onActivatedTwo = vi.fn(() => valueTwo);
+            // Assert --------
+            expect(value).toBe("x!");
+        });
 
-                var builder = diBuilder()
-                    .use({ onActivated: onActivatedOne })
-                    .use({ onActivated: onActivatedTwo })
-                    .bindFactory(typeKey, factory, { lifecycle: "lazy" });
+        test("WHEN: Rebind dependency resolved after await", async () => {
+            // Arrange -------
+            var container = diBuilder({ hotRebind: true })
+                .bindFactory("db", () => ({ v: 1 }), { lifecycle: "lazy" })
+                .bindAsyncFactory(
+                    "repo",
+                    async (r) => {
+                        await Promise.resolve();
+                        return { db: r.get("db") };
+                    },
+                    { lifecycle: "lazy" },
+                )
+                .build();
+            var repo = await container.getAsync("repo");
 
-                var entry = builder.findEntry(typeKey);
-                var container = builder.build();
+            // Act -----------
+            container.rebind("db", () => ({ v: 2 }));
+            var rebuilt = await container.getAsync("repo");
 
-                // Act ----------
-                var inst1 = container.get(typeKey);
-                var inst2 = container.get(typeKey);
+            // Assert --------
+            expect(repo.db.v).toBe(1);
+            expect(rebuilt).not.toBe(repo);
+            expect(rebuilt.db.v).toBe(2);
+        });
 
-                // Assert -------
-                // 1. Last onActivated should define the final instance
-                expect(inst1).toBe(valueTwo);
-                expect(inst2).toBe(inst1);
+        test("WHEN: Async singleton resolves scope binding after await", async () => {
+            // Arrange -------
+            var container = diBuilder({ captiveDependencies: "throw" })
+                .bindFactory("session", () => ({}), { lifecycle: "scope" })
+                .bindAsyncFactory(
+                    "cache",
+                    async (r) => {
+                        await Promise.resolve();
+                        return { session: r.get("session") };
+                    },
+                    { lifecycle: "lazy" },
+                )
+                .build();
 
-                // 2. Factory should be called once and return original value
-                expect(factory).toHaveBeenCalledOnce();
-                expect(factory).toHaveReturnedWith(originValue);
+            // Act -----------
+            var error = await container
+                .scope("request")
+                .getAsync("cache")
+                .catch((e) => e);
 
-                // 3. First hook receives raw instance, returns modified
-                expect(onActivatedOne).toHaveBeenCalledAfter(factory);
-                expect(onActivatedOne).toHaveBeenCalledExactlyOnceWith(
-                    entry,
-                    originValue,
-                    container,
-                    [entry],
-                );
-                expect(onActivatedOne).toHaveReturnedWith(valueOne);
+            // Assert --------
+            expect(error).instanceOf(AccessViolationError);
+            expect(error.code).toBe("CAPTIVE_DEPENDENCY");
+            expect(error.chain).toEqual(["cache", "session"]);
+        });
+    });
 
-                // 4. Second hook receives result of first hook
-                expect(onActivatedTwo).toHaveBeenCalledAfter(onActivatedOne);
-                expect(onActivatedTwo).toHaveBeenCalledExactlyOnceWith(
-                    entry,
-                    valueOne,
-                    container,
-                    [entry],
-                );
-                expect(onActivatedTwo).toHaveReturnedWith(valueTwo);
-            });
+    describe("Assisted factories", () => {
+        test("WHEN: Resolve assisted factory binding", () => {
+            // Arrange -------
+            var factory = vi.fn((r, id, role) => ({
+                id,
+                role,
+                logger: r.get("logger"),
+            }));
+            var logger = { log: vi.fn() };
+            var container = diBuilder()
+                .bindInstance("logger", logger)
+                .bindAssistedFactory("user", factory)
+                .build();
 
-            test("WHEN: Deep activation", () => {
-                // Arrange ------
-                var typeKeyA = "typeKeyA";
-                var typeKeyB = "typeKeyB";
+            // Act -----------
+            var createUser = container.get("user");
+            var callsBeforeCreate = factory.mock.calls.length;
+            var first = createUser("1", "admin");
+            var second = createUser("2", "guest");
 
-                var onActivated = vi.fn((_, inst) => inst);
+            // Assert --------
+            expect(createUser).toBeTypeOf("function");
+            expect(callsBeforeCreate).toBe(0);
+            expect(first).toEqual({ id: "1", role: "admin", logger });
+            expect(second).toEqual({ id: "2", role: "guest", logger });
+            expect(factory).toHaveBeenCalledTimes(2);
+            expect(container.inspect().bindings[1]).toMatchObject({
+                kind: "assistedFactory",
+                lifecycle: "transient",
+            });
+        });
 
-                var builder = diBuilder()
-                    .use({ onActivated })
-                    .bindFactory(typeKeyA, () => 11, { lifecycle: "lazy" })
-                    .bindFactory(typeKeyB, (r) => 22 + r.get(typeKeyA), {
-                        lifecycle: "lazy",
-                    });
+        test("WHEN: Create instance by scope.create", () => {
+            // Arrange -------
+            var container = diBuilder()
+                .bindAssistedFactory("user", (r, id) => ({ id }), {
+                    name: "named",
+                })
+                .bindAssistedFactory("user", (r, id) => ({ id }))
+                .build();
+            var scope = container.scope("child");
 
-                var typeEntryA = builder.findEntry(typeKeyA);
-                var typeEntryB = builder.findEntry(typeKeyB);
+            // Act -----------
+            var first = scope.create("user", "1");
+            var second = scope.create("user", "1");
+            var named = scope.get("user", "named")("2");
 
-                var container = builder.build();
+            // Assert --------
+            expect(first).toEqual({ id: "1" });
+            expect(second).not.toBe(first);
+            expect(named).toEqual({ id: "2" });
+        });
 
-                // Act ----------
-                var instB = container.get(typeKeyB);
-                var instA = container.get(typeKeyA);
+        test("WHEN: Created instance is activated", () => {
+            // Arrange -------
+            var onActivated = vi.fn((entry, instance) => ({
+                ...instance,
+                activated: true,
+            }));
+            var container = diBuilder()
+                .bindAssistedFactory("user", (r, id) => ({ id }))
+                .decorate("user", (user) => ({ ...user, decorated: true }))
+                .use({ onActivated })
+                .build();
 
-                // Assert -------
-                expect(onActivated).toHaveBeenNthCalledWith(
-                    1,
-                    typeEntryA,
-                    instA,
-                    container,
-                    [typeEntryB, typeEntryA],
-                );
-                expect(onActivated).toHaveBeenNthCalledWith(
-                    2,
-                    typeEntryB,
-                    instB,
-                    container,
-                    [typeEntryB],
-                );
-            });
+            // Act -----------
+            var createUser = container.get("user");
+            var activatedBeforeCreate = onActivated.mock.calls.length;
+            var user = container.create("user", "1");
+
+            // Assert --------
+            expect(activatedBeforeCreate).toBe(0);
+            expect(user).toEqual({ id: "1", decorated: true, activated: true });
+            expect(onActivated).toHaveBeenCalledOnce();
+            expect(onActivated.mock.calls[0][1]).toEqual({
+                id: "1",
+                decorated: true,
+            });
+            expect(createUser("2").activated).toBe(true);
         });
-    });
 
-    describe("Child scopes", () => {
-        describe("Get child scope", () => {
-            test("WHEN: Create child scope", () => {
-                // Arrange -----------
-                var scopeId = "myScope";
-                var onScopeOpen = vi.fn();
-                var container = diBuilder().use({ onScopeOpen }).build();
+        test("WHEN: Create instance of not assisted binding", () => {
+            // Arrange -------
+            var container = diBuilder()
+                .bindFactory("service", () => ({}))
+                .build();
 
-                // Act ---------------
-                var childScope = container.scope(scopeId);
+            // Act -----------
+            var error = catchError(() => container.create("service", 1));
 
-                // Assert ------------
-                expect(container.hasChildScope(scopeId)).is.true;
+            // Assert --------
+            expect(error).instanceOf(InvalidBindingError);
+            expect(error.code).toBe("NOT_ASSISTED_BINDING");
+            expect(error.message).toContain("bindAssistedFactory");
+            expect(error.type).toBe("service");
+        });
 
-                expect(childScope.id).toBe(scopeId);
-                expect(childScope).not.toBe(container);
-                expect(Object.getPrototypeOf(childScope)).toBe(
-                    Object.getPrototypeOf(container),
-                );
-                expect(childScope.data).is.undefined;
-                expect(childScope.sealed).is.false;
-                expect(childScope.isolated).is.false;
-                expect(childScope.isDisposed).is.false;
+        test("WHEN: Create instance from disposed scope", () => {
+            // Arrange -------
+            var container = diBuilder()
+                .bindAssistedFactory("user", (r, id) => ({ id }))
+                .build();
+            var scope = container.scope("child");
+            var createUser = scope.get("user");
+            scope.dispose();
 
-                expect(onScopeOpen).toHaveBeenCalledExactlyOnceWith(childScope);
-            });
+            // Act -----------
+            var error = catchError(() => createUser("1"));
 
-            test("WHEN: Create child scope with data", () => {
-                // Arrange -------
-                var scopeId = "child";
-                var scopeData = 42;
-                var container = diBuilder().build();
+            // Assert --------
+            expect(error).instanceOf(ScopeDisposedError);
+        });
+    });
 
-                // Act -----------
-                const childScope = container.scope(scopeId, { data: scopeData });
+    describe("Contextual bindings", () => {
+        test("WHEN: Select binding by the requester", () => {
+            // Arrange -------
+            var defaultLogger = { name: "default" };
+            var ordersLogger = { name: "orders" };
+            var when = vi.fn(
+                (request) =>
+                    !!request.requester && request.requester.type === "orders",
+            );
+            var container = diBuilder()
+                .bindInstance("logger", defaultLogger)
+                .bindInstance("logger", ordersLogger, { when })
+                .bindFactory("orders", factoryOf(Object, ["logger"]))
+                .bindFactory("users", factoryOf(Object, ["logger"]))
+                .bindSafeFactory(
+                    "reports",
+                    (r) => ({ logger: r.providerOf("logger") }),
+                    (deps) => deps,
+                    { lifecycle: "lazy" },
+                )
+                .build();
 
-                // Assert --------
-                expect(container.hasChildScope(scopeId)).is.true;
-                expect(Object.getPrototypeOf(childScope)).toBe(
-                    Object.getPrototypeOf(container),
-                );
-                expect(childScope.data).toBe(scopeData);
-                expect(childScope.sealed).is.false;
-                expect(childScope.isolated).is.false;
-                expect(childScope.isDisposed).is.false;
+            // Act -----------
+            var logger = container.get("logger");
+            var orders = container.get("orders");
+            var users = container.get("users");
+            var reports = container.get("reports");
+
+            // Assert --------
+            expect(logger).toBe(defaultLogger);
+            expect(orders).toBe(ordersLogger);
+            expect(users).toBe(defaultLogger);
+            expect(reports.logger()).toBe(defaultLogger);
+            expect(when).toHaveBeenCalledWith({
+                requester: expect.objectContaining({ type: "orders" }),
+                current: container.id,
+                path: container.path,
+                data: undefined,
             });
+        });
 
-            test("WHEN: Get child scope twice with same id", () => {
-                // Arrange ------------
-                var scopeId = "child";
-                var onScopeOpen = vi.fn();
-                var container = diBuilder().use({ onScopeOpen }).build();
-                var scopeA = container.scope(scopeId);
+        test("WHEN: Select binding by the scope", () => {
+            // Arrange -------
+            var container = diBuilder()
+                .bindFactory("storage", () => "memory", {
+                    lifecycle: "scope",
+                    when: (request) => request.data.test,
+                })
+                .bindFactory("storage", () => "session", {
+                    lifecycle: "scope",
+                    when: (request) => request.current === "session",
+                })
+                .build();
+            var testScope = container.scope("test", { data: { test: true } });
+            var sessionScope = container.scope("session", { data: {} });
 
-                // Act ----------------
-                var scopeB = container.scope(scopeId);
+            // Act -----------
+            var testStorage = testScope.get("storage");
+            var sessionStorage = sessionScope.get("storage");
+            var requestStorage = sessionScope
+                .scope("request", { data: {} })
+                .maybe("storage");
+            var error = catchError(() =>
+                container.scope("other", { data: {} }).get("storage"),
+            );
 
-                // Assert -------------
-                expect(scopeB).toBe(scopeA);
-                expect(onScopeOpen).toHaveBeenCalledExactlyOnceWith(scopeA);
-            });
+            // Assert --------
+            expect(testStorage).toBe("memory");
+            expect(sessionStorage).toBe("session");
+            expect(requestStorage).toBeUndefined();
+            expect(error).instanceOf(BindingNotFoundError);
+        });
 
-            test("WHEN: Create sealed scope", () => {
-                // Arrange -----------
-                var scopeId = "myScope";
-                var container = diBuilder().build();
+        test("WHEN: Resolve all instances of contextual bindings", () => {
+            // Arrange -------
+            var container = diBuilder()
+                .bindInstance("plugin", 1)
+                .bindInstance("plugin", 2, { when: () => false })
+                .bindInstance("plugin", 3, { when: () => true })
+                .bindInstance("plugin", 4, { ifConflict: "append" })
+                .build();
 
-                // Act ---------------
-                var childScope = container.scope(scopeId, { sealed: true });
+            // Act -----------
+            var plugins = container.getAll("plugin");
+            var plugin = container.get("plugin");
 
-                // Assert ------------
-                expect(container.hasChildScope(scopeId)).is.true;
+            // Assert --------
+            expect(plugins).toEqual([1, 3, 4]);
+            expect(plugin).toBe(3);
+        });
+    });
 
-                expect(childScope.id).toBe(scopeId);
-                expect(childScope).not.toBe(container);
-                expect(Object.getPrototypeOf(childScope)).toBe(
-                    Object.getPrototypeOf(container),
-                );
-                expect(childScope.sealed).is.true;
-                expect(childScope.isolated).is.false;
-                expect(childScope.isDisposed).is.false;
-            });
+    describe("Provided instances", () => {
+        test("WHEN: Resolve instance provided to the scope", () => {
+            // Arrange -------
+            var user = { id: 42 };
+            var container = diBuilder()
+                .requireType("user", { provided: true })
+                .bindFactory("profile", factoryOf(Object, ["user"]), {
+                    lifecycle: "scope",
+                })
+                .build();
+            var scope = container.scope("request").provide("user", user);
 
-            test("WHEN: Get scope with same name as parent", () => {
-                // Arrange -------
-                var container = diBuilder().build();
+            // Act -----------
+            var scopeUser = scope.get("user");
+            var childUser = scope.scope("child").get("user");
+            var isolatedUser = scope
+                .scope("isolated", { isolated: true })
+                .maybe("user");
+            var profile = scope.get("profile");
+            var error = catchError(() => container.get("user"));
 
-                var scopeA = container.scope("A");
-                var scopeB = scopeA.scope("B");
+            // Assert --------
+            expect(scopeUser).toBe(user);
+            expect(childUser).toBe(user);
+            expect(isolatedUser).toBeUndefined();
+            expect(profile).toBe(user);
+            expect(error).instanceOf(BindingNotFoundError);
+            expect(error.code).toBe("TYPE_NOT_PROVIDED");
+            expect(error.type).toBe("user");
+        });
 
-                // Act -----------
-                var scopeA2 = scopeB.scope("A");
+        test("WHEN: Provide named instance over scope binding", () => {
+            // Arrange -------
+            var factory = vi.fn(() => "en");
+            var container = diBuilder()
+                .bindFactory("locale", factory, {
+                    name: "ui",
+                    lifecycle: "scope",
+                })
+                .build();
+            var scope = container.scope("request");
 
-                // Assert --------
-                expect(scopeA2).toBe(scopeA);
-            });
+            // Act -----------
+            scope.provide("locale", "de", { name: "ui" });
+            var locale = scope.get("locale", "ui");
+            var otherLocale = container.scope("other").get("locale", "ui");
 
-            test("WHEN: Trying open new scope from sealed scope", () => {
-                // Arrange ---------
-                var sealedScopeName = "sealed";
-                var childScopeName = "child";
-                var container = diBuilder().build();
-                var sealedScope = container.scope(sealedScopeName, {
-                    sealed: true,
-                });
+            // Assert --------
+            expect(locale).toBe("de");
+            expect(otherLocale).toBe("en");
+            expect(factory).toHaveBeenCalledOnce();
+        });
 
-                // Act -------------
-                var error = catchError(() => {
-                    sealedScope.scope(childScopeName);
-                });
+        test("WHEN: Provided instance is not disposed with the scope", () => {
+            // Arrange -------
+            var user = { dispose: vi.fn() };
+            var service = { dispose: vi.fn() };
+            var container = diBuilder()
+                .requireType("user", { provided: true })
+                .bindFactory("service", () => service, { lifecycle: "scope" })
+                .build();
+            var scope = container.scope("request").provide("user", user);
+            scope.get("service");
 
-                // Assert ----------
-                expect(error).instanceOf(Error);
-            });
+            // Act -----------
+            scope.dispose();
 
-            test("WHEN: Trying to get parent scope from sealed scope", () => {
-                // Arrange -------
-                var parentName = "parent";
-                var childName = "child";
-                var container = diBuilder().build();
+            // Assert --------
+            expect(service.dispose).toHaveBeenCalledOnce();
+            expect(user.dispose).not.toHaveBeenCalled();
+        });
 
-                var parentScope = container.scope(parentName);
-                var childScope = parentScope.scope(childName, { sealed: true });
+        test("WHEN: Provide invalid instance", () => {
+            // Arrange -------
+            var container = diBuilder()
+                .requireType("user", { provided: true })
+                .bindInstance("config", {})
+                .build();
+            var scope = container.scope("request").provide("user", {});
+            var disposedScope = container.scope("disposed");
+            disposedScope.dispose();
 
-                // Act -----------
-                var scope = childScope.scope(parentName);
+            // Act -----------
+            var missingError = catchError(() => scope.provide("missing", 1));
+            var lifecycleError = catchError(() => scope.provide("config", {}));
+            var undefinedError = catchError(() =>
+                scope.provide("user", undefined),
+            );
+            var conflictError = catchError(() => scope.provide("user", {}));
+            var disposedError = catchError(() =>
+                disposedScope.provide("user", {}),
+            );
 
-                // Assert --------
-                expect(childScope.hasChildScope(parentName)).is.false;
-                expect(scope).toBe(parentScope);
-            });
+            // Assert --------
+            expect(missingError).instanceOf(BindingNotFoundError);
+            expect(lifecycleError).instanceOf(InvalidBindingError);
+            expect(lifecycleError.code).toBe("NOT_PROVIDABLE_BINDING");
+            expect(undefinedError.code).toBe("UNDEFINED_INSTANCE");
+            expect(conflictError).instanceOf(BindingConflictError);
+            expect(disposedError).instanceOf(ScopeDisposedError);
+        });
+    });
 
-            test("WHEN: Create isolated scope", () => {
-                // Arrange -----------
-                var scopeId = "myScope";
-                var container = diBuilder().build();
+    describe("Hot rebinding", () => {
+        test("WHEN rebind binding with dependents", () => {
+            // Arrange ------------
+            var createLogger = (version) => () => ({
+                version,
+                dispose: vi.fn(),
+            });
+            var container = diBuilder({ hotRebind: true })
+                .bindFactory("logger", createLogger(1), { lifecycle: "lazy" })
+                .bindFactory(
+                    "service",
+                    (r) => ({ logger: r.get("logger"), dispose: vi.fn() }),
+                    { lifecycle: "lazy" },
+                )
+                .bindFactory(
+                    "handler",
+                    (r) => ({ service: r.get("service"), dispose: vi.fn() }),
+                    { lifecycle: "scope" },
+                )
+                .bindFactory("config", () => ({ dispose: vi.fn() }), {
+                    lifecycle: "lazy",
+                })
+                .build();
+            var scope = container.scope("request");
+            var logger = container.get("logger");
+            var service = container.get("service");
+            var handler = scope.get("handler");
+            var config = container.get("config");
+            var serviceProvider = container.providerOf("service");
+            var phantom = container.phantomOf("handler");
+            var phantomVersion = phantom.service.logger.version;
 
-                // Act ---------------
-                var childScope = container.scope(scopeId, { isolated: true });
+            // Act ----------------
+            var result = container.rebind("logger", createLogger(2));
 
-                // Assert ------------
-                expect(childScope.id).toBe(scopeId);
-                expect(childScope).not.toBe(container);
-                expect(Object.getPrototypeOf(childScope)).toBe(
-                    Object.getPrototypeOf(container),
-                );
-                expect(childScope.sealed).is.false;
-                expect(childScope.isolated).is.true;
-            });
+            // Assert -------------
+            expect(result).toBe(container);
+            expect(logger.dispose).toHaveBeenCalledOnce();
+            expect(service.dispose).toHaveBeenCalledOnce();
+            expect(handler.dispose).toHaveBeenCalledOnce();
+            expect(config.dispose).not.toHaveBeenCalled();
+            expect(container.get("config")).toBe(config);
+            expect(serviceProvider()).not.toBe(service);
+            expect(serviceProvider().logger.version).toBe(2);
+            expect(scope.get("handler").service.logger.version).toBe(2);
+            expect(phantomVersion).toBe(1);
+            expect(phantom.service.logger.version).toBe(2);
+        });
 
-            test("Child scope extends root data", () => {
-                // Arrange -----------
-                var expectedData = { foo: 'bar' }
-                var container = diBuilder({ data: expectedData }).build()
+        test("WHEN rebind binding of phantom taken after activation", () => {
+            // Arrange ------------
+            var container = diBuilder({ hotRebind: true })
+                .bindFactory("logger", () => ({ version: 1 }), {
+                    lifecycle: "lazy",
+                })
+                .build();
+            var logger = container.get("logger");
+            var phantom = container.phantomOf("logger");
+            var phantomVersion = phantom.version;
 
-                // Act ---------------
-                var child = container.scope("child");
+            // Act ----------------
+            container.rebind("logger", () => ({ version: 2 }));
 
-                // Assert ------------
-                expect(container.data).toBe(expectedData)
-                expect(child.data).toBe(expectedData)
-            })
+            // Assert -------------
+            expect(phantomVersion).toBe(1);
+            expect(logger.version).toBe(1);
+            expect(phantom.version).toBe(2);
+        });
 
-            test("Child scope data merge with root data", () => {
-                // Arrange ----------
-                var rootTag = 'foo'
-                var expectedTag = 'bar'
-                var expectedValue = 42;
-
-                var container = diBuilder({
-                    data: {
-                        tag: rootTag,
-                        value: expectedValue,
+        test("WHEN rebind singleton binding", () => {
+            // Arrange ------------
+            var factory = vi.fn(() => ({ version: 2 }));
+            var container = diBuilder({ hotRebind: true })
+                .bindFactory("clock", () => ({ version: 1 }))
+                .bindSafeFactory(
+                    "scheduler",
+                    (r) => ({ clock: r.get("clock") }),
+                    Object,
+                )
+                .bindAlias("time", "clock")
+                .build();
 
-                    },
-                }).build()
+            // Act ----------------
+            container.rebind("time", factory);
 
-                // Act --------------
-                var child = container.scope('child', {
-                    data: { tag: expectedTag },
-                })
+            // Assert -------------
+            expect(factory).toHaveBeenCalledOnce();
+            expect(container.get("clock")).toEqual({ version: 2 });
+            expect(container.get("scheduler").clock).toEqual({ version: 2 });
+        });
 
-                // Assert -----------
-                expect(container.data.tag).toBe(rootTag);
-                expect(container.data.value).toBe(expectedValue);
+        test("WHEN rebind binding with pooled dependents", () => {
+            // Arrange ------------
+            var disposeError = new Error("Dispose failed");
+            var onDisposeError = vi.fn();
+            var container = diBuilder({ hotRebind: true })
+                .use({ onDisposeError })
+                .bindFactory(
+                    "db",
+                    () => ({
+                        dispose: () => {
+                            throw disposeError;
+                        },
+                    }),
+                    { lifecycle: "lazy" },
+                )
+                .bindFactory(
+                    "connection",
+                    (r) => ({ db: r.get("db"), dispose: vi.fn() }),
+                    { lifecycle: "pooled", pool: { min: 2 } },
+                )
+                .build();
+            var scope = container.scope("request");
+            var used = scope.get("connection");
+            var idle = container.poolOf("connection").acquire();
+            container.poolOf("connection").release(idle);
 
-                expect(child.data.tag).toBe(expectedTag);
-                expect(child.data.value).toBe(expectedValue);
-            })
+            // Act ----------------
+            container.rebind("db", () => ({}));
+            scope.dispose();
 
-            test("Isolated child not extends root data", () => {
-                // Arrange -----------
-                var container = diBuilder({
-                    data: { value: 42 },
-                }).build()
+            // Assert -------------
+            expect(used.dispose).toHaveBeenCalledOnce();
+            expect(idle.dispose).toHaveBeenCalledOnce();
+            expect(container.scope("next").get("connection")).not.toBe(idle);
+            expect(onDisposeError).toHaveBeenCalledExactlyOnceWith(
+                expect.any(AggregateError),
+                container,
+            );
+            expect(onDisposeError.mock.calls[0][0].errors[0].cause).toBe(
+                disposeError,
+            );
+        });
 
-                // Act ---------------
-                var child = container.scope("child", {
-                    data: { tag: "foo" },
-                    isolated: true,
-                })
+        test("WHEN rebind without hot rebinding opt-in", () => {
+            // Arrange ------------
+            var container = diBuilder()
+                .bindFactory("db", () => ({}))
+                .build();
+            var hotContainer = diBuilder({ hotRebind: true })
+                .bindFactory("db", () => ({}))
+                .build();
 
-                // Assert ------------
-                expect(container.data.value).toBe(42)
-                expect(child.data.value).toBeUndefined();
-                expect(child.data.tag).toBe("foo");
-            })
+            // Act ----------------
+            var derived = hotContainer.extend(() => {});
 
-            test("WHEN: Create scope via factory binding", () => {
-                // Arrange ------
-                var typeKey = "typeKey";
+            // Assert -------------
+            expect(container.rebind).toBeUndefined();
+            expect(hotContainer.scope("request").rebind).toBeUndefined();
+            expect(derived.rebind).toBeTypeOf("function");
+        });
 
-                var container = diBuilder()
-                    .bindFactory(
-                        typeKey,
-                        (r, { current }) => {
-                            return { scopeId: current, child: r.get("child") };
-                        },
-                        {
-                            lifecycle: "scope",
-                            withScope: true,
-                        },
-                    )
-                    .bindFactory("child", (_, { current }) => current, {
-                        lifecycle: "transient",
-                    })
-                    .build();
+        test("WHEN rebind instance or missing binding", () => {
+            // Arrange ------------
+            var container = diBuilder({ hotRebind: true })
+                .bindInstance("config", {})
+                .build();
 
-                // Act ----------
-                var inst = container.get(typeKey);
+            // Act ----------------
+            var error = catchError(() =>
+                container.rebind("config", () => ({})),
+            );
+            var missingError = catchError(() =>
+                container.rebind("missing", () => ({})),
+            );
 
-                var scope = container.scope(typeKey);
-                var instFromScope = scope.get(typeKey);
+            // Assert -------------
+            expect(error).instanceOf(InvalidBindingError);
+            expect(error.code).toBe("NOT_REBINDABLE_BINDING");
+            expect(missingError).instanceOf(BindingNotFoundError);
+        });
+    });
 
-                // Assert -------
-                expect(inst.scopeId).toBe(typeKey);
-                expect(inst.scopeId).toBe(scope.id);
-                expect(inst.child).toBe(scope.id);
-                expect(scope.isolated).is.false;
-                expect(scope.sealed).is.false;
-                expect(inst).toBe(instFromScope);
-            });
+    describe("Decorators", () => {
+        test("WHEN: Decorate factory binding", () => {
+            // Arrange -------
+            var container = diBuilder()
+                .bindFactory("logger", () => ({ prefix: "[log]" }))
+                .bindFactory("service", () => ({ value: 42 }))
+                .decorate("service", (inner, r) => ({
+                    inner,
+                    prefix: r.get("logger").prefix,
+                }))
+                .build();
 
-            test("WHEN: Create isolated scope via factory binding", () => {
-                // Arrange ------
-                var typeKey = "typeKey";
+            // Act -----------
+            var service = container.get("service");
 
-                var container = diBuilder()
-                    .bindFactory(
-                        typeKey,
-                        (r, { current }) => {
-                            return { scopeId: current, child: r.get("child") };
-                        },
-                        {
-                            lifecycle: "scope",
-                            withScope: { isolated: true },
-                        },
-                    )
-                    .bindFactory("child", (_, { current }) => current, {
-                        lifecycle: "transient",
-                    })
-                    .build();
+            // Assert --------
+            expect(service).toEqual({ inner: { value: 42 }, prefix: "[log]" });
+            expect(container.get("service")).toBe(service);
+        });
 
-                // Act ----------
-                var inst = container.get(typeKey);
+        test("WHEN: Stack decorators with order", () => {
+            // Arrange -------
+            var wrap = (tag) => (inner) => tag + "(" + inner + ")";
+            var container = diBuilder()
+                .bindFactory("typeKey", () => "x")
+                .decorate("typeKey", wrap("outer"), { order: 10 })
+                .decorate("typeKey", wrap("a"))
+                .decorate("typeKey", wrap("b"))
+                .decorate("typeKey", wrap("inner"), { order: -1 })
+                .build();
 
-                var scope = container.scope(typeKey);
-                var instFromScope = scope.get(typeKey);
+            // Act -----------
+            var value = container.get("typeKey");
 
-                // Assert -------
-                expect(inst.scopeId).toBe(typeKey);
-                expect(inst.scopeId).toBe(scope.id);
-                expect(inst.child).toBe(scope.id);
-                expect(scope.isolated).is.true;
-                expect(scope.sealed).is.false;
-                expect(inst).toBe(instFromScope);
-            });
+            // Assert --------
+            expect(value).toBe("outer(b(a(inner(x))))");
         });
 
-        describe("Scoped instances", () => {
-            test("WHEN: Get singleton from child scope", () => {
-                // Arrange -------
-                var typeKey = "typeKey";
-                var factory = vi.fn(() => ({ value: 42 }));
-                var container = diBuilder()
-                    .bindFactory(typeKey, factory)
-                    .build();
+        test("WHEN: Decorate named binding", () => {
+            // Arrange -------
+            var container = diBuilder()
+                .bindFactory("typeKey", () => 1)
+                .bindFactory("typeKey", () => 2, { name: "two" })
+                .decorate("typeKey", (inner) => inner * 10, { name: "two" })
+                .build();
 
-                var scopeA = container.scope("A");
-                var scopeB = scopeA.scope("B");
+            // Act -----------
+            var values = [
+                container.get("typeKey"),
+                container.get("typeKey", "two"),
+            ];
 
-                // Act -----------
-                var instRoot = container.get(typeKey);
-                var instA = scopeA.get(typeKey);
-                var instB = scopeB.get(typeKey);
+            // Assert --------
+            expect(values).toEqual([1, 20]);
+        });
 
-                // Assert --------
-                expect(factory).toHaveBeenCalledOnce();
+        test("WHEN: Decorate multi-binding", () => {
+            // Arrange -------
+            var container = diBuilder()
+                .bindFactory("typeKey", () => 1)
+                .bindFactory("typeKey", () => 2, { ifConflict: "append" })
+                .decorate("typeKey", (inner) => inner * 10)
+                .build();
 
-                expect(instA).toBe(instRoot);
-                expect(instB).toBe(instRoot);
-            });
+            // Act -----------
+            var values = container.getAll("typeKey");
 
-            test("WHEN: Get instance from same scope", () => {
-                // Arrange -------
-                var typeKey = "typeKey";
-                var container = diBuilder()
-                    .bindFactory(typeKey, () => ({ value: "foo" }), {
-                        lifecycle: "scope",
-                    })
-                    .build();
+            // Assert --------
+            expect(values).toEqual([10, 20]);
+        });
 
-                var childScope = container.scope("child");
+        test("WHEN: Decorate alias", () => {
+            // Arrange -------
+            var container = diBuilder()
+                .bindFactory("impl", () => ({ id: 1 }))
+                .bindAlias("api", "impl")
+                .decorate("api", (inner) => ({ ...inner, decorated: true }))
+                .build();
 
-                // Act -----------
-                var inst1 = childScope.get(typeKey);
-                var inst2 = childScope.get(typeKey);
+            // Act -----------
+            var viaAlias = container.get("api");
+            var viaOrigin = container.get("impl");
 
-                // Assert --------
-                expect(inst1).toBe(inst2);
-            });
+            // Assert --------
+            expect(viaAlias).toEqual({ id: 1, decorated: true });
+            expect(viaOrigin).toBe(viaAlias);
+        });
 
-            test("WHEN: Get instance of same type from different scopes", () => {
-                // Arrange -------
-                var typeKey = "typeKey";
-                var container = diBuilder()
-                    .bindFactory(typeKey, () => ({ value: 42 }), {
-                        lifecycle: "scope",
-                    })
-                    .build();
+        test("WHEN: Decorate bound instance", () => {
+            // Arrange -------
+            var decorator = vi.fn((inner) => ({ inner }));
+            var instance = { value: 1 };
+            var container = diBuilder()
+                .bindInstance("typeKey", instance)
+                .decorate("typeKey", decorator)
+                .build();
 
-                var scopeA = container.scope("A");
-                var scopeB = container.scope("B");
+            // Act -----------
+            var value = container.scope("child").get("typeKey");
 
-                // Act -----------
-                var instA = scopeA.get(typeKey);
-                var instB = scopeB.get(typeKey);
+            // Assert --------
+            expect(value).toEqual({ inner: instance });
+            expect(container.get("typeKey")).toBe(value);
+            expect(decorator).toHaveBeenCalledOnce();
+        });
 
-                // Assert --------
-                expect(instA).not.toBe(instB);
-            });
+        test("WHEN: Decorate instance before onActivated middleware", () => {
+            // Arrange -------
+            var onActivated = vi.fn((_, instance) => instance);
+            var container = diBuilder()
+                .use({ onActivated })
+                .bindFactory("typeKey", () => "x", { lifecycle: "lazy" })
+                .decorate("typeKey", (inner) => inner + "!")
+                .build();
 
-            test("WHEN: Get instance from parent and child scopes", () => {
-                // Arrange -------
-                var typeKey = "typeKey";
-                var container = diBuilder()
-                    .bindFactory(typeKey, () => ({ goTo: "bar" }))
-                    .build();
+            // Act -----------
+            container.get("typeKey");
 
-                var parent = container.scope("parent");
-                var child = container.scope("child");
+            // Assert --------
+            expect(onActivated).toHaveBeenCalledWith(
+                expect.objectContaining({ type: "typeKey" }),
+                "x!",
+                container,
+                expect.any(Array),
+            );
+        });
 
-                // Act -----------
-                var instParent = parent.get(typeKey);
-                var instChild = child.get(typeKey);
+        test("WHEN: Decorate async factory binding", async () => {
+            // Arrange -------
+            var container = diBuilder()
+                .bindInstance("suffix", "!")
+                .bindAsyncFactory("typeKey", async () => "x")
+                .decorate("typeKey", (inner, r) => inner + r.get("suffix"))
+                .build();
 
-                // Assert --------
-                expect(instChild).toBe(instParent);
-            });
+            // Act -----------
+            var value = await container.getAsync("typeKey");
 
-            test("WHEN: Get instance from parent and isolated child scopes", () => {
-                // Arrange -------
-                var typeKey = "typeKey";
-                var container = diBuilder()
-                    .bindFactory(typeKey, () => ({ goTo: "bar" }), {
-                        lifecycle: "scope",
-                    })
-                    .build();
+            // Assert --------
+            expect(value).toBe("x!");
+        });
 
-                var parent = container.scope("parent");
-                var child = container.scope("child", { isolated: true });
+        test("WHEN: Decorator resolves decorated binding", () => {
+            // Arrange -------
+            var container = diBuilder()
+                .bindFactory("typeKey", () => 1, { lifecycle: "lazy" })
+                .decorate("typeKey", (_, r) => r.get("typeKey"))
+                .build();
 
-                // Act -----------
-                var instParent = parent.get(typeKey);
-                var instChild = child.get(typeKey);
+            // Act -----------
+            var error = catchError(() => container.get("typeKey"));
 
-                // Assert --------
-                expect(instChild).not.toBe(instParent);
-            });
+            // Assert --------
+            expect(error).instanceOf(DependencyCycleError);
+        });
+
+        test("WHEN: Decorate missing binding", () => {
+            // Arrange -------
+            var builder = diBuilder().decorate("typeKey", (inner) => inner);
+
+            // Act -----------
+            var error = catchError(() => builder.build());
+
+            // Assert --------
+            expect(error).instanceOf(BindingNotFoundError);
+            expect(error.code).toBe("MISSING_DECORATED_TYPE");
+            expect(error.type).toBe("typeKey");
+        });
+
+        test("WHEN: Decorator inside module resolves internal type", () => {
+            // Arrange -------
+            var module = staticModule("module").create((binder) => {
+                binder
+                    .bindInstance("secret", "!", { internal: true })
+                    .decorate("service", (inner, r) => inner + r.get("secret"));
+            });
+            var container = diBuilder()
+                .bindFactory("service", () => "x")
+                .include(module)
+                .build();
+
+            // Act -----------
+            var value = container.get("service");
+
+            // Assert --------
+            expect(value).toBe("x!");
+        });
+
+        test("WHEN: Decorator outside module resolves internal type", () => {
+            // Arrange -------
+            var module = staticModule("module").create((binder) => {
+                binder
+                    .bindInstance("secret", "!", { internal: true })
+                    .bindFactory("service", () => "x");
+            });
+            var builder = diBuilder()
+                .include(module)
+                .decorate("service", (inner, r) => inner + r.get("secret"));
+
+            // Act -----------
+            var error = catchError(() => builder.build());
+
+            // Assert --------
+            expect(error).instanceOf(AccessViolationError);
+            expect(error.code).toBe("INTERNAL_TYPE_ACCESS");
+        });
+    });
+
+    describe("Derived container", () => {
+        test("WHEN: Override binding in derived container", () => {
+            // Arrange -------
+            var container = diBuilder()
+                .bindFactory("http", () => ({ fake: false }))
+                .build();
+
+            // Act -----------
+            var derived = container.extend((binder) => {
+                binder.bindFactory("http", () => ({ fake: true }));
+            });
+
+            // Assert --------
+            expect(derived).not.toBe(container);
+            expect(derived.get("http")).toEqual({ fake: true });
+            expect(container.get("http")).toEqual({ fake: false });
+        });
+
+        test("WHEN: Resolve binding not overridden in derived container", () => {
+            // Arrange -------
+            var factory = vi.fn(() => ({}));
+            var container = diBuilder()
+                .bindFactory("config", factory)
+                .bindInstance("value", { id: 1 })
+                .build();
+
+            // Act -----------
+            var derived = container.extend((binder) => {
+                binder.bindInstance("other", 2);
+            });
+
+            // Assert --------
+            expect(derived.get("config")).toBe(container.get("config"));
+            expect(derived.get("value")).toBe(container.get("value"));
+            expect(derived.get("other")).toBe(2);
+            expect(factory).toHaveBeenCalledOnce();
+        });
+
+        test("WHEN: Extend container without overrides", () => {
+            // Arrange -------
+            var container = diBuilder()
+                .bindFactory("http", () => ({}))
+                .bindFactory("cfg", () => ({}))
+                .bindFactory("db", () => ({}), { lifecycle: "lazy" })
+                .build();
+            var db = container.get("db");
+
+            // Act -----------
+            var derived = container.extend(() => {});
+
+            // Assert --------
+            expect(derived.get("http")).toBe(container.get("http"));
+            expect(derived.get("cfg")).toBe(container.get("cfg"));
+            expect(derived.get("db")).toBe(db);
+        });
+
+        test("WHEN: Resolve singletons that transitively depend on overridden binding", () => {
+            // Arrange -------
+            var container = diBuilder()
+                .bindFactory("http", () => "real")
+                .bindFactory("client", (r) => ({ http: r.get("http") }))
+                .bindFactory("service", (r) => ({ client: r.get("client") }), {
+                    lifecycle: "lazy",
+                })
+                .build();
+            var service = container.get("service");
+
+            // Act -----------
+            var derived = container.extend((binder) => {
+                binder.bindInstance("http", "fake");
+            });
+
+            // Assert --------
+            expect(derived.get("service")).toEqual({
+                client: { http: "fake" },
+            });
+            expect(derived.get("service")).not.toBe(service);
+            expect(container.get("service")).toBe(service);
+        });
+
+        test("WHEN: Resolve singleton with static dependency on overridden binding", () => {
+            // Arrange -------
+            var container = diBuilder()
+                .bindFactory("http", () => "real")
+                .bindSafeFactory(
+                    "client",
+                    (r) => r.providerOf("http"),
+                    (getHttp) => ({ getHttp }),
+                )
+                .build();
+
+            // Act -----------
+            var derived = container.extend((binder) => {
+                binder.bindInstance("http", "fake");
+            });
+
+            // Assert --------
+            expect(derived.get("client").getHttp()).toBe("fake");
+            expect(container.get("client").getHttp()).toBe("real");
+        });
+
+        test("WHEN: Resolve alias of overridden binding", () => {
+            // Arrange -------
+            var container = diBuilder()
+                .bindFactory("impl", () => "real")
+                .bindAlias("api", "impl")
+                .build();
+
+            // Act -----------
+            var derived = container.extend((binder) => {
+                binder.bindInstance("impl", "fake");
+            });
+
+            // Assert --------
+            expect(derived.get("api")).toBe("fake");
+            expect(container.get("api")).toBe("real");
+        });
+
+        test("WHEN: Dispose derived container", () => {
+            // Arrange -------
+            var shared = { dispose: vi.fn() };
+            var own = { dispose: vi.fn() };
+            var container = diBuilder()
+                .bindFactory("shared", () => shared)
+                .bindFactory("http", () => ({}))
+                .build();
+            var derived = container.extend((binder) => {
+                binder.bindFactory("http", () => own);
+            });
+            derived.get("shared");
+            derived.get("http");
+
+            // Act -----------
+            derived.dispose();
+
+            // Assert --------
+            expect(own.dispose).toHaveBeenCalledOnce();
+            expect(shared.dispose).not.toHaveBeenCalled();
+            expect(container.isDisposed).is.false;
+        });
+
+        test("WHEN: Open scope in derived container", () => {
+            // Arrange -------
+            var container = diBuilder()
+                .bindFactory("http", () => "real")
+                .bindFactory("request", (r) => ({ http: r.get("http") }), {
+                    lifecycle: "scope",
+                })
+                .build();
+            var derived = container.extend((binder) => {
+                binder.bindInstance("http", "fake");
+            });
+
+            // Act -----------
+            var request = derived.scope("request").get("request");
+
+            // Assert --------
+            expect(request).toEqual({ http: "fake" });
+        });
+
+        test("WHEN: Extend disposed container", () => {
+            // Arrange -------
+            var container = diBuilder().build();
+            container.dispose();
+
+            // Act -----------
+            var error = catchError(() => container.extend(() => {}));
+
+            // Assert --------
+            expect(error).instanceOf(ScopeDisposedError);
+        });
+
+        test("WHEN: Bind in derived container of builder with default lifecycle", () => {
+            // Arrange -------
+            var entry;
+            var container = diBuilder({ lifecycle: "transient" }).build();
+
+            // Act -----------
+            var derived = container.extend((binder) => {
+                entry = binder
+                    .bindFactory("request", () => ({}))
+                    .findEntry("request");
+            });
+
+            // Assert --------
+            expect(entry.lifecycle).toBe("transient");
+            expect(derived.get("request")).not.toBe(derived.get("request"));
+        });
+
+        test("WHEN: Extend child scope", () => {
+            // Arrange -------
+            var container = diBuilder().build();
+
+            // Act -----------
+            var scope = container.scope("request");
+
+            // Assert --------
+            expect(container.extend).toBeInstanceOf(Function);
+            expect(scope.extend).toBeUndefined();
+        });
+    });
+
+    describe("Inspection", () => {
+        test("WHEN: Inspect bindings", () => {
+            // Arrange ---------
+            var Module = staticModule("Module").create((binder) =>
+                binder.bindFactory("b", factoryOf(Object, ["a"]), {
+                    lifecycle: "lazy",
+                    internal: true,
+                    allowedScopes: ["request"],
+                    meta: { tag: "x" },
+                }),
+            );
+            var container = diBuilder()
+                .bindInstance("a", 1, { name: "one" })
+                .bindInstance("a", 2, { ifConflict: "append" })
+                .bindInstance("a", 3, { ifConflict: "append" })
+                .include(Module)
+                .bindSafeFactory(
+                    "c",
+                    (r) => ({ a: r.get("a", "one"), d: r.maybe("d") }),
+                    Object,
+                )
+                .bindFactory("d", () => 4, { lifecycle: "lazy" })
+                .build();
+
+            // Act -------------
+            var { bindings } = container.inspect();
+
+            // Assert ----------
+            expect(bindings).toHaveLength(6);
+            expect(bindings[0]).toEqual({
+                $id: "a$one",
+                type: "a",
+                name: "one",
+                kind: "instance",
+                lifecycle: undefined,
+                module: undefined,
+                internal: false,
+                allowedScopes: undefined,
+                meta: [],
+                inject: [],
+            });
+            expect(bindings[1].$id).toBe("a");
+            expect(bindings[2].$id).toBe("a");
+            expect(bindings[3]).toEqual({
+                $id: "b",
+                type: "b",
+                name: undefined,
+                kind: "factory",
+                lifecycle: "lazy",
+                module: "Module",
+                internal: true,
+                allowedScopes: ["request"],
+                meta: ["tag"],
+                inject: ["a"],
+            });
+            expect(bindings[4]).toMatchObject({
+                $id: "c",
+                kind: "safeFactory",
+                lifecycle: "singleton",
+                inject: ["a$one", "d"],
+            });
+            expect(
+                diBuilder()
+                    .bindAsyncFactory("d", async () => 4)
+                    .build()
+                    .inspect().bindings[0].kind,
+            ).toBe("asyncFactory");
+        });
+
+        test("WHEN: Inspect compiled aliases", () => {
+            // Arrange ---------
+            var container = diBuilder()
+                .bindInstance("a", 1)
+                .bindInstance("b", 2, { name: "x" })
+                .bindAlias("alias", "a")
+                .bindAlias("alias", "b", {
+                    originName: "x",
+                    ifConflict: "append",
+                })
+                .bindAlias("chain", "alias", { name: "named" })
+                .build();
+
+            // Act -------------
+            var { bindings, aliases } = container.inspect();
+
+            // Assert ----------
+            expect(bindings.map((it) => it.$id)).toEqual(["a", "b$x"]);
+            expect(aliases).toEqual([
+                {
+                    $id: "alias",
+                    type: "alias",
+                    name: undefined,
+                    origin: ["a", "b$x"],
+                },
+                {
+                    $id: "chain$named",
+                    type: "chain",
+                    name: "named",
+                    origin: ["a", "b$x"],
+                },
+            ]);
+        });
+
+        test("WHEN: Inspect scope tree", () => {
+            // Arrange ---------
+            var container = diBuilder()
+                .bindFactory("singleton", () => ({}))
+                .bindFactory("lazy", () => ({}), { lifecycle: "lazy" })
+                .bindFactory("scoped", () => ({}), { lifecycle: "scope" })
+                .bindFactory("transient", () => ({}), {
+                    lifecycle: "transient",
+                })
+                .build();
+            var request = container.scope("request");
+            request.get("scoped");
+            request.get("transient");
+            request.scope("job");
+            container.scope("closed").dispose();
+
+            // Act -------------
+            var before = container.inspect();
+            container.get("lazy");
+            var after = container.inspect();
+
+            // Assert ----------
+            expect(before.scope).toEqual({
+                id: container.id,
+                path: container.path,
+                disposed: false,
+                activated: ["singleton"],
+                children: [
+                    {
+                        id: "request",
+                        path: request.path,
+                        disposed: false,
+                        activated: ["scoped"],
+                        children: [
+                            {
+                                id: "job",
+                                path: [...request.path, "job"],
+                                disposed: false,
+                                activated: [],
+                                children: [],
+                            },
+                        ],
+                    },
+                ],
+            });
+            expect(after.scope.activated).toEqual(["singleton", "lazy"]);
+            expect(request.inspect().scope.id).toBe("request");
+            expect(request.inspect().bindings).toEqual(after.bindings);
+        });
+
+        test("WHEN: Serialize snapshot", () => {
+            // Arrange ---------
+            var container = diBuilder()
+                .bindFactory("a", () => ({}), { meta: { tag: Symbol("x") } })
+                .bindAlias("b", "a")
+                .build();
+            container.scope("request");
+
+            // Act -------------
+            var snapshot = container.inspect();
+            var json = JSON.parse(JSON.stringify(snapshot));
+
+            // Assert ----------
+            expect(json).toEqual(JSON.parse(JSON.stringify(snapshot)));
+            expect(json.bindings[0].meta).toEqual(["tag"]);
+            expect(json.aliases[0].origin).toEqual(["a"]);
+            expect(json.scope.children[0].id).toBe("request");
+        });
+    });
+
+    describe("Middleware", () => {
+        test("WHEN: empty middleware", () => {
+            // Arrange ------
+            var typeKey = "typeKey";
+            var expectedInst = { value: 42 };
+            var middleware = {};
+            var container = diBuilder()
+                .use(middleware)
+                .bindFactory(typeKey, () => expectedInst)
+                .build();
+
+            // Act -----------
+            var inst = container.get(typeKey);
+
+            // Assert --------
+            // Nothing special... just checking
+            expect(inst).toBe(expectedInst);
+        });
+
+        test("WHEN: add middlewares with same name", () => {
+            // Arrange --------
+            var middlewareName = "Foo";
+
+            var onUse1 = vi.fn();
+            var middleware1 = { name: middlewareName, onUse: onUse1 };
+
+            var onUse2 = vi.fn();
+            var middleware2 = { name: middlewareName, onUse: onUse2 };
+
+            var builder = diBuilder();
+
+            // Act --------------
+            builder.use(middleware1).use(middleware2);
+
+            // Arrange ----------
+            expect(builder.hasMiddleware(middleware1)).is.true;
+            expect(builder.hasMiddleware(middleware2)).is.true; // By Name
+            expect(onUse1).toHaveBeenCalledOnce();
+            expect(onUse2).not.toHaveBeenCalled();
+        });
+
+        describe("onBindAlias", () => {
+            test("WHEN: Apply onBindAlias middleware to builder", () => {
+                // Arrange --------------
+                var onBindAlias = vi.fn();
+                var builder = diBuilder();
+
+                // Act ------------------
+                builder.use({ onBindAlias });
+
+                // Assert ---------------
+                expect(onBindAlias).not.toHaveBeenCalled();
+            });
+
+            test("WHEN: Binding instance or factory", () => {
+                // Arrange --------------
+                var onBindAlias = vi.fn();
+                var builder = diBuilder().use({ onBindAlias });
+
+                // Act ------------------
+                builder
+                    .bindInstance("valueKey", 42)
+                    .bindFactory("factoryKey", noop);
+
+                // Assert ---------------
+                expect(onBindAlias).not.toHaveBeenCalled();
+            });
+
+            test("WHEN: Bind alias", () => {
+                // Arrange ---------
+                var typeKey = "typeKey";
+                var aliasKey = "aliasKey";
+
+                var onBindAlias = vi.fn();
+
+                var builder = diBuilder()
+                    .use({ onBindAlias })
+                    .bindInstance(typeKey, 42);
+
+                // Act -------------
+                builder.bindAlias(aliasKey, typeKey);
+
+                // Assert ----------
+                expect(onBindAlias).toHaveBeenCalledExactlyOnceWith(
+                    expect.objectContaining({ type: aliasKey }),
+                    expect.objectContaining({ type: typeKey }),
+                    builder,
+                );
+            });
+
+            test("WHEN: Bind named alias", () => {
+                // Arrange ----------
+                var typeKey = "typeKey";
+                var typeName = "typeName";
+
+                var aliasKey = "aliasKey";
+                var aliasName = "aliasName";
+
+                var onBindAlias = vi.fn();
+
+                var builder = diBuilder()
+                    .use({ onBindAlias })
+                    .bindInstance(typeKey, 42, { name: typeName });
+
+                // Act --------------
+                builder.bindAlias(aliasKey, typeKey, {
+                    name: aliasName,
+                    originName: typeName,
+                });
+
+                // Assert -----------
+                expect(onBindAlias).toHaveBeenCalledExactlyOnceWith(
+                    expect.objectContaining({
+                        type: aliasKey,
+                        name: aliasName,
+                    }),
+                    expect.objectContaining({ type: typeKey, name: typeName }),
+                    builder,
+                );
+            });
+        });
+
+        describe("onRequest", () => {
+            test("WHEN: Listen instance requests", () => {
+                // Arrange -------
+                var typeKey = "typeKey";
+                var expectedInst = 42;
+                var factory = vi.fn(() => expectedInst);
+                var onRequestHandler = vi.fn();
+                var builder = diBuilder()
+                    .use({ onRequest: onRequestHandler })
+                    .bindFactory(typeKey, factory, { lifecycle: "lazy" });
+
+                var entry = builder.findEntry(typeKey);
+
+                var container = builder.build();
+
+                // Act -----------
+                var inst1 = container.get(typeKey);
+                var inst2 = container.get(typeKey);
+
+                // Assert --------
+                expect(inst1).toBe(expectedInst);
+                expect(inst2).toBe(expectedInst);
+
+                expect(factory).toHaveBeenCalledOnce();
+
+                expect(onRequestHandler).toHaveBeenNthCalledWith(
+                    1,
+                    entry,
+                    container,
+                    typeKey,
+                    undefined,
+                    [],
+                );
+                expect(onRequestHandler).toHaveBeenNthCalledWith(
+                    2,
+                    entry,
+                    container,
+                    typeKey,
+                    undefined,
+                    [],
+                );
+            });
+
+            test("WHEN: Reject instance request", () => {
+                // Arrange -------
+                var typeKey = "typeKey";
+                var typeName = "typeName";
+                var expectedErrorMessage = "Type Request Rejected";
+
+                var factory = vi.fn();
+                var onRequestHandler = vi.fn(() => {
+                    throw new Error(expectedErrorMessage);
+                });
+                var builder = diBuilder()
+                    .use({ onRequest: onRequestHandler })
+                    .bindFactory(typeKey, factory, {
+                        lifecycle: "lazy",
+                        name: typeName,
+                    });
+
+                var entry = builder.findEntry(typeKey, typeName);
+                var container = builder.build();
+
+                // Act -----------
+                var error = catchError(() => {
+                    container.get(typeKey, typeName);
+                });
+
+                // Assert --------
+                expect(error).toBeDefined();
+                expect(error.message).toEqual(expectedErrorMessage);
+
+                expect(factory).not.toHaveBeenCalled();
+
+                expect(onRequestHandler).toHaveBeenCalledExactlyOnceWith(
+                    entry,
+                    container,
+                    typeKey,
+                    typeName,
+                    [],
+                );
+            });
+
+            test("WHEN: Type request trace via resolution stack ", () => {
+                // Arrange ---------
+                var typeKeyA = "typeKeyA";
+                var typeKeyB = "typeKeyB";
+                var typeKeyC = "typeKeyC";
+                var onRequest = vi.fn((...args) =>
+                    console.log("Test-OnRequest", args),
+                );
+                var builder = diBuilder()
+                    .use({ onRequest })
+                    .bindInstance(typeKeyA, 42)
+                    .bindFactory(typeKeyB, (r) => r.get(typeKeyA) * 2, {
+                        lifecycle: "lazy",
+                    })
+                    .bindFactory(typeKeyC, (r) => r.get(typeKeyB) + 10, {
+                        lifecycle: "lazy",
+                    });
+
+                var typeEntryA = builder.findEntry(typeKeyA);
+                var typeEntryB = builder.findEntry(typeKeyB);
+                var typeEntryC = builder.findEntry(typeKeyC);
+
+                var container = builder.build();
+
+                // Act -------------
+                container.get(typeKeyC);
+
+                // Assert ----------
+
+                expect(onRequest).toHaveBeenNthCalledWith(
+                    1,
+                    typeEntryC,
+                    container,
+                    typeKeyC,
+                    undefined,
+                    [],
+                );
+
+                expect(onRequest).toHaveBeenNthCalledWith(
+                    2,
+                    typeEntryB,
+                    container,
+                    typeKeyB,
+                    undefined,
+                    expect.arrayContaining([typeEntryC]),
+                );
+
+                expect(onRequest).toHaveBeenNthCalledWith(
+                    3,
+                    typeEntryA,
+                    container,
+                    typeKeyA,
+                    undefined,
+                    expect.arrayContaining([typeEntryC, typeEntryB]),
+                );
+            });
+        });
+
+        describe("onResolve", () => {
+            test("WHEN: listen instance resolve events", () => {
+                // Arrange ---------
+                var typeKey = "typeKey";
+                var typeValue = 42;
+
+                var onResolveHandler = vi.fn((_, instance) => instance);
+
+                var builder = diBuilder()
+                    .use({ onResolve: onResolveHandler })
+                    .bindInstance(typeKey, typeValue);
+
+                var typeEntry = builder.findEntry(typeKey);
+
+                var container = builder.build();
+
+                // Act -------------
+                container.get(typeKey);
+
+                // Assert ----------
+                expect(onResolveHandler).toHaveBeenCalledWith(
+                    typeEntry,
+                    typeValue,
+                    container,
+                    [],
+                );
+            });
+
+            test("WHEN: override resolved instance", () => {
+                // Arrange ---------
+                var typeKey = "typeKey";
+                var typeValue = 42;
+                var expectedValue = 123;
+
+                var onResolveHandler = vi.fn(() => expectedValue);
+
+                var builder = diBuilder()
+                    .bindInstance(typeKey, typeValue)
+                    .use({ onResolve: onResolveHandler });
+
+                var typeEntry = builder.findEntry(typeKey);
+
+                var container = builder.build();
+
+                // Act -------------
+                var value = container.get(typeKey);
+
+                // Assert ----------
+                expect(value).toBe(expectedValue);
+                expect(onResolveHandler).toHaveBeenCalledWith(
+                    typeEntry,
+                    typeValue,
+                    container,
+                    [],
+                );
+                expect(onResolveHandler).toHaveReturnedWith(value);
+            });
+
+            test("WHEN: override instance with many hooks", () => {
+                // Arrange -------
+                var aliasKey = "aliasKey";
+                var typeKey = "typeKey";
+                var typeValue = 42;
+
+                var expectedResult = (typeValue + 1) * 10;
+
+                var firstOnResolveHandler = vi.fn((_, value) => value + 1);
+                var secondOnResolveHandler = vi.fn((_, value) => value * 10);
+
+                var builder = diBuilder()
+                    .bindAlias(aliasKey, typeKey)
+                    .use({ onResolve: firstOnResolveHandler })
+                    .use({ onResolve: secondOnResolveHandler })
+                    .bindInstance(typeKey, typeValue);
+
+                var entry = builder.findEntry(typeKey);
+
+                var container = builder.build();
+
+                // Act -----------
+                var value = container.get(aliasKey);
+
+                // Assert --------
+                expect(value).toBe(expectedResult);
+
+                expect(firstOnResolveHandler).toHaveBeenCalledWith(
+                    entry,
+                    typeValue,
+                    container,
+                    [],
+                );
+                expect(firstOnResolveHandler).toHaveReturnedWith(typeValue + 1);
+
+                expect(secondOnResolveHandler).toHaveBeenCalledWith(
+                    entry,
+                    typeValue + 1,
+                    container,
+                    [],
+                );
+                expect(secondOnResolveHandler).toHaveReturnedWith(value);
+            });
+
+            test("WHEN: resolve cached instances", () => {
+                // Arrange -------
+                var stacks = [];
+                var onResolveHandler = vi.fn((_, instance, __, stack) => {
+                    stacks.push(stack.slice());
+                    return instance;
+                });
+                var builder = diBuilder()
+                    .use({ onResolve: onResolveHandler })
+                    .bindFactory("config", () => ({}))
+                    .bindFactory("session", () => ({}), { lifecycle: "scope" })
+                    .bindFactory(
+                        "request",
+                        (r) => ({ config: r.get("config") }),
+                        {
+                            lifecycle: "transient",
+                        },
+                    );
+                var configEntry = builder.findEntry("config");
+                var requestEntry = builder.findEntry("request");
+                var sessionEntry = builder.findEntry("session");
+                var container = builder.build();
+                var scope = container.scope("parent");
+                var childScope = scope.scope("child");
+                var session = scope.get("session");
+                onResolveHandler.mockClear();
+                stacks.length = 0;
+
+                // Act -----------
+                var config = childScope.get("config");
+                childScope.get("session");
+                childScope.get("request");
+
+                // Assert --------
+                // Cached instances are resolved by the scopes that own them
+                expect(onResolveHandler).toHaveBeenNthCalledWith(
+                    1,
+                    configEntry,
+                    config,
+                    container,
+                    expect.anything(),
+                );
+                expect(onResolveHandler).toHaveBeenNthCalledWith(
+                    2,
+                    sessionEntry,
+                    session,
+                    scope,
+                    expect.anything(),
+                );
+                // Nested resolution of the transient dependency
+                expect(onResolveHandler.mock.calls[2][0]).toBe(configEntry);
+                expect(onResolveHandler.mock.calls[3][0]).toBe(requestEntry);
+                expect(stacks).toEqual([[], [], [requestEntry], []]);
+            });
+        });
+
+        describe("onActivated", () => {
+            test("WHEN: Listen activation events", () => {
+                // Arrange ---------
+                var typeKey = "typeKey";
+                var expectedInst = { value: 42 };
+                var onActivatedHandler = vi.fn((_, inst) => inst);
+                var builder = diBuilder()
+                    .use({
+                        onActivated: onActivatedHandler,
+                    })
+                    .bindFactory(typeKey, () => expectedInst, {
+                        lifecycle: "lazy",
+                    });
+
+                var entry = builder.findEntry(typeKey);
+                var container = builder.build();
+
+                // Act -------------
+
+                var inst1 = container.get(typeKey);
+                var inst2 = container.get(typeKey);
+
+                // Assert ---------
+                expect(inst1).toBe(expectedInst);
+                expect(inst1).toBe(inst2);
+
+                expect(onActivatedHandler).toHaveBeenCalledExactlyOnceWith(
+                    entry,
+                    expectedInst,
+                    container,
+                    [entry],
+                );
+                expect(onActivatedHandler).toHaveReturnedWith(expectedInst);
+            });
+
+            test("WHEN: Override activated instance", () => {
+                // Arrange -------
+                var typeKey = "typeKey";
+                var factoryInst = 11;
+                var expectedInst = 22;
+                var factory = vi.fn(() => factoryInst);
+                var onActivatedHandler = vi.fn(() => expectedInst);
+                var builder = diBuilder()
+                    .use({ onActivated: onActivatedHandler })
+                    .bindFactory(typeKey, factory, { lifecycle: "lazy" });
+
+                var entry = builder.findEntry(typeKey);
+                var container = builder.build();
+
+                // Act -----------
+                var inst1 = container.get(typeKey);
+                var inst2 = container.get(typeKey);
+
+                // Assert --------
+                // 1. onActivated should define the final instance
+                expect(inst1).toBe(expectedInst);
+                expect(inst1).toBe(inst2);
+
+                // 2. Factory should be called once and return original value
+                expect(factory).toHaveBeenCalledOnce();
+                expect(factory).toHaveReturnedWith(factoryInst);
+
+                // 3. Hook receives raw instance and returns modified
+                expect(onActivatedHandler).toHaveBeenCalledAfter(factory);
+                expect(onActivatedHandler).toHaveBeenCalledExactlyOnceWith(
+                    entry,
+                    factoryInst,
+                    container,
+                    [entry],
+                );
+                expect(onActivatedHandler).toHaveReturnedWith(expectedInst);
+            });
+
+            test("WHEN: Override activated instance with many hooks", () => {
+                // Arrange ------
+                var typeKey = "typeKey";
+                var originValue = 0;
+                var valueOne = 1;
+                var valueTwo = 2;
+
+                var factory = vi.fn(() => originValue);
+                var onActivatedOne = vi.fn(() => valueOne);
+                var onActivatedTwo = vi.fn(() => valueTwo);
+
+                var builder = diBuilder()
+                    .use({ onActivated: onActivatedOne })
+                    .use({ onActivated: onActivatedTwo })
+                    .bindFactory(typeKey, factory, { lifecycle: "lazy" });
+
+                var entry = builder.findEntry(typeKey);
+                var container = builder.build();
+
+                // Act ----------
+                var inst1 = container.get(typeKey);
+                var inst2 = container.get(typeKey);
+
+                // Assert -------
+                // 1. Last onActivated should define the final instance
+                expect(inst1).toBe(valueTwo);
+                expect(inst2).toBe(inst1);
+
+                // 2. Factory should be called once and return original value
+                expect(factory).toHaveBeenCalledOnce();
+                expect(factory).toHaveReturnedWith(originValue);
+
+                // 3. First hook receives raw instance, returns modified
+                expect(onActivatedOne).toHaveBeenCalledAfter(factory);
+                expect(onActivatedOne).toHaveBeenCalledExactlyOnceWith(
+                    entry,
+                    originValue,
+                    container,
+                    [entry],
+                );
+                expect(onActivatedOne).toHaveReturnedWith(valueOne);
+
+                // 4. Second hook receives result of first hook
+                expect(onActivatedTwo).toHaveBeenCalledAfter(onActivatedOne);
+                expect(onActivatedTwo).toHaveBeenCalledExactlyOnceWith(
+                    entry,
+                    valueOne,
+                    container,
+                    [entry],
+                );
+                expect(onActivatedTwo).toHaveReturnedWith(valueTwo);
+            });
+
+            test("WHEN: Deep activation", () => {
+                // Arrange ------
+                var typeKeyA = "typeKeyA";
+                var typeKeyB = "typeKeyB";
+
+                var onActivated = vi.fn((_, inst) => inst);
+
+                var builder = diBuilder()
+                    .use({ onActivated })
+                    .bindFactory(typeKeyA, () => 11, { lifecycle: "lazy" })
+                    .bindFactory(typeKeyB, (r) => 22 + r.get(typeKeyA), {
+                        lifecycle: "lazy",
+                    });
+
+                var typeEntryA = builder.findEntry(typeKeyA);
+                var typeEntryB = builder.findEntry(typeKeyB);
+
+                var container = builder.build();
+
+                // Act ----------
+                var instB = container.get(typeKeyB);
+                var instA = container.get(typeKeyA);
+
+                // Assert -------
+                expect(onActivated).toHaveBeenNthCalledWith(
+                    1,
+                    typeEntryA,
+                    instA,
+                    container,
+                    [typeEntryB, typeEntryA],
+                );
+                expect(onActivated).toHaveBeenNthCalledWith(
+                    2,
+                    typeEntryB,
+                    instB,
+                    container,
+                    [typeEntryB],
+                );
+            });
+        });
+
+        describe("onError", () => {
+            test("WHEN: factory throws and no fallback is returned", () => {
+                // Arrange -------
+                var factory = vi.fn(() => {
+                    throw new Error("Connection refused");
+                });
+                var onError = vi.fn();
+                var builder = diBuilder()
+                    .use({ onError })
+                    .bindFactory("db", factory, { lifecycle: "lazy" })
+                    .bindFactory("repo", (r) => ({ db: r.get("db") }), {
+                        lifecycle: "lazy",
+                    });
+                var dbEntry = builder.findEntry("db");
+                var repoEntry = builder.findEntry("repo");
+                var container = builder.build();
+
+                // Act -----------
+                var firstError = catchError(() => container.get("repo"));
+                var secondError = catchError(() => container.get("db"));
+
+                // Assert --------
+                expect(firstError.message).toBe("Connection refused");
+                // Stacks are unwound, so the next request isn't a dependency cycle
+                expect(secondError.message).toBe("Connection refused");
+                expect(factory).toHaveBeenCalledTimes(2);
+                // Reported once by the failed activation, not by its dependents
+                expect(onError).toHaveBeenCalledTimes(2);
+                expect(onError).toHaveBeenNthCalledWith(
+                    1,
+                    firstError,
+                    dbEntry,
+                    container,
+                    [repoEntry, dbEntry],
+                );
+                expect(onError).toHaveBeenNthCalledWith(
+                    2,
+                    secondError,
+                    dbEntry,
+                    container,
+                    [dbEntry],
+                );
+            });
+
+            test("WHEN: factory throws primitive value", async () => {
+                // Arrange -------
+                var onError = vi.fn();
+                var builder = diBuilder()
+                    .use({ onError })
+                    .bindFactory(
+                        "db",
+                        () => {
+                            throw "boom";
+                        },
+                        { lifecycle: "lazy" },
+                    )
+                    .bindFactory("repo", (r) => ({ db: r.get("db") }), {
+                        lifecycle: "lazy",
+                    })
+                    .bindAsyncFactory(
+                        "service",
+                        async (r) => ({ repo: await r.getAsync("repo") }),
+                        { lifecycle: "lazy" },
+                    );
+                var dbEntry = builder.findEntry("db");
+                var repoEntry = builder.findEntry("repo");
+                var serviceEntry = builder.findEntry("service");
+                var container = builder.build();
+
+                // Act -----------
+                var asyncError = await container
+                    .getAsync("service")
+                    .catch((e) => e);
+                var getRepo = () => container.get("repo");
+
+                // Assert --------
+                expect(getRepo).toThrow("boom");
+                expect(asyncError).toBe("boom");
+                // Reported once by each failed activation, not by its dependents
+                expect(onError).toHaveBeenCalledTimes(2);
+                expect(onError).toHaveBeenNthCalledWith(
+                    1,
+                    "boom",
+                    dbEntry,
+                    container,
+                    [serviceEntry, repoEntry, dbEntry],
+                );
+                expect(onError).toHaveBeenNthCalledWith(
+                    2,
+                    "boom",
+                    dbEntry,
+                    container,
+                    [repoEntry, dbEntry],
+                );
+            });
+
+            test("WHEN: middleware returns fallback instance", () => {
+                // Arrange -------
+                var fallback = { offline: true };
+                var onError1 = vi.fn();
+                var onError2 = vi.fn(() => fallback);
+                var onError3 = vi.fn();
+                var container = diBuilder()
+                    .use({ onError: onError1 })
+                    .use({ onError: onError2 })
+                    .use({ onError: onError3 })
+                    .bindFactory(
+                        "db",
+                        () => {
+                            throw new Error("Connection refused");
+                        },
+                        { lifecycle: "lazy" },
+                    )
+                    .bindFactory("repo", (r) => ({ db: r.get("db") }))
+                    .build();
+
+                // Act -----------
+                var repo = container.get("repo");
+                var db = container.get("db");
+
+                // Assert --------
+                expect(repo.db).toBe(fallback);
+                expect(db).toBe(fallback);
+                expect(onError1).toHaveBeenCalledOnce();
+                expect(onError2).toHaveBeenCalledOnce();
+                expect(onError3).not.toHaveBeenCalled();
+            });
+
+            test("WHEN: async factory rejects", async () => {
+                // Arrange -------
+                var error = new Error("Connection refused");
+                var fallback = { offline: true };
+                var onError = vi.fn(() => fallback);
+                var builder = diBuilder()
+                    .use({ onError })
+                    .bindAsyncFactory("db", () => Promise.reject(error), {
+                        lifecycle: "lazy",
+                    });
+                var entry = builder.findEntry("db");
+                var container = await builder.buildAsync();
+
+                // Act -----------
+                var db = await container.getAsync("db");
+
+                // Assert --------
+                expect(db).toBe(fallback);
+                expect(onError).toHaveBeenCalledExactlyOnceWith(
+                    error,
+                    entry,
+                    container,
+                    [entry],
+                );
+            });
+        });
+
+        test("WHEN: middlewares have priority", () => {
+            // Arrange -------
+            var calls = [];
+            var middleware = (name, priority) => ({
+                name,
+                priority,
+                onRequest: () => {
+                    calls.push(name);
+                },
+            });
+            var container = diBuilder()
+                .use(middleware("default"))
+                .use(middleware("low", -1))
+                .use(middleware("high", 10))
+                .use(middleware("default2"))
+                .bindInstance("typeKey", 42)
+                .build();
+
+            // Act -----------
+            container.get("typeKey");
+
+            // Assert --------
+            expect(calls).toEqual(["high", "default", "default2", "low"]);
+        });
+    });
+
+    describe("Child scopes", () => {
+        describe("Get child scope", () => {
+            test("WHEN: Create child scope", () => {
+                // Arrange -----------
+                var scopeId = "myScope";
+                var onScopeOpen = vi.fn();
+                var container = diBuilder().use({ onScopeOpen }).build();
+
+                // Act ---------------
+                var childScope = container.scope(scopeId);
+
+                // Assert ------------
+                expect(container.hasChildScope(scopeId)).is.true;
+
+                expect(childScope.id).toBe(scopeId);
+                expect(childScope).not.toBe(container);
+                expect(Object.getPrototypeOf(childScope)).toBe(
+                    Object.getPrototypeOf(container),
+                );
+                expect(childScope.data).is.undefined;
+                expect(childScope.sealed).is.false;
+                expect(childScope.isolated).is.false;
+                expect(childScope.isDisposed).is.false;
+
+                expect(onScopeOpen).toHaveBeenCalledExactlyOnceWith(childScope);
+            });
+
+            test("WHEN: Create child scope with data", () => {
+                // Arrange -------
+                var scopeId = "child";
+                var scopeData = 42;
+                var container = diBuilder().build();
+
+                // Act -----------
+                const childScope = container.scope(scopeId, {
+                    data: scopeData,
+                });
+
+                // Assert --------
+                expect(container.hasChildScope(scopeId)).is.true;
+                expect(Object.getPrototypeOf(childScope)).toBe(
+                    Object.getPrototypeOf(container),
+                );
+                expect(childScope.data).toBe(scopeData);
+                expect(childScope.sealed).is.false;
+                expect(childScope.isolated).is.false;
+                expect(childScope.isDisposed).is.false;
+            });
+
+            test("WHEN: Get child scope twice with same id", () => {
+                // Arrange ------------
+                var scopeId = "child";
+                var onScopeOpen = vi.fn();
+                var container = diBuilder().use({ onScopeOpen }).build();
+                var scopeA = container.scope(scopeId);
+
+                // Act ----------------
+                var scopeB = container.scope(scopeId);
+
+                // Assert -------------
+                expect(scopeB).toBe(scopeA);
+                expect(onScopeOpen).toHaveBeenCalledExactlyOnceWith(scopeA);
+            });
+
+            test("WHEN: Create sealed scope", () => {
+                // Arrange -----------
+                var scopeId = "myScope";
+                var container = diBuilder().build();
+
+                // Act ---------------
+                var childScope = container.scope(scopeId, { sealed: true });
+
+                // Assert ------------
+                expect(container.hasChildScope(scopeId)).is.true;
+
+                expect(childScope.id).toBe(scopeId);
+                expect(childScope).not.toBe(container);
+                expect(Object.getPrototypeOf(childScope)).toBe(
+                    Object.getPrototypeOf(container),
+                );
+                expect(childScope.sealed).is.true;
+                expect(childScope.isolated).is.false;
+                expect(childScope.isDisposed).is.false;
+            });
+
+            test("WHEN: Get scope with same name as parent", () => {
+                // Arrange -------
+                var container = diBuilder().build();
+
+                var scopeA = container.scope("A");
+                var scopeB = scopeA.scope("B");
+
+                // Act -----------
+                var scopeA2 = scopeB.scope("A");
+
+                // Assert --------
+                expect(scopeA2).toBe(scopeA);
+            });
+
+            test("WHEN: Trying open new scope from sealed scope", () => {
+                // Arrange ---------
+                var sealedScopeName = "sealed";
+                var childScopeName = "child";
+                var container = diBuilder().build();
+                var sealedScope = container.scope(sealedScopeName, {
+                    sealed: true,
+                });
+
+                // Act -------------
+                var error = catchError(() => {
+                    sealedScope.scope(childScopeName);
+                });
+
+                // Assert ----------
+                expect(error).instanceOf(Error);
+            });
+
+            test("WHEN: Trying to get parent scope from sealed scope", () => {
+                // Arrange -------
+                var parentName = "parent";
+                var childName = "child";
+                var container = diBuilder().build();
+
+                var parentScope = container.scope(parentName);
+                var childScope = parentScope.scope(childName, { sealed: true });
+
+                // Act -----------
+                var scope = childScope.scope(parentName);
+
+                // Assert --------
+                expect(childScope.hasChildScope(parentName)).is.false;
+                expect(scope).toBe(parentScope);
+            });
+
+            test("WHEN: Create isolated scope", () => {
+                // Arrange -----------
+                var scopeId = "myScope";
+                var container = diBuilder().build();
+
+                // Act ---------------
+                var childScope = container.scope(scopeId, { isolated: true });
+
+                // Assert ------------
+                expect(childScope.id).toBe(scopeId);
+                expect(childScope).not.toBe(container);
+                expect(Object.getPrototypeOf(childScope)).toBe(
+                    Object.getPrototypeOf(container),
+                );
+                expect(childScope.sealed).is.false;
+                expect(childScope.isolated).is.true;
+            });
+
+            test("Child scope extends root data", () => {
+                // Arrange -----------
+                var expectedData = { foo: "bar" };
+                var container = diBuilder({ data: expectedData }).build();
+
+                // Act ---------------
+                var child = container.scope("child");
+
+                // Assert ------------
+                expect(container.data).toBe(expectedData);
+                expect(child.data).toBe(expectedData);
+            });
+
+            test("Child scope data merge with root data", () => {
+                // Arrange ----------
+                var rootTag = "foo";
+                var expectedTag = "bar";
+                var expectedValue = 42;
+
+                var container = diBuilder({
+                    data: {
+                        tag: rootTag,
+                        value: expectedValue,
+                    },
+                }).build();
+
+                // Act --------------
+                var child = container.scope("child", {
+                    data: { tag: expectedTag },
+                });
+
+                // Assert -----------
+                expect(container.data.tag).toBe(rootTag);
+                expect(container.data.value).toBe(expectedValue);
+
+                expect(child.data.tag).toBe(expectedTag);
+                expect(child.data.value).toBe(expectedValue);
+            });
+
+            test("Isolated child not extends root data", () => {
+                // Arrange -----------
+                var container = diBuilder({
+                    data: { value: 42 },
+                }).build();
+
+                // Act ---------------
+                var child = container.scope("child", {
+                    data: { tag: "foo" },
+                    isolated: true,
+                });
+
+                // Assert ------------
+                expect(container.data.value).toBe(42);
+                expect(child.data.value).toBeUndefined();
+                expect(child.data.tag).toBe("foo");
+            });
+
+            test("WHEN: Create scope via factory binding", () => {
+                // Arrange ------
+                var typeKey = "typeKey";
+
+                var container = diBuilder()
+                    .bindFactory(
+                        typeKey,
+                        (r, { current }) => {
+                            return { scopeId: current, child: r.get("child") };
+                        },
+                        {
+                            lifecycle: "scope",
+                            withScope: true,
+                        },
+                    )
+                    .bindFactory("child", (_, { current }) => current, {
+                        lifecycle: "transient",
+                    })
+                    .build();
+
+                // Act ----------
+                var inst = container.get(typeKey);
+
+                var scope = container.scope(typeKey);
+                var instFromScope = scope.get(typeKey);
+
+                // Assert -------
+                expect(inst.scopeId).toBe(typeKey);
+                expect(inst.scopeId).toBe(scope.id);
+                expect(inst.child).toBe(scope.id);
+                expect(scope.isolated).is.false;
+                expect(scope.sealed).is.false;
+                expect(inst).toBe(instFromScope);
+            });
+
+            test("WHEN: Create isolated scope via factory binding", () => {
+                // Arrange ------
+                var typeKey = "typeKey";
+
+                var container = diBuilder()
+                    .bindFactory(
+                        typeKey,
+                        (r, { current }) => {
+                            return { scopeId: current, child: r.get("child") };
+                        },
+                        {
+                            lifecycle: "scope",
+                            withScope: { isolated: true },
+                        },
+                    )
+                    .bindFactory("child", (_, { current }) => current, {
+                        lifecycle: "transient",
+                    })
+                    .build();
+
+                // Act ----------
+                var inst = container.get(typeKey);
+
+                var scope = container.scope(typeKey);
+                var instFromScope = scope.get(typeKey);
+
+                // Assert -------
+                expect(inst.scopeId).toBe(typeKey);
+                expect(inst.scopeId).toBe(scope.id);
+                expect(inst.child).toBe(scope.id);
+                expect(scope.isolated).is.true;
+                expect(scope.sealed).is.false;
+                expect(inst).toBe(instFromScope);
+            });
+        });
+
+        describe("Scoped instances", () => {
+            test("WHEN: Get singleton from child scope", () => {
+                // Arrange -------
+                var typeKey = "typeKey";
+                var factory = vi.fn(() => ({ value: 42 }));
+                var container = diBuilder()
+                    .bindFactory(typeKey, factory)
+                    .build();
+
+                var scopeA = container.scope("A");
+                var scopeB = scopeA.scope("B");
+
+                // Act -----------
+                var instRoot = container.get(typeKey);
+                var instA = scopeA.get(typeKey);
+                var instB = scopeB.get(typeKey);
+
+                // Assert --------
+                expect(factory).toHaveBeenCalledOnce();
+
+                expect(instA).toBe(instRoot);
+                expect(instB).toBe(instRoot);
+            });
+
+            test("WHEN: Get instance from same scope", () => {
+                // Arrange -------
+                var typeKey = "typeKey";
+                var container = diBuilder()
+                    .bindFactory(typeKey, () => ({ value: "foo" }), {
+                        lifecycle: "scope",
+                    })
+                    .build();
+
+                var childScope = container.scope("child");
+
+                // Act -----------
+                var inst1 = childScope.get(typeKey);
+                var inst2 = childScope.get(typeKey);
+
+                // Assert --------
+                expect(inst1).toBe(inst2);
+            });
+
+            test("WHEN: Get instance of same type from different scopes", () => {
+                // Arrange -------
+                var typeKey = "typeKey";
+                var container = diBuilder()
+                    .bindFactory(typeKey, () => ({ value: 42 }), {
+                        lifecycle: "scope",
+                    })
+                    .build();
+
+                var scopeA = container.scope("A");
+                var scopeB = container.scope("B");
+
+                // Act -----------
+                var instA = scopeA.get(typeKey);
+                var instB = scopeB.get(typeKey);
+
+                // Assert --------
+                expect(instA).not.toBe(instB);
+            });
+
+            test("WHEN: Get instance from parent and child scopes", () => {
+                // Arrange -------
+                var typeKey = "typeKey";
+                var container = diBuilder()
+                    .bindFactory(typeKey, () => ({ goTo: "bar" }))
+                    .build();
+
+                var parent = container.scope("parent");
+                var child = container.scope("child");
+
+                // Act -----------
+                var instParent = parent.get(typeKey);
+                var instChild = child.get(typeKey);
+
+                // Assert --------
+                expect(instChild).toBe(instParent);
+            });
+
+            test("WHEN: Get instance from parent and isolated child scopes", () => {
+                // Arrange -------
+                var typeKey = "typeKey";
+                var container = diBuilder()
+                    .bindFactory(typeKey, () => ({ goTo: "bar" }), {
+                        lifecycle: "scope",
+                    })
+                    .build();
+
+                var parent = container.scope("parent");
+                var child = container.scope("child", { isolated: true });
+
+                // Act -----------
+                var instParent = parent.get(typeKey);
+                var instChild = child.get(typeKey);
+
+                // Assert --------
+                expect(instChild).not.toBe(instParent);
+            });
 
             test("WHEN: Getting instance from scope inside isolated scope", () => {
                 // Arrange ------
@@ -4543,523 +7351,1483 @@ describe("Container Scope", () => {
                     .bindFactory(typeKey, factory, { lifecycle: "scope" })
                     .build();
 
-                var scopeA = container.scope("A");
-                var scopeB = scopeA.scope("B", { isolated: true });
-                var scopeC = scopeB.scope("C");
+                var scopeA = container.scope("A");
+                var scopeB = scopeA.scope("B", { isolated: true });
+                var scopeC = scopeB.scope("C");
+
+                // Act ----------
+                var instA = scopeA.get(typeKey);
+                var instB = scopeB.get(typeKey);
+                var instC = scopeC.get(typeKey);
+
+                // Assert -------
+                // 1. Instances from scopes B & C should be the same
+                expect(instC).toBe(instB);
+
+                // 2. Instance from scopes A & C should be different,
+                //    because parent B is isolated from A
+                expect(instC).not.toBe(instA);
+
+                // 3. Factory should be called twice: once for A, once for B (shared with C)
+                expect(factory).toHaveBeenCalledTimes(2);
+            });
+        });
+    });
+
+    describe("Allowed scopes", () => {
+        test("WHEN: Get instance from allowed scope", () => {
+            // Arrange ----------
+            var typeKey = "typeKey";
+            var expectedValue = 42;
+            var allowedScope = "scope";
+            var factory = vi.fn(() => expectedValue);
+            var container = diBuilder()
+                .bindFactory(typeKey, factory, {
+                    lifecycle: "scope",
+                    allowedScopes: [allowedScope],
+                })
+                .build();
+
+            var scope = container.scope(allowedScope);
+
+            // Act --------------
+            var value = scope.get(typeKey);
+
+            // Assert -----------
+            expect(value).toBe(expectedValue);
+            expect(factory).toHaveBeenCalledOnce();
+        });
+
+        test("WHEN: get instance from not allowed scope", () => {
+            // Arrange ------------
+            var typeKey = "typeKey";
+            var currentScope = "current";
+            var factory = vi.fn(() => 42);
+            var container = diBuilder()
+                .bindFactory(typeKey, factory, {
+                    lifecycle: "scope",
+                    allowedScopes: ["allowed"],
+                })
+                .build();
+
+            var scope = container.scope(currentScope);
+
+            // Act ----------------
+            var error = catchError(() => {
+                scope.get(typeKey);
+            });
+
+            // Assert -------------
+            expect(error).toBeInstanceOf(Error);
+            expect(factory).not.toHaveBeenCalled();
+        });
+
+        test("WHEN: Get optional type from not allowed scope", () => {
+            // Arrange ------------
+            var typeKey = "typeKey";
+            var currentScope = "current";
+            var factory = vi.fn(() => 42);
+            var container = diBuilder()
+                .bindFactory(typeKey, factory, {
+                    lifecycle: "scope",
+                    allowedScopes: ["allowed"],
+                })
+                .build();
+
+            var scope = container.scope(currentScope);
+
+            // Act ----------
+            var value = scope.maybe(typeKey);
+
+            // Assert -------
+            expect(value).is.undefined;
+            expect(factory).not.toHaveBeenCalled();
+        });
+
+        test("WHEN: Get instance from child of allowed scope", () => {
+            // Arrange --------
+            var typeKey = "typeKey";
+            var factory = vi.fn(() => ({ value: 42 }));
+            var parentScopeName = "parent";
+            var childScopeName = "child";
+            var container = diBuilder()
+                .bindFactory(typeKey, factory, {
+                    lifecycle: "scope",
+                    allowedScopes: [parentScopeName],
+                })
+                .build();
+
+            var parentScope = container.scope(parentScopeName);
+            var childScope = parentScope.scope(childScopeName);
+
+            // Act ------------
+            var childInst = childScope.get(typeKey);
+            var parentInst = parentScope.get(typeKey);
+
+            // Assert ---------
+            expect(childInst).toBe(parentInst);
+            expect(factory).toHaveBeenCalledOnce();
+        });
+
+        test("WHEN: Get instance from isolated child of allowed scope", () => {
+            // Arrange --------
+            var typeKey = "typeKey";
+            var factory = vi.fn(() => ({ value: 42 }));
+            var parentScopeName = "parent";
+            var childScopeName = "child";
+            var container = diBuilder()
+                .bindFactory(typeKey, factory, {
+                    lifecycle: "scope",
+                    allowedScopes: [parentScopeName],
+                })
+                .build();
+
+            var parentScope = container.scope(parentScopeName);
+            var childScope = parentScope.scope(childScopeName, {
+                isolated: true,
+            });
+
+            // Act ------------
+            var error = catchError(() => {
+                childScope.get(typeKey);
+            });
+
+            // Assert ---------
+            expect(error).toBeInstanceOf(Error);
+            expect(factory).not.toHaveBeenCalled();
+        });
+    });
+
+    describe("Captive dependencies", () => {
+        test("WHEN singleton resolves scope binding", () => {
+            // Arrange ------------
+            var container = diBuilder({ captiveDependencies: "throw" })
+                .bindFactory("session", () => ({}), { lifecycle: "scope" })
+                .bindFactory("cache", factoryOf(Object, ["session"]), {
+                    lifecycle: "lazy",
+                })
+                .build();
+
+            // Act ----------------
+            var error = catchError(() =>
+                container.scope("request").get("cache"),
+            );
+
+            // Assert -------------
+            expect(error).instanceOf(AccessViolationError);
+            expect(error.code).toBe("CAPTIVE_DEPENDENCY");
+            expect(error.message).toBe(
+                `Captive dependency: "lazy" binding 'cache' depends on "scope" binding 'session'`,
+            );
+            expect(error.chain).toEqual(["cache", "session"]);
+            expect(error.scopePath).toEqual([]);
+        });
+
+        test("WHEN captive dependency is reported", () => {
+            // Arrange ------------
+            var onCaptiveDependency = vi.fn();
+            var container = diBuilder({ captiveDependencies: "report" })
+                .use({ onCaptiveDependency })
+                .bindFactory("id", () => ({}), { lifecycle: "transient" })
+                .bindFactory("service", factoryOf(Object, ["id"]))
+                .build();
+
+            // Act ----------------
+            var service = container.get("service");
+
+            // Assert -------------
+            expect(service).toBeDefined();
+            expect(onCaptiveDependency).toHaveBeenCalledExactlyOnceWith(
+                expect.objectContaining({ type: "service" }),
+                expect.objectContaining({ type: "id" }),
+                container,
+            );
+        });
+
+        test("WHEN captive dependency is allowed", () => {
+            // Arrange ------------
+            var builder = diBuilder({ captiveDependencies: "throw" })
+                .bindFactory("id", () => ({}), {
+                    lifecycle: "transient",
+                    allowCaptive: true,
+                })
+                .bindFactory("session", () => ({}), { lifecycle: "scope" })
+                .bindAssistedFactory("user", (r, name) => ({ name }))
+                .bindFactory("config", factoryOf(Object, ["id"]))
+                .bindFactory("cache", factoryOf(Object, ["session"]), {
+                    lifecycle: "lazy",
+                    allowCaptive: true,
+                })
+                .bindFactory("users", factoryOf(Object, ["user"]), {
+                    lifecycle: "lazy",
+                })
+                .bindFactory(
+                    "profile",
+                    factoryOf(Object, [phantom("session")]),
+                    { lifecycle: "lazy" },
+                )
+                .bindFactory("handler", factoryOf(Object, ["id", "session"]), {
+                    lifecycle: "scope",
+                });
+            var container = builder.build();
+            var scope = container.scope("request");
+            var derived = container.extend((binder) =>
+                binder.bindFactory("config", factoryOf(Object, ["session"]), {
+                    lifecycle: "lazy",
+                }),
+            );
+
+            // Act ----------------
+            var resolved = [
+                container.get("cache"),
+                container.get("users"),
+                scope.get("profile"),
+                scope.get("handler"),
+            ];
+            var error = catchError(() => derived.get("config"));
+
+            // Assert -------------
+            expect(resolved).toHaveLength(4);
+            expect(error.code).toBe("CAPTIVE_DEPENDENCY");
+            expect(
+                diBuilder()
+                    .bindFactory("session", () => ({}), { lifecycle: "scope" })
+                    .bindFactory("cache", factoryOf(Object, ["session"]))
+                    .build()
+                    .get("cache"),
+            ).toBeDefined();
+        });
+    });
+
+    describe("Binding hooks", () => {
+        test("WHEN: Activate instances of binding with onActivate hook", () => {
+            // Arrange -------
+            var config = { url: "db://local" };
+            var onActivate = vi.fn((db, r) => db.connect(r.get("config").url));
+            var factory = vi.fn(() => ({ connect: vi.fn() }));
+            var container = diBuilder()
+                .bindInstance("config", config)
+                .bindFactory("db", factory, {
+                    lifecycle: "transient",
+                    onActivate,
+                })
+                .build();
+
+            // Act -----------
+            var db1 = container.get("db");
+            var db2 = container.get("db");
+
+            // Assert --------
+            expect(onActivate).toHaveBeenCalledTimes(2);
+            expect(onActivate).toHaveBeenNthCalledWith(1, db1, container);
+            expect(db1.connect).toHaveBeenCalledExactlyOnceWith(config.url);
+            expect(db2.connect).toHaveBeenCalledExactlyOnceWith(config.url);
+        });
+
+        test("WHEN: Activate bound instance with onActivate hook", () => {
+            // Arrange -------
+            var instance = { ready: false };
+            var onActivate = vi.fn((it) => {
+                it.ready = true;
+            });
+            var builder = diBuilder().bindInstance("typeKey", instance, {
+                onActivate,
+            });
+
+            // Act -----------
+            var container = builder.build();
+            container.get("typeKey");
+
+            // Assert --------
+            expect(onActivate).toHaveBeenCalledExactlyOnceWith(
+                instance,
+                container,
+            );
+            expect(instance.ready).is.true;
+        });
+
+        test("WHEN: Async factory has async onActivate hook", async () => {
+            // Arrange -------
+            var log = [];
+            var container = diBuilder()
+                .bindAsyncFactory("db", async () => ({}), {
+                    lifecycle: "lazy",
+                    onActivate: async () => {
+                        await Promise.resolve();
+                        log.push("connected");
+                    },
+                })
+                .build();
+
+            // Act -----------
+            var db = await container.getAsync("db");
+            log.push("resolved");
+
+            // Assert --------
+            expect(db).toEqual({});
+            expect(log).toEqual(["connected", "resolved"]);
+        });
+
+        test("WHEN: Sync binding returns promise from onActivate hook", async () => {
+            // Arrange -------
+            var db = { dispose: vi.fn() };
+            var refuse;
+            var connect = new Promise((_, reject) => (refuse = reject));
+            var container = diBuilder()
+                .bindFactory("db", () => db, {
+                    lifecycle: "lazy",
+                    onActivate: () => connect,
+                })
+                .build();
+
+            // Act -----------
+            var error = catchError(() => container.get("db"));
+            refuse(new Error("Connection refused"));
+            await new Promise((resolve) => setTimeout(resolve));
+
+            // Assert --------
+            expect(error).toBeInstanceOf(DIError);
+            expect(error.code).toBe("ASYNC_ON_ACTIVATE");
+            expect(error.message).toBe(
+                "Binding 'db' returned a promise from onActivate: resolve it with getAsync() or build the container with buildAsync()",
+            );
+            // The rejection is handled and the instance is released
+            expect(db.dispose).toHaveBeenCalledOnce();
+        });
+
+        test("WHEN: Resolve sync binding with async onActivate hook", async () => {
+            // Arrange -------
+            var log = [];
+            var connected;
+            var connect = new Promise((resolve) => (connected = resolve));
+            var container = diBuilder()
+                .bindFactory("db", () => ({}), {
+                    lifecycle: "lazy",
+                    onActivate: () => connect.then(() => log.push("connected")),
+                })
+                .build();
+
+            // Act -----------
+            var first = container.getAsync("db");
+            var second = container.getAsync("db");
+            var error = catchError(() => container.get("db"));
+            connected();
+            var db = await first;
+
+            // Assert --------
+            expect(error.code).toBe("ASYNC_BINDING_NOT_RESOLVED");
+            expect(log).toEqual(["connected"]);
+            expect(await second).toBe(db);
+            expect(container.get("db")).toBe(db);
+        });
+
+        test("WHEN: Async onActivate hook of sync binding rejects", async () => {
+            // Arrange -------
+            var dispose = vi.fn();
+            var onActivate = vi
+                .fn()
+                .mockRejectedValueOnce(new Error("Connection refused"))
+                .mockResolvedValueOnce(undefined);
+            var container = diBuilder()
+                .bindFactory("db", () => ({ dispose }), {
+                    lifecycle: "lazy",
+                    onActivate,
+                })
+                .build();
+
+            // Act -----------
+            var error = await container.getAsync("db").catch((e) => e);
+            var retried = await container.getAsync("db");
+
+            // Assert --------
+            expect(error.message).toBe("Connection refused");
+            expect(dispose).toHaveBeenCalledOnce();
+            expect(retried).toBe(container.get("db"));
+            expect(onActivate).toHaveBeenCalledTimes(2);
+        });
+
+        test("WHEN: Build container with async onActivate hooks", async () => {
+            // Arrange -------
+            var log = [];
+            var hook = (name) => async () => {
+                await Promise.resolve();
+                log.push(name);
+            };
+            var config = { port: 80 };
+
+            // Act -----------
+            var container = await diBuilder()
+                .bindInstance("config", config, { onActivate: hook("config") })
+                .bindFactory("db", () => ({}), { onActivate: hook("db") })
+                .buildAsync();
+
+            // Assert --------
+            expect(log).toEqual(["config", "db"]);
+            expect(container.get("config")).toBe(config);
+            expect(container.get("db")).toEqual({});
+        });
+
+        test("WHEN: Resolve sync bindings with sync onActivate hook asynchronously", async () => {
+            // Arrange -------
+            var onActivate = vi.fn();
+            var container = diBuilder()
+                .bindFactory("db", () => ({}), {
+                    lifecycle: "lazy",
+                    onActivate,
+                })
+                .bindFactory("request", () => ({}), {
+                    lifecycle: "transient",
+                    onActivate,
+                })
+                .build();
+
+            // Act -----------
+            var db = await container.getAsync("db");
+            var request = await container.getAsync("request");
+
+            // Assert --------
+            expect(container.get("db")).toBe(db);
+            expect(container.get("request")).not.toBe(request);
+            expect(onActivate).toHaveBeenCalledTimes(3);
+        });
+
+        test("WHEN: Async onActivate hook rejects with error middleware", async () => {
+            // Arrange -------
+            var fallback = {};
+            var disposeError = new Error("Dispose failed");
+            var onDisposeError = vi.fn();
+            var onActivated = vi.fn((_, instance) => instance);
+            var container = diBuilder()
+                .bindFactory(
+                    "db",
+                    () => ({
+                        dispose: () => {
+                            throw disposeError;
+                        },
+                    }),
+                    {
+                        lifecycle: "lazy",
+                        onActivate: () => Promise.reject(new Error("Refused")),
+                    },
+                )
+                .bindAsyncFactory("cache", async () => ({}), {
+                    lifecycle: "lazy",
+                    onActivate: () => Promise.reject(new Error("Refused")),
+                })
+                .use({ onError: () => fallback, onDisposeError, onActivated })
+                .build();
+
+            // Act -----------
+            var db = await container.getAsync("db");
+            var cache = await container.getAsync("cache");
+
+            // Assert --------
+            expect(db).toBe(fallback);
+            expect(cache).toBe(fallback);
+            expect(container.get("db")).toBe(fallback);
+            expect(onActivated).not.toHaveBeenCalled();
+            expect(onDisposeError).toHaveBeenCalledOnce();
+            expect(onDisposeError.mock.calls[0][0].errors[0].cause).toBe(
+                disposeError,
+            );
+        });
+
+        test("WHEN: Resolve bound instance while its async onActivate hook is pending", async () => {
+            // Arrange -------
+            var connected;
+            var connect = new Promise((resolve) => (connected = resolve));
+            var config = { port: 80 };
+            var builder = diBuilder()
+                .bindInstance("config", config, { onActivate: () => connect })
+                .bindAsyncFactory("server", async (r) => ({
+                    config: await r.getAsync("config"),
+                }))
+                .bindFactory("client", (r) => ({ config: r.get("config") }), {
+                    lifecycle: "lazy",
+                });
+
+            // Act -----------
+            var building = builder.buildAsync();
+            connected();
+            var container = await building;
+
+            // Assert --------
+            expect(container.get("server").config).toBe(config);
+            expect(container.get("client").config).toBe(config);
+        });
+
+        test("WHEN: Async onActivate hook of bound instance rejects", async () => {
+            // Arrange -------
+            var socket = { close: vi.fn() };
+            var builder = diBuilder().bindInstance("socket", socket, {
+                dispose: (it) => it.close(),
+                onActivate: () => Promise.reject(new Error("Refused")),
+            });
+
+            // Act -----------
+            var error = await builder.buildAsync().catch((e) => e);
+
+            // Assert --------
+            expect(error.message).toBe("Refused");
+            expect(socket.close).toHaveBeenCalledOnce();
+        });
+
+        test("WHEN: Get bound instance while its async onActivate hook is pending", async () => {
+            // Arrange -------
+            var socket = { close: vi.fn() };
+            var builder = diBuilder()
+                .bindInstance("socket", socket, {
+                    dispose: (it) => it.close(),
+                    onActivate: () => Promise.reject(new Error("Refused")),
+                })
+                .bindFactory("client", (r) => ({ socket: r.get("socket") }));
+
+            // Act -----------
+            var error = await builder.buildAsync().catch((e) => e);
+
+            // Assert --------
+            // The pending activation is observed when the build fails
+            expect(error.code).toBe("ASYNC_BINDING_NOT_RESOLVED");
+            await new Promise((resolve) => setTimeout(resolve));
+            expect(socket.close).toHaveBeenCalledOnce();
+        });
+
+        test("WHEN: Build container with async onActivate hook synchronously", () => {
+            // Arrange -------
+            var builder = diBuilder().bindInstance(
+                "config",
+                {},
+                { onActivate: async () => {} },
+            );
+
+            // Act -----------
+            var error = catchError(() => builder.build());
+
+            // Assert --------
+            expect(error.code).toBe("ASYNC_ON_ACTIVATE");
+        });
+
+        test("WHEN: Dispose instances with custom disposer", () => {
+            // Arrange -------
+            var worker = { terminate: vi.fn(), dispose: vi.fn() };
+            var socket = { close: vi.fn() };
+            var container = diBuilder()
+                .bindFactory("worker", () => worker, {
+                    lifecycle: "lazy",
+                    dispose: (it) => it.terminate(),
+                })
+                .bindInstance("socket", socket, {
+                    dispose: (it) => it.close(),
+                })
+                .build();
+            container.get("worker");
+
+            // Act -----------
+            container.dispose();
+
+            // Assert --------
+            expect(worker.terminate).toHaveBeenCalledOnce();
+            expect(worker.dispose).not.toHaveBeenCalled();
+            expect(socket.close).toHaveBeenCalledOnce();
+        });
+
+        test("WHEN: Dispose asynchronously with custom disposer", async () => {
+            // Arrange -------
+            var log = [];
+            var container = diBuilder()
+                .bindFactory("session", () => ({}), {
+                    lifecycle: "scope",
+                    dispose: async () => {
+                        await Promise.resolve();
+                        log.push("session closed");
+                    },
+                })
+                .build();
+            var scope = container.scope("request");
+            scope.get("session");
+
+            // Act -----------
+            await scope.disposeAsync();
+            log.push("disposed");
+
+            // Assert --------
+            expect(log).toEqual(["session closed", "disposed"]);
+        });
+    });
+
+    describe("Disposable scope", () => {
+        test("WHEN: Dispose scope", () => {
+            // Arrange -------
+            var onScopeDispose = vi.fn();
+            var scope = diBuilder().use({ onScopeDispose }).build();
+
+            // Act -----------
+            scope.dispose();
+
+            // Assert --------
+            expect(scope.isDisposed).is.true;
+            expect(onScopeDispose).toHaveBeenCalledExactlyOnceWith(scope);
+        });
+
+        test("WHEN: Dispose scope with child scope", () => {
+            // Arrange -------
+            var onScopeDispose = vi.fn();
+            var rootScope = diBuilder().use({ onScopeDispose }).build();
+            var childScope = rootScope.scope("child");
+
+            // Act -----------
+            rootScope.dispose();
+
+            // Assert --------
+            expect(rootScope.isDisposed).is.true;
+            expect(childScope.isDisposed).is.true;
+            expect(rootScope.hasChildScope(childScope.id)).is.false;
+            expect(onScopeDispose).toHaveBeenNthCalledWith(1, childScope);
+            expect(onScopeDispose).toHaveBeenNthCalledWith(2, rootScope);
+        });
+
+        test("WHEN: Dispose scope with deep child tree", () => {
+            // Arrange ------
+            var rootScope = diBuilder().build();
+
+            var childA = rootScope.scope("A");
+            var childA1 = childA.scope("A1");
+            var childA2 = childA.scope("A2");
+
+            var childB = rootScope.scope("B");
+            var childB1 = childB.scope("B1");
+            var childB2 = childB.scope("B2");
+
+            // Act ----------
+            rootScope.dispose();
+
+            // Assert -------
+            expect(childA1.isDisposed).is.true;
+            expect(childA.hasChildScope(childA1.id)).is.false;
+            expect(childA2.isDisposed).is.true;
+            expect(childA.hasChildScope(childA2.id)).is.false;
+            expect(childA.isDisposed).is.true;
+
+            expect(childB1.isDisposed).is.true;
+            expect(childB.hasChildScope(childB1.id)).is.false;
+            expect(childB2.isDisposed).is.true;
+            expect(childB.hasChildScope(childB2.id)).is.false;
+            expect(childB.isDisposed).is.true;
 
-                // Act ----------
-                var instA = scopeA.get(typeKey);
-                var instB = scopeB.get(typeKey);
-                var instC = scopeC.get(typeKey);
+            expect(rootScope.isDisposed).is.true;
+            expect(rootScope.hasChildScope(childA.id)).is.false;
+            expect(rootScope.hasChildScope(childB.id)).is.false;
+        });
 
-                // Assert -------
-                // 1. Instances from scopes B & C should be the same
-                expect(instC).toBe(instB);
+        test("WHEN: Child scope is removed from parent after only that child is disposed", () => {
+            // Arrange -------
+            var rootScope = diBuilder().build();
+            var scopeId = "child";
+            var childScope = rootScope.scope(scopeId);
 
-                // 2. Instance from scopes A & C should be different,
-                //    because parent B is isolated from A
-                expect(instC).not.toBe(instA);
+            // Act -----------
+            childScope.dispose();
 
-                // 3. Factory should be called twice: once for A, once for B (shared with C)
-                expect(factory).toHaveBeenCalledTimes(2);
+            // Assert --------
+            expect(childScope.isDisposed).is.true;
+            expect(rootScope.hasChildScope(scopeId)).is.false;
+        });
+
+        test("WHEN: Open child scope with same id after previous child was disposed", () => {
+            // Arrange -------
+            var typeKey = "typeKey";
+            var rootScope = diBuilder()
+                .bindInstance(typeKey, { tag: "root" })
+                .build();
+            var scopeId = "session";
+            var firstChild = rootScope.scope(scopeId);
+            firstChild.dispose();
+
+            // Act -----------
+            var secondChild = rootScope.scope(scopeId);
+
+            // Assert --------
+            expect(secondChild).not.toBe(firstChild);
+            expect(secondChild.isDisposed).is.false;
+            expect(rootScope.hasChildScope(scopeId)).is.true;
+            expect(secondChild.get(typeKey)).toEqual({ tag: "root" });
+        });
+
+        test("WHEN: Scope-lifecycle binding yields new instance after child scope was disposed and reopened", () => {
+            // Arrange -------
+            var typeKey = "typeKey";
+            var factory = vi.fn(() => ({}));
+            var rootScope = diBuilder()
+                .bindFactory(typeKey, factory, { lifecycle: "scope" })
+                .build();
+            var scopeId = "s";
+            var firstScope = rootScope.scope(scopeId);
+            var firstInstance = firstScope.get(typeKey);
+            firstScope.dispose();
+
+            // Act -----------
+            var secondScope = rootScope.scope(scopeId);
+            var secondInstance = secondScope.get(typeKey);
+
+            // Assert --------
+            expect(firstInstance).not.toBe(secondInstance);
+            expect(factory).toHaveBeenCalledTimes(2);
+        });
+
+        test("WHEN: Dispose already disposed scope", () => {
+            // Arrange -------
+            var onScopeDispose = vi.fn();
+            var rootScope = diBuilder().use({ onScopeDispose }).build();
+            rootScope.dispose();
+            onScopeDispose.mockClear();
+
+            // Act -----------
+            rootScope.dispose();
+
+            // Assert --------
+            expect(rootScope.isDisposed).is.true;
+            expect(onScopeDispose).not.toHaveBeenCalled();
+        });
+
+        test("WHEN: Auto-dispose local instances", () => {
+            // Arrange -------
+            var typeKey = "typeKey";
+
+            var disposeFunc = vi.fn();
+            var factory = (_, ctx) => ({
+                scopeId: ctx.current,
+                dispose() {
+                    disposeFunc(this.scopeId);
+                },
+            });
+
+            var container = diBuilder()
+                .bindFactory(typeKey, factory, { lifecycle: "scope" })
+                .build();
+
+            container.scope("A").get(typeKey);
+            container.scope("B").get(typeKey);
+            container.scope("C").get(typeKey);
+            container.get(typeKey);
+
+            // Act ---------
+            container.dispose();
+
+            // Arrange -----
+            expect(disposeFunc).toHaveBeenCalledTimes(4);
+            expect(disposeFunc).toHaveBeenCalledWith("A");
+            expect(disposeFunc).toHaveBeenCalledWith("B");
+            expect(disposeFunc).toHaveBeenCalledWith("C");
+            expect(container.isDisposed).is.true;
+        });
+
+        test("WHEN: Auto-dispose local instances with 'Symbol.dispose'", () => {
+            // Arrange -------
+            var typeKey = "typeKey";
+
+            var disposeFunc = vi.fn();
+            var factory = (_, ctx) => ({
+                scopeId: ctx.current,
+                [Symbol.dispose]() {
+                    disposeFunc(this.scopeId);
+                },
+            });
+
+            var container = diBuilder()
+                .bindFactory(typeKey, factory, { lifecycle: "scope" })
+                .build();
+
+            container.scope("A").get(typeKey);
+            container.scope("B").get(typeKey);
+            container.scope("C").get(typeKey);
+            container.get(typeKey);
+
+            // Act ---------
+            container.dispose();
+
+            // Arrange -----
+            expect(disposeFunc).toHaveBeenCalledTimes(4);
+            expect(disposeFunc).toHaveBeenCalledWith("A");
+            expect(disposeFunc).toHaveBeenCalledWith("B");
+            expect(disposeFunc).toHaveBeenCalledWith("C");
+            expect(container.isDisposed).is.true;
+        });
+
+        test("WHEN: Auto-dispose local instance with both Symbol.dispose and dispose methods", () => {
+            // Arrange -------
+            var typeKey = "typeKey";
+            var disposeMethodMock = vi.fn();
+            var disposeSymbolMock = vi.fn();
+            var factory = () => ({
+                dispose: disposeMethodMock,
+                [Symbol.dispose]: disposeSymbolMock,
+            });
+
+            var container = diBuilder()
+                .bindFactory(typeKey, factory, { lifecycle: "scope" })
+                .build();
+
+            container.get(typeKey);
+
+            // Act -----------
+            container.dispose();
+
+            // Assert --------
+            // 1. 'Symbol.dispose' method should be called (has higher priority)
+            expect(disposeSymbolMock).toHaveBeenCalledOnce();
+
+            // 2. 'dispose' method should NOT be called to avoid double disposal
+            expect(disposeMethodMock).not.toHaveBeenCalled();
+        });
+
+        test("WHEN: Auto-dispose local instance with callable dispose property", () => {
+            // Arrange -------
+            var typeKey = "typeKey";
+            var factory = () => ({ dispose: 42 });
+            var container = diBuilder()
+                .bindFactory(typeKey, factory, { lifecycle: "scope" })
+                .build();
+
+            container.get(typeKey);
+
+            // Act -----------
+            container.dispose();
+
+            // Assert --------
+            // Should not to call 'dispose' value as function
+            expect(container.isDisposed).is.true;
+        });
+
+        test("WHEN: Dispose scope via scope context from factory", () => {
+            // Arrange -----
+            var typeKey = "typeKey";
+            var container = diBuilder()
+                .bindFactory(typeKey, (_, ctx) => ({ scopeContext: ctx }), {
+                    lifecycle: "scope",
+                })
+                .build();
+
+            var scope = container.scope("child");
+            var inst = scope.get(typeKey);
+
+            // Act ---------
+            inst.scopeContext.dispose();
+
+            // Assert ------
+            // 1. The scopeContext references the child scope (ID matches)
+            // but is not the scope object itself
+            expect(inst.scopeContext).not.toBe(scope);
+            expect(inst.scopeContext.current).toEqual(scope.id);
+
+            // 2. The child scope was actually disposed
+            expect(scope.isDisposed).is.true;
+        });
+
+        test("WHEN: Dispose scope with local instances twice", () => {
+            // Arrange -------
+            var typeKey = "typeKey";
+
+            var disposeFunc = vi.fn();
+            var factory = (_, ctx) => ({
+                scopeId: ctx.current,
+                dispose() {
+                    disposeFunc(this.scopeId);
+                },
             });
+
+            var container = diBuilder()
+                .bindFactory(typeKey, factory, { lifecycle: "scope" })
+                .build();
+
+            container.scope("A").get(typeKey);
+            container.scope("B").get(typeKey);
+            container.scope("C").get(typeKey);
+            container.get(typeKey);
+            container.dispose();
+
+            // Act ---------
+            container.dispose();
+
+            // Arrange -----
+            expect(disposeFunc).toHaveBeenCalledTimes(4);
+            expect(disposeFunc).toHaveBeenCalledWith("A");
+            expect(disposeFunc).toHaveBeenCalledWith("B");
+            expect(disposeFunc).toHaveBeenCalledWith("C");
+            expect(container.isDisposed).is.true;
         });
-    });
 
-    describe("Allowed scopes", () => {
-        test("WHEN: Get instance from allowed scope", () => {
-            // Arrange ----------
+        test("WHEN: Trying to get instance from disposed root scope", () => {
+            // Arrange -------
             var typeKey = "typeKey";
-            var expectedValue = 42;
-            var allowedScope = "scope";
-            var factory = vi.fn(() => expectedValue);
-            var container = diBuilder()
-                .bindFactory(typeKey, factory, {
-                    lifecycle: "scope",
-                    allowedScopes: [allowedScope],
-                })
-                .build();
+            var container = diBuilder().bindInstance(typeKey, 42).build();
 
-            var scope = container.scope(allowedScope);
+            container.dispose();
 
-            // Act --------------
-            var value = scope.get(typeKey);
+            // Act -----------
+            var error = catchError(() => {
+                container.get(typeKey);
+            });
 
-            // Assert -----------
-            expect(value).toBe(expectedValue);
-            expect(factory).toHaveBeenCalledOnce();
+            // Assert --------
+            expect(error).toBeInstanceOf(Error);
         });
 
-        test("WHEN: get instance from not allowed scope", () => {
-            // Arrange ------------
+        test("WHEN: Trying to get instance from disposed scope", () => {
+            // Arrange -------
             var typeKey = "typeKey";
-            var currentScope = "current";
-            var factory = vi.fn(() => 42);
-            var container = diBuilder()
-                .bindFactory(typeKey, factory, {
-                    lifecycle: "scope",
-                    allowedScopes: ["allowed"],
-                })
-                .build();
+            var container = diBuilder().bindInstance(typeKey, 42).build();
 
-            var scope = container.scope(currentScope);
+            var scope = container.scope("A").scope("B").scope("C");
+            scope.dispose();
 
-            // Act ----------------
+            // Act -----------
             var error = catchError(() => {
                 scope.get(typeKey);
             });
 
-            // Assert -------------
+            // Assert --------
             expect(error).toBeInstanceOf(Error);
-            expect(factory).not.toHaveBeenCalled();
         });
 
-        test("WHEN: Get optional type from not allowed scope", () => {
-            // Arrange ------------
-            var typeKey = "typeKey";
-            var currentScope = "current";
-            var factory = vi.fn(() => 42);
-            var container = diBuilder()
-                .bindFactory(typeKey, factory, {
-                    lifecycle: "scope",
-                    allowedScopes: ["allowed"],
-                })
-                .build();
-
-            var scope = container.scope(currentScope);
+        test("WHEN: Trying to open child scope from disposed scope", () => {
+            // Arrange -----
+            var childScopeId = "child";
+            var container = diBuilder().build();
+            var scope = container.scope("A").scope("B").scope("C");
+            scope.dispose();
 
-            // Act ----------
-            var value = scope.maybe(typeKey);
+            // Act ---------
+            var error = catchError(() => {
+                scope.scope(childScopeId);
+            });
 
-            // Assert -------
-            expect(value).is.undefined;
-            expect(factory).not.toHaveBeenCalled();
+            // Assert ------
+            expect(error).instanceOf(Error);
         });
 
-        test("WHEN: Get instance from child of allowed scope", () => {
-            // Arrange --------
+        test("WHEN: Receive scope's data inside scoped factory", () => {
+            // Arrange ----------
             var typeKey = "typeKey";
-            var factory = vi.fn(() => ({ value: 42 }));
-            var parentScopeName = "parent";
-            var childScopeName = "child";
+
+            var scopeId = "child";
+            var scopeData = "data";
+
             var container = diBuilder()
-                .bindFactory(typeKey, factory, {
+                .bindFactory(typeKey, (_, ctx) => ctx.data, {
                     lifecycle: "scope",
-                    allowedScopes: [parentScopeName],
                 })
                 .build();
 
-            var parentScope = container.scope(parentScopeName);
-            var childScope = parentScope.scope(childScopeName);
+            var childScope = container.scope(scopeId, { data: scopeData });
 
-            // Act ------------
-            var childInst = childScope.get(typeKey);
-            var parentInst = parentScope.get(typeKey);
+            // Act --------------
+            var inst = childScope.get(typeKey);
 
-            // Assert ---------
-            expect(childInst).toBe(parentInst);
-            expect(factory).toHaveBeenCalledOnce();
+            // Assert -----------
+            expect(inst).toBe(scopeData);
         });
+    });
 
-        test("WHEN: Get instance from isolated child of allowed scope", () => {
-            // Arrange --------
-            var typeKey = "typeKey";
-            var factory = vi.fn(() => ({ value: 42 }));
-            var parentScopeName = "parent";
-            var childScopeName = "child";
+    describe("Disposal order", () => {
+        test("WHEN: Dispose instance that depends on instance activated before it", () => {
+            // Arrange -------
+            var log = [];
             var container = diBuilder()
-                .bindFactory(typeKey, factory, {
-                    lifecycle: "scope",
-                    allowedScopes: [parentScopeName],
+                .bindFactory("repository", (r) => {
+                    var db = r.get("db");
+                    return { dispose: () => log.push("repository:" + db.open) };
+                })
+                .bindFactory("db", () => {
+                    var db = { open: true, dispose: () => (db.open = false) };
+                    return db;
                 })
                 .build();
+            container.get("repository");
 
-            var parentScope = container.scope(parentScopeName);
-            var childScope = parentScope.scope(childScopeName, {
-                isolated: true,
-            });
-
-            // Act ------------
-            var error = catchError(() => {
-                childScope.get(typeKey);
-            });
+            // Act -----------
+            container.dispose();
 
-            // Assert ---------
-            expect(error).toBeInstanceOf(Error);
-            expect(factory).not.toHaveBeenCalled();
+            // Assert --------
+            expect(log).toEqual(["repository:true"]);
         });
-    });
 
-    describe("Disposable scope", () => {
-        test("WHEN: Dispose scope", () => {
+        test("WHEN: Dispose independent instances", () => {
             // Arrange -------
-            var onScopeDispose = vi.fn();
-            var scope = diBuilder().use({ onScopeDispose }).build();
+            var log = [];
+            var makeDisposable = (id) => () => ({
+                dispose: () => log.push(id),
+            });
+            var container = diBuilder()
+                .bindFactory("A", makeDisposable("A"), { lifecycle: "scope" })
+                .bindFactory("B", makeDisposable("B"), { lifecycle: "scope" })
+                .build();
+            var scope = container.scope("child");
+            scope.get("B");
+            scope.get("A");
 
             // Act -----------
             scope.dispose();
 
             // Assert --------
-            expect(scope.isDisposed).is.true;
-            expect(onScopeDispose).toHaveBeenCalledExactlyOnceWith(scope);
+            expect(log).toEqual(["A", "B"]);
         });
 
-        test("WHEN: Dispose scope with child scope", () => {
+        test("WHEN: Dispose root singletons with a dependency chain", () => {
             // Arrange -------
-            var onScopeDispose = vi.fn();
-            var rootScope = diBuilder().use({ onScopeDispose }).build();
-            var childScope = rootScope.scope("child");
+            var log = [];
+            var makeDisposable = (id, dep) => (r) => {
+                if (dep) r.get(dep);
+                return { dispose: () => log.push(id) };
+            };
+            var container = diBuilder()
+                .bindFactory("C", makeDisposable("C"), {
+                    lifecycle: "singleton",
+                })
+                .bindFactory("A", makeDisposable("A", "B"), {
+                    lifecycle: "singleton",
+                })
+                .bindFactory("B", makeDisposable("B", "C"), {
+                    lifecycle: "singleton",
+                })
+                .build();
 
             // Act -----------
-            rootScope.dispose();
+            container.dispose();
 
             // Assert --------
-            expect(rootScope.isDisposed).is.true;
-            expect(childScope.isDisposed).is.true;
-            expect(rootScope.hasChildScope(childScope.id)).is.false;
-            expect(onScopeDispose).toHaveBeenNthCalledWith(1, childScope);
-            expect(onScopeDispose).toHaveBeenNthCalledWith(2, rootScope);
+            expect(log).toEqual(["A", "B", "C"]);
         });
 
-        test("WHEN: Dispose scope with deep child tree", () => {
-            // Arrange ------
-            var rootScope = diBuilder().build();
-
-            var childA = rootScope.scope("A");
-            var childA1 = childA.scope("A1");
-            var childA2 = childA.scope("A2");
+        test("WHEN: Dispose scope instance depending on root singleton", () => {
+            // Arrange -------
+            var singleton = { dispose: vi.fn() };
+            var container = diBuilder()
+                .bindFactory("singleton", () => singleton)
+                .bindFactory("scoped", (r) => ({ dep: r.get("singleton") }), {
+                    lifecycle: "scope",
+                })
+                .build();
+            var scope = container.scope("child");
+            scope.get("scoped");
 
-            var childB = rootScope.scope("B");
-            var childB1 = childB.scope("B1");
-            var childB2 = childB.scope("B2");
+            // Act -----------
+            scope.dispose();
 
-            // Act ----------
-            rootScope.dispose();
+            // Assert --------
+            expect(singleton.dispose).not.toHaveBeenCalled();
+        });
 
-            // Assert -------
-            expect(childA1.isDisposed).is.true;
-            expect(childA.hasChildScope(childA1.id)).is.false;
-            expect(childA2.isDisposed).is.true;
-            expect(childA.hasChildScope(childA2.id)).is.false;
-            expect(childA.isDisposed).is.true;
+        test("WHEN: Dispose bound instance without disposal opt-in", () => {
+            // Arrange -------
+            var instance = { dispose: vi.fn() };
+            var container = diBuilder()
+                .bindInstance("typeKey", instance)
+                .build();
 
-            expect(childB1.isDisposed).is.true;
-            expect(childB.hasChildScope(childB1.id)).is.false;
-            expect(childB2.isDisposed).is.true;
-            expect(childB.hasChildScope(childB2.id)).is.false;
-            expect(childB.isDisposed).is.true;
+            // Act -----------
+            container.dispose();
 
-            expect(rootScope.isDisposed).is.true;
-            expect(rootScope.hasChildScope(childA.id)).is.false;
-            expect(rootScope.hasChildScope(childB.id)).is.false;
+            // Assert --------
+            expect(instance.dispose).not.toHaveBeenCalled();
         });
 
-        test("WHEN: Child scope is removed from parent after only that child is disposed", () => {
+        test("WHEN: Dispose bound instance with disposal opt-in", () => {
             // Arrange -------
-            var rootScope = diBuilder().build();
-            var scopeId = "child";
-            var childScope = rootScope.scope(scopeId);
+            var log = [];
+            var db = { dispose: () => log.push("db") };
+            var container = diBuilder()
+                .bindInstance("db", db, { dispose: true })
+                .bindFactory("repository", (r) => {
+                    r.get("db");
+                    return { dispose: () => log.push("repository") };
+                })
+                .build();
+            var repositoryDb = container.get("db");
+            container.get("repository");
 
             // Act -----------
-            childScope.dispose();
+            container.dispose();
 
             // Assert --------
-            expect(childScope.isDisposed).is.true;
-            expect(rootScope.hasChildScope(scopeId)).is.false;
+            expect(repositoryDb).toBe(db);
+            expect(log).toEqual(["repository", "db"]);
         });
 
-        test("WHEN: Open child scope with same id after previous child was disposed", () => {
+        test("WHEN: Dispose bound instance with disposal opt-in from child scope", () => {
             // Arrange -------
-            var typeKey = "typeKey";
-            var rootScope = diBuilder()
-                .bindInstance(typeKey, { tag: "root" })
+            var instance = { dispose: vi.fn() };
+            var container = diBuilder()
+                .bindInstance("typeKey", instance, { dispose: true })
                 .build();
-            var scopeId = "session";
-            var firstChild = rootScope.scope(scopeId);
-            firstChild.dispose();
+            var scope = container.scope("child");
+            scope.get("typeKey");
 
             // Act -----------
-            var secondChild = rootScope.scope(scopeId);
+            scope.dispose();
 
             // Assert --------
-            expect(secondChild).not.toBe(firstChild);
-            expect(secondChild.isDisposed).is.false;
-            expect(rootScope.hasChildScope(scopeId)).is.true;
-            expect(secondChild.get(typeKey)).toEqual({ tag: "root" });
+            expect(instance.dispose).not.toHaveBeenCalled();
         });
 
-        test("WHEN: Scope-lifecycle binding yields new instance after child scope was disposed and reopened", () => {
+        test("WHEN: Dispose asynchronously in dependency order", async () => {
             // Arrange -------
-            var typeKey = "typeKey";
-            var factory = vi.fn(() => ({}));
-            var rootScope = diBuilder()
-                .bindFactory(typeKey, factory, { lifecycle: "scope" })
+            var log = [];
+            var delay = () => new Promise((r) => setTimeout(r, 1));
+            var container = diBuilder()
+                .bindAsyncFactory("service", async (r) => {
+                    await r.getAsync("connection");
+                    return {
+                        async [Symbol.asyncDispose]() {
+                            await delay();
+                            log.push("service");
+                        },
+                    };
+                })
+                .bindAsyncFactory("connection", async () => ({
+                    async [Symbol.asyncDispose]() {
+                        log.push("connection");
+                    },
+                }))
                 .build();
-            var scopeId = "s";
-            var firstScope = rootScope.scope(scopeId);
-            var firstInstance = firstScope.get(typeKey);
-            firstScope.dispose();
+            await container.getAsync("service");
 
             // Act -----------
-            var secondScope = rootScope.scope(scopeId);
-            var secondInstance = secondScope.get(typeKey);
+            await container.disposeAsync();
 
             // Assert --------
-            expect(firstInstance).not.toBe(secondInstance);
-            expect(factory).toHaveBeenCalledTimes(2);
+            expect(log).toEqual(["service", "connection"]);
         });
+    });
 
-        test("WHEN: Dispose already disposed scope", () => {
+    describe("Disposal errors", () => {
+        test("WHEN: Instance fails to dispose", () => {
             // Arrange -------
-            var onScopeDispose = vi.fn();
-            var rootScope = diBuilder().use({ onScopeDispose }).build();
-            rootScope.dispose();
-            onScopeDispose.mockClear();
+            var disposeError = new Error("dispose");
+            var disposeB = vi.fn();
+            var container = diBuilder()
+                .bindFactory("A", () => ({ dispose: disposeB }), {
+                    lifecycle: "scope",
+                })
+                .bindFactory(
+                    "B",
+                    () => ({
+                        dispose: () => {
+                            throw disposeError;
+                        },
+                    }),
+                    { lifecycle: "scope", name: "b" },
+                )
+                .build();
+            var scope = container.scope("request");
+            scope.get("A");
+            scope.get("B", "b");
 
             // Act -----------
-            rootScope.dispose();
+            var error = catchError(() => scope.dispose());
 
             // Assert --------
-            expect(rootScope.isDisposed).is.true;
-            expect(onScopeDispose).not.toHaveBeenCalled();
+            expect(error).instanceOf(AggregateError);
+            expect(error.errors).toHaveLength(1);
+            expect(error.errors[0].cause).toBe(disposeError);
+            expect(error.errors[0].$id).toBe("B$b");
+            expect(error.errors[0].scopePath).toEqual(["request"]);
+            expect(disposeB).toHaveBeenCalledOnce();
+            expect(scope.isDisposed).is.true;
         });
 
-        test("WHEN: Auto-dispose local instances", () => {
+        test("WHEN: Instances of child scopes fail to dispose", () => {
             // Arrange -------
-            var typeKey = "typeKey";
-
-            var disposeFunc = vi.fn();
-            var factory = (_, ctx) => ({
-                scopeId: ctx.current,
-                dispose() {
-                    disposeFunc(this.scopeId);
+            var makeFailing = (id) => () => ({
+                dispose: () => {
+                    throw new Error(id);
                 },
             });
-
             var container = diBuilder()
-                .bindFactory(typeKey, factory, { lifecycle: "scope" })
+                .bindFactory("typeKey", makeFailing("scoped"), {
+                    lifecycle: "scope",
+                })
+                .bindFactory("singleton", makeFailing("singleton"))
                 .build();
+            var childA = container.scope("A");
+            var childB = childA.scope("B");
+            childB.get("typeKey");
+            childA.get("typeKey");
 
-            container.scope("A").get(typeKey);
-            container.scope("B").get(typeKey);
-            container.scope("C").get(typeKey);
-            container.get(typeKey);
-
-            // Act ---------
-            container.dispose();
+            // Act -----------
+            var error = catchError(() => container.dispose());
 
-            // Arrange -----
-            expect(disposeFunc).toHaveBeenCalledTimes(4);
-            expect(disposeFunc).toHaveBeenCalledWith("A");
-            expect(disposeFunc).toHaveBeenCalledWith("B");
-            expect(disposeFunc).toHaveBeenCalledWith("C");
+            // Assert --------
+            expect(error).instanceOf(AggregateError);
+            expect(error.errors.map((e) => e.scopePath)).toEqual([
+                ["A", "B"],
+                ["A"],
+                [],
+            ]);
+            expect(childA.isDisposed).is.true;
+            expect(childB.isDisposed).is.true;
             expect(container.isDisposed).is.true;
         });
 
-        test("WHEN: Auto-dispose local instances with 'Symbol.dispose'", () => {
+        test("WHEN: Middleware fails on scope dispose", () => {
             // Arrange -------
-            var typeKey = "typeKey";
-
-            var disposeFunc = vi.fn();
-            var factory = (_, ctx) => ({
-                scopeId: ctx.current,
-                [Symbol.dispose]() {
-                    disposeFunc(this.scopeId);
-                },
-            });
-
+            var hookError = new Error("hook");
+            var instance = { dispose: vi.fn() };
             var container = diBuilder()
-                .bindFactory(typeKey, factory, { lifecycle: "scope" })
+                .bindFactory("typeKey", () => instance)
+                .use({
+                    onScopeDispose() {
+                        throw hookError;
+                    },
+                })
                 .build();
 
-            container.scope("A").get(typeKey);
-            container.scope("B").get(typeKey);
-            container.scope("C").get(typeKey);
-            container.get(typeKey);
-
-            // Act ---------
-            container.dispose();
+            // Act -----------
+            var error = catchError(() => container.dispose());
 
-            // Arrange -----
-            expect(disposeFunc).toHaveBeenCalledTimes(4);
-            expect(disposeFunc).toHaveBeenCalledWith("A");
-            expect(disposeFunc).toHaveBeenCalledWith("B");
-            expect(disposeFunc).toHaveBeenCalledWith("C");
+            // Assert --------
+            expect(error).instanceOf(AggregateError);
+            expect(error.errors[0].cause).toBe(hookError);
+            expect(error.errors[0].$id).toBeUndefined();
+            expect(instance.dispose).toHaveBeenCalledOnce();
             expect(container.isDisposed).is.true;
         });
 
-        test("WHEN: Auto-dispose local instance with both Symbol.dispose and dispose methods", () => {
+        test("WHEN: Report disposal errors to middleware", () => {
             // Arrange -------
-            var typeKey = "typeKey";
-            var disposeMethodMock = vi.fn();
-            var disposeSymbolMock = vi.fn();
-            var factory = () => ({
-                dispose: disposeMethodMock,
-                [Symbol.dispose]: disposeSymbolMock,
-            });
-
+            var onDisposeError = vi.fn();
+            var disposeError = new Error("dispose");
             var container = diBuilder()
-                .bindFactory(typeKey, factory, { lifecycle: "scope" })
+                .bindFactory("typeKey", () => ({
+                    dispose: () => {
+                        throw disposeError;
+                    },
+                }))
+                .use({ onDisposeError })
                 .build();
 
-            container.get(typeKey);
-
             // Act -----------
             container.dispose();
 
             // Assert --------
-            // 1. 'Symbol.dispose' method should be called (has higher priority)
-            expect(disposeSymbolMock).toHaveBeenCalledOnce();
-
-            // 2. 'dispose' method should NOT be called to avoid double disposal
-            expect(disposeMethodMock).not.toHaveBeenCalled();
+            expect(onDisposeError).toHaveBeenCalledExactlyOnceWith(
+                expect.any(AggregateError),
+                container,
+            );
+            var [error] = onDisposeError.mock.calls[0];
+            expect(error.errors[0].cause).toBe(disposeError);
         });
 
-        test("WHEN: Auto-dispose local instance with callable dispose property", () => {
+        test("WHEN: Report async disposal errors to middleware", async () => {
             // Arrange -------
-            var typeKey = "typeKey";
-            var factory = () => ({ dispose: 42 });
+            var onDisposeError = vi.fn();
+            var disposeError = new Error("dispose");
             var container = diBuilder()
-                .bindFactory(typeKey, factory, { lifecycle: "scope" })
+                .bindFactory("typeKey", () => ({
+                    [Symbol.asyncDispose]: () => Promise.reject(disposeError),
+                }))
+                .use({ onDisposeError })
                 .build();
 
-            container.get(typeKey);
-
             // Act -----------
-            container.dispose();
+            await container.disposeAsync();
 
             // Assert --------
-            // Should not to call 'dispose' value as function
-            expect(container.isDisposed).is.true;
+            expect(onDisposeError).toHaveBeenCalledExactlyOnceWith(
+                expect.any(AggregateError),
+                container,
+            );
+            var [error] = onDisposeError.mock.calls[0];
+            expect(error.errors[0].cause).toBe(disposeError);
+            expect(error.errors[0].$id).toBe("typeKey");
         });
+    });
 
-        test("WHEN: Dispose scope via scope context from factory", () => {
-            // Arrange -----
-            var typeKey = "typeKey";
+    describe("Async disposal", () => {
+        test("WHEN: Dispose scope asynchronously", async () => {
+            // Arrange -------
+            var onScopeDispose = vi.fn();
+            var onScopeDisposeAsync = vi.fn(async () => {});
             var container = diBuilder()
-                .bindFactory(typeKey, (_, ctx) => ({ scopeContext: ctx }), {
-                    lifecycle: "scope",
-                })
+                .use({ onScopeDispose, onScopeDisposeAsync })
                 .build();
+            var childScope = container.scope("child");
 
-            var scope = container.scope("child");
-            var inst = scope.get(typeKey);
-
-            // Act ---------
-            inst.scopeContext.dispose();
-
-            // Assert ------
-            // 1. The scopeContext references the child scope (ID matches)
-            // but is not the scope object itself
-            expect(inst.scopeContext).not.toBe(scope);
-            expect(inst.scopeContext.current).toEqual(scope.id);
+            // Act -----------
+            await container.disposeAsync();
 
-            // 2. The child scope was actually disposed
-            expect(scope.isDisposed).is.true;
+            // Assert --------
+            expect(container.isDisposed).is.true;
+            expect(childScope.isDisposed).is.true;
+            expect(container.hasChildScope(childScope.id)).is.false;
+            expect(onScopeDispose).toHaveBeenNthCalledWith(1, childScope);
+            expect(onScopeDispose).toHaveBeenNthCalledWith(2, container);
+            expect(onScopeDisposeAsync).toHaveBeenNthCalledWith(1, childScope);
+            expect(onScopeDisposeAsync).toHaveBeenNthCalledWith(2, container);
         });
 
-        test("WHEN: Dispose scope with local instances twice", () => {
+        test("WHEN: Await async disposal of local instances", async () => {
             // Arrange -------
-            var typeKey = "typeKey";
-
-            var disposeFunc = vi.fn();
-            var factory = (_, ctx) => ({
-                scopeId: ctx.current,
-                dispose() {
-                    disposeFunc(this.scopeId);
+            var log = [];
+            var delay = (ms) => new Promise((r) => setTimeout(r, ms));
+            var makeConnection = (id, ms) => ({
+                async [Symbol.asyncDispose]() {
+                    await delay(ms);
+                    log.push(id);
                 },
+                dispose: () => log.push("sync:" + id),
             });
-
             var container = diBuilder()
-                .bindFactory(typeKey, factory, { lifecycle: "scope" })
+                .bindFactory("connection", () => makeConnection("root", 1), {
+                    lifecycle: "lazy",
+                })
+                .bindFactory("session", () => makeConnection("child", 10), {
+                    lifecycle: "scope",
+                })
                 .build();
+            container.get("connection");
+            container.scope("child").get("session");
 
-            container.scope("A").get(typeKey);
-            container.scope("B").get(typeKey);
-            container.scope("C").get(typeKey);
-            container.get(typeKey);
-            container.dispose();
-
-            // Act ---------
-            container.dispose();
+            // Act -----------
+            await container.disposeAsync();
 
-            // Arrange -----
-            expect(disposeFunc).toHaveBeenCalledTimes(4);
-            expect(disposeFunc).toHaveBeenCalledWith("A");
-            expect(disposeFunc).toHaveBeenCalledWith("B");
-            expect(disposeFunc).toHaveBeenCalledWith("C");
-            expect(container.isDisposed).is.true;
+            // Assert --------
+            // Child scope instances are disposed first,
+            // 'Symbol.asyncDispose' has priority over 'dispose'
+            expect(log).toEqual(["child", "root"]);
         });
 
-        test("WHEN: Trying to get instance from disposed root scope", () => {
+        test("WHEN: Await promise returned by dispose method", async () => {
             // Arrange -------
-            var typeKey = "typeKey";
-            var container = diBuilder().bindInstance(typeKey, 42).build();
-
-            container.dispose();
+            var disposed = false;
+            var container = diBuilder()
+                .bindFactory(
+                    "typeKey",
+                    () => ({
+                        dispose: () =>
+                            new Promise((resolve) =>
+                                setTimeout(() => resolve((disposed = true)), 5),
+                            ),
+                    }),
+                    { lifecycle: "lazy" },
+                )
+                .build();
+            container.get("typeKey");
 
             // Act -----------
-            var error = catchError(() => {
-                container.get(typeKey);
-            });
+            await container[Symbol.asyncDispose]();
 
             // Assert --------
-            expect(error).toBeInstanceOf(Error);
+            expect(disposed).is.true;
         });
 
-        test("WHEN: Trying to get instance from disposed scope", () => {
+        test("WHEN: Disposal errors are aggregated", async () => {
             // Arrange -------
-            var typeKey = "typeKey";
-            var container = diBuilder().bindInstance(typeKey, 42).build();
-
-            var scope = container.scope("A").scope("B").scope("C");
-            scope.dispose();
+            var errorA = new Error("A");
+            var errorB = new Error("B");
+            var disposeC = vi.fn();
+            var container = diBuilder()
+                .bindFactory(
+                    "A",
+                    () => ({
+                        dispose: () => Promise.reject(errorA),
+                    }),
+                    { lifecycle: "scope" },
+                )
+                .bindFactory(
+                    "B",
+                    () => ({
+                        [Symbol.asyncDispose]: () => {
+                            throw errorB;
+                        },
+                    }),
+                    { lifecycle: "scope" },
+                )
+                .bindFactory("C", () => ({ dispose: disposeC }), {
+                    lifecycle: "scope",
+                })
+                .build();
+            var scope = container.scope("child");
+            scope.get("A");
+            scope.get("B");
+            scope.get("C");
 
             // Act -----------
-            var error = catchError(() => {
-                scope.get(typeKey);
-            });
+            var error = await container.disposeAsync().catch((e) => e);
 
             // Assert --------
-            expect(error).toBeInstanceOf(Error);
+            expect(error).instanceOf(AggregateError);
+            expect(error.errors.map((e) => e.cause)).toEqual([errorB, errorA]);
+            expect(disposeC).toHaveBeenCalledOnce();
+            expect(scope.isDisposed).is.true;
+            expect(container.isDisposed).is.true;
         });
 
-        test("WHEN: Trying to open child scope from disposed scope", () => {
-            // Arrange -----
-            var childScopeId = "child";
-            var container = diBuilder().build();
-            var scope = container.scope("A").scope("B").scope("C");
-            scope.dispose();
+        test("WHEN: Dispose scope asynchronously many times", async () => {
+            // Arrange -------
+            var onScopeDisposeAsync = vi.fn(
+                () => new Promise((resolve) => setTimeout(resolve, 5)),
+            );
+            var container = diBuilder().use({ onScopeDisposeAsync }).build();
 
-            // Act ---------
-            var error = catchError(() => {
-                scope.scope(childScopeId);
-            });
+            // Act -----------
+            await Promise.all([
+                container.disposeAsync(),
+                container.disposeAsync(),
+            ]);
+            await container.disposeAsync();
 
-            // Assert ------
-            expect(error).instanceOf(Error);
+            // Assert --------
+            expect(onScopeDisposeAsync).toHaveBeenCalledOnce();
+            expect(container.isDisposed).is.true;
         });
 
-        test("WHEN: Receive scope's data inside scoped factory", () => {
-            // Arrange ----------
-            var typeKey = "typeKey";
+        test("WHEN: Dispose scope asynchronously while async activation is pending", async () => {
+            // Arrange -------
+            var release;
+            var connection = { dispose: vi.fn() };
+            var container = diBuilder()
+                .bindAsyncFactory(
+                    "connection",
+                    () => new Promise((resolve) => (release = resolve)),
+                    { lifecycle: "scope" },
+                )
+                .build();
+            var scope = container.scope("request");
 
-            var scopeId = "child";
-            var scopeData = "data";
+            // Act -----------
+            var resolving = scope.getAsync("connection");
+            var disposing = scope.disposeAsync();
+            release(connection);
+            await disposing;
 
+            // Assert --------
+            expect(await resolving).toBe(connection);
+            expect(connection.dispose).toHaveBeenCalledOnce();
+        });
+
+        test("WHEN: Dispose scope while async activation is pending", async () => {
+            // Arrange -------
+            var release;
+            var connection = { dispose: vi.fn() };
             var container = diBuilder()
-                .bindFactory(typeKey, (_, ctx) => ctx.data, {
-                    lifecycle: "scope",
-                })
+                .bindAsyncFactory(
+                    "connection",
+                    () => new Promise((resolve) => (release = resolve)),
+                    { lifecycle: "scope" },
+                )
                 .build();
+            var scope = container.scope("request");
 
-            var childScope = container.scope(scopeId, { data: scopeData });
-
-            // Act --------------
-            var inst = childScope.get(typeKey);
+            // Act -----------
+            var resolving = scope.getAsync("connection");
+            scope.dispose();
+            release(connection);
+            var error = await resolving.catch((e) => e);
 
-            // Assert -----------
-            expect(inst).toBe(scopeData);
+            // Assert --------
+            expect(error).toBeInstanceOf(ScopeDisposedError);
+            expect(error.code).toBe("SCOPE_DISPOSED");
+            expect(connection.dispose).toHaveBeenCalledOnce();
         });
     });
 });
@@ -5357,3 +9125,171 @@ describe("Container Module", () => {
         });
     });
 });
+
+describe("Errors", () => {
+    test("WHEN: Resolve missing binding", () => {
+        // Arrange -------
+        var container = diBuilder()
+            .bindFactory("service", (r) => r.get("missing", "named"), {
+                lifecycle: "scope",
+            })
+            .build();
+        var scope = container.scope("request");
+
+        // Act -----------
+        var error = catchError(() => scope.get("service"));
+
+        // Assert --------
+        expect(error).instanceOf(BindingNotFoundError);
+        expect(error).instanceOf(DIError);
+        expect(error).instanceOf(Error);
+        expect(error.code).toBe("BINDING_NOT_FOUND");
+        expect(error.type).toBe("missing");
+        expect(error.bindingName).toBe("named");
+        expect(error.name).toBe("BindingNotFoundError");
+        expect(String(error)).toBe(
+            'BindingNotFoundError: Binding not found: missing("named")',
+        );
+        expect(error.chain).toEqual(["service"]);
+        expect(error.scopePath).toEqual(["request"]);
+        expect(error.message).toBe('Binding not found: missing("named")');
+    });
+
+    test("WHEN: Resolve dependency cycle", () => {
+        // Arrange -------
+        var container = diBuilder()
+            .bindFactory("A", (r) => r.get("B"), { lifecycle: "lazy" })
+            .bindFactory("B", (r) => r.get("A"), { lifecycle: "lazy" })
+            .build();
+
+        // Act -----------
+        var error = catchError(() => container.get("A"));
+
+        // Assert --------
+        expect(error).instanceOf(DependencyCycleError);
+        expect(error.code).toBe("DEPENDENCY_CYCLE");
+        expect(error.type).toBe("A");
+        expect(error.bindingName).toBeUndefined();
+        expect(error.name).toBe("DependencyCycleError");
+        expect(error.chain).toEqual(["A", "B", "A"]);
+        expect(error.scopePath).toEqual([]);
+    });
+
+    test("WHEN: Resolve from disposed scope", () => {
+        // Arrange -------
+        var container = diBuilder().bindInstance("typeKey", 42).build();
+        var scope = container.scope("request");
+        scope.dispose();
+
+        // Act -----------
+        var error = catchError(() => scope.get("typeKey"));
+
+        // Assert --------
+        expect(error).instanceOf(ScopeDisposedError);
+        expect(error.code).toBe("SCOPE_DISPOSED");
+        expect(error.type).toBe("typeKey");
+        expect(error.scopePath).toEqual(["request"]);
+    });
+
+    test("WHEN: Resolve outside allowed scopes", () => {
+        // Arrange -------
+        var container = diBuilder()
+            .bindFactory("typeKey", () => ({}), {
+                lifecycle: "scope",
+                allowedScopes: ["request"],
+            })
+            .build();
+
+        // Act -----------
+        var error = catchError(() => container.scope("other").get("typeKey"));
+
+        // Assert --------
+        expect(error).instanceOf(AccessViolationError);
+        expect(error.code).toBe("SCOPE_VIOLATION");
+        expect(error.scopePath).toEqual(["other"]);
+    });
+
+    test("WHEN: Bind conflicting binding", () => {
+        // Arrange -------
+        var builder = diBuilder().bindInstance("typeKey", 1, { name: "a" });
+
+        // Act -----------
+        var error = catchError(() =>
+            builder.bindInstance("typeKey", 2, { name: "a" }),
+        );
+
+        // Assert --------
+        expect(error).instanceOf(BindingConflictError);
+        expect(error.code).toBe("BINDING_CONFLICT");
+        expect(error.type).toBe("typeKey");
+        expect(error.bindingName).toBe("a");
+    });
+
+    test("WHEN: Bind undefined instance", () => {
+        // Arrange -------
+        var builder = diBuilder();
+
+        // Act -----------
+        var error = catchError(() =>
+            builder.bindInstance("typeKey", undefined),
+        );
+
+        // Assert --------
+        expect(error).instanceOf(TypeError);
+        expect(error).instanceOf(InvalidBindingError);
+        expect(error).instanceOf(DIError);
+        expect(error.code).toBe("UNDEFINED_INSTANCE");
+        expect(error.type).toBe("typeKey");
+        expect(error.name).toBe("InvalidBindingError");
+    });
+
+    test("WHEN: Build without required type", () => {
+        // Arrange -------
+        var builder = diBuilder().requireType("typeKey");
+
+        // Act -----------
+        var error = catchError(() => builder.build());
+
+        // Assert --------
+        expect(error).instanceOf(BindingNotFoundError);
+        expect(error.code).toBe("MISSING_REQUIRED_TYPE");
+        expect(error.type).toBe("typeKey");
+    });
+
+    test("WHEN: Check error of other class", () => {
+        // Arrange -------
+        var error = new BindingNotFoundError("message", "CODE");
+
+        // Act -----------
+        var isCycleError = error instanceof DependencyCycleError;
+        var isPlainErrorDIError = new Error() instanceof DIError;
+
+        // Assert --------
+        expect(isCycleError).is.false;
+        expect(isPlainErrorDIError).is.false;
+        expect(error.chain).toEqual([]);
+        expect(error.scopePath).toEqual([]);
+    });
+
+    test("WHEN: Instance fails to dispose", () => {
+        // Arrange -------
+        var cause = new Error("dispose");
+        var container = diBuilder()
+            .bindFactory("typeKey", () => ({
+                dispose: () => {
+                    throw cause;
+                },
+            }))
+            .build();
+
+        // Act -----------
+        var error = catchError(() => container.dispose());
+
+        // Assert --------
+        var [disposeError] = error.errors;
+        expect(disposeError).instanceOf(DisposeError);
+        expect(disposeError.code).toBe("DISPOSE_FAILED");
+        expect(disposeError.type).toBe("typeKey");
+        expect(disposeError.cause).toBe(cause);
+    });
+});